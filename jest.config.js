@@ -1,4 +1,8 @@
 // jest.config.js
+
+// Run the specs in a time zone east of UTC, where dates parsed as local midnight show the day before
+process.env.TZ = "Asia/Tokyo";
+
 module.exports = {
   setupFilesAfterEnv: ["<rootDir>/jest.setup.js"],
   testEnvironment: "jsdom",
@@ -4,12 +4,17 @@
  * Overview:
  * This module provides functionality for fetching a CSV file from a given URL and converting it into a structured JSON format. 
  * It includes the `CsvFetcher` class, which handles the fetching and conversion process. 
- * The main features of this module are its ability to handle HTTP errors, parse CSV data into a JSON structure, and trim spaces from headers and values.
+ * The main features of this module are its ability to handle HTTP errors, parse CSV data into a JSON structure using the RFC 4180-compliant `CsvParser`, and trim spaces from headers and values.
  *
  * Features:
  * - Fetch CSV data from a specified URL.
  * - Handle HTTP errors gracefully.
- * - Convert CSV data into a structured JSON format.
+ * - Convert CSV data into a structured JSON format, including quoted fields, CRLF line endings and byte order marks.
+ * - Use a configured or auto-detected delimiter (comma, semicolon, tab or pipe).
+ * - Report malformed rows with their line numbers.
+ * - Stream large files, parsing the body in chunks and reporting the bytes and rows loaded.
+ * - Send conditional requests and keep the ETag and Last-Modified headers of the response.
+ * - Read local files (a `File` or `Blob` in place of the URL) through the same streaming parser.
  * - Trim spaces from headers and values for cleaner data.
  *
  * Classes:
@@ -17,30 +22,43 @@
  *
  * Usage:
  * To use this module, create an instance of the `CsvFetcher` 
- * class by passing the URL of the CSV file. Then, call the `fetch` method to retrieve and parse the CSV data.
+ * class by passing the URL of the CSV file and, optionally, the `CsvParser` options. Then, call the `fetch` method to retrieve and parse the CSV data.
  *
  * Example:
- * const csvFetcher = new CsvFetcher('https://example.com/data.csv');
+ * const csvFetcher = new CsvFetcher('https://example.com/data.csv', { delimiter: ';' });
  * csvFetcher.fetch().then(data => console.log(data)).catch(error => console.error(error));
+ *
+ * // Stream a large file, rendering rows as they arrive
+ * csvFetcher.stream({ onProgress: ({ rows, loadedBytes }) => console.log(rows.length, loadedBytes) });
  */
 
+// Imports
+import CsvParser, { CsvParseError } from "./csvParser.js";
+
 /**
  * CsvFetcher class for fetching and converting CSV data.
  */
 export default class CsvFetcher {
   /**
    * Constructor for the CsvFetcher class.
-   * @param {string} url - The URL of the CSV file to fetch.
+   * @param {string|Blob} url - The URL of the CSV file to fetch, or a local file (e.g. picked or dropped by the user).
+   * @param {Object} parserOptions - Options passed to the `CsvParser` (delimiter, hasHeader, skipMalformed, ...).
    */
-  constructor(url) {
+  constructor(url, parserOptions = {}) {
     this.url = url;
+    this.parserOptions = parserOptions;
     this.headers = [];
+    this.errors = [];
+    // Validators of the last response, for conditional requests
+    this.etag = null;
+    this.lastModified = null;
   }
 
   /**
    * Fetch the CSV data from the specified URL and convert it to JSON.
    * @returns {Promise<Array<Object>>} - A promise that resolves to an array of objects representing the CSV data.
    * @throws {Error} - Throws an error if the HTTP request fails.
+   * @throws {CsvParseError} - Throws an error if a row is malformed and malformed rows are not skipped.
    */
   async fetch() {
     try {
@@ -51,33 +69,130 @@ export default class CsvFetcher {
       const data = await response.text();
       return this.csvToJsonStructured(data);
     } catch (error) {
+      console.error("Error fetching data:", error);
+      if (error instanceof CsvParseError) {
+        throw error;
+      }
+      throw new Error("Error fetching CSV data");
+    }
+  }
+
+  /**
+   * Fetch the CSV data as a stream, parsing each chunk of the body as it arrives.
+   * The rows array reported to `onProgress` is the same array throughout and grows as rows are parsed.
+   * Falls back to reading the whole body at once where the response body cannot be streamed.
+   * @param {Object} options - Stream options.
+   * @param {Function} options.onProgress - Called after each chunk with { rows, headers, loadedBytes, totalBytes }.
+   * @param {AbortSignal} options.signal - A signal to cancel the download.
+   * @param {Object} options.requestHeaders - Extra request headers, such as If-None-Match for a conditional request.
+   * @returns {Promise<Array<Object>|null>} - A promise that resolves to all the rows once the body has been read,
+   * or to null if the server responded to a conditional request with 304 Not Modified.
+   * @throws {Error} - Throws an error if the HTTP request fails.
+   * @throws {CsvParseError} - Throws an error if a row is malformed and malformed rows are not skipped.
+   * @throws {DOMException} - Throws an "AbortError" if the download is cancelled.
+   */
+  async stream({ onProgress = () => {}, signal, requestHeaders = {} } = {}) {
+    const parser = new CsvParser(this.parserOptions);
+    const report = (loadedBytes, totalBytes) => {
+      this.headers = (parser.headers || []).filter((header) => header);
+      this.errors = parser.errors;
+      onProgress({ rows: parser.rows, headers: this.headers, loadedBytes, totalBytes });
+    };
+
+    try {
+      const source = await this.open({ signal, requestHeaders });
+      if (!source) {
+        return null;
+      }
+      const { body, totalBytes } = source;
+
+      if (!body || !body.getReader) {
+        const data = await source.text();
+        parser.push(data);
+        parser.end();
+        report(data.length, totalBytes);
+        return parser.rows;
+      }
+
+      const reader = body.getReader();
+      const decoder = new TextDecoder("utf-8");
+      let loadedBytes = 0;
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+          break;
+        }
+        if (signal && signal.aborted) {
+          reader.cancel();
+          throw new DOMException("The load was cancelled", "AbortError");
+        }
+        loadedBytes += value.byteLength;
+        parser.push(decoder.decode(value, { stream: true }));
+        report(loadedBytes, totalBytes);
+        // Give the browser a chance to render between chunks
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+      parser.push(decoder.decode());
+      parser.end();
+      report(loadedBytes, totalBytes);
+      return parser.rows;
+    } catch (error) {
+      if (error instanceof CsvParseError || error.name === "AbortError") {
+        throw error;
+      }
       console.error("Error fetching data:", error);
       throw new Error("Error fetching CSV data");
     }
   }
 
+  /**
+   * Open the body of the CSV source, requesting it from the server unless it is a local file.
+   * @param {Object} options - Request options.
+   * @param {AbortSignal} options.signal - A signal to cancel the request.
+   * @param {Object} options.requestHeaders - Extra request headers.
+   * @returns {Promise<Object|null>} - A promise that resolves to the source ({ body, text, totalBytes }),
+   * or to null if the server responded to a conditional request with 304 Not Modified.
+   * @throws {Error} - Throws an error if the HTTP request fails.
+   */
+  async open({ signal, requestHeaders = {} } = {}) {
+    if (typeof Blob !== "undefined" && this.url instanceof Blob) {
+      const file = this.url;
+      return {
+        body: file.stream ? file.stream() : null,
+        text: () => file.text(),
+        totalBytes: file.size,
+      };
+    }
+
+    const response = await fetch(this.url, { signal, headers: requestHeaders });
+    if (response.status === 304) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const getHeader = (name) => (response.headers ? response.headers.get(name) : null);
+    this.etag = getHeader("ETag");
+    this.lastModified = getHeader("Last-Modified");
+    return {
+      body: response.body,
+      text: () => response.text(),
+      totalBytes: Number(getHeader("Content-Length")) || null,
+    };
+  }
+
   /**
    * Convert CSV data to a structured JSON format.
    * @param {string} data - The CSV data as a string.
    * @returns {Array<Object>} - An array of objects representing the CSV data.
+   * @throws {CsvParseError} - Throws an error if a row is malformed and malformed rows are not skipped.
    */
   csvToJsonStructured(data) {
-    const rows = data.split("\n").filter((row) => row.trim() !== "");
-    const headers = rows
-      .shift()
-      .split(",")
-      .map((header) => header.trim()); // Get headers and trim spaces
-    const results = rows.map((row) => {
-      const values = row.split(",").map((value) => value.trim());
-      return headers.reduce((acc, header, index) => {
-        if (header) {
-          // Only add if the header is not empty
-          acc[header] = values[index] || "";
-        }
-        return acc;
-      }, {});
-    });
-    this.headers = headers;
+    const parser = new CsvParser(this.parserOptions);
+    const results = parser.parse(data);
+    // Only keep the headers that name a column
+    this.headers = (parser.headers || []).filter((header) => header);
+    this.errors = parser.errors;
     return results;
   }
 }
@@ -0,0 +1,393 @@
+/**
+ * CsvParser Module
+ *
+ * Overview:
+ * This module provides an RFC 4180-compliant CSV parser that converts CSV text into an array of row objects.
+ * It includes the `CsvParser` class, which parses the text one character at a time so quoted fields may contain
+ * delimiters, escaped quotes and line breaks, and the `CsvParseError` class, which reports malformed rows by line number.
+ *
+ * Features:
+ * - Quoted fields containing delimiters, line breaks and escaped (doubled) quotes.
+ * - LF, CRLF and CR line endings, and a leading UTF-8 byte order mark.
+ * - A configurable delimiter, or auto-detection of comma, semicolon, tab and pipe.
+ * - An optional header row; without one, columns are named "Column 1", "Column 2", ...
+ * - Duplicate header names made unique ("Name", "Name_2", ...).
+ * - Line-numbered errors for malformed rows, either thrown or collected while skipping the row.
+ * - Incremental parsing of text that arrives in chunks, such as a streamed response body.
+ *
+ * Classes:
+ * - CsvParser: Handles parsing CSV text into row objects.
+ * - CsvParseError: Describes a malformed row and the line it starts on.
+ *
+ * Usage:
+ * To use this module, create an instance of the `CsvParser` class, optionally passing the parser options.
+ * Then, call the `parse` method with the CSV text. The parsed headers are available from `parser.headers`.
+ * To parse text as it arrives, call `push` with each chunk and `end` once the text is complete;
+ * the rows parsed so far are available from `parser.rows` in the meantime.
+ *
+ * Example:
+ * const parser = new CsvParser({ delimiter: 'auto', skipMalformed: true });
+ * const rows = parser.parse('name;note\r\n"Smith; John";"said ""hi"""\r\n');
+ * console.log(rows, parser.headers, parser.errors);
+ */
+
+// Delimiters considered when the delimiter is auto-detected.
+const DELIMITER_CANDIDATES = [",", ";", "\t", "|"];
+
+// The number of lines inspected when auto-detecting the delimiter.
+const DELIMITER_SAMPLE_LINES = 10;
+
+const BYTE_ORDER_MARK = "\uFEFF";
+
+/**
+ * CsvParseError class describing a malformed CSV row.
+ */
+export class CsvParseError extends Error {
+  /**
+   * Constructor for the CsvParseError class.
+   * @param {string} message - A description of the problem.
+   * @param {number} line - The line the malformed row starts on (1-based).
+   */
+  constructor(message, line) {
+    super(`${message} on line ${line}`);
+    this.name = "CsvParseError";
+    this.line = line;
+  }
+}
+
+/**
+ * CsvParser class for parsing CSV text into row objects.
+ */
+export default class CsvParser {
+  /**
+   * Constructor for the CsvParser class.
+   * @param {Object} options - Parser options.
+   * @param {string} options.delimiter - The field delimiter, or "auto" to detect it (default: "auto").
+   * @param {boolean} options.hasHeader - Whether the first row holds the column names (default: true).
+   * @param {boolean} options.trim - Whether to trim spaces around unquoted fields (default: true).
+   * @param {boolean} options.skipEmptyLines - Whether to ignore empty lines (default: true).
+   * @param {boolean} options.skipMalformed - Whether to skip malformed rows and collect their errors
+   * in `errors` instead of throwing a `CsvParseError` (default: false).
+   */
+  constructor(options = {}) {
+    this.options = {
+      delimiter: "auto",
+      hasHeader: true,
+      trim: true,
+      skipEmptyLines: true,
+      skipMalformed: false,
+      ...options,
+    };
+    this.reset();
+  }
+
+  /**
+   * Reset the parser state so a new text can be parsed.
+   */
+  reset() {
+    this.delimiter = this.options.delimiter === "auto" ? null : this.options.delimiter;
+    this.headers = null;
+    this.headerCount = 0;
+    this.rows = [];
+    this.errors = [];
+
+    // Tokenizer state
+    this.field = "";
+    this.record = [];
+    this.fieldQuoted = false;
+    this.inQuotes = false;
+    this.afterQuote = false;
+    this.skipLineFeed = false;
+    this.lastChar = "";
+    this.recordError = null;
+    this.line = 1;
+    this.recordLine = 1;
+    this.started = false;
+    // Text held back until a full line is available to detect the delimiter from
+    this.pending = "";
+  }
+
+  /**
+   * Parse CSV text into row objects.
+   * @param {string} text - The CSV text.
+   * @returns {Array<Object>} - The rows, keyed by header name.
+   * @throws {CsvParseError} - Throws an error for a malformed row unless `skipMalformed` is set.
+   */
+  parse(text) {
+    this.reset();
+    this.push(text);
+    return this.end();
+  }
+
+  /**
+   * Parse the next chunk of CSV text. A record split across chunks is completed by a later chunk.
+   * @param {string} chunk - The next chunk of CSV text.
+   * @returns {number} - The number of rows parsed so far.
+   * @throws {CsvParseError} - Throws an error for a malformed row unless `skipMalformed` is set.
+   */
+  push(chunk) {
+    if (!this.started && !this.delimiter) {
+      this.pending += chunk;
+      if (!/[\r\n]/.test(this.pending)) {
+        return this.rows.length;
+      }
+      chunk = this.pending;
+      this.pending = "";
+    }
+    this.consume(chunk);
+    return this.rows.length;
+  }
+
+  /**
+   * Complete parsing once the last chunk has been pushed.
+   * @returns {Array<Object>} - The rows, keyed by header name.
+   * @throws {CsvParseError} - Throws an error for a malformed row unless `skipMalformed` is set.
+   */
+  end() {
+    if (this.pending) {
+      const pending = this.pending;
+      this.pending = "";
+      this.consume(pending);
+    }
+    this.finish();
+    return this.rows;
+  }
+
+  /**
+   * Feed CSV text through the tokenizer.
+   * @param {string} text - The CSV text.
+   */
+  consume(text) {
+    if (!this.started) {
+      this.started = true;
+      if (text.startsWith(BYTE_ORDER_MARK)) {
+        text = text.slice(1);
+      }
+      if (!this.delimiter) {
+        this.delimiter = CsvParser.detectDelimiter(text);
+      }
+    }
+
+    const delimiter = this.delimiter;
+    const trim = this.options.trim;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      const previous = this.lastChar;
+      this.lastChar = char;
+
+      // The line feed of a CRLF line ending
+      if (this.skipLineFeed) {
+        this.skipLineFeed = false;
+        if (char === "\n") {
+          continue;
+        }
+      }
+
+      if (this.inQuotes) {
+        if (char === '"') {
+          this.inQuotes = false;
+          this.afterQuote = true;
+        } else {
+          if (char === "\r" || (char === "\n" && previous !== "\r")) {
+            this.line++;
+          }
+          this.field += char;
+        }
+        continue;
+      }
+
+      if (this.afterQuote) {
+        if (char === '"') {
+          // An escaped quote inside a quoted field
+          this.field += '"';
+          this.inQuotes = true;
+          this.afterQuote = false;
+          continue;
+        }
+        if (trim && (char === " " || char === "\t") && char !== delimiter) {
+          continue;
+        }
+        this.afterQuote = false;
+        if (char !== delimiter && char !== "\r" && char !== "\n") {
+          this.recordError = this.recordError || "Unexpected character after a closing quote";
+        }
+      }
+
+      if (char === delimiter) {
+        this.endField();
+      } else if (char === "\r" || char === "\n") {
+        this.endField();
+        this.endRecord();
+        this.line++;
+        this.recordLine = this.line;
+        this.skipLineFeed = char === "\r";
+      } else if (char === '"') {
+        if (!this.fieldQuoted && (this.field === "" || (trim && this.field.trim() === ""))) {
+          this.field = "";
+          this.fieldQuoted = true;
+          this.inQuotes = true;
+        } else {
+          this.recordError = this.recordError || "Unexpected quote in an unquoted field";
+          this.field += char;
+        }
+      } else {
+        this.field += char;
+      }
+    }
+  }
+
+  /**
+   * Complete the last record once all the text has been consumed.
+   * @throws {CsvParseError} - Throws an error for a malformed row unless `skipMalformed` is set.
+   */
+  finish() {
+    if (this.inQuotes) {
+      this.inQuotes = false;
+      this.recordError = "Unterminated quoted field";
+    }
+    if (this.field !== "" || this.fieldQuoted || this.record.length) {
+      this.endField();
+      this.endRecord();
+    }
+  }
+
+  /**
+   * Add the current field to the current record.
+   */
+  endField() {
+    const value = !this.fieldQuoted && this.options.trim ? this.field.trim() : this.field;
+    this.record.push(value);
+    this.field = "";
+    this.fieldQuoted = false;
+    this.afterQuote = false;
+  }
+
+  /**
+   * Turn the current record into the headers or a row object.
+   * @throws {CsvParseError} - Throws an error for a malformed row unless `skipMalformed` is set.
+   */
+  endRecord() {
+    const record = this.record;
+    const recordError = this.recordError;
+    this.record = [];
+    this.recordError = null;
+
+    if (recordError) {
+      this.fail(recordError, this.recordLine);
+      return;
+    }
+    if (this.options.skipEmptyLines && record.length === 1 && record[0] === "") {
+      return;
+    }
+
+    if (!this.headers) {
+      this.headerCount = record.length;
+      if (this.options.hasHeader) {
+        this.headers = CsvParser.uniqueHeaders(record);
+        return;
+      }
+      this.headers = record.map((_, index) => `Column ${index + 1}`);
+    }
+
+    if (record.length !== this.headerCount) {
+      this.fail(
+        `Expected ${this.headerCount} fields but found ${record.length}`,
+        this.recordLine
+      );
+      return;
+    }
+
+    const row = {};
+    for (let i = 0; i < record.length; i++) {
+      // Columns without a header name are ignored
+      if (this.headers[i]) {
+        row[this.headers[i]] = record[i];
+      }
+    }
+    this.rows.push(row);
+  }
+
+  /**
+   * Report a malformed row, either by throwing or by collecting the error.
+   * @param {string} message - A description of the problem.
+   * @param {number} line - The line the malformed row starts on.
+   * @throws {CsvParseError} - Throws the error unless `skipMalformed` is set.
+   */
+  fail(message, line) {
+    const error = new CsvParseError(message, line);
+    if (!this.options.skipMalformed) {
+      throw error;
+    }
+    this.errors.push(error);
+  }
+
+  /**
+   * Make header names unique by suffixing repeated names ("Name", "Name_2", "Name_3").
+   * Empty header names are kept empty so their columns are ignored.
+   * @param {Array<string>} record - The header record.
+   * @returns {Array<string>} - The unique header names.
+   */
+  static uniqueHeaders(record) {
+    const seen = new Set();
+    return record.map((header) => {
+      if (!header) {
+        return "";
+      }
+      let name = header;
+      for (let count = 2; seen.has(name); count++) {
+        name = `${header}_${count}`;
+      }
+      seen.add(name);
+      return name;
+    });
+  }
+
+  /**
+   * Detect the delimiter from the first lines of the text. The delimiter that appears
+   * the same number of times on the most lines wins, with ties going to the most frequent one.
+   * @param {string} text - The CSV text (or its beginning).
+   * @returns {string} - The detected delimiter (default: ",").
+   */
+  static detectDelimiter(text) {
+    const lines = text
+      .split(/\r\n|\n|\r/, DELIMITER_SAMPLE_LINES + 1)
+      .slice(0, DELIMITER_SAMPLE_LINES)
+      .filter((line) => line.trim() !== "");
+
+    let best = { delimiter: ",", consistentLines: 0, count: 0 };
+    DELIMITER_CANDIDATES.forEach((delimiter) => {
+      const counts = lines.map((line) => CsvParser.countUnquoted(line, delimiter));
+      if (!counts[0]) {
+        return;
+      }
+      const consistentLines = counts.filter((count) => count === counts[0]).length;
+      if (
+        consistentLines > best.consistentLines ||
+        (consistentLines === best.consistentLines && counts[0] > best.count)
+      ) {
+        best = { delimiter, consistentLines, count: counts[0] };
+      }
+    });
+    return best.delimiter;
+  }
+
+  /**
+   * Count the occurrences of a character outside quoted sections of a line.
+   * @param {string} line - The line to inspect.
+   * @param {string} char - The character to count.
+   * @returns {number} - The number of occurrences.
+   */
+  static countUnquoted(line, char) {
+    let count = 0;
+    let inQuotes = false;
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === '"') {
+        inQuotes = !inQuotes;
+      } else if (line[i] === char && !inQuotes) {
+        count++;
+      }
+    }
+    return count;
+  }
+}
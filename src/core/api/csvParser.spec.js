@@ -0,0 +1,144 @@
+import CsvParser, { CsvParseError } from "./csvParser.js";
+
+// Parse text pushed in the given chunks
+const parseChunks = (chunks, options) => {
+  const parser = new CsvParser(options);
+  chunks.forEach((chunk) => parser.push(chunk));
+  return parser.end();
+};
+
+describe("CsvParser", () => {
+  test("parses rows keyed by header name", () => {
+    expect(new CsvParser().parse("name,age\nAlice,30\nBob,25\n")).toEqual([
+      { name: "Alice", age: "30" },
+      { name: "Bob", age: "25" },
+    ]);
+  });
+
+  test("parses quoted fields with delimiters, escaped quotes and line breaks", () => {
+    const rows = new CsvParser().parse('name,note\n"Smith, John","said ""hi""\nand left"\n');
+    expect(rows).toEqual([{ name: "Smith, John", note: 'said "hi"\nand left' }]);
+  });
+
+  test("keeps empty and quoted empty fields", () => {
+    expect(new CsvParser().parse('a,b,c\n,"",x\n')).toEqual([{ a: "", b: "", c: "x" }]);
+  });
+
+  test("trims unquoted fields, but not quoted ones", () => {
+    expect(new CsvParser().parse('a,b\n  x  , " y "\n')).toEqual([{ a: "x", b: " y " }]);
+    expect(new CsvParser({ trim: false }).parse("a,b\n x ,y\n")).toEqual([{ a: " x ", b: "y" }]);
+  });
+
+  test("accepts LF, CRLF and CR line endings", () => {
+    const expected = [{ a: "1", b: "2" }, { a: "3", b: "4" }];
+    expect(new CsvParser().parse("a,b\n1,2\n3,4")).toEqual(expected);
+    expect(new CsvParser().parse("a,b\r\n1,2\r\n3,4\r\n")).toEqual(expected);
+    expect(new CsvParser().parse("a,b\r1,2\r3,4\r")).toEqual(expected);
+  });
+
+  test("strips a leading byte order mark", () => {
+    const rows = new CsvParser().parse("\uFEFFname,age\nAlice,30\n");
+    expect(rows).toEqual([{ name: "Alice", age: "30" }]);
+  });
+
+  test("skips empty lines unless told not to", () => {
+    expect(new CsvParser().parse("a\n1\n\n2\n")).toEqual([{ a: "1" }, { a: "2" }]);
+    expect(new CsvParser({ skipEmptyLines: false }).parse("a\n1\n\n2\n")).toEqual([
+      { a: "1" },
+      { a: "" },
+      { a: "2" },
+    ]);
+  });
+
+  test("names the columns of a file without a header row", () => {
+    expect(new CsvParser({ hasHeader: false }).parse("1,2\n")).toEqual([{ "Column 1": "1", "Column 2": "2" }]);
+  });
+
+  test("makes repeated header names unique and ignores columns without a name", () => {
+    const parser = new CsvParser();
+    expect(parser.parse("Name,Name,,Name\na,b,c,d\n")).toEqual([{ Name: "a", Name_2: "b", Name_3: "d" }]);
+    expect(parser.headers).toEqual(["Name", "Name_2", "", "Name_3"]);
+  });
+
+  test("detects the delimiter", () => {
+    expect(new CsvParser().parse("a;b\n1;2\n")).toEqual([{ a: "1", b: "2" }]);
+    expect(new CsvParser().parse("a\tb\n1\t2\n")).toEqual([{ a: "1", b: "2" }]);
+    expect(new CsvParser().parse('a|b\n"x,y"|2\n')).toEqual([{ a: "x,y", b: "2" }]);
+    expect(CsvParser.detectDelimiter("a,b;c\n1,2;3\n4,5;6")).toBe(",");
+    expect(CsvParser.detectDelimiter("single")).toBe(",");
+  });
+
+  test("uses a given delimiter", () => {
+    expect(new CsvParser({ delimiter: ";" }).parse("a,b;c\n1,2;3\n")).toEqual([{ "a,b": "1,2", c: "3" }]);
+  });
+
+  describe("chunks", () => {
+    test("completes records and quoted fields split across chunks", () => {
+      const rows = parseChunks(['name,no', 'te\nAli', 'ce,"one, ', 'two"\nBob', ",three\n"]);
+      expect(rows).toEqual([
+        { name: "Alice", note: "one, two" },
+        { name: "Bob", note: "three" },
+      ]);
+    });
+
+    test("reads a CRLF line ending split across chunks as one line break", () => {
+      const rows = parseChunks(["a,b\r", "\n1,2\r", "\n3,4\r", "\n"]);
+      expect(rows).toEqual([{ a: "1", b: "2" }, { a: "3", b: "4" }]);
+    });
+
+    test("reads an escaped quote split across chunks", () => {
+      expect(parseChunks(['a\n"say "', '"hi""', '"\n'])).toEqual([{ a: 'say "hi"' }]);
+    });
+
+    test("detects the delimiter once a full line has arrived", () => {
+      expect(parseChunks(["a;", "b", "\n1;2\n"])).toEqual([{ a: "1", b: "2" }]);
+    });
+
+    test("strips a byte order mark in the first chunk", () => {
+      expect(parseChunks(["\uFEFFa,", "b\n1,2"])).toEqual([{ a: "1", b: "2" }]);
+    });
+
+    test("reports the rows parsed so far", () => {
+      const parser = new CsvParser();
+      expect(parser.push("a,b\n1,2\n3,")).toBe(1);
+      expect(parser.rows).toEqual([{ a: "1", b: "2" }]);
+      expect(parser.push("4\n")).toBe(2);
+    });
+  });
+
+  describe("malformed rows", () => {
+    test("throws for a row with the wrong number of fields, with its line number", () => {
+      const parse = () => new CsvParser().parse("a,b\n1,2\n3\n");
+      expect(parse).toThrow(CsvParseError);
+      expect(parse).toThrow("Expected 2 fields but found 1 on line 3");
+    });
+
+    test("reports the line a row with a quoted line break starts on", () => {
+      let error = null;
+      try {
+        new CsvParser().parse('a,b\n"1\n2",3\n4,5,6\n');
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error).toBeInstanceOf(CsvParseError);
+      expect(error.line).toBe(4);
+    });
+
+    test("throws for an unterminated quoted field", () => {
+      expect(() => new CsvParser().parse('a,b\n1,"open\n')).toThrow("Unterminated quoted field on line 2");
+    });
+
+    test("throws for characters after a closing quote and quotes in unquoted fields", () => {
+      expect(() => new CsvParser().parse('a,b\n"x"y,2\n')).toThrow("Unexpected character after a closing quote");
+      expect(() => new CsvParser().parse('a,b\nx"y,2\n')).toThrow("Unexpected quote in an unquoted field");
+    });
+
+    test("skips malformed rows and collects their errors when told to", () => {
+      const parser = new CsvParser({ skipMalformed: true });
+      const rows = parser.parse("a,b\n1,2\n3\n4,5,6\n7,8\n");
+      expect(rows).toEqual([{ a: "1", b: "2" }, { a: "7", b: "8" }]);
+      expect(parser.errors.map((error) => error.line)).toEqual([3, 4]);
+      expect(parser.errors[0]).toBeInstanceOf(CsvParseError);
+    });
+  });
+});
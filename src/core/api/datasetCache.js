@@ -0,0 +1,104 @@
+/**
+ * DatasetCache Module
+ *
+ * Overview:
+ * This module provides an in-memory cache for datasets loaded from a URL, so paging, sorting and filtering
+ * run against rows that have already been downloaded and parsed.
+ * It includes the `DatasetCache` class, which stores one entry per source URL and options.
+ *
+ * Features:
+ * - Cache entries keyed by the source URL and the options used to parse it.
+ * - Share a dataset between tables loading the same source, including while it is still loading.
+ * - Keep the ETag and Last-Modified response headers of each entry for conditional revalidation.
+ * - Expire entries after an optional time to live.
+ *
+ * Classes:
+ * - DatasetCache: Handles storing and expiring dataset entries.
+ *
+ * Usage:
+ * To use this module, create an instance of the `DatasetCache` class. Then, use `createKey` to build the key of a source,
+ * and `get`, `set` and `delete` to manage its entry. Use `isExpired` to decide whether an entry needs revalidating.
+ *
+ * Example:
+ * const cache = new DatasetCache();
+ * const key = DatasetCache.createKey('https://example.com/data.csv', { delimiter: ';' });
+ * cache.set(key, { dataset, load, etag: '"abc"', lastModified: null, fetchedAt: Date.now() });
+ * console.log(cache.isExpired(cache.get(key), 60000));
+ */
+
+/**
+ * DatasetCache class for caching loaded datasets.
+ */
+export default class DatasetCache {
+  /**
+   * Constructor for the DatasetCache class.
+   */
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Build the cache key of a source.
+   * @param {string} url - The source URL.
+   * @param {Object} options - The options the source is parsed with.
+   * @returns {string} - The cache key.
+   */
+  static createKey(url, options = {}) {
+    const sortedOptions = Object.keys(options)
+      .sort()
+      .reduce((acc, key) => {
+        acc[key] = options[key];
+        return acc;
+      }, {});
+    return JSON.stringify([url, sortedOptions]);
+  }
+
+  /**
+   * Get the entry of a source.
+   * @param {string} key - The cache key.
+   * @returns {Object|undefined} - The entry ({ dataset, load, etag, lastModified, fetchedAt }), if cached.
+   */
+  get(key) {
+    return this.entries.get(key);
+  }
+
+  /**
+   * Store the entry of a source, replacing any previous entry.
+   * @param {string} key - The cache key.
+   * @param {Object} entry - The entry ({ dataset, load, etag, lastModified, fetchedAt }).
+   */
+  set(key, entry) {
+    this.entries.set(key, entry);
+  }
+
+  /**
+   * Remove the entry of a source, if it is the given entry (or any entry when none is given).
+   * @param {string} key - The cache key.
+   * @param {Object} entry - The entry expected to be cached under the key.
+   */
+  delete(key, entry) {
+    if (!entry || this.entries.get(key) === entry) {
+      this.entries.delete(key);
+    }
+  }
+
+  /**
+   * Remove every entry.
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Whether an entry has outlived its time to live.
+   * @param {Object} entry - The cache entry.
+   * @param {number} ttl - The time to live in milliseconds. Without one, entries never expire.
+   * @returns {boolean} - True if the entry has expired.
+   */
+  isExpired(entry, ttl) {
+    if (!ttl) {
+      return false;
+    }
+    return Date.now() - entry.fetchedAt > ttl;
+  }
+}
@@ -0,0 +1,201 @@
+/**
+ * Exporter Module
+ *
+ * Overview:
+ * This module provides functionality for exporting the rows of a table to a file or to the clipboard.
+ * It includes the `Exporter` class, which serializes rows as CSV, TSV, JSON or an Excel workbook
+ * and saves the result as a download.
+ *
+ * Features:
+ * - Serialize rows as CSV, quoting fields that contain the delimiter, quotes or line breaks (RFC 4180),
+ *   so the file reads back through `CsvFetcher`.
+ * - Serialize rows as tab-separated text, for files or for pasting into a spreadsheet.
+ * - Serialize rows as a JSON array of objects keyed by column label.
+ * - Write rows to an Excel workbook (.xlsx) with typed cells (see `XlsxWriter`).
+ * - Choose and order the exported columns, with a header row of column labels.
+ * - Export raw or formatted values, through a function that reads the value of each cell.
+ * - Save the exported content as a file download.
+ *
+ * Classes:
+ * - Exporter: Handles serializing and downloading rows.
+ *
+ * Usage:
+ * To use this module, call `Exporter.export` with the format, the rows and the columns ({ field, label }) to export.
+ * To serialize without downloading, call `Exporter.serialize`, or `Exporter.toDelimited` for delimited text.
+ *
+ * Example:
+ * const columns = [{ field: 'name', label: 'Name' }, { field: 'total', label: 'Total' }];
+ * Exporter.export('csv', rows, columns, { filename: 'orders' }); // downloads orders.csv
+ * Exporter.export('xlsx', rows, columns, { filename: 'orders', getCell: (row) => ({ type: 'number', value: row.total }) });
+ */
+
+// Imports
+import XlsxWriter, { XLSX_MIME_TYPE } from "./xlsxWriter.js";
+
+// The export formats, with their file extension and MIME type.
+export const EXPORT_FORMATS = {
+  csv: { label: "CSV", extension: "csv", mimeType: "text/csv" },
+  tsv: { label: "TSV", extension: "tsv", mimeType: "text/tab-separated-values" },
+  json: { label: "JSON", extension: "json", mimeType: "application/json" },
+  xlsx: { label: "Excel", extension: "xlsx", mimeType: XLSX_MIME_TYPE },
+};
+
+/**
+ * Exporter class for serializing and downloading rows.
+ */
+export default class Exporter {
+  /**
+   * Serialize rows in an export format and save them as a file download.
+   * @param {string} format - The export format: "csv", "tsv", "json" or "xlsx".
+   * @param {Array<Object>} rows - The rows to export.
+   * @param {Array<Object>} columns - The columns to export ({ field, label }), in order.
+   * @param {Object} options - Export options (see `serialize`).
+   * @param {string} options.filename - The file name, without the extension (default: "export").
+   * @returns {string} - The name of the downloaded file.
+   * @throws {Error} - Throws an error for an unknown format.
+   */
+  static export(format, rows, columns, options = {}) {
+    const content = Exporter.serialize(format, rows, columns, options);
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+    const filename = `${options.filename || "export"}.${extension}`;
+    Exporter.download(content, filename, mimeType);
+    return filename;
+  }
+
+  /**
+   * Serialize rows in an export format.
+   * @param {string} format - The export format: "csv", "tsv", "json" or "xlsx".
+   * @param {Array<Object>} rows - The rows to export.
+   * @param {Array<Object>} columns - The columns to export ({ field, label }), in order.
+   * @param {Object} options - Export options.
+   * @param {Function} options.getValue - Reads the value of a cell, called with the row and the column
+   * (default: the raw value of the field).
+   * @param {Function} options.getCell - Reads the typed cell ({ type, value }) of a cell for Excel workbooks,
+   * called with the row and the column (default: the value from `getValue`).
+   * @param {string} options.sheetName - The worksheet name of Excel workbooks.
+   * @returns {string|Uint8Array} - The serialized rows: text, or the bytes of an Excel workbook.
+   * @throws {Error} - Throws an error for an unknown format.
+   */
+  static serialize(format, rows, columns, options = {}) {
+    const getValue = options.getValue || ((row, column) => row[column.field]);
+
+    switch (format) {
+      case "csv":
+        return Exporter.toDelimited(rows, columns, { getValue });
+      case "tsv":
+        return Exporter.toDelimited(rows, columns, { getValue, delimiter: "\t" });
+      case "json":
+        return JSON.stringify(
+          rows.map((row) =>
+            columns.reduce((acc, column) => {
+              const value = getValue(row, column);
+              acc[column.label] = value === undefined ? null : value;
+              return acc;
+            }, {})
+          ),
+          null,
+          2
+        );
+      case "xlsx": {
+        const getCell = options.getCell || getValue;
+        return XlsxWriter.write(
+          columns.map((column) => column.label),
+          rows.map((row) => columns.map((column) => getCell(row, column))),
+          { sheetName: options.sheetName }
+        );
+      }
+      default:
+        throw new Error(`Invalid export format: ${format}`);
+    }
+  }
+
+  /**
+   * Serialize rows as delimited text, with a header row of column labels.
+   * @param {Array<Object>} rows - The rows to export.
+   * @param {Array<Object>} columns - The columns to export ({ field, label }), in order.
+   * @param {Object} options - Serialization options.
+   * @param {string} options.delimiter - The field delimiter (default: ",").
+   * @param {string} options.lineEnding - The line ending (default: "\r\n").
+   * @param {Function} options.getValue - Reads the value of a cell, called with the row and the column
+   * (default: the raw value of the field).
+   * @returns {string} - The delimited text.
+   */
+  static toDelimited(rows, columns, options = {}) {
+    const delimiter = options.delimiter || ",";
+    const lineEnding = options.lineEnding || "\r\n";
+    const getValue = options.getValue || ((row, column) => row[column.field]);
+    const line = (values) =>
+      values.map((value) => Exporter.escapeField(value, delimiter)).join(delimiter);
+
+    return [
+      line(columns.map((column) => column.label)),
+      ...rows.map((row) => line(columns.map((column) => getValue(row, column)))),
+    ].join(lineEnding);
+  }
+
+  /**
+   * Quote a field if it contains the delimiter, a quote, a line break or surrounding spaces,
+   * doubling any quotes inside it.
+   * @param {*} value - The field value.
+   * @param {string} delimiter - The field delimiter.
+   * @returns {string} - The escaped field.
+   */
+  static escapeField(value, delimiter = ",") {
+    const text = value === null || value === undefined ? "" : String(value);
+    if (
+      text.includes(delimiter) ||
+      /["\r\n]/.test(text) ||
+      text.trim() !== text
+    ) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  }
+
+  /**
+   * Save content as a file download.
+   * @param {string|Blob} content - The file content.
+   * @param {string} filename - The file name.
+   * @param {string} mimeType - The MIME type of the content.
+   */
+  static download(content, filename, mimeType = "text/plain") {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.style.display = "none";
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before releasing the URL
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Copy text to the clipboard.
+   * @param {string} text - The text to copy.
+   * @returns {Promise<void>} - A promise that resolves once the text has been copied.
+   * @throws {Error} - Throws an error if the clipboard cannot be written.
+   */
+  static async copyToClipboard(text) {
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      await navigator.clipboard.writeText(text);
+      return;
+    }
+
+    // Fall back to a hidden text area for browsers without the asynchronous clipboard API
+    const textArea = document.createElement("textarea");
+    textArea.value = text;
+    textArea.setAttribute("readonly", "");
+    textArea.style.position = "fixed";
+    textArea.style.opacity = "0";
+    document.body.appendChild(textArea);
+    textArea.select();
+    const copied = document.execCommand && document.execCommand("copy");
+    textArea.remove();
+    if (!copied) {
+      throw new Error("Unable to copy to the clipboard");
+    }
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * @jest-environment node
+ */
+import Exporter from "./exporter.js";
+import CsvFetcher from "./csvFetcher.js";
+import CsvParser from "./csvParser.js";
+import { crc32 } from "../../utils/zipUtils.js";
+
+const columns = [
+  { field: "name", label: "Name" },
+  { field: "note", label: "Note" },
+  { field: "amount", label: "Amount" },
+];
+
+const rows = [
+  { name: "Smith, John", note: 'said "hi"', amount: "10" },
+  { name: "  padded  ", note: "line one\nline two", amount: "" },
+  { name: "Tab\there", note: "crlf\r\nend", amount: "-3.5" },
+  { name: "Ünïcödé 😀", note: null, amount: undefined },
+];
+
+// The rows as they read back from a file, where missing values are empty
+const expected = rows.map((row) =>
+  columns.reduce((acc, column) => {
+    acc[column.label] = row[column.field] === null || row[column.field] === undefined ? "" : row[column.field];
+    return acc;
+  }, {})
+);
+
+// Read the files of a ZIP archive stored without compression
+const readZip = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  const files = {};
+  let offset = 0;
+  while (view.getUint32(offset, true) === 0x04034b50) {
+    const size = view.getUint32(offset + 18, true);
+    const nameLength = view.getUint16(offset + 26, true);
+    const start = offset + 30 + nameLength;
+    const name = decoder.decode(bytes.subarray(offset + 30, start));
+    files[name] = { crc: view.getUint32(offset + 14, true), data: bytes.subarray(start, start + size) };
+    offset = start + size;
+  }
+  return files;
+};
+
+describe("Exporter", () => {
+  test("writes CSV that reads back through CsvFetcher", () => {
+    const csv = Exporter.serialize("csv", rows, columns);
+    const fetcher = new CsvFetcher("export.csv");
+    expect(fetcher.csvToJsonStructured(csv)).toEqual(expected);
+    expect(fetcher.headers).toEqual(["Name", "Note", "Amount"]);
+  });
+
+  test("writes CSV that reads back when streamed in small chunks", () => {
+    const csv = Exporter.serialize("csv", rows, columns);
+    const parser = new CsvParser();
+    for (let i = 0; i < csv.length; i += 3) {
+      parser.push(csv.slice(i, i + 3));
+    }
+    expect(parser.end()).toEqual(expected);
+  });
+
+  test("writes TSV that reads back with a tab delimiter", () => {
+    const tsv = Exporter.serialize("tsv", rows, columns);
+    expect(new CsvParser({ delimiter: "\t" }).parse(tsv)).toEqual(expected);
+    expect(new CsvParser().parse(tsv)).toEqual(expected);
+  });
+
+  test("quotes only the fields that need it, with CRLF line endings", () => {
+    const twoColumns = [
+      { field: "a", label: "A" },
+      { field: "b", label: "B" },
+    ];
+    const csv = Exporter.serialize("csv", [{ a: "plain", b: "x,y" }], twoColumns);
+    expect(csv).toBe('A,B\r\nplain,"x,y"');
+  });
+
+  test("exports the values read by getValue", () => {
+    const csv = Exporter.serialize("csv", [{ amount: "1234.5" }], [{ field: "amount", label: "Amount" }], {
+      getValue: (row, column) => `$${row[column.field]}`,
+    });
+    expect(new CsvParser().parse(csv)).toEqual([{ Amount: "$1234.5" }]);
+  });
+
+  test("writes JSON keyed by column label", () => {
+    const json = JSON.parse(Exporter.serialize("json", rows.slice(3), columns));
+    expect(json).toEqual([{ Name: "Ünïcödé 😀", Note: null, Amount: null }]);
+  });
+
+  test("writes an Excel workbook with typed cells", () => {
+    const xlsxColumns = [
+      { field: "name", label: "Name" },
+      { field: "amount", label: "Amount" },
+      { field: "paid", label: "Paid" },
+    ];
+    const bytes = Exporter.serialize("xlsx", [{ name: "A & B", amount: 12.5, paid: true }], xlsxColumns, {
+      sheetName: "Orders/2024",
+    });
+    const files = readZip(bytes);
+    expect(Object.keys(files)).toEqual([
+      "[Content_Types].xml",
+      "_rels/.rels",
+      "xl/workbook.xml",
+      "xl/_rels/workbook.xml.rels",
+      "xl/styles.xml",
+      "xl/worksheets/sheet1.xml",
+    ]);
+    Object.values(files).forEach((file) => expect(crc32(file.data)).toBe(file.crc));
+
+    const decoder = new TextDecoder();
+    expect(decoder.decode(files["xl/workbook.xml"].data)).toContain('name="Orders 2024"');
+    const sheet = decoder.decode(files["xl/worksheets/sheet1.xml"].data);
+    expect(sheet).toContain('<c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">Name</t></is></c>');
+    expect(sheet).toContain('<c r="A2" t="inlineStr"><is><t xml:space="preserve">A &amp; B</t></is></c>');
+    expect(sheet).toContain('<c r="B2"><v>12.5</v></c>');
+    expect(sheet).toContain('<c r="C2" t="b"><v>1</v></c>');
+  });
+
+  test("throws for an unknown format", () => {
+    expect(() => Exporter.serialize("pdf", rows, columns)).toThrow("Invalid export format: pdf");
+  });
+});
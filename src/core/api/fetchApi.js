@@ -3,13 +3,23 @@
  *
  * Overview:
  * This module provides functionality for fetching data from a specified URL and converting it into a paginated format. 
- * The main focus of this module is to handle fetching CSV data and paginate the results for easier consumption. 
+ * The main focus of this module is to handle fetching CSV data and paginate the results for easier consumption,
+ * or to request pages from a JSON endpoint that pages, sorts and filters the data on the server. 
  * It includes the `FetchApi` class which manages the fetching and pagination process.
  *
  * Features:
  * - Fetch CSV data from a specified URL.
+ * - Stream large CSV files, serving pages from the rows loaded so far and reporting the loading progress.
+ * - Cache loaded CSV files in memory, revalidating them with ETag/Last-Modified after an optional time to live.
+ * - Serve inline data (an array of objects or an array of arrays) and local files through the same pipeline.
+ * - Fetch pages of JSON data from a server, passing the page, limit, sort, filters and search as query parameters.
  * - Handle errors gracefully during the fetching process.
+ * - Filter the whole dataset by per-column filters before paginating.
+ * - Search the whole dataset across several columns before paginating.
+ * - Sort the whole dataset by one or more columns before paginating.
  * - Paginate the fetched data into manageable chunks.
+ * - Get every row matching a query across all pages, for example to export it.
+ * - Get every loaded row matching a query without paginating them, for a table that scrolls through the rows.
  * - Customize pagination parameters such as the number of pages on each side, ellipsis, and first/last buttons.
  *
  * Classes:
@@ -24,24 +34,56 @@
  * fetchApi.fetchData(1, 10).then(data => console.log(data)).catch(error => console.error(error));
  */
 
+// Imports
+import CsvFetcher from "./csvFetcher.js";
+import { CsvParseError } from "./csvParser.js";
+import DatasetCache from "./datasetCache.js";
+import LocalData from "./localData.js";
+import JsonFetcher from "./jsonFetcher.js";
+import Paginator from "./paginator.js";
+import Sorter from "../logic/sorter.js";
+import Filter from "../logic/filter.js";
+import Search from "../logic/search.js";
+
+// The cache shared by every table, so each CSV file is only downloaded and parsed once.
+const sharedCache = new DatasetCache();
+
+// The number of rows requested in each page when fetching every row from a server, unless the JSON options
+// set a `maxLimit`.
+const MAX_LIMIT = 1000;
+
 /**
  * FetchApi class for fetching and paginating data.
  */
 export default class FetchApi {
   /**
    * Constructor for the FetchApi class.
-   * @param {string} url - The URL of the data to fetch.
-   * @param {string} fetchType - The type of data to fetch (default: "csv").
+   * @param {string|Blob} url - The URL of the data to fetch, or a local CSV file.
+   * @param {string} fetchType - The type of data to fetch: "csv", "json", or "data" for inline data
+   * set with `setData` (default: "csv").
    * @param {Object} paginationParams - Pagination parameters.
    * @param {number} paginationParams.onEachSide - Number of pages to display on each side of the current page (default: 1).
    * @param {number} paginationParams.onEnds - Number of pages to display at the beginning and end (default: 1).
    * @param {boolean} paginationParams.ellipsis - Whether to display ellipsis for truncated page ranges (default: true).
    * @param {boolean} paginationParams.firstLastButtons - Whether to display first and last buttons (default: true).
    * @param {boolean} paginationParams.prevNextButtons - Whether to display previous and next buttons (default: true).
+   * @param {Object} sourceOptions - Options for the data source.
+   * @param {Object} sourceOptions.csv - Parser options for the "csv" fetch type (see `CsvParser`).
+   * @param {Object} sourceOptions.json - Request and response options for the "json" fetch type (see `JsonFetcher`),
+   * along with `maxLimit`, the largest page the server returns, used to fetch every row (default: 1000).
+   * @param {Object} sourceOptions.cacheOptions - Options for caching the CSV dataset.
+   * @param {boolean} sourceOptions.cacheOptions.enabled - Whether to share the dataset with other tables loading
+   * the same file; otherwise it is only cached for this instance (default: true).
+   * @param {number} sourceOptions.cacheOptions.ttl - The time in milliseconds after which the cached file is
+   * revalidated with the server (default: never).
+   * @param {Function} sourceOptions.onProgress - Called as a CSV file loads with the loading progress
+   * ({ loadedRows, loadedBytes, totalBytes, complete, cancelled, error }).
+   * @param {string} sourceOptions.locale - The locale used to collate text when sorting (default: the browser locale).
    */
-  constructor(url, fetchType = "csv", paginationParams = {}) {
+  constructor(url, fetchType = "csv", paginationParams = {}, sourceOptions = {}) {
     this.url = url;
     this.fetchType = fetchType;
+    this.sourceOptions = sourceOptions;
     this.paginationParams = {
       onEachSide: paginationParams.onEachSide || 1,
       onEnds: paginationParams.onEnds || 1,
@@ -49,18 +91,41 @@ export default class FetchApi {
       firstLastButtons: paginationParams.firstLastButtons || true,
       prevNextButtons: paginationParams.prevNextButtons || true,
     };
+    this.sorter = new Sorter({ locale: sourceOptions.locale });
+    this.filter = new Filter();
+
+    // The cache entry holding the CSV dataset, which fills as the file streams in
+    this.cacheOptions = { enabled: true, ttl: null, ...sourceOptions.cacheOptions };
+    // Local files are never shared, as they cannot be told apart by a cache key
+    this.cache =
+      this.cacheOptions.enabled && typeof url === "string"
+        ? sharedCache
+        : new DatasetCache();
+    this.cacheKey = DatasetCache.createKey(url, sourceOptions.csv);
+    this.entry = null;
+    this.rowWaiters = [];
+    this.handleEntryProgress = this.handleEntryProgress.bind(this);
   }
 
   /**
    * Fetch data from the specified URL based on the fetch type and paginate the results.
    * @param {number} page - The current page number (default: 1).
    * @param {number} limit - The number of results per page (default: 10).
+   * @param {Object} query - The query to apply to the whole dataset before paginating.
+   * @param {Array<Object>} query.sort - The sort keys ({ column, direction }), in order of priority.
+   * @param {Object} query.filters - The column filters ({ search, value }) keyed by column name.
+   * @param {Object} query.search - The global search ({ term, columns, caseSensitive, wholeWord }).
+   * @param {ColumnTypes} query.columnTypes - The column types used to compare values when sorting and filtering.
    * @returns {Promise<Object>} - A promise that resolves to the paginated data.
    * @throws {Error} - Throws an error if the fetch type is invalid.
    */
-  async fetchData(page = 1, limit = 10) {
+  async fetchData(page = 1, limit = 10, query = {}) {
     if (this.fetchType === "csv") {
-      return this.fetchCsv(page, limit);
+      return this.fetchCsv(page, limit, query);
+    } else if (this.fetchType === "data") {
+      return this.fetchLocal(page, limit, query);
+    } else if (this.fetchType === "json") {
+      return this.fetchJson(page, limit, query);
     } else {
       throw new Error("Invalid fetch type");
     }
@@ -68,25 +133,653 @@ export default class FetchApi {
 
   /**
    * Fetch CSV data from the specified URL and paginate the results.
+   * While the file is still streaming in, the query runs against the rows loaded so far,
+   * waiting only until there are enough rows to fill the requested page.
    * @param {number} page - The current page number (default: 1).
    * @param {number} limit - The number of results per page (default: 10).
-   * @returns {Promise<Object>} - A promise that resolves to the paginated CSV data.
+   * @param {Object} query - The query to apply to the whole dataset before paginating.
+   * @returns {Promise<Object>} - A promise that resolves to the paginated CSV data,
+   * along with the unfiltered rows of the whole dataset and whether it has finished loading.
    * @throws {Error} - Throws an error if there is an issue fetching the CSV data.
+   * @throws {CsvParseError} - Throws an error if a row of the CSV data is malformed.
    */
-  async fetchCsv(page = 1, limit = 10) {
+  async fetchCsv(page = 1, limit = 10, query = {}) {
     try {
-      const csvFetcher = new CsvFetcher(this.url);
-      const data = await csvFetcher.fetch();
-      const paginator = new Paginator(
-        data,
-        csvFetcher.headers,
-        { page, limit },
-        this.paginationParams
-      );
-      return paginator.paginate();
+      await this.waitForRows(page * limit);
+      return this.queryDataset(this.entry.dataset, page, limit, query);
     } catch (error) {
       console.error("Error fetching data:", error);
+      if (error instanceof CsvParseError) {
+        throw error;
+      }
       throw new Error("Error fetching CSV data");
     }
   }
+
+  /**
+   * Paginate the inline data set with `setData`.
+   * @param {number} page - The current page number (default: 1).
+   * @param {number} limit - The number of results per page (default: 10).
+   * @param {Object} query - The query to apply to the whole dataset before paginating.
+   * @returns {Promise<Object>} - A promise that resolves to the paginated data,
+   * along with the unfiltered rows of the whole dataset.
+   */
+  async fetchLocal(page = 1, limit = 10, query = {}) {
+    if (!this.entry) {
+      this.setData([]);
+    }
+    return this.queryDataset(this.entry.dataset, page, limit, query);
+  }
+
+  /**
+   * Fetch every loaded row matching a query without paginating them, for a table that scrolls through the rows.
+   * While a CSV file is still streaming in, the query runs against the rows loaded so far,
+   * waiting only until the given number of rows has loaded.
+   * @param {Object} query - The query to apply (see `fetchData`).
+   * @param {number} count - The number of rows to wait for while a CSV file is loading (default: 1).
+   * @returns {Promise<Object>} - A promise that resolves to the matching rows (`results`) and their number
+   * (`totalResults`), along with the headers, the unfiltered rows of the whole dataset and whether it has
+   * finished loading.
+   * @throws {Error} - Throws an error for the "json" fetch type, as the server pages the data.
+   * @throws {CsvParseError} - Throws an error if a row of the CSV data is malformed.
+   */
+  async fetchRows(query = {}, count = 1) {
+    if (this.fetchType === "json") {
+      throw new Error("Rows of a server data source can only be fetched a page at a time");
+    }
+    if (this.fetchType === "csv") {
+      try {
+        await this.waitForRows(count);
+      } catch (error) {
+        console.error("Error fetching data:", error);
+        if (error instanceof CsvParseError) {
+          throw error;
+        }
+        throw new Error("Error fetching CSV data");
+      }
+    } else if (!this.entry) {
+      this.setData([]);
+    }
+
+    const dataset = this.entry.dataset;
+    const results = this.queryRows(dataset.rows, query);
+    return {
+      results,
+      totalResults: results.length,
+      headers: dataset.headers,
+      rows: dataset.rows,
+      complete: dataset.complete,
+    };
+  }
+
+  /**
+   * Filter, search, sort and paginate the rows of a dataset.
+   * @param {Object} dataset - The dataset ({ rows, headers, complete }).
+   * @param {number} page - The current page number.
+   * @param {number} limit - The number of results per page.
+   * @param {Object} query - The query to apply to the whole dataset before paginating.
+   * @returns {Object} - The paginated data, along with the unfiltered rows of the whole dataset
+   * and whether it has finished loading.
+   */
+  queryDataset(dataset, page, limit, query = {}) {
+    const data = dataset.rows;
+    const results = this.queryRows(data, query);
+    const paginator = new Paginator(
+      results,
+      dataset.headers,
+      { page, limit },
+      this.paginationParams
+    );
+    const paginated = paginator.paginate();
+    return {
+      ...paginated,
+      totalResults: paginated.count,
+      rows: data,
+      complete: dataset.complete,
+    };
+  }
+
+  /**
+   * Filter, search and sort rows.
+   * @param {Array<Object>} rows - The rows.
+   * @param {Object} query - The query to apply (see `fetchData`).
+   * @returns {Array<Object>} - The matching rows, in order.
+   */
+  queryRows(rows, query = {}) {
+    const filtered = this.filter.filter(rows, query.filters, query.columnTypes);
+    const searched = new Search(query.search).filter(filtered);
+    return this.sorter.sort(searched, query.sort, query.columnTypes);
+  }
+
+  /**
+   * Get every loaded row matching a query, across all pages. Only datasets held in the browser
+   * can be queried; a server that pages the data itself only returns one page at a time.
+   * @param {Object} query - The query to apply (see `fetchData`).
+   * @returns {Array<Object>|null} - The matching rows in order, or null for the "json" fetch type.
+   */
+  getMatchingRows(query = {}) {
+    if (this.fetchType === "json") {
+      return null;
+    }
+    return this.entry ? this.queryRows(this.entry.dataset.rows, query) : [];
+  }
+
+  /**
+   * Get every row matching a query, across all pages. Datasets held in the browser are queried directly,
+   * once a CSV file has finished loading; a server that pages the data itself is asked for one page after
+   * another, of at most `maxLimit` rows. A server returning smaller pages than asked for is paged with its own
+   * page size from then on.
+   * @param {Object} query - The query to apply (see `fetchData`).
+   * @returns {Promise<Array<Object>>} - A promise that resolves to the matching rows, in order.
+   * @throws {Error} - Throws an error if the server returns fewer rows than it reports matching.
+   */
+  async fetchAllRows(query = {}) {
+    if (this.fetchType !== "json") {
+      if (this.fetchType === "csv") {
+        await this.waitForRows(Infinity);
+      }
+      return this.getMatchingRows(query);
+    }
+
+    let limit = (this.sourceOptions.json && this.sourceOptions.json.maxLimit) || MAX_LIMIT;
+    let rows = [];
+    let total = Infinity;
+    for (let page = 1; rows.length < total; page++) {
+      const { results = [], totalResults } = await this.fetchJson(page, limit, query);
+      if (page === 1 && results.length < Math.min(limit, totalResults)) {
+        limit = results.length;
+      }
+      rows = rows.concat(results);
+      total = totalResults;
+      if (!results.length) {
+        break;
+      }
+    }
+    if (rows.length < total) {
+      throw new Error(`The server returned ${rows.length} of ${total} rows`);
+    }
+    return rows;
+  }
+
+  /**
+   * Get the unfiltered rows of the dataset held in the browser.
+   * @returns {Array<Object>|null} - The rows loaded so far, or null if there is no dataset.
+   */
+  getRows() {
+    return this.entry ? this.entry.dataset.rows : null;
+  }
+
+  /**
+   * Remove rows from the dataset held in the browser. The rows of a file shared with other tables are
+   * removed from a copy of this instance's own (see `detach`), so the other tables keep them. The rows array
+   * is compacted in place, so a CSV file that is still streaming in keeps filling the same dataset.
+   * @param {Array<Object>} rows - The rows to remove.
+   * @returns {number} - The number of rows removed.
+   * @throws {Error} - Throws an error for the "json" fetch type, as the server holds the data.
+   */
+  removeRows(rows) {
+    if (this.fetchType === "json") {
+      throw new Error("Rows of a server data source cannot be removed in the browser");
+    }
+    if (!this.entry) {
+      return 0;
+    }
+
+    this.detach();
+    const removed = new Set(rows);
+    const data = this.entry.dataset.rows;
+    let kept = 0;
+    for (let i = 0; i < data.length; i++) {
+      if (!removed.has(data[i])) {
+        data[kept++] = data[i];
+      }
+    }
+    const count = data.length - kept;
+    data.length = kept;
+    return count;
+  }
+
+  /**
+   * Give this instance its own copies of the rows of a file shared with other tables before their values
+   * are changed, so the changes do not reach the other tables (see `detach`). The rows of a file that is
+   * still loading are copied as they arrive.
+   * @returns {Map<Object, Object>|null} - The copies keyed by the shared rows, or null if the rows are already
+   * this instance's own.
+   */
+  ownRows() {
+    if (this.fetchType !== "csv" || !this.entry || this.cache !== sharedCache || this.entry.copies) {
+      return null;
+    }
+    this.detach();
+    const { rows } = this.entry.dataset;
+    const copies = new Map();
+    rows.forEach((row, index) => {
+      rows[index] = { ...row };
+      copies.set(row, rows[index]);
+    });
+    this.entry.copies = new WeakMap(copies);
+    return copies;
+  }
+
+  /**
+   * Get this instance's own copy of a shared row (see `ownRows`).
+   * @param {Object} row - The row.
+   * @returns {Object} - The copy of the row, or the row itself if it has not been copied.
+   */
+  getOwnRow(row) {
+    return (this.entry && this.entry.copies && this.entry.copies.get(row)) || row;
+  }
+
+  /**
+   * Use inline data as the dataset, switching to the "data" fetch type.
+   * @param {Array<Object>|Array<Array>} data - An array of objects, or an array of arrays (see `LocalData.normalize`).
+   * @param {Array<string>} headers - The headers of the data.
+   * @throws {Error} - Throws an error if the data is not an array.
+   */
+  setData(data, headers = null) {
+    const { rows, headers: columns } = LocalData.normalize(data, headers);
+    this.fetchType = "data";
+    this.attach({
+      dataset: {
+        rows,
+        headers: columns,
+        loadedBytes: 0,
+        totalBytes: null,
+        complete: true,
+        cancelled: false,
+      },
+      load: Promise.resolve(),
+      listeners: new Set(),
+      error: null,
+    });
+  }
+
+  /**
+   * Start loading the CSV file, unless it is already cached. An expired cache entry, or any entry when
+   * `revalidate` is set, is revalidated with a conditional request: the cached rows are kept if the file
+   * has not changed, and replaced by the new rows as they stream in if it has.
+   * @param {Object} options - Load options.
+   * @param {boolean} options.revalidate - Whether to revalidate the cached file even if it has not expired.
+   * @returns {Promise<void>} - A promise that resolves once the file has loaded, failed or been cancelled.
+   */
+  loadCsv({ revalidate = false } = {}) {
+    // Keep the rows of this table's own entry, or loaded before this table cancelled loading
+    if (this.entry && (this.entry.private || this.entry.dataset.cancelled) && !revalidate) {
+      return this.entry.load;
+    }
+
+    const cached = this.cache.get(this.cacheKey);
+    if (!cached) {
+      const entry = this.startLoad();
+      this.cache.set(this.cacheKey, entry);
+      this.attach(entry);
+      this.reportProgress();
+      return entry.load;
+    }
+
+    this.attach(cached);
+    const stale = revalidate || this.cache.isExpired(cached, this.cacheOptions.ttl);
+    if (stale && cached.dataset.complete && !cached.revalidation) {
+      cached.revalidation = this.startLoad(cached);
+    }
+    return cached.load;
+  }
+
+  /**
+   * Stream the CSV file into a new cache entry.
+   * @param {Object} previous - The cache entry being revalidated, if any.
+   * @returns {Object} - The new cache entry ({ dataset, load, etag, lastModified, fetchedAt, error }).
+   */
+  startLoad(previous = null) {
+    const entry = {
+      dataset: {
+        rows: [],
+        headers: [],
+        loadedBytes: 0,
+        totalBytes: null,
+        complete: false,
+        cancelled: false,
+      },
+      controller: new AbortController(),
+      listeners: new Set(),
+      etag: null,
+      lastModified: null,
+      fetchedAt: Date.now(),
+      error: null,
+      revalidation: null,
+    };
+    const notify = () => [...entry.listeners].forEach((listener) => listener(entry));
+
+    const requestHeaders = {};
+    if (previous && previous.etag) {
+      requestHeaders["If-None-Match"] = previous.etag;
+    }
+    if (previous && previous.lastModified) {
+      requestHeaders["If-Modified-Since"] = previous.lastModified;
+    }
+
+    const csvFetcher = new CsvFetcher(this.url, this.sourceOptions.csv);
+    entry.load = csvFetcher
+      .stream({
+        signal: entry.controller.signal,
+        requestHeaders,
+        onProgress: ({ rows, headers, loadedBytes, totalBytes }) => {
+          Object.assign(entry.dataset, { rows, headers, loadedBytes, totalBytes });
+          entry.etag = csvFetcher.etag;
+          entry.lastModified = csvFetcher.lastModified;
+          if (previous) {
+            this.replaceEntry(previous, entry);
+          }
+          notify();
+        },
+      })
+      .then((rows) => {
+        // The file has not changed, so the previous rows stay cached
+        if (rows === null && previous) {
+          previous.fetchedAt = Date.now();
+        }
+      })
+      .catch((error) => {
+        if (error.name === "AbortError") {
+          entry.dataset.cancelled = true;
+        } else {
+          entry.error = error;
+        }
+        this.cache.delete(this.cacheKey, entry);
+      })
+      .finally(() => {
+        entry.dataset.complete = true;
+        if (previous) {
+          previous.revalidation = null;
+        }
+        notify();
+      });
+
+    return entry;
+  }
+
+  /**
+   * Replace a revalidated cache entry with the entry holding the changed file,
+   * moving every table attached to the old entry over to the new one.
+   * @param {Object} previous - The revalidated cache entry.
+   * @param {Object} entry - The new cache entry.
+   */
+  replaceEntry(previous, entry) {
+    if (this.cache.get(this.cacheKey) === previous) {
+      this.cache.set(this.cacheKey, entry);
+    }
+    previous.listeners.forEach((listener) => entry.listeners.add(listener));
+    previous.listeners.clear();
+    // The changed file now loads into the new entry, which is not dropped along with the old one
+    previous.revalidation = null;
+  }
+
+  /**
+   * Attach to a cache entry, so its loading progress is reported to this instance.
+   * @param {Object} entry - The cache entry.
+   */
+  attach(entry) {
+    if (this.entry === entry && entry.listeners.has(this.handleEntryProgress)) {
+      return;
+    }
+    const previous = this.entry;
+    this.entry = entry;
+    entry.listeners.add(this.handleEntryProgress);
+    if (previous && previous !== entry) {
+      this.releaseEntry(previous);
+    }
+  }
+
+  /**
+   * Stop receiving the loading progress of the attached cache entry, for example when the table is destroyed.
+   * A cached file that no other table uses is dropped from the cache, and stops loading, so it does not stay
+   * in memory for the life of the page. The rows loaded so far stay attached to this instance.
+   */
+  release() {
+    if (this.entry) {
+      this.releaseEntry(this.entry);
+    }
+  }
+
+  /**
+   * Stop receiving the loading progress of a cache entry, dropping it once nothing listens to it any more.
+   * @param {Object} entry - The cache entry.
+   */
+  releaseEntry(entry) {
+    entry.listeners.delete(this.handleEntryProgress);
+    if (entry.source) {
+      const { source } = entry;
+      this.unfollow(entry);
+      this.releaseEntry(source);
+    }
+    if (entry.private || entry.listeners.size) {
+      return;
+    }
+    if (entry.revalidation) {
+      entry.revalidation.controller.abort();
+    }
+    if (!entry.dataset.complete) {
+      entry.controller.abort();
+    }
+    this.cache.delete(this.cacheKey, entry);
+  }
+
+  /**
+   * Move this instance off the shared cache entry onto a private entry of its own, so that changing or
+   * cancelling its dataset does not affect the other tables loading the same file. The private entry
+   * starts with a copy of the rows loaded so far and, while the file is still loading, keeps receiving
+   * the rows that follow. The entry of a file that is not shared is kept.
+   */
+  detach() {
+    const source = this.entry;
+    if (!source || source.private || this.cache !== sharedCache) {
+      return;
+    }
+    const entry = {
+      dataset: { ...source.dataset, rows: source.dataset.rows.slice() },
+      load: source.load,
+      listeners: new Set(),
+      etag: source.etag,
+      lastModified: source.lastModified,
+      fetchedAt: source.fetchedAt,
+      error: source.error,
+      revalidation: null,
+      private: true,
+      source: null,
+      copies: null,
+    };
+    // Follow the shared entry before leaving it, so it is not dropped as unused in between
+    if (!source.dataset.complete) {
+      this.follow(entry, source);
+    }
+    this.attach(entry);
+  }
+
+  /**
+   * Keep a private entry up to date with the shared entry of a file that is still loading.
+   * @param {Object} entry - The private entry.
+   * @param {Object} source - The shared cache entry it was copied from.
+   */
+  follow(entry, source) {
+    let synced = source.dataset.rows.length;
+    entry.source = source;
+    entry.follow = ({ dataset, error }) => {
+      const { rows, ...progress } = dataset;
+      for (; synced < rows.length; synced++) {
+        entry.dataset.rows.push(entry.copies ? { ...rows[synced] } : rows[synced]);
+      }
+      Object.assign(entry.dataset, progress);
+      entry.error = error;
+      if (progress.complete) {
+        this.unfollow(entry);
+      }
+      [...entry.listeners].forEach((listener) => listener(entry));
+    };
+    source.listeners.add(entry.follow);
+  }
+
+  /**
+   * Stop following the shared entry of a file that is still loading.
+   * @param {Object} entry - The private entry.
+   */
+  unfollow(entry) {
+    entry.source.listeners.delete(entry.follow);
+    entry.source = null;
+    entry.load = Promise.resolve();
+  }
+
+  /**
+   * Handle the loading progress of the attached cache entry (or of the entry replacing it).
+   * @param {Object} entry - The cache entry that made progress.
+   */
+  handleEntryProgress(entry) {
+    if (entry !== this.entry) {
+      this.attach(entry);
+    }
+    this.resolveRowWaiters();
+    this.reportProgress();
+  }
+
+  /**
+   * Wait until the CSV dataset holds at least the given number of rows, or has finished loading.
+   * @param {number} count - The number of rows needed.
+   * @returns {Promise<void>} - A promise that resolves once the rows are available.
+   * @throws {Error} - Throws the loading error if the file fails to load.
+   */
+  async waitForRows(count) {
+    const load = this.loadCsv();
+    const { dataset } = this.entry;
+    if (!dataset.complete && dataset.rows.length < count) {
+      await Promise.race([
+        load,
+        new Promise((resolve) => this.rowWaiters.push({ count, resolve })),
+      ]);
+    }
+    if (this.entry.error) {
+      throw this.entry.error;
+    }
+  }
+
+  /**
+   * Resolve the waiters whose rows have arrived, or all of them once loading is complete.
+   */
+  resolveRowWaiters() {
+    const { rows, complete } = this.entry.dataset;
+    this.rowWaiters = this.rowWaiters.filter((waiter) => {
+      if (complete || rows.length >= waiter.count) {
+        waiter.resolve();
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Report the loading progress of the CSV dataset.
+   */
+  reportProgress() {
+    if (this.sourceOptions.onProgress) {
+      this.sourceOptions.onProgress(this.getProgress());
+    }
+  }
+
+  /**
+   * Get the loading progress of the CSV dataset.
+   * @returns {Object} - The progress ({ loadedRows, loadedBytes, totalBytes, complete, cancelled, error }).
+   */
+  getProgress() {
+    const { rows, loadedBytes, totalBytes, complete, cancelled } = this.entry.dataset;
+    return {
+      loadedRows: rows.length,
+      loadedBytes,
+      totalBytes,
+      complete,
+      cancelled,
+      error: this.entry.error,
+    };
+  }
+
+  /**
+   * Cancel loading the CSV file, keeping the rows loaded so far. The download is only stopped if no other
+   * table is still loading the same file; otherwise this instance keeps a copy of the rows loaded so far
+   * (see `detach`) and the file goes on loading for the other tables.
+   */
+  cancel() {
+    if (!this.entry || this.entry.dataset.complete) {
+      return;
+    }
+    const loading = this.entry.source || this.entry;
+    if (loading.listeners.size <= 1) {
+      loading.controller.abort();
+      return;
+    }
+
+    this.detach();
+    this.unfollow(this.entry);
+    Object.assign(this.entry.dataset, { complete: true, cancelled: true });
+    this.resolveRowWaiters();
+    this.reportProgress();
+  }
+
+  /**
+   * Revalidate the cached CSV file with a conditional request, reloading it only if it has changed.
+   * Rows changed in this instance's own copy of the file (see `detach`) are kept unless the file has changed.
+   * @returns {Promise<void>} - A promise that resolves once the file has been revalidated (and reloaded).
+   */
+  async refresh() {
+    if (this.fetchType !== "csv" || !this.entry) {
+      return;
+    }
+    const shared = this.entry.private && !this.entry.dataset.cancelled && this.cache.get(this.cacheKey);
+    if (shared && shared.dataset.complete) {
+      if (!shared.revalidation) {
+        shared.revalidation = this.startLoad(shared);
+      }
+      await shared.revalidation.load;
+      const cached = this.cache.get(this.cacheKey);
+      if (cached && cached !== shared) {
+        this.attach(cached);
+        this.resolveRowWaiters();
+        this.reportProgress();
+      }
+      return;
+    }
+    this.loadCsv({ revalidate: true });
+    const entry = this.entry.revalidation || this.entry;
+    await entry.load;
+  }
+
+  /**
+   * Drop the cached CSV file, so the next fetch downloads and parses it again.
+   */
+  invalidate() {
+    if (this.fetchType !== "csv") {
+      return;
+    }
+    this.cache.delete(this.cacheKey);
+    this.release();
+    this.entry = null;
+  }
+
+  /**
+   * Fetch a page of JSON data from the server, which applies the query itself.
+   * @param {number} page - The current page number (default: 1).
+   * @param {number} limit - The number of results per page (default: 10).
+   * @param {Object} query - The query sent to the server as query parameters.
+   * @returns {Promise<Object>} - A promise that resolves to the page of JSON data.
+   * @throws {Error} - Throws an error if there is an issue fetching the JSON data.
+   */
+  async fetchJson(page = 1, limit = 10, query = {}) {
+    try {
+      const jsonFetcher = new JsonFetcher(this.url, this.sourceOptions.json);
+      const data = await jsonFetcher.fetch(page, limit, query);
+      return {
+        ...data,
+        totalPages: Math.ceil(data.totalResults / limit),
+      };
+    } catch (error) {
+      console.error("Error fetching data:", error);
+      throw new Error("Error fetching JSON data");
+    }
+  }
 }
@@ -0,0 +1,308 @@
+import { TextDecoder, TextEncoder } from "util";
+import FetchApi from "./fetchApi.js";
+
+global.TextDecoder = TextDecoder;
+
+// Build a CSV file of `count` rows with an id and a name column
+const createCsv = (count) => {
+  const lines = ["id,name"];
+  for (let i = 1; i <= count; i++) {
+    lines.push(`${i},Name ${i}`);
+  }
+  return `${lines.join("\n")}\n`;
+};
+
+// Mock a streaming response delivering the file in chunks of `rowsPerChunk` rows
+const mockFetch = (csv, { rowsPerChunk = 100, etag = '"v1"' } = {}) => {
+  const lines = csv.split("\n");
+  const chunks = [];
+  for (let i = 0; i < lines.length; i += rowsPerChunk) {
+    const last = i + rowsPerChunk >= lines.length;
+    chunks.push(new TextEncoder().encode(lines.slice(i, i + rowsPerChunk).join("\n") + (last ? "" : "\n")));
+  }
+  global.fetch = jest.fn(async (url, { signal, headers = {} } = {}) => {
+    if (headers["If-None-Match"] === etag) {
+      return { status: 304, ok: false };
+    }
+    let index = 0;
+    return {
+      status: 200,
+      ok: true,
+      headers: new Map([["ETag", etag]]),
+      body: {
+        getReader: () => ({
+          read: async () => {
+            if (signal && signal.aborted) {
+              throw new DOMException("The load was cancelled", "AbortError");
+            }
+            return index < chunks.length ? { done: false, value: chunks[index++] } : { done: true };
+          },
+          cancel: () => {},
+        }),
+      },
+    };
+  });
+};
+
+let urlCount = 0;
+// Each test loads its own URL, as the dataset cache is shared by every FetchApi instance
+const nextUrl = () => `https://example.com/data-${++urlCount}.csv`;
+
+// Wait for the whole file, and get its rows
+const loadRows = async (api) => (await api.fetchData(1, Infinity)).rows;
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+describe("FetchApi dataset cache", () => {
+  test("downloads a file once for every table loading it", async () => {
+    mockFetch(createCsv(50));
+    const url = nextUrl();
+    const a = new FetchApi(url);
+    const b = new FetchApi(url);
+
+    expect(await loadRows(a)).toHaveLength(50);
+    expect(await loadRows(b)).toHaveLength(50);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("revalidates the cached file, keeping the rows if it has not changed", async () => {
+    mockFetch(createCsv(3));
+    const url = nextUrl();
+    const a = new FetchApi(url);
+    const rows = await loadRows(a);
+
+    await a.refresh();
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(global.fetch.mock.calls[1][1].headers).toEqual({ "If-None-Match": '"v1"' });
+    expect(await loadRows(a)).toBe(rows);
+
+    mockFetch(createCsv(4), { etag: '"v2"' });
+    await a.refresh();
+    expect(await loadRows(a)).toHaveLength(4);
+    expect(await loadRows(new FetchApi(url))).toHaveLength(4);
+  });
+
+  test("downloads the file again once the cache is invalidated", async () => {
+    mockFetch(createCsv(3));
+    const url = nextUrl();
+    const a = new FetchApi(url);
+    await loadRows(a);
+    a.invalidate();
+
+    expect(await loadRows(a)).toHaveLength(3);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test("drops a cached file once the last table using it releases it", async () => {
+    mockFetch(createCsv(3));
+    const url = nextUrl();
+    const a = new FetchApi(url);
+    const b = new FetchApi(url);
+    await loadRows(a);
+    await loadRows(b);
+
+    a.release();
+    const c = new FetchApi(url);
+    expect(await loadRows(c)).toHaveLength(3);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    b.release();
+    c.release();
+    expect(await loadRows(new FetchApi(url))).toHaveLength(3);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test("stops loading a file that no table uses any more", async () => {
+    mockFetch(createCsv(5000));
+    const url = nextUrl();
+    const a = new FetchApi(url);
+    await a.fetchData(1, 10);
+    const signal = global.fetch.mock.calls[0][1].signal;
+
+    a.release();
+    expect(signal.aborted).toBe(true);
+    expect(await loadRows(new FetchApi(url))).toHaveLength(5000);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test("keeps loading a shared file for the other tables when one table cancels", async () => {
+    mockFetch(createCsv(5000));
+    const url = nextUrl();
+    const a = new FetchApi(url);
+    const b = new FetchApi(url);
+
+    await a.fetchData(1, 10);
+    await b.fetchData(1, 10);
+    a.cancel();
+
+    const progress = a.getProgress();
+    expect(progress).toMatchObject({ complete: true, cancelled: true });
+    expect(progress.loadedRows).toBeLessThan(5000);
+    expect(await loadRows(a)).toHaveLength(progress.loadedRows);
+
+    expect(await loadRows(b)).toHaveLength(5000);
+    expect(b.getProgress()).toMatchObject({ complete: true, cancelled: false });
+    expect(await loadRows(new FetchApi(url))).toHaveLength(5000);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("stops the download when the last table loading the file cancels", async () => {
+    mockFetch(createCsv(5000));
+    const url = nextUrl();
+    const a = new FetchApi(url);
+    const b = new FetchApi(url);
+
+    await a.fetchData(1, 10);
+    await b.fetchData(1, 10);
+    a.cancel();
+    b.cancel();
+    await loadRows(b);
+
+    expect(b.getProgress()).toMatchObject({ complete: true, cancelled: true });
+    expect(b.getProgress().loadedRows).toBeLessThan(5000);
+    // The cancelled download is not cached, so the next table loads the file again
+    expect(await loadRows(new FetchApi(url))).toHaveLength(5000);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("FetchApi row removal", () => {
+  test("removes rows from a copy, so other tables loading the same file keep them", async () => {
+    mockFetch(createCsv(3));
+    const url = nextUrl();
+    const c = new FetchApi(url);
+    const d = new FetchApi(url);
+    await loadRows(c);
+    await loadRows(d);
+    const dRows = d.getRows();
+
+    expect(c.removeRows(c.getRows().slice(0, 2))).toBe(2);
+
+    expect(c.getRows()).toEqual([{ id: "3", name: "Name 3" }]);
+    expect(d.getRows()).toBe(dRows);
+    expect(d.getRows()).toHaveLength(3);
+    expect(await loadRows(new FetchApi(url))).toHaveLength(3);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("keeps the removed rows out when the file has not changed", async () => {
+    mockFetch(createCsv(3));
+    const url = nextUrl();
+    const c = new FetchApi(url);
+    const d = new FetchApi(url);
+    await loadRows(c);
+    await loadRows(d);
+    c.removeRows(c.getRows().slice(0, 1));
+
+    await c.refresh();
+    await d.refresh();
+    expect(c.getRows()).toHaveLength(2);
+    expect(d.getRows()).toHaveLength(3);
+
+    mockFetch(createCsv(4), { etag: '"v2"' });
+    await c.refresh();
+    expect(c.getRows()).toHaveLength(4);
+  });
+
+  test("keeps receiving the rows of a file that is still loading", async () => {
+    mockFetch(createCsv(5000));
+    const url = nextUrl();
+    const c = new FetchApi(url);
+    const d = new FetchApi(url);
+    await c.fetchData(1, 10);
+    await d.fetchData(1, 10);
+
+    expect(c.removeRows(c.getRows().slice(0, 10))).toBe(10);
+    expect(c.getProgress().complete).toBe(false);
+
+    expect(await loadRows(c)).toHaveLength(4990);
+    expect(await loadRows(d)).toHaveLength(5000);
+  });
+});
+
+describe("FetchApi row copies", () => {
+  test("copies the rows of a shared file before they are edited", async () => {
+    mockFetch(createCsv(3));
+    const url = nextUrl();
+    const a = new FetchApi(url);
+    const b = new FetchApi(url);
+    await loadRows(a);
+    await loadRows(b);
+    const [row] = a.getRows();
+
+    const copies = a.ownRows();
+    expect(copies.size).toBe(3);
+    expect(a.ownRows()).toBeNull();
+    const copy = a.getOwnRow(row);
+    expect(copy).not.toBe(row);
+    expect(copy).toEqual(row);
+
+    copy.name = "Edited";
+    expect(a.getRows()[0].name).toBe("Edited");
+    expect(b.getRows()[0].name).toBe("Name 1");
+    expect((await loadRows(new FetchApi(url)))[0].name).toBe("Name 1");
+  });
+
+  test("copies the rows of a file that is still loading as they arrive", async () => {
+    mockFetch(createCsv(5000));
+    const url = nextUrl();
+    const a = new FetchApi(url);
+    const b = new FetchApi(url);
+    await a.fetchData(1, 10);
+    await b.fetchData(1, 10);
+    a.ownRows();
+
+    const rows = await loadRows(a);
+    const shared = await loadRows(b);
+    expect(rows).toHaveLength(5000);
+    expect(rows[4999]).toEqual(shared[4999]);
+    expect(rows[4999]).not.toBe(shared[4999]);
+  });
+
+  test("does not copy rows that are not shared", async () => {
+    mockFetch(createCsv(3));
+    const a = new FetchApi(nextUrl(), "csv", {}, { cacheOptions: { enabled: false } });
+    await loadRows(a);
+    expect(a.ownRows()).toBeNull();
+  });
+});
+
+describe("FetchApi server rows", () => {
+  // Mock a server reporting `count` matching rows that returns at most `maxLimit` rows per page,
+  // and only the first `available` rows
+  const mockServer = (count, maxLimit, available = count) => {
+    const rows = Array.from({ length: available }, (_, index) => ({ id: index + 1 }));
+    global.fetch = jest.fn(async (url) => {
+      const params = new URL(url).searchParams;
+      const limit = Math.min(Number(params.get("limit")), maxLimit);
+      const start = (Number(params.get("page")) - 1) * limit;
+      return { ok: true, json: async () => ({ results: rows.slice(start, start + limit), totalResults: count }) };
+    });
+  };
+
+  test("pages through every row with the server's page size", async () => {
+    mockServer(250, 100);
+    const api = new FetchApi("https://example.com/api", "json");
+
+    const rows = await api.fetchAllRows();
+    expect(rows.map((row) => row.id)).toEqual(Array.from({ length: 250 }, (_, index) => index + 1));
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test("asks for pages of at most the configured limit", async () => {
+    mockServer(5, 1000);
+    const api = new FetchApi("https://example.com/api", "json", {}, { json: { maxLimit: 2 } });
+
+    expect(await api.fetchAllRows()).toHaveLength(5);
+    expect(global.fetch.mock.calls.map(([url]) => new URL(url).searchParams.get("limit"))).toEqual(["2", "2", "2"]);
+  });
+
+  test("throws when the server returns fewer rows than match", async () => {
+    mockServer(250, 100, 200);
+    const api = new FetchApi("https://example.com/api", "json");
+
+    await expect(api.fetchAllRows()).rejects.toThrow("The server returned 200 of 250 rows");
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * JsonFetcher Module
+ *
+ * Overview:
+ * This module provides functionality for fetching a page of JSON data from a server that pages, sorts and filters the data itself.
+ * It includes the `JsonFetcher` class, which sends the page, limit, sort, filter and search state as query parameters
+ * and maps the response into the `{ results, totalResults }` shape used by the table.
+ *
+ * Features:
+ * - Send the page, limit, sort, filters and search (term, columns, case sensitivity and whole word matching)
+ *   as configurable query parameters.
+ * - Map configurable response fields (e.g. `items`, `data`, `count`, `total`) to the results and total count.
+ * - Support nested response fields using dot paths (e.g. `meta.total`).
+ * - Inject request headers, such as auth tokens, from an object or a (possibly async) function.
+ * - Handle HTTP errors gracefully.
+ *
+ * Classes:
+ * - JsonFetcher: Handles building the request and mapping the JSON response.
+ *
+ * Usage:
+ * To use this module, create an instance of the `JsonFetcher` class by passing the URL of the endpoint and the options.
+ * Then, call the `fetch` method with the page, limit and query to retrieve a page of data.
+ *
+ * Example:
+ * const jsonFetcher = new JsonFetcher('https://example.com/api/orders', {
+ *   params: { page: 'p', limit: 'per_page' },
+ *   fields: { results: 'items', totalResults: 'meta.total' },
+ *   headers: () => ({ Authorization: `Bearer ${getToken()}` }),
+ * });
+ * jsonFetcher.fetch(1, 10, { sort: [{ column: 'date', direction: 'desc' }] }).then(data => console.log(data));
+ */
+
+// Response fields tried, in order, when no field is configured.
+const DEFAULT_FIELDS = {
+  results: ["results", "items", "data", "rows"],
+  totalResults: ["totalResults", "total", "count", "totalCount"],
+};
+
+// Query parameter names used when no name is configured.
+const DEFAULT_PARAMS = {
+  page: "page",
+  limit: "limit",
+  sort: "sort",
+  filters: "filter",
+  search: "q",
+  searchColumns: "searchColumns",
+  caseSensitive: "caseSensitive",
+  wholeWord: "wholeWord",
+};
+
+/**
+ * JsonFetcher class for fetching pages of JSON data from a server.
+ */
+export default class JsonFetcher {
+  /**
+   * Constructor for the JsonFetcher class.
+   * @param {string} url - The URL of the JSON endpoint.
+   * @param {Object} options - Request and response options.
+   * @param {Object} options.params - Query parameter names for page, limit, sort, filters, search,
+   * searchColumns, caseSensitive and wholeWord. A parameter set to null is not sent.
+   * @param {Object} options.fields - Response field names (or dot paths) for results and totalResults.
+   * @param {Object|Function} options.headers - Request headers, or a function returning (a promise of) them.
+   * @param {Function} options.serializeSort - Converts the sort state to a query parameter value
+   * (default: "name,-date" where a leading "-" means descending).
+   * @param {Function} options.serializeFilters - Converts the filters to an object of query parameters
+   * (default: "filter[name][search]=ali&filter[country][value]=France").
+   * @param {Object} options.fetchOptions - Extra options passed to `fetch` (e.g. credentials).
+   */
+  constructor(url, options = {}) {
+    this.url = url;
+    this.params = { ...DEFAULT_PARAMS, ...options.params };
+    this.fields = options.fields || {};
+    this.headers = options.headers || {};
+    this.serializeSort = options.serializeSort || JsonFetcher.serializeSort;
+    this.serializeFilters =
+      options.serializeFilters ||
+      ((filters) => JsonFetcher.serializeFilters(filters, this.params.filters));
+    this.fetchOptions = options.fetchOptions || {};
+  }
+
+  /**
+   * Fetch a page of data from the server.
+   * @param {number} page - The page number (default: 1).
+   * @param {number} limit - The number of results per page (default: 10).
+   * @param {Object} query - The sort, filters and search to send to the server.
+   * @returns {Promise<Object>} - A promise that resolves to the page ({ results, totalResults, page, limit }).
+   * @throws {Error} - Throws an error if the HTTP request fails.
+   */
+  async fetch(page = 1, limit = 10, query = {}) {
+    const headers =
+      typeof this.headers === "function" ? await this.headers() : this.headers;
+
+    const response = await fetch(this.buildUrl(page, limit, query), {
+      ...this.fetchOptions,
+      headers: { Accept: "application/json", ...headers },
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const body = await response.json();
+    return { ...this.mapResponse(body), page, limit };
+  }
+
+  /**
+   * Build the request URL from the page, limit and query.
+   * @param {number} page - The page number.
+   * @param {number} limit - The number of results per page.
+   * @param {Object} query - The sort, filters and search.
+   * @returns {string} - The request URL.
+   */
+  buildUrl(page, limit, query = {}) {
+    const url = new URL(this.url, window.location.href);
+    const set = (name, value) => {
+      if (name && value !== undefined && value !== null && value !== "") {
+        url.searchParams.set(name, value);
+      }
+    };
+
+    set(this.params.page, page);
+    set(this.params.limit, limit);
+    if (query.sort && query.sort.length) {
+      set(this.params.sort, this.serializeSort(query.sort));
+    }
+    if (this.params.filters && query.filters) {
+      Object.entries(this.serializeFilters(query.filters)).forEach(([name, value]) =>
+        set(name, value)
+      );
+    }
+    // The search options are only sent along with a search term, and only when they narrow the search
+    if (query.search && query.search.term) {
+      const { term, columns, caseSensitive, wholeWord } = query.search;
+      set(this.params.search, term);
+      if (columns && columns.length) {
+        set(this.params.searchColumns, columns.join(","));
+      }
+      if (caseSensitive) {
+        set(this.params.caseSensitive, "true");
+      }
+      if (wholeWord) {
+        set(this.params.wholeWord, "true");
+      }
+    }
+
+    return url.toString();
+  }
+
+  /**
+   * Map the JSON response to the results and total count.
+   * @param {Object|Array} body - The parsed JSON response.
+   * @returns {Object} - The mapped response ({ results, totalResults }).
+   */
+  mapResponse(body) {
+    if (Array.isArray(body)) {
+      return { results: body, totalResults: body.length };
+    }
+
+    const results = this.getField(body, this.fields.results || DEFAULT_FIELDS.results);
+    const total = this.getField(
+      body,
+      this.fields.totalResults || DEFAULT_FIELDS.totalResults
+    );
+
+    if (!Array.isArray(results)) {
+      throw new Error("Invalid JSON response: results not found");
+    }
+    return {
+      results,
+      totalResults:
+        total !== undefined && total !== null && Number.isFinite(Number(total))
+          ? Number(total)
+          : results.length,
+    };
+  }
+
+  /**
+   * Read the first defined field from the body.
+   * @param {Object} body - The parsed JSON response.
+   * @param {string|Array<string>} paths - One or more field names or dot paths to try.
+   * @returns {*} - The field value, or undefined if none of the fields exist.
+   */
+  getField(body, paths) {
+    for (const path of [].concat(paths)) {
+      const value = path
+        .split(".")
+        .reduce((acc, key) => (acc === null || acc === undefined ? undefined : acc[key]), body);
+      if (value !== undefined) {
+        return value;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Serialize the sort state as a comma-separated list of columns, prefixing descending columns with "-".
+   * @param {Array<Object>} sortState - The sort keys ({ column, direction }), in order of priority.
+   * @returns {string} - The serialized sort state (e.g. "name,-date").
+   */
+  static serializeSort(sortState) {
+    return sortState
+      .map(({ column, direction }) => (direction === "desc" ? `-${column}` : column))
+      .join(",");
+  }
+
+  /**
+   * Serialize the column filters as bracketed query parameters.
+   * @param {Object} filters - The column filters ({ search, value }) keyed by column name.
+   * @param {string} name - The filter parameter name (default: "filter").
+   * @returns {Object} - The query parameters (e.g. { "filter[name][search]": "ali" }).
+   */
+  static serializeFilters(filters, name = DEFAULT_PARAMS.filters) {
+    return Object.entries(filters).reduce((acc, [column, filter]) => {
+      Object.entries(filter).forEach(([key, value]) => {
+        acc[`${name}[${column}][${key}]`] = value;
+      });
+      return acc;
+    }, {});
+  }
+}
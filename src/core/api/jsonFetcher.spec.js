@@ -0,0 +1,171 @@
+import JsonFetcher from "./jsonFetcher.js";
+
+// Mock a server answering every request with the given JSON body and status
+const mockServer = (body, { status = 200 } = {}) => {
+  global.fetch = jest.fn(async () => ({
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => body,
+  }));
+};
+
+// Get the query parameters of a request URL
+const getParams = (url) => Object.fromEntries(new URL(url).searchParams);
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+describe("JsonFetcher", () => {
+  describe("buildUrl", () => {
+    test("sends the page, limit, sort, filters and search with the default parameter names", () => {
+      const url = new JsonFetcher("https://example.com/api/orders?status=open").buildUrl(2, 25, {
+        sort: [
+          { column: "name", direction: "asc" },
+          { column: "date", direction: "desc" },
+        ],
+        filters: { country: { value: "France" }, name: { search: "ali" } },
+        search: { term: "paris" },
+      });
+      expect(getParams(url)).toEqual({
+        status: "open",
+        page: "2",
+        limit: "25",
+        sort: "name,-date",
+        "filter[country][value]": "France",
+        "filter[name][search]": "ali",
+        q: "paris",
+      });
+    });
+
+    test("sends the search columns, case sensitivity and whole word matching along with the term", () => {
+      const fetcher = new JsonFetcher("https://example.com/api");
+      const search = { term: "Ali", columns: ["name", "email"], caseSensitive: true, wholeWord: true };
+      expect(getParams(fetcher.buildUrl(1, 10, { search }))).toEqual({
+        page: "1",
+        limit: "10",
+        q: "Ali",
+        searchColumns: "name,email",
+        caseSensitive: "true",
+        wholeWord: "true",
+      });
+
+      const defaults = { term: "Ali", columns: null, caseSensitive: false, wholeWord: false };
+      expect(getParams(fetcher.buildUrl(1, 10, { search: defaults }))).toEqual({ page: "1", limit: "10", q: "Ali" });
+      expect(getParams(fetcher.buildUrl(1, 10, { search: { ...search, term: "" } }))).toEqual({
+        page: "1",
+        limit: "10",
+      });
+    });
+
+    test("uses the configured parameter names and leaves out parameters set to null", () => {
+      const fetcher = new JsonFetcher("https://example.com/api", {
+        params: {
+          page: "p",
+          limit: null,
+          sort: "order",
+          filters: "where",
+          search: "query",
+          searchColumns: "fields",
+          caseSensitive: null,
+          wholeWord: "exact",
+        },
+      });
+      const url = fetcher.buildUrl(3, 10, {
+        sort: [{ column: "name", direction: "desc" }],
+        filters: { name: { search: "ali" } },
+        search: { term: "ali", columns: ["name"], caseSensitive: true, wholeWord: true },
+      });
+      expect(getParams(url)).toEqual({
+        p: "3",
+        order: "-name",
+        "where[name][search]": "ali",
+        query: "ali",
+        fields: "name",
+        exact: "true",
+      });
+    });
+
+    test("uses the given sort and filter serializers", () => {
+      const fetcher = new JsonFetcher("https://example.com/api", {
+        serializeSort: (sort) => sort.map(({ column, direction }) => `${column}:${direction}`).join("|"),
+        serializeFilters: (filters) => ({ filters: JSON.stringify(filters) }),
+      });
+      const url = fetcher.buildUrl(1, 10, {
+        sort: [{ column: "name", direction: "asc" }],
+        filters: { name: { value: "Ali" } },
+      });
+      expect(getParams(url)).toMatchObject({ sort: "name:asc", filters: '{"name":{"value":"Ali"}}' });
+    });
+  });
+
+  describe("fetch", () => {
+    test("maps the default response fields", async () => {
+      mockServer({ items: [{ id: 1 }, { id: 2 }], total: "42" });
+      await expect(new JsonFetcher("https://example.com/api").fetch(3, 2)).resolves.toEqual({
+        results: [{ id: 1 }, { id: 2 }],
+        totalResults: 42,
+        page: 3,
+        limit: 2,
+      });
+    });
+
+    test("maps configured response fields and dot paths", async () => {
+      mockServer({ data: { orders: [{ id: 1 }] }, meta: { count: 7 } });
+      const fetcher = new JsonFetcher("https://example.com/api", {
+        fields: { results: "data.orders", totalResults: "meta.count" },
+      });
+      await expect(fetcher.fetch()).resolves.toMatchObject({ results: [{ id: 1 }], totalResults: 7 });
+    });
+
+    test("counts the results when there is no total, and accepts an array body", async () => {
+      mockServer({ results: [{ id: 1 }], total: null });
+      await expect(new JsonFetcher("https://example.com/api").fetch()).resolves.toMatchObject({ totalResults: 1 });
+
+      mockServer([{ id: 1 }, { id: 2 }]);
+      await expect(new JsonFetcher("https://example.com/api").fetch()).resolves.toMatchObject({
+        results: [{ id: 1 }, { id: 2 }],
+        totalResults: 2,
+      });
+    });
+
+    test("throws when the response has no results", async () => {
+      mockServer({ message: "ok" });
+      await expect(new JsonFetcher("https://example.com/api").fetch()).rejects.toThrow(
+        "Invalid JSON response: results not found"
+      );
+    });
+
+    test("throws for an error response", async () => {
+      mockServer({ error: "Unauthorized" }, { status: 401 });
+      await expect(new JsonFetcher("https://example.com/api").fetch()).rejects.toThrow("HTTP error! status: 401");
+    });
+
+    test("sends static request headers and fetch options", async () => {
+      mockServer([]);
+      const fetcher = new JsonFetcher("https://example.com/api", {
+        headers: { Authorization: "Bearer abc" },
+        fetchOptions: { credentials: "include" },
+      });
+      await fetcher.fetch();
+      expect(global.fetch.mock.calls[0][1]).toEqual({
+        credentials: "include",
+        headers: { Accept: "application/json", Authorization: "Bearer abc" },
+      });
+    });
+
+    test("asks a function for the request headers before every request", async () => {
+      mockServer([]);
+      let token = 0;
+      const fetcher = new JsonFetcher("https://example.com/api", {
+        headers: async () => ({ Authorization: `Bearer ${++token}` }),
+      });
+      await fetcher.fetch();
+      await fetcher.fetch();
+      expect(global.fetch.mock.calls.map(([, options]) => options.headers.Authorization)).toEqual([
+        "Bearer 1",
+        "Bearer 2",
+      ]);
+    });
+  });
+});
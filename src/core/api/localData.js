@@ -0,0 +1,96 @@
+/**
+ * LocalData Module
+ *
+ * Overview:
+ * This module provides functionality for turning data that is already in the browser into the rows and headers used by the table.
+ * It includes the `LocalData` class, which normalises inline arrays and reads JSON files picked or dropped by the user.
+ * CSV and TSV files are read through `CsvFetcher`, which accepts a `File` in place of a URL.
+ *
+ * Features:
+ * - Accept an array of objects, using the keys of the rows as headers.
+ * - Accept an array of arrays along with the headers, or with the headers in the first row.
+ * - Read JSON files holding an array, or an object with a `results`, `items`, `data` or `rows` array.
+ * - Recognise JSON files by their extension or MIME type.
+ *
+ * Classes:
+ * - LocalData: Handles normalising inline data and reading JSON files.
+ *
+ * Usage:
+ * To use this module, call `LocalData.normalize` with the data and, optionally, the headers.
+ * For a JSON file, call `LocalData.readJsonFile` with the file.
+ *
+ * Example:
+ * const { rows, headers } = LocalData.normalize([[1, 'Alice'], [2, 'Bob']], ['id', 'name']);
+ * LocalData.readJsonFile(file).then(({ rows, headers }) => console.log(rows, headers));
+ */
+
+// Imports
+import JsonFetcher from "./jsonFetcher.js";
+
+/**
+ * LocalData class for normalising inline data and reading local JSON files.
+ */
+export default class LocalData {
+  /**
+   * Normalise inline data into row objects and headers.
+   * @param {Array<Object>|Array<Array>} data - An array of objects, or an array of arrays.
+   * @param {Array<string>} headers - The headers of an array of arrays. Without them, the first row holds the headers.
+   * For an array of objects, they select and order the columns (default: the keys of the rows).
+   * @returns {Object} - The rows and headers ({ rows, headers }).
+   * @throws {Error} - Throws an error if the data is not an array.
+   */
+  static normalize(data = [], headers = null) {
+    if (!Array.isArray(data)) {
+      throw new Error("Invalid data: expected an array of objects or an array of arrays");
+    }
+    if (!data.length) {
+      return { rows: [], headers: headers || [] };
+    }
+
+    if (Array.isArray(data[0])) {
+      const columns = headers || data[0].map(String);
+      const values = headers ? data : data.slice(1);
+      const rows = values.map((record) =>
+        columns.reduce((acc, column, index) => {
+          acc[column] = record[index] === undefined ? "" : record[index];
+          return acc;
+        }, {})
+      );
+      return { rows, headers: columns };
+    }
+
+    return { rows: data, headers: headers || LocalData.collectKeys(data) };
+  }
+
+  /**
+   * Collect the keys of the rows, in the order they first appear.
+   * @param {Array<Object>} rows - The row objects.
+   * @returns {Array<string>} - The keys of the rows.
+   */
+  static collectKeys(rows) {
+    const keys = new Set();
+    rows.forEach((row) => Object.keys(row).forEach((key) => keys.add(key)));
+    return Array.from(keys);
+  }
+
+  /**
+   * Whether a file holds JSON data, judging by its extension or MIME type.
+   * @param {File} file - The file.
+   * @returns {boolean} - True if the file is a JSON file.
+   */
+  static isJsonFile(file) {
+    return /\.json$/i.test(file.name || "") || /json/i.test(file.type || "");
+  }
+
+  /**
+   * Read the rows and headers of a JSON file.
+   * @param {File} file - The JSON file.
+   * @returns {Promise<Object>} - A promise that resolves to the rows and headers ({ rows, headers }).
+   * @throws {Error} - Throws an error if the file is not valid JSON or holds no rows.
+   */
+  static async readJsonFile(file) {
+    const body = JSON.parse(await file.text());
+    const { results } = new JsonFetcher("").mapResponse(body);
+    return LocalData.normalize(results);
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * StateStore Module
+ *
+ * Overview:
+ * This module provides functionality for saving the state of a table, such as its page, sort keys, filters and
+ * column layout, so it can be restored when the page is loaded again.
+ * It includes the `StateStore` class, which saves the state of one table under a key, either in localStorage
+ * or in the URL of the page, where it can be shared as a link.
+ *
+ * Features:
+ * - Save to localStorage, to a query parameter or to a parameter of the hash of the URL.
+ * - Update the URL in place, without adding browser history entries.
+ * - Keep the state of several tables apart by saving each under its own key.
+ * - Save a schema version with the state, and discard saved state of another version or that cannot be read.
+ *
+ * Classes:
+ * - StateStore: Handles saving, loading and clearing the state of a table.
+ *
+ * Usage:
+ * To use this module, create an instance of the `StateStore` class with the key of the table and where to save it.
+ * Then, call `save` with the state whenever it changes, and `load` to read it back, which returns null when
+ * there is no saved state or it is stale.
+ *
+ * Example:
+ * const store = new StateStore({ key: 'orders-table', storage: 'hash' });
+ * store.save({ page: 2, sort: [{ column: 'date', direction: 'desc' }] });
+ * console.log(window.location.hash); // #orders-table=%7B%22version%22%3A1%2C...
+ * console.log(store.load().page); // 2
+ */
+
+// The version of the format of saved state. Saved state of another version is discarded.
+export const STATE_VERSION = 1;
+
+// Where state can be saved: localStorage, a query parameter, or a parameter of the hash.
+const STORAGES = ["local", "query", "hash"];
+
+/**
+ * StateStore class for saving and restoring the state of a table.
+ */
+export default class StateStore {
+  /**
+   * Constructor for the StateStore class.
+   * @param {Object} options - Store options.
+   * @param {string} options.key - The localStorage key or URL parameter the state is saved under.
+   * @param {string} options.storage - Where to save the state: "local" for localStorage, "query" for a query
+   * parameter or "hash" for a parameter of the hash of the URL (default: "local").
+   * @throws {Error} - Throws an error if there is no key or the storage is invalid.
+   */
+  constructor({ key, storage = "local" } = {}) {
+    if (!key) {
+      throw new Error("Invalid state store: a key is required");
+    }
+    if (!STORAGES.includes(storage)) {
+      throw new Error(`Invalid state storage: ${storage}`);
+    }
+    this.key = key;
+    this.storage = storage;
+  }
+
+  /**
+   * Load the saved state. Saved state of another version, or that cannot be read, is cleared.
+   * @returns {Object|null} - The state, or null if there is none.
+   */
+  load() {
+    const saved = this.read();
+    if (saved === null) {
+      return null;
+    }
+    try {
+      const entry = JSON.parse(saved);
+      if (entry && entry.version === STATE_VERSION && entry.state && typeof entry.state === "object") {
+        return entry.state;
+      }
+    } catch (error) {
+      // Unreadable state is discarded like stale state
+    }
+    this.clear();
+    return null;
+  }
+
+  /**
+   * Save the state, replacing the saved state.
+   * @param {Object} state - The state; it must be serializable as JSON.
+   */
+  save(state) {
+    this.write(JSON.stringify({ version: STATE_VERSION, state }));
+  }
+
+  /**
+   * Remove the saved state.
+   */
+  clear() {
+    this.write(null);
+  }
+
+  /**
+   * Read the saved value.
+   * @returns {string|null} - The saved value, or null if there is none.
+   */
+  read() {
+    if (this.storage === "local") {
+      try {
+        return window.localStorage.getItem(this.key);
+      } catch (error) {
+        // localStorage is unavailable, for example when storage is blocked
+        return null;
+      }
+    }
+    return this.getUrlParams(new URL(window.location.href)).get(this.key);
+  }
+
+  /**
+   * Write the saved value.
+   * @param {string|null} value - The value, or null to remove it.
+   */
+  write(value) {
+    if (this.storage === "local") {
+      try {
+        if (value === null) {
+          window.localStorage.removeItem(this.key);
+        } else {
+          window.localStorage.setItem(this.key, value);
+        }
+      } catch (error) {
+        console.error("Error saving table state:", error);
+      }
+      return;
+    }
+
+    const url = new URL(window.location.href);
+    const params = this.getUrlParams(url);
+    if (params.get(this.key) === value) {
+      return;
+    }
+    if (value === null) {
+      params.delete(this.key);
+    } else {
+      params.set(this.key, value);
+    }
+    if (this.storage === "query") {
+      url.search = params.toString();
+    } else {
+      url.hash = params.toString();
+    }
+    // Replace the URL rather than navigating, so every change does not add a history entry
+    window.history.replaceState(window.history.state, "", url.toString());
+  }
+
+  /**
+   * Get the parameters of the URL the state is saved in.
+   * @param {URL} url - The URL of the page.
+   * @returns {URLSearchParams} - The query parameters, or the parameters of the hash.
+   */
+  getUrlParams(url) {
+    return this.storage === "query" ? url.searchParams : new URLSearchParams(url.hash.replace(/^#/, ""));
+  }
+}
@@ -0,0 +1,71 @@
+import StateStore, { STATE_VERSION } from "./stateStore.js";
+
+beforeEach(() => {
+  window.localStorage.clear();
+  window.history.replaceState(null, "", "/");
+});
+
+describe("StateStore", () => {
+  test("requires a key and a known storage", () => {
+    expect(() => new StateStore()).toThrow("Invalid state store: a key is required");
+    expect(() => new StateStore({ key: "t", storage: "cookie" })).toThrow("Invalid state storage: cookie");
+  });
+
+  test("saves and loads state in localStorage under its key", () => {
+    const store = new StateStore({ key: "orders" });
+    expect(store.load()).toBeNull();
+    store.save({ page: 2 });
+
+    expect(JSON.parse(window.localStorage.getItem("orders"))).toEqual({ version: STATE_VERSION, state: { page: 2 } });
+    expect(new StateStore({ key: "orders" }).load()).toEqual({ page: 2 });
+    expect(new StateStore({ key: "other" }).load()).toBeNull();
+
+    store.clear();
+    expect(window.localStorage.getItem("orders")).toBeNull();
+  });
+
+  test("saves state in a query parameter, keeping the other parameters", () => {
+    window.history.replaceState(null, "", "/list?lang=en#top");
+    const store = new StateStore({ key: "orders", storage: "query" });
+    store.save({ sort: [{ column: "date", direction: "desc" }] });
+
+    const url = new URL(window.location.href);
+    expect(url.searchParams.get("lang")).toBe("en");
+    expect(url.hash).toBe("#top");
+    expect(store.load()).toEqual({ sort: [{ column: "date", direction: "desc" }] });
+
+    store.clear();
+    expect(window.location.search).toBe("?lang=en");
+  });
+
+  test("saves state in a parameter of the hash", () => {
+    const a = new StateStore({ key: "a", storage: "hash" });
+    const b = new StateStore({ key: "b", storage: "hash" });
+    a.save({ page: 1 });
+    b.save({ page: 3 });
+
+    expect(window.location.search).toBe("");
+    expect(new URLSearchParams(window.location.hash.slice(1)).get("a")).toBe(
+      JSON.stringify({ version: STATE_VERSION, state: { page: 1 } })
+    );
+    expect(a.load()).toEqual({ page: 1 });
+    expect(b.load()).toEqual({ page: 3 });
+  });
+
+  test("replaces the URL without adding history entries", () => {
+    const length = window.history.length;
+    new StateStore({ key: "t", storage: "query" }).save({ page: 2 });
+    expect(window.history.length).toBe(length);
+  });
+
+  test("discards saved state of another version or that cannot be read", () => {
+    window.localStorage.setItem("old", JSON.stringify({ version: STATE_VERSION + 1, state: { page: 2 } }));
+    window.localStorage.setItem("broken", "{not json");
+    window.localStorage.setItem("empty", JSON.stringify({ version: STATE_VERSION }));
+
+    ["old", "broken", "empty"].forEach((key) => {
+      expect(new StateStore({ key }).load()).toBeNull();
+      expect(window.localStorage.getItem(key)).toBeNull();
+    });
+  });
+});
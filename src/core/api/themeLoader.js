@@ -0,0 +1,131 @@
+/**
+ * ThemeLoader Module
+ *
+ * Overview:
+ * This module provides functionality for loading table themes. A theme is a JSON file mapping the CSS custom properties
+ * of `simplify.css` (such as "table-bg-color") to values, which are set on the table container so each table on a page
+ * can have its own look. It includes the `ThemeLoader` class, which resolves built-in themes, fetches theme files
+ * and picks a theme from the color scheme and contrast preferences of the user.
+ *
+ * Features:
+ * - Built-in light, dark and high-contrast themes, referenced by name ("defaultLight", "defaultDark", "highContrast").
+ * - Fetch theme files from a URL, caching each file so it is only downloaded once.
+ * - Accept theme objects ({ name, colorScheme, variables }) directly.
+ * - Pick the built-in theme matching the `prefers-color-scheme` and `prefers-contrast` media queries.
+ *
+ * Classes:
+ * - ThemeLoader: Handles loading themes.
+ *
+ * Usage:
+ * To use this module, call `ThemeLoader.load` with the name of a built-in theme, the path of a theme file or
+ * a theme object, and `ThemeLoader.toProperties` to get the CSS custom properties to set.
+ *
+ * Example:
+ * const theme = await ThemeLoader.load('themes/solarized.json');
+ * Object.entries(ThemeLoader.toProperties(theme)).forEach(([name, value]) => container.style.setProperty(name, value));
+ */
+
+// Imports
+import defaultLight from "../../static/themes/defaultLight.json";
+import defaultDark from "../../static/themes/defaultDark.json";
+import highContrast from "../../static/themes/highContrast.json";
+
+// The built-in themes keyed by name.
+export const BUILT_IN_THEMES = { defaultLight, defaultDark, highContrast };
+
+// The theme name that follows the color scheme and contrast preferences of the user.
+export const AUTO_THEME = "auto";
+
+// Media queries of the user preferences followed by the "auto" theme.
+export const COLOR_SCHEME_QUERY = "(prefers-color-scheme: dark)";
+export const CONTRAST_QUERY = "(prefers-contrast: more)";
+
+// Theme files fetched so far, keyed by path.
+const themeCache = new Map();
+
+/**
+ * ThemeLoader class for loading table themes.
+ */
+export default class ThemeLoader {
+  /**
+   * Load a theme.
+   * @param {string|Object} theme - The name of a built-in theme (with or without the ".json" extension),
+   * the path of a theme file, or a theme object ({ name, colorScheme, variables }).
+   * @returns {Promise<Object>} - A promise that resolves to the theme ({ name, colorScheme, variables }).
+   * @throws {Error} - Throws an error if the theme file cannot be fetched or is not a valid theme.
+   */
+  static async load(theme) {
+    if (typeof theme !== "string") {
+      return ThemeLoader.normalize(theme);
+    }
+
+    const builtIn = BUILT_IN_THEMES[theme.replace(/\.json$/i, "")];
+    if (builtIn) {
+      return ThemeLoader.normalize(builtIn);
+    }
+
+    if (!themeCache.has(theme)) {
+      const request = fetch(theme)
+        .then((response) => {
+          if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+          }
+          return response.json();
+        })
+        .then((data) => ThemeLoader.normalize(data));
+      themeCache.set(theme, request);
+      // Forget failed requests, so the theme can be loaded again
+      request.catch(() => themeCache.delete(theme));
+    }
+
+    try {
+      return await themeCache.get(theme);
+    } catch (error) {
+      throw new Error(`Error loading theme "${theme}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the name of the built-in theme matching the preferences of the user: high contrast if more contrast
+   * is preferred, otherwise dark or light following the preferred color scheme.
+   * @returns {string} - The name of the built-in theme.
+   */
+  static getPreferredTheme() {
+    if (typeof window === "undefined" || !window.matchMedia) {
+      return "defaultLight";
+    }
+    if (window.matchMedia(CONTRAST_QUERY).matches) {
+      return "highContrast";
+    }
+    return window.matchMedia(COLOR_SCHEME_QUERY).matches ? "defaultDark" : "defaultLight";
+  }
+
+  /**
+   * Get the CSS custom properties of a theme.
+   * @param {Object} theme - The theme.
+   * @returns {Object} - The property values keyed by property name (e.g. "--table-bg-color").
+   */
+  static toProperties(theme) {
+    return Object.entries(theme.variables).reduce((acc, [name, value]) => {
+      acc[name.startsWith("--") ? name : `--${name}`] = String(value);
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Validate a theme object.
+   * @param {Object} theme - The theme object.
+   * @returns {Object} - The theme ({ name, colorScheme, variables }).
+   * @throws {Error} - Throws an error if the theme has no variables.
+   */
+  static normalize(theme) {
+    if (!theme || typeof theme.variables !== "object" || theme.variables === null) {
+      throw new Error("A theme needs an object of variables");
+    }
+    return {
+      name: theme.name || "Custom",
+      colorScheme: theme.colorScheme || null,
+      variables: theme.variables,
+    };
+  }
+}
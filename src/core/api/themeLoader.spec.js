@@ -0,0 +1,91 @@
+import ThemeLoader, { BUILT_IN_THEMES, COLOR_SCHEME_QUERY, CONTRAST_QUERY } from "./themeLoader.js";
+
+// Mock a server answering every request with the given theme, or with an error status
+const mockTheme = (theme, { status = 200 } = {}) => {
+  global.fetch = jest.fn(async () => ({
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => theme,
+  }));
+};
+
+// Mock the media queries of the user preferences, matching the given queries
+const mockPreferences = (...queries) => {
+  window.matchMedia = jest.fn((query) => ({ matches: queries.includes(query) }));
+};
+
+afterEach(() => {
+  delete global.fetch;
+  delete window.matchMedia;
+});
+
+describe("ThemeLoader", () => {
+  describe("load", () => {
+    test("loads built-in themes by name, with or without the extension", async () => {
+      const dark = await ThemeLoader.load("defaultDark");
+      expect(dark.variables).toBe(BUILT_IN_THEMES.defaultDark.variables);
+      await expect(ThemeLoader.load("highContrast.json")).resolves.toEqual(
+        await ThemeLoader.load("highContrast")
+      );
+    });
+
+    test("accepts theme objects, filling in the name and color scheme", async () => {
+      await expect(ThemeLoader.load({ variables: { "table-bg-color": "#fff" } })).resolves.toEqual({
+        name: "Custom",
+        colorScheme: null,
+        variables: { "table-bg-color": "#fff" },
+      });
+      await expect(ThemeLoader.load({ name: "Broken" })).rejects.toThrow("A theme needs an object of variables");
+    });
+
+    test("fetches a theme file once", async () => {
+      mockTheme({ name: "Solarized", colorScheme: "light", variables: { "table-bg-color": "#fdf6e3" } });
+      const theme = await ThemeLoader.load("themes/solarized.json");
+      await ThemeLoader.load("themes/solarized.json");
+
+      expect(theme).toEqual({ name: "Solarized", colorScheme: "light", variables: { "table-bg-color": "#fdf6e3" } });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch).toHaveBeenCalledWith("themes/solarized.json");
+    });
+
+    test("fetches a theme file again after a failed request", async () => {
+      mockTheme({}, { status: 404 });
+      await expect(ThemeLoader.load("themes/missing.json")).rejects.toThrow(
+        'Error loading theme "themes/missing.json": HTTP error! status: 404'
+      );
+
+      mockTheme({ variables: {} });
+      await expect(ThemeLoader.load("themes/missing.json")).resolves.toMatchObject({ name: "Custom" });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test("reports a theme file without variables", async () => {
+      mockTheme({ name: "Empty" });
+      await expect(ThemeLoader.load("themes/empty.json")).rejects.toThrow(
+        'Error loading theme "themes/empty.json": A theme needs an object of variables'
+      );
+    });
+  });
+
+  describe("getPreferredTheme", () => {
+    test("follows the contrast and color scheme preferences of the user", () => {
+      expect(ThemeLoader.getPreferredTheme()).toBe("defaultLight");
+      mockPreferences();
+      expect(ThemeLoader.getPreferredTheme()).toBe("defaultLight");
+      mockPreferences(COLOR_SCHEME_QUERY);
+      expect(ThemeLoader.getPreferredTheme()).toBe("defaultDark");
+      mockPreferences(COLOR_SCHEME_QUERY, CONTRAST_QUERY);
+      expect(ThemeLoader.getPreferredTheme()).toBe("highContrast");
+    });
+  });
+
+  describe("toProperties", () => {
+    test("prefixes the variables as CSS custom properties", () => {
+      const theme = { variables: { "table-bg-color": "#fff", "--table-border-width": 1 } };
+      expect(ThemeLoader.toProperties(theme)).toEqual({
+        "--table-bg-color": "#fff",
+        "--table-border-width": "1",
+      });
+    });
+  });
+});
@@ -0,0 +1,294 @@
+/**
+ * XlsxWriter Module
+ *
+ * Overview:
+ * This module provides functionality for writing an Excel workbook (.xlsx) in the browser, without a server or library.
+ * It includes the `XlsxWriter` class, which turns a grid of cells into the Office Open XML parts of a workbook
+ * with a single worksheet, and packs them into a ZIP archive.
+ *
+ * Features:
+ * - Text, number, boolean and date cells, so spreadsheet formulas and sorting work on the exported values.
+ * - A bold, frozen header row.
+ * - Dates and date-times shown with the date formats of the spreadsheet application.
+ * - Sheet names cleaned of the characters Excel does not allow.
+ *
+ * Classes:
+ * - XlsxWriter: Handles writing workbooks.
+ *
+ * Usage:
+ * To use this module, call `XlsxWriter.write` with the header labels and the rows of cells, where each cell is
+ * a plain value or a typed cell ({ type, value }) with the type "string", "number", "boolean", "date" or "datetime".
+ *
+ * Example:
+ * const bytes = XlsxWriter.write(['Name', 'Total', 'Ordered'], [
+ *   ['Alice', { type: 'number', value: 12.5 }, { type: 'date', value: Date.UTC(2024, 2, 1) }],
+ * ], { sheetName: 'Orders' });
+ * const blob = new Blob([bytes], { type: XLSX_MIME_TYPE });
+ */
+
+// Imports
+import { createZip } from "../../utils/zipUtils.js";
+
+const SPREADSHEET_NAMESPACE = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const RELATIONSHIP_NAMESPACE = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const PACKAGE_RELATIONSHIP_NAMESPACE = "http://schemas.openxmlformats.org/package/2006/relationships";
+
+// The MIME type of an Excel workbook.
+export const XLSX_MIME_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+// Indexes of the cell formats in the styles part.
+const STYLE_HEADER = 1;
+const STYLE_DATE = 2;
+const STYLE_DATETIME = 3;
+
+// Days between the spreadsheet epoch (1899-12-30) and the Unix epoch.
+const EXCEL_EPOCH_OFFSET = 25569;
+const MS_PER_DAY = 86400000;
+
+/**
+ * Escape text for use in XML, dropping the control characters XML does not allow.
+ * @param {*} value - The text.
+ * @returns {string} - The escaped text.
+ */
+const escapeXml = (value) =>
+  String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * XlsxWriter class for writing Excel workbooks.
+ */
+export default class XlsxWriter {
+  /**
+   * Write a workbook with a single worksheet.
+   * @param {Array<string>} headers - The header labels.
+   * @param {Array<Array>} rows - The rows of cells: plain values, or typed cells ({ type, value }).
+   * @param {Object} options - Workbook options.
+   * @param {string} options.sheetName - The name of the worksheet (default: "Sheet1").
+   * @returns {Uint8Array} - The bytes of the .xlsx file.
+   */
+  static write(headers, rows, options = {}) {
+    const sheetName = XlsxWriter.cleanSheetName(options.sheetName);
+
+    return createZip([
+      { name: "[Content_Types].xml", content: XlsxWriter.createContentTypes() },
+      { name: "_rels/.rels", content: XlsxWriter.createPackageRelationships() },
+      { name: "xl/workbook.xml", content: XlsxWriter.createWorkbook(sheetName) },
+      { name: "xl/_rels/workbook.xml.rels", content: XlsxWriter.createWorkbookRelationships() },
+      { name: "xl/styles.xml", content: XlsxWriter.createStyles() },
+      { name: "xl/worksheets/sheet1.xml", content: XlsxWriter.createWorksheet(headers, rows) },
+    ]);
+  }
+
+  /**
+   * Create the worksheet part, with the header row followed by the data rows.
+   * @param {Array<string>} headers - The header labels.
+   * @param {Array<Array>} rows - The rows of cells.
+   * @returns {string} - The worksheet XML.
+   */
+  static createWorksheet(headers, rows) {
+    const headerRow = XlsxWriter.createRow(
+      1,
+      headers.map((header) => ({ type: "string", value: header, style: STYLE_HEADER }))
+    );
+    const dataRows = rows.map((cells, index) => XlsxWriter.createRow(index + 2, cells));
+
+    return (
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+      `<worksheet xmlns="${SPREADSHEET_NAMESPACE}">` +
+      `<sheetViews><sheetView workbookViewId="0">` +
+      `<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>` +
+      `</sheetView></sheetViews>` +
+      `<sheetData>${headerRow}${dataRows.join("")}</sheetData>` +
+      `</worksheet>`
+    );
+  }
+
+  /**
+   * Create a worksheet row.
+   * @param {number} rowNumber - The row number (1-based).
+   * @param {Array} cells - The cells of the row.
+   * @returns {string} - The row XML.
+   */
+  static createRow(rowNumber, cells) {
+    const xml = cells
+      .map((cell, index) =>
+        XlsxWriter.createCell(`${XlsxWriter.columnName(index)}${rowNumber}`, cell)
+      )
+      .join("");
+    return `<row r="${rowNumber}">${xml}</row>`;
+  }
+
+  /**
+   * Create a worksheet cell. Empty cells are left out.
+   * @param {string} reference - The cell reference (e.g. "B2").
+   * @param {*} cell - A plain value, or a typed cell ({ type, value, style }).
+   * @returns {string} - The cell XML.
+   */
+  static createCell(reference, cell) {
+    const { type, value, style } =
+      cell !== null && typeof cell === "object" && !(cell instanceof Date)
+        ? cell
+        : { type: XlsxWriter.detectType(cell), value: cell };
+    if (value === null || value === undefined || value === "") {
+      return "";
+    }
+    const styleAttribute = style ? ` s="${style}"` : "";
+
+    switch (type) {
+      case "number":
+        return Number.isFinite(Number(value))
+          ? `<c r="${reference}"${styleAttribute}><v>${Number(value)}</v></c>`
+          : XlsxWriter.createCell(reference, { type: "string", value, style });
+      case "boolean":
+        return `<c r="${reference}" t="b"${styleAttribute}><v>${value ? 1 : 0}</v></c>`;
+      case "date":
+      case "datetime": {
+        let time = value instanceof Date ? value.getTime() : Number(value);
+        // Dates are UTC midnights, while date-times are shown in local time
+        if (type === "datetime") {
+          time -= new Date(time).getTimezoneOffset() * 60000;
+        }
+        const serial = time / MS_PER_DAY + EXCEL_EPOCH_OFFSET;
+        const dateStyle = style || (type === "date" ? STYLE_DATE : STYLE_DATETIME);
+        return `<c r="${reference}" s="${dateStyle}"><v>${serial}</v></c>`;
+      }
+      default:
+        return (
+          `<c r="${reference}" t="inlineStr"${styleAttribute}>` +
+          `<is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`
+        );
+    }
+  }
+
+  /**
+   * Detect the cell type of a plain value.
+   * @param {*} value - The value.
+   * @returns {string} - The cell type.
+   */
+  static detectType(value) {
+    if (typeof value === "number") {
+      return "number";
+    }
+    if (typeof value === "boolean") {
+      return "boolean";
+    }
+    if (value instanceof Date) {
+      return "datetime";
+    }
+    return "string";
+  }
+
+  /**
+   * Convert a zero-based column index to a column name ("A", "B", ..., "Z", "AA", ...).
+   * @param {number} index - The column index.
+   * @returns {string} - The column name.
+   */
+  static columnName(index) {
+    let name = "";
+    for (let number = index + 1; number > 0; number = Math.floor((number - 1) / 26)) {
+      name = String.fromCharCode(65 + ((number - 1) % 26)) + name;
+    }
+    return name;
+  }
+
+  /**
+   * Clean a sheet name of the characters Excel does not allow, and shorten it to 31 characters.
+   * @param {string} name - The sheet name.
+   * @returns {string} - The cleaned sheet name (default: "Sheet1").
+   */
+  static cleanSheetName(name) {
+    const cleaned = String(name || "")
+      .replace(/[[\]:*?/\\]/g, " ")
+      .trim()
+      .slice(0, 31);
+    return cleaned || "Sheet1";
+  }
+
+  /**
+   * Create the content types part.
+   * @returns {string} - The content types XML.
+   */
+  static createContentTypes() {
+    return (
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+      `<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+      `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>` +
+      `<Default Extension="xml" ContentType="application/xml"/>` +
+      `<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>` +
+      `<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>` +
+      `<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>` +
+      `</Types>`
+    );
+  }
+
+  /**
+   * Create the package relationships part, pointing to the workbook.
+   * @returns {string} - The relationships XML.
+   */
+  static createPackageRelationships() {
+    return (
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+      `<Relationships xmlns="${PACKAGE_RELATIONSHIP_NAMESPACE}">` +
+      `<Relationship Id="rId1" Type="${RELATIONSHIP_NAMESPACE}/officeDocument" Target="xl/workbook.xml"/>` +
+      `</Relationships>`
+    );
+  }
+
+  /**
+   * Create the workbook part.
+   * @param {string} sheetName - The name of the worksheet.
+   * @returns {string} - The workbook XML.
+   */
+  static createWorkbook(sheetName) {
+    return (
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+      `<workbook xmlns="${SPREADSHEET_NAMESPACE}" xmlns:r="${RELATIONSHIP_NAMESPACE}">` +
+      `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+      `</workbook>`
+    );
+  }
+
+  /**
+   * Create the workbook relationships part, pointing to the worksheet and the styles.
+   * @returns {string} - The relationships XML.
+   */
+  static createWorkbookRelationships() {
+    return (
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+      `<Relationships xmlns="${PACKAGE_RELATIONSHIP_NAMESPACE}">` +
+      `<Relationship Id="rId1" Type="${RELATIONSHIP_NAMESPACE}/worksheet" Target="worksheets/sheet1.xml"/>` +
+      `<Relationship Id="rId2" Type="${RELATIONSHIP_NAMESPACE}/styles" Target="styles.xml"/>` +
+      `</Relationships>`
+    );
+  }
+
+  /**
+   * Create the styles part, with the cell formats of the header row, dates and date-times.
+   * @returns {string} - The styles XML.
+   */
+  static createStyles() {
+    return (
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+      `<styleSheet xmlns="${SPREADSHEET_NAMESPACE}">` +
+      `<fonts count="2">` +
+      `<font><sz val="11"/><name val="Calibri"/></font>` +
+      `<font><b/><sz val="11"/><name val="Calibri"/></font>` +
+      `</fonts>` +
+      `<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>` +
+      `<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>` +
+      `<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>` +
+      `<cellXfs count="4">` +
+      `<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>` +
+      `<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>` +
+      `<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>` +
+      `<xf numFmtId="22" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>` +
+      `</cellXfs>` +
+      `<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>` +
+      `</styleSheet>`
+    );
+  }
+}
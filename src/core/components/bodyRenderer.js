@@ -8,33 +8,47 @@ export class BodyRenderer {
   constructor(tableInstance, options = {}) {
     this.tableInstance = tableInstance;
     this.options = options;
+    // The rendered rows ({ element, checkbox, rowData }), used to update the selection
+    this.renderedRows = [];
+    // The rendered groups ({ key, element, rows }) when the rows are grouped by a column
+    this.renderedGroups = [];
   }
 
-  createRow(data) {
+  createRow(data, columns = [], rowData = {}) {
     const row = createBaseElement(
       {
         tag: "tr",
         attributes: {
           class: "table-row",
         },
+        events: {
+          click: (event) => {
+            // Clicks on the checkbox, cell editors and controls inside cells are not row clicks
+            if (!event.target.closest("input, select, textarea, button, a, .cell-editing")) {
+              this.tableInstance.handleRowClick(rowData, event);
+            }
+          },
+        },
       }
     );
     // Add first cell
-    row.appendChild(this.createFirstCell());
+    const firstCell = this.createFirstCell(rowData);
+    row.appendChild(firstCell);
+    this.renderedRows.push({ element: row, checkbox: firstCell.firstChild, rowData });
     // Add row cells
-    data.forEach((cellData) => {
-      row.appendChild(this.createCell(cellData));
+    data.forEach((cellData, index) => {
+      row.appendChild(this.createCell(cellData, columns[index], rowData));
     });
 
     return row;
   }
 
-  createFirstCell() {
+  createFirstCell(rowData = {}) {
     const firstCell = createBaseElement(
       {
         tag: "td",
         attributes: {
-          class: "table-cell",
+          class: "table-cell pinned-left",
         },
         children: [
           createBaseElement(
@@ -43,6 +57,15 @@ export class BodyRenderer {
               attributes: {
                 type: "checkbox",
                 class: "table-checkbox",
+                "aria-label": "Select row",
+              },
+              events: {
+                click: (event) =>
+                  this.tableInstance.toggleRowSelection(
+                    rowData,
+                    event.target.checked,
+                    event.shiftKey
+                  ),
               },
             }
           )
@@ -53,19 +76,402 @@ export class BodyRenderer {
     return firstCell;
   }
 
-  createCell(data) {
+  /**
+   * Creates the header row of a group of rows, showing the value of the grouped column and the number of rows
+   * in the group, with a button that collapses or expands the group.
+   * @param {Object} group - The group ({ key, value, rows }).
+   * @param {Array<Object>} columns - The rendered columns.
+   * @returns {HTMLElement} The group row.
+   */
+  createGroupRow(group, columns) {
+    const table = this.tableInstance;
+    const column = table.columns.getColumn(table.groupBy);
+    const label = column ? column.label : table.groupBy;
+    const value = group.key === "" ? "(empty)" : table.formatValue(group.value, table.groupBy);
+    const count = table.groupCounts ? table.groupCounts.get(group.key) : undefined;
+
+    return createBaseElement({
+      tag: "tr",
+      attributes: { class: "table-row group-row" },
+      children: [
+        createBaseElement({
+          tag: "td",
+          attributes: { class: "table-cell group-cell", colspan: columns.length + 1 },
+          children: [
+            createBaseElement({
+              tag: "button",
+              attributes: { type: "button", class: "group-toggle", "aria-expanded": "true" },
+              events: { click: () => table.toggleGroup(group.key) },
+              children: [
+                createBaseElement({ tag: "i", attributes: { class: "fas fa-caret-down" } }),
+                ` ${label}: ${value}`,
+                ...(count !== undefined
+                  ? [
+                      createBaseElement({
+                        tag: "span",
+                        attributes: { class: "group-count" },
+                        textContent: ` (${count.toLocaleString()})`,
+                      }),
+                    ]
+                  : []),
+              ],
+            }),
+          ],
+        }),
+      ],
+    });
+  }
+
+  /**
+   * Creates an empty row that takes up the height of the rows that are scrolled out of view.
+   * @param {number} height - The height of the row, in pixels.
+   * @param {Array<Object>} columns - The rendered columns.
+   * @returns {HTMLElement} The spacer row.
+   */
+  createSpacerRow(height, columns) {
+    return createBaseElement({
+      tag: "tr",
+      attributes: { class: "virtual-spacer", "aria-hidden": "true" },
+      styles: { height: `${height}px` },
+      children: [
+        createBaseElement({ tag: "td", attributes: { colspan: columns.length + 1 } }),
+      ],
+    });
+  }
+
+  /**
+   * Hides the rows of collapsed groups and updates the group toggles.
+   */
+  updateGroupVisibility() {
+    this.renderedGroups.forEach(({ key, element, rows }) => {
+      const collapsed = this.tableInstance.collapsedGroups.has(key);
+      const toggle = element.querySelector(".group-toggle");
+      toggle.setAttribute("aria-expanded", String(!collapsed));
+      toggle.querySelector("i").className = `fas ${collapsed ? "fa-caret-right" : "fa-caret-down"}`;
+      rows.forEach((row) => {
+        row.hidden = collapsed;
+      });
+    });
+  }
+
+  /**
+   * Updates the checkboxes and highlighting of the rendered rows to match the selection.
+   */
+  updateRowSelection() {
+    this.renderedRows.forEach(({ element, checkbox, rowData }) => {
+      const selected = this.tableInstance.selection.isSelected(
+        this.tableInstance.getRowId(rowData)
+      );
+      checkbox.checked = selected;
+      element.classList.toggle("row-selected", selected);
+      element.setAttribute("aria-selected", String(selected));
+    });
+  }
+
+  /**
+   * Creates a cell, formatted by the formatter of its column or for the column type.
+   * Cells of editable columns open an editor on double-click or Enter.
+   * @param {*} data - The raw value.
+   * @param {Object} column - The column definition (see `ColumnModel`).
+   * @param {Object} rowData - The row the cell belongs to.
+   * @returns {HTMLElement} The cell.
+   */
+  createCell(data, column, rowData = {}) {
+    const widthStyles = this.tableInstance.getColumnWidthStyles(column);
     const cell = createBaseElement(
       {
         tag: "td",
         attributes: {
-          class: "table-cell",
+          class: `table-cell align-${this.tableInstance.getColumnAlign(column.field)}${
+            column.pinned ? ` pinned-${column.pinned}` : ""
+          }`,
+          "data-column": column.field,
         },
+        styles: widthStyles,
       }
     );
+    // A sized column keeps its width, so long values wrap or are truncated instead of stretching it
+    if (widthStyles.width || widthStyles.maxWidth) {
+      cell.classList.add("sized-cell");
+    }
 
-    // Add cell content
-    cell.textContent = data;
+    if (this.tableInstance.isCellEditable(column)) {
+      cell.classList.add("editable-cell");
+      cell.tabIndex = 0;
+      cell.addEventListener("dblclick", () => this.openEditor(cell, column, rowData));
+      cell.addEventListener("keydown", (event) => {
+        if (event.key === "Enter" && event.target === cell) {
+          event.preventDefault();
+          this.openEditor(cell, column, rowData);
+        }
+      });
+    }
 
+    this.renderCellContent(cell, data, column, rowData);
     return cell;
   }
-}
\ No newline at end of file
+
+  /**
+   * Renders the content of a cell and marks it when it has a pending edit.
+   * Truncated cells get their text as a tooltip.
+   * @param {HTMLElement} cell - The cell.
+   * @param {*} data - The raw value.
+   * @param {Object} column - The column definition.
+   * @param {Object} rowData - The row the cell belongs to.
+   */
+  renderCellContent(cell, data, column, rowData) {
+    cell.replaceChildren();
+    cell.classList.toggle(
+      "cell-dirty",
+      this.tableInstance.changeTracker.isDirty(this.tableInstance.getRowId(rowData), column.field)
+    );
+
+    if (column.formatter) {
+      data = column.formatter(data, rowData, column);
+      if (data instanceof Node) {
+        cell.appendChild(data);
+        return;
+      }
+    } else {
+      data = this.tableInstance.formatValue(data, column.field);
+    }
+
+    // Add cell content, highlighting any global search matches
+    const searcher = this.tableInstance.searcher;
+    if (searcher && searcher.appliesTo(column.field)) {
+      searcher.split(data).forEach((segment) => {
+        cell.appendChild(
+          segment.match
+            ? createBaseElement({
+                tag: "mark",
+                attributes: { class: "search-highlight" },
+                textContent: segment.text,
+              })
+            : document.createTextNode(segment.text)
+        );
+      });
+    } else {
+      cell.textContent = data;
+    }
+
+    // Truncated cells, and the cells of rows kept at a fixed height, show their full text on hover
+    if (this.tableInstance.textOverflow === "truncate" || this.tableInstance.isVirtual()) {
+      cell.title = cell.textContent;
+    }
+  }
+
+  /**
+   * Returns the kind of editor for a column: the editor of its definition, or one suited to the column type.
+   * @param {Object} column - The column definition.
+   * @returns {string} The editor: "text", "number", "date", "datetime", "select" or "checkbox".
+   */
+  getEditorType(column) {
+    if (column.editor) {
+      return column.editor;
+    }
+    switch (this.tableInstance.columnTypes.getType(column.field)) {
+      case "boolean":
+        return "checkbox";
+      case "integer":
+      case "number":
+        return "number";
+      case "date":
+        return "date";
+      case "datetime":
+        return "datetime";
+      default:
+        return "text";
+    }
+  }
+
+  /**
+   * Replaces the content of a cell with an editor. The edit is committed on Enter or
+   * when the editor loses focus, and cancelled on Escape.
+   * @param {HTMLElement} cell - The cell to edit.
+   * @param {Object} column - The column definition.
+   * @param {Object} rowData - The row the cell belongs to.
+   */
+  openEditor(cell, column, rowData) {
+    if (cell.classList.contains("cell-editing")) {
+      return;
+    }
+
+    const original = rowData[column.field];
+    const editorType = this.getEditorType(column);
+    const editor = this.createEditor(editorType, original, column);
+    let closed = false;
+
+    const close = (value, applied) => {
+      closed = true;
+      cell.classList.remove("cell-editing");
+      if (applied) {
+        this.tableInstance.setCellValue(rowData, column.field, value);
+      }
+      // The table edits its own copy of a row shared with other tables
+      const row = applied ? this.tableInstance.ownRow(rowData) : rowData;
+      this.renderCellContent(cell, row[column.field], column, row);
+    };
+
+    const commit = (fromBlur) => {
+      if (closed) {
+        return;
+      }
+      const value = this.readEditorValue(editor, editorType, original);
+      const error = this.tableInstance.validateCell(value, rowData, column);
+      if (error) {
+        // An invalid edit is kept open on Enter, and dropped when the editor loses focus
+        if (fromBlur) {
+          close(null, false);
+          return;
+        }
+        editor.classList.add("editor-invalid");
+        editor.setAttribute("aria-invalid", "true");
+        editor.title = error;
+        editor.setCustomValidity(error);
+        editor.reportValidity();
+        return;
+      }
+      close(value, true);
+      if (!fromBlur) {
+        cell.focus();
+      }
+    };
+
+    editor.addEventListener("keydown", (event) => {
+      event.stopPropagation();
+      if (event.key === "Enter") {
+        event.preventDefault();
+        commit(false);
+      } else if (event.key === "Escape") {
+        event.preventDefault();
+        close(null, false);
+        cell.focus();
+      }
+    });
+    editor.addEventListener("input", () => {
+      editor.classList.remove("editor-invalid");
+      editor.removeAttribute("aria-invalid");
+      editor.setCustomValidity("");
+    });
+    editor.addEventListener("blur", () => commit(true));
+
+    cell.classList.add("cell-editing");
+    cell.replaceChildren(editor);
+    editor.focus();
+    if (typeof editor.select === "function" && editor.type !== "checkbox") {
+      editor.select();
+    }
+  }
+
+  /**
+   * Creates the editor element of a cell.
+   * @param {string} editorType - The kind of editor (see `getEditorType`).
+   * @param {*} value - The current value of the cell.
+   * @param {Object} column - The column definition.
+   * @returns {HTMLElement} The editor.
+   */
+  createEditor(editorType, value, column) {
+    const columnTypes = this.tableInstance.columnTypes;
+    const type = columnTypes.getType(column.field);
+    const attributes = { class: "cell-editor", "aria-label": `Edit ${column.label}` };
+
+    switch (editorType) {
+      case "checkbox": {
+        const editor = createBaseElement({
+          tag: "input",
+          attributes: { ...attributes, type: "checkbox" },
+        });
+        editor.checked = Boolean(columnTypes.parse(value, "boolean"));
+        return editor;
+      }
+      case "number": {
+        const parsed = columnTypes.parse(value, type === "integer" ? "integer" : "number");
+        const editor = createBaseElement({
+          tag: "input",
+          attributes: { ...attributes, type: "number", step: type === "integer" ? "1" : "any" },
+        });
+        editor.value = parsed === null ? "" : String(parsed);
+        return editor;
+      }
+      case "date":
+      case "datetime": {
+        const time = columnTypes.parse(value, "date");
+        const editor = createBaseElement({
+          tag: "input",
+          attributes: { ...attributes, type: editorType === "date" ? "date" : "datetime-local" },
+        });
+        editor.value = time === null ? "" : BodyRenderer.toDateInputValue(time, editorType);
+        return editor;
+      }
+      case "select": {
+        const current = value === null || value === undefined ? "" : String(value);
+        const options = (column.options || this.tableInstance.uniqueColumnValues[column.field] || []).map(
+          String
+        );
+        const editor = createBaseElement({
+          tag: "select",
+          attributes,
+          children: Array.from(new Set(["", current, ...options])).map((option) =>
+            createBaseElement({
+              tag: "option",
+              attributes: { value: option },
+              textContent: option === "" ? "" : this.tableInstance.formatValue(option, column.field),
+            })
+          ),
+        });
+        editor.value = current;
+        return editor;
+      }
+      default: {
+        const editor = createBaseElement({
+          tag: "input",
+          attributes: { ...attributes, type: "text" },
+        });
+        editor.value = value === null || value === undefined ? "" : String(value);
+        return editor;
+      }
+    }
+  }
+
+  /**
+   * Reads the value of an editor, keeping the kind of value the cell held (a number stays a number,
+   * and a "yes"/"no" flag stays a "yes"/"no" flag).
+   * @param {HTMLElement} editor - The editor.
+   * @param {string} editorType - The kind of editor.
+   * @param {*} original - The value of the cell before the edit.
+   * @returns {*} The new value.
+   */
+  readEditorValue(editor, editorType, original) {
+    if (editorType === "checkbox") {
+      if (typeof original === "boolean") {
+        return editor.checked;
+      }
+      if (/^(yes|no)$/i.test(String(original || "").trim())) {
+        return editor.checked ? "yes" : "no";
+      }
+      return String(editor.checked);
+    }
+    if (typeof original === "number" && editor.value !== "" && !Number.isNaN(Number(editor.value))) {
+      return Number(editor.value);
+    }
+    return editor.value;
+  }
+
+  /**
+   * Converts a timestamp to the value of a date or datetime-local input.
+   * Dates are shown in UTC, as that is how dates without a time are parsed.
+   * @param {number} time - The timestamp in milliseconds.
+   * @param {string} editorType - Either "date" or "datetime".
+   * @returns {string} The input value ("2024-03-01" or "2024-03-01T09:30").
+   */
+  static toDateInputValue(time, editorType) {
+    const date = new Date(time);
+    if (editorType === "date") {
+      return date.toISOString().slice(0, 10);
+    }
+    const pad = (number) => String(number).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(
+      date.getHours()
+    )}:${pad(date.getMinutes())}`;
+  }
+}
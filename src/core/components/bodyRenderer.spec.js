@@ -0,0 +1,61 @@
+import { BodyRenderer } from "./bodyRenderer.js";
+import ColumnTypes from "../logic/columnTypes.js";
+
+// Create a renderer for a table with the given column types
+const createRenderer = (types) => new BodyRenderer({ columnTypes: new ColumnTypes({ overrides: types }) });
+
+// Open an editor on a value of a column, change it and read the new value back
+const edit = (renderer, field, value, change = () => {}) => {
+  const column = { field, label: field };
+  const editorType = renderer.getEditorType(column);
+  const editor = renderer.createEditor(editorType, value, column);
+  change(editor);
+  return { editorType, editor, value: renderer.readEditorValue(editor, editorType, value) };
+};
+
+describe("BodyRenderer editors", () => {
+  const renderer = createRenderer({
+    count: "integer",
+    price: "number",
+    active: "boolean",
+    shipped: "date",
+    name: "text",
+  });
+
+  test("reads numbers back as numbers, and number strings as strings", () => {
+    expect(edit(renderer, "count", 42)).toMatchObject({ editorType: "number", value: 42 });
+    expect(edit(renderer, "count", 42, (editor) => (editor.value = "43")).value).toBe(43);
+    expect(edit(renderer, "price", "1,234.5")).toMatchObject({ value: "1234.5" });
+    expect(edit(renderer, "price", 1.5, (editor) => (editor.value = "")).value).toBe("");
+  });
+
+  test("reads yes/no values back in lower case", () => {
+    const yes = edit(renderer, "active", "Yes");
+    expect(yes.editorType).toBe("checkbox");
+    expect(yes.editor.checked).toBe(true);
+    expect(yes.value).toBe("yes");
+    expect(edit(renderer, "active", "no", (editor) => (editor.checked = true)).value).toBe("yes");
+    expect(edit(renderer, "active", "YES", (editor) => (editor.checked = false)).value).toBe("no");
+  });
+
+  test("reads booleans back as booleans, and other values as true/false strings", () => {
+    expect(edit(renderer, "active", true).value).toBe(true);
+    expect(edit(renderer, "active", true, (editor) => (editor.checked = false)).value).toBe(false);
+    expect(edit(renderer, "active", "false", (editor) => (editor.checked = true)).value).toBe("true");
+  });
+
+  test("opens dates on their own day in any format", () => {
+    // The time zone is pinned east of UTC in jest.config.js
+    expect(edit(renderer, "shipped", "3/15/2024").editor.value).toBe("2024-03-15");
+    expect(edit(renderer, "shipped", "2024-03-15").editor.value).toBe("2024-03-15");
+    expect(edit(renderer, "shipped", "12/1/2023").value).toBe("2023-12-01");
+  });
+
+  test("uses the editor of the column definition", () => {
+    expect(renderer.getEditorType({ field: "name", editor: "select" })).toBe("select");
+    expect(edit(renderer, "name", "Alice", (editor) => (editor.value = "Bob"))).toMatchObject({
+      editorType: "text",
+      value: "Bob",
+    });
+  });
+});
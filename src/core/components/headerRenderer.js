@@ -1,10 +1,36 @@
 // Imports
-import { createBaseElement } from "../../utils/htmlUtils.js";
+import { applyStyles, createBaseElement, debounce } from "../../utils/htmlUtils.js";
+import ColumnModel from "../logic/columnModel.js";
+
+// Delay in milliseconds before a column search input applies its filter.
+const FILTER_INPUT_DELAY = 300;
+
+// The most values offered by a filter select; columns with more values are filtered with the search input.
+const MAX_FILTER_OPTIONS = 1000;
+
+// The narrowest a column can be dragged to, in pixels, and the steps of resizing it with the arrow keys.
+const MIN_RESIZE_WIDTH = 30;
+const RESIZE_STEP = 10;
+const RESIZE_LARGE_STEP = 50;
 
 export class HeaderRenderer {
   constructor(tableInstance, options = {}) {
     this.tableInstance = tableInstance;
     this.options = options;
+    // Sort buttons keyed by column name
+    this.sortButtons = {};
+    // Search inputs and filter selects keyed by column name
+    this.filterControls = {};
+    // The header options menu that is open, if any ({ field, container, button, menu })
+    this.openMenu = null;
+    // The column whose header is being dragged to a new position, if any
+    this.dragField = null;
+
+    this.tableInstance.addListener(document, "click", (event) => {
+      if (this.openMenu && !this.openMenu.container.contains(event.target)) {
+        this.closeHeaderMenu();
+      }
+    });
 
     this.createHeaderRow();
     this.createBottomBorder();
@@ -25,7 +51,7 @@ export class HeaderRenderer {
     this.firstHeader = createBaseElement({
       tag: "th",
       attributes: {
-        class: "first-header table-header",
+        class: "first-header table-header pinned-left",
       },
       children: [
         createBaseElement({
@@ -33,6 +59,10 @@ export class HeaderRenderer {
           attributes: {
             type: "checkbox",
             class: "select-all table-checkbox",
+            "aria-label": "Select all rows on this page",
+          },
+          events: {
+            click: () => this.tableInstance.togglePageSelection(),
           },
         }),
       ],
@@ -40,12 +70,35 @@ export class HeaderRenderer {
     return this.firstHeader;
   }
 
-  createHeader(data, uniqueValues) {
+  /**
+   * Updates the select-all checkbox: checked when every row of the page is selected,
+   * and indeterminate when only some rows are selected.
+   * @param {string} pageState - How many rows of the page are selected: "all", "some" or "none".
+   * @param {boolean} hasSelection - Whether any row is selected, on this page or another.
+   */
+  updateSelectAll(pageState, hasSelection) {
+    const checkbox = this.firstHeader.firstChild;
+    checkbox.checked = pageState === "all";
+    checkbox.indeterminate = pageState !== "all" && hasSelection;
+  }
+
+  /**
+   * Creates the header cell of a column, following its definition.
+   * @param {Object} column - The column definition (see `ColumnModel`).
+   * @param {Array} uniqueValues - The unique values of the column.
+   * @returns {HTMLElement} The header cell.
+   */
+  createHeader(column, uniqueValues) {
+    const data = column.field;
     const header = createBaseElement({
       tag: "th",
       attributes: {
-        class: "table-header",
+        class: `table-header align-${this.tableInstance.getColumnAlign(data)}${
+          column.pinned ? ` pinned-${column.pinned}` : ""
+        }`,
+        "data-column": data,
       },
+      styles: this.tableInstance.getColumnWidthStyles(column),
       children: [
         createBaseElement({
           tag: "div",
@@ -56,96 +109,826 @@ export class HeaderRenderer {
       ],
     });
     // Add header title
-    header.firstChild.appendChild(this.createHeaderTitle(data));
-    header.firstChild.appendChild(this.createHeaderContent(data, uniqueValues));
+    const headerTitle = this.createHeaderTitle(column);
+    header.firstChild.appendChild(headerTitle);
+    const headerContent = column.filterable ? this.createHeaderContent(data, uniqueValues) : null;
+    if (headerContent) {
+      this.filterControls[data].header = header;
+    }
+    // With header options, the filter controls move into the column menu to keep the headers compact
+    if (this.tableInstance.hasHeaderOptions) {
+      headerTitle.appendChild(this.createHeaderMenu(column, headerContent));
+    } else if (headerContent) {
+      header.firstChild.appendChild(headerContent);
+    }
+    if (column.resizable) {
+      header.appendChild(this.createResizeHandle(column, header));
+    }
+    // Every header is a drop target, so other columns can be moved next to it
+    header.addEventListener("dragover", (event) => this.handleColumnDragOver(event, column, header));
+    header.addEventListener("dragleave", (event) => {
+      if (!header.contains(event.relatedTarget)) {
+        this.clearDropIndicator();
+      }
+    });
+    header.addEventListener("drop", (event) => this.handleColumnDrop(event, column, header));
 
     return header;
   }
 
-  createHeaderTitle(data) {
+  /**
+   * Whether a dragged column can be dropped next to a column: columns only move among the columns
+   * pinned to the same edge.
+   * @param {Object} column - The column under the pointer.
+   * @returns {boolean} Whether the dragged column can be dropped.
+   */
+  canDropColumn(column) {
+    const dragged = this.dragField && this.tableInstance.columns.getColumn(this.dragField);
+    return Boolean(dragged && dragged.field !== column.field && dragged.pinned === column.pinned);
+  }
+
+  /**
+   * Starts dragging a column by its header text.
+   * @param {DragEvent} event - The dragstart event.
+   * @param {Object} column - The column definition (see `ColumnModel`).
+   * @param {HTMLElement} header - The header cell.
+   */
+  handleColumnDragStart(event, column, header) {
+    this.dragField = column.field;
+    if (event.dataTransfer) {
+      event.dataTransfer.effectAllowed = "move";
+      // Firefox only starts a drag that carries data
+      event.dataTransfer.setData("text/plain", column.label);
+    }
+    header.classList.add("dragging");
+  }
+
+  /**
+   * Shows on which side of a header the dragged column will be dropped.
+   * @param {DragEvent} event - The dragover event.
+   * @param {Object} column - The column under the pointer.
+   * @param {HTMLElement} header - The header cell under the pointer.
+   */
+  handleColumnDragOver(event, column, header) {
+    if (!this.canDropColumn(column)) {
+      return;
+    }
+    event.preventDefault();
+    if (event.dataTransfer) {
+      event.dataTransfer.dropEffect = "move";
+    }
+    const after = this.isDropAfter(event, header);
+    if (!header.classList.contains(after ? "drop-after" : "drop-before")) {
+      this.clearDropIndicator();
+      header.classList.add(after ? "drop-after" : "drop-before");
+    }
+  }
+
+  /**
+   * Moves the dragged column before or after the column it is dropped on.
+   * @param {DragEvent} event - The drop event.
+   * @param {Object} column - The column dropped on.
+   * @param {HTMLElement} header - The header cell dropped on.
+   */
+  handleColumnDrop(event, column, header) {
+    if (!this.canDropColumn(column)) {
+      return;
+    }
+    event.preventDefault();
+    const field = this.dragField;
+    const order = this.tableInstance.getColumnOrder().filter((other) => other !== field);
+    order.splice(order.indexOf(column.field) + (this.isDropAfter(event, header) ? 1 : 0), 0, field);
+    this.endColumnDrag();
+    this.tableInstance.setColumnOrder(order);
+  }
+
+  /**
+   * Whether a drag is over the right half of a header, dropping the column after it.
+   * @param {DragEvent} event - The drag event.
+   * @param {HTMLElement} header - The header cell.
+   * @returns {boolean} Whether to drop after the column.
+   */
+  isDropAfter(event, header) {
+    const rect = header.getBoundingClientRect();
+    return event.clientX > rect.left + rect.width / 2;
+  }
+
+  /**
+   * Ends a column drag, removing the drag styles.
+   */
+  endColumnDrag() {
+    this.dragField = null;
+    this.clearDropIndicator();
+    this.headerRow.querySelectorAll(".dragging").forEach((element) => element.classList.remove("dragging"));
+  }
+
+  /**
+   * Removes the drop indicator from the headers.
+   */
+  clearDropIndicator() {
+    this.headerRow.querySelectorAll(".drop-before, .drop-after").forEach((element) => {
+      element.classList.remove("drop-before", "drop-after");
+    });
+  }
+
+  /**
+   * Moves a column left or right from the keyboard, keeping the focus on the moved control.
+   * @param {string} field - The column name.
+   * @param {number} direction - -1 to move the column left, 1 to move it right.
+   * @param {string} selector - The control of the header to focus after the move.
+   */
+  moveColumnFromKeyboard(field, direction, selector) {
+    if (!this.tableInstance.moveColumn(field, direction)) {
+      return;
+    }
+    const header = Array.from(this.headerRow.children).find(
+      (element) => element.dataset.column === field
+    );
+    const control = header && header.querySelector(selector);
+    if (control) {
+      control.focus();
+    }
+  }
+
+  /**
+   * Creates the resize handle on the right edge of a header cell. Dragging it resizes the column,
+   * a double-click sizes the column to its content, and with the handle focused the arrow keys
+   * resize the column (in larger steps with shift) and Enter sizes it to its content.
+   * @param {Object} column - The column definition (see `ColumnModel`).
+   * @param {HTMLElement} header - The header cell.
+   * @returns {HTMLElement} The resize handle.
+   */
+  createResizeHandle(column, header) {
+    const field = column.field;
+    const handle = createBaseElement({
+      tag: "div",
+      attributes: {
+        class: "column-resize-handle",
+        role: "separator",
+        "aria-orientation": "vertical",
+        "aria-label": `Resize ${column.label}`,
+        title: "Drag to resize, double-click to fit the content",
+        tabindex: "0",
+      },
+      events: {
+        pointerdown: (event) => this.startResize(event, column, header),
+        // Keep clicks on the handle from reaching the header
+        click: (event) => event.stopPropagation(),
+        dblclick: (event) => {
+          event.stopPropagation();
+          this.tableInstance.autosizeColumn(field);
+        },
+        keydown: (event) => {
+          if (event.key === "ArrowLeft" || event.key === "ArrowRight") {
+            event.preventDefault();
+            const step = (event.shiftKey ? RESIZE_LARGE_STEP : RESIZE_STEP) * (event.key === "ArrowLeft" ? -1 : 1);
+            const width = this.getRenderedWidth(column, header);
+            this.tableInstance.setColumnWidth(field, Math.max(width + step, MIN_RESIZE_WIDTH));
+          } else if (event.key === "Enter") {
+            event.preventDefault();
+            this.tableInstance.autosizeColumn(field);
+          }
+        },
+      },
+    });
+    return handle;
+  }
+
+  /**
+   * Resizes a column while its resize handle is dragged, and sets its width when the handle is released.
+   * @param {PointerEvent} event - The pointerdown event on the resize handle.
+   * @param {Object} column - The column definition (see `ColumnModel`).
+   * @param {HTMLElement} header - The header cell.
+   */
+  startResize(event, column, header) {
+    if (event.button !== undefined && event.button !== 0) {
+      return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+    const handle = event.currentTarget;
+    const startX = event.clientX;
+    const startWidth = this.getRenderedWidth(column, header);
+    let width = startWidth;
+
+    const onMove = (moveEvent) => {
+      width = ColumnModel.clampWidth(column, Math.max(startWidth + moveEvent.clientX - startX, MIN_RESIZE_WIDTH));
+      // Only restyle the column while dragging; the width is set once, on release
+      this.applyColumnWidth(column.field, width);
+    };
+    const onEnd = () => {
+      handle.removeEventListener("pointermove", onMove);
+      handle.removeEventListener("pointerup", onEnd);
+      handle.removeEventListener("pointercancel", onEnd);
+      header.classList.remove("resizing");
+      this.tableInstance.container.classList.remove("column-resizing");
+      if (width !== startWidth) {
+        this.tableInstance.setColumnWidth(column.field, width);
+      } else {
+        this.applyColumnWidth(column.field);
+      }
+    };
+
+    // Capture the pointer, so the drag goes on when the pointer leaves the handle
+    if (handle.setPointerCapture && event.pointerId !== undefined) {
+      handle.setPointerCapture(event.pointerId);
+    }
+    handle.addEventListener("pointermove", onMove);
+    handle.addEventListener("pointerup", onEnd);
+    handle.addEventListener("pointercancel", onEnd);
+    header.classList.add("resizing");
+    this.tableInstance.container.classList.add("column-resizing");
+  }
+
+  /**
+   * Gets the width of a column in pixels: its set width, or the width of its header cell.
+   * @param {Object} column - The column definition (see `ColumnModel`).
+   * @param {HTMLElement} header - The header cell.
+   * @returns {number} The width in pixels.
+   */
+  getRenderedWidth(column, header) {
+    return typeof column.width === "number"
+      ? column.width
+      : Math.round(header.getBoundingClientRect().width);
+  }
+
+  /**
+   * Applies the width of a column to its header cell and the cells of the rendered rows.
+   * @param {string} field - The column name.
+   * @param {number|string|null} [width] - The width to show, overriding the width of the column (default: the width
+   * of the column).
+   */
+  applyColumnWidth(field, width) {
+    const column = this.tableInstance.columns.getColumn(field);
+    if (!column) {
+      return;
+    }
+    const styles = this.tableInstance.getColumnWidthStyles(
+      width === undefined ? column : { ...column, width }
+    );
+    const sized = Boolean(styles.width || styles.maxWidth);
+    const header = Array.from(this.headerRow.children).find(
+      (element) => element.dataset.column === field
+    );
+    if (header) {
+      applyStyles(header, styles);
+    }
+    const body = this.tableInstance.tbody;
+    if (body) {
+      body.querySelectorAll("td[data-column]").forEach((cell) => {
+        if (cell.dataset.column === field) {
+          applyStyles(cell, styles);
+          cell.classList.toggle("sized-cell", sized);
+        }
+      });
+    }
+    // The columns pinned after this one move with its width
+    if (column.pinned) {
+      this.tableInstance.updatePinnedColumns();
+    }
+  }
+
+  createHeaderTitle(column) {
+    const data = column.field;
+    if (column.sortable) {
+      this.sortButtons[data] = this.createSortButton(data);
+    }
+
     const headerTitle = createBaseElement({
       tag: "div",
       attributes: {
         class: "header-title flex-row align-center justify-between",
       },
       children: [
-        createBaseElement({
+        column.reorderable ? this.createDraggableText(column) : createBaseElement({
           tag: "span",
           attributes: {
             class: "header-text",
           },
-          textContent: data,
+          textContent: column.label,
+        }),
+        ...(column.sortable ? [this.sortButtons[data]] : []),
+      ],
+    });
+
+    return headerTitle;
+  }
+
+  /**
+   * Creates the header text of a column that can be reordered: it can be dragged onto another header,
+   * and moved with Alt+ArrowLeft and Alt+ArrowRight when focused.
+   * @param {Object} column - The column definition (see `ColumnModel`).
+   * @returns {HTMLElement} The header text.
+   */
+  createDraggableText(column) {
+    return createBaseElement({
+      tag: "span",
+      attributes: {
+        class: "header-text draggable-header",
+        draggable: "true",
+        tabindex: "0",
+        title: "Drag to move the column (Alt+Left/Right with the keyboard)",
+        "aria-keyshortcuts": "Alt+ArrowLeft Alt+ArrowRight",
+      },
+      events: {
+        dragstart: (event) => this.handleColumnDragStart(event, column, event.target.closest("th")),
+        dragend: () => this.endColumnDrag(),
+        keydown: (event) => {
+          if (event.altKey && (event.key === "ArrowLeft" || event.key === "ArrowRight")) {
+            event.preventDefault();
+            this.moveColumnFromKeyboard(column.field, event.key === "ArrowLeft" ? -1 : 1, ".draggable-header");
+          }
+        },
+      },
+      textContent: column.label,
+    });
+  }
+
+  /**
+   * Creates the sort button of a column. A click cycles the column through
+   * ascending, descending and unsorted, and a shift-click adds it as a secondary sort key.
+   * @param {string} column - The column the button sorts.
+   * @returns {HTMLElement} The sort button.
+   */
+  createSortButton(column) {
+    return createBaseElement({
+      tag: "button",
+      attributes: {
+        type: "button",
+        class: "header-sort-btn",
+        title: "Sort (shift-click to add a secondary sort)",
+      },
+      events: {
+        click: (event) => this.tableInstance.toggleSort(column, event.shiftKey),
+      },
+      children: [
+        createBaseElement({
+          tag: "i",
+          attributes: {
+            class: "fas fa-sort",
+          },
         }),
         createBaseElement({
-          tag: "button",
+          tag: "span",
           attributes: {
-            class: "header-sort-btn",
+            class: "sort-priority",
           },
-          children: [
-            createBaseElement({
-              tag: "i",
-              attributes: {
-                class: "fas fa-sort",
-              },
-            }),
-          ],
         }),
       ],
     });
+  }
 
-    return headerTitle;
+  /**
+   * Updates the sort icons to show the direction and priority of each sorted column.
+   * @param {Array<Object>} sortState - The sort keys ({ column, direction }), in order of priority.
+   */
+  updateSortIndicators(sortState = []) {
+    Object.keys(this.sortButtons).forEach((column) => {
+      const button = this.sortButtons[column];
+      const index = sortState.findIndex((key) => key.column === column);
+      const key = sortState[index];
+      const icon = button.querySelector("i");
+      const priority = button.querySelector(".sort-priority");
+      const header = button.closest("th");
+
+      icon.className = `fas ${
+        !key ? "fa-sort" : key.direction === "asc" ? "fa-sort-up" : "fa-sort-down"
+      }`;
+      priority.textContent = key && sortState.length > 1 ? index + 1 : "";
+      button.classList.toggle("sort-active", Boolean(key));
+
+      if (header) {
+        header.setAttribute(
+          "aria-sort",
+          !key ? "none" : key.direction === "asc" ? "ascending" : "descending"
+        );
+      }
+    });
   }
 
-  createHeaderContent(data, uniqueValues) {
+  /**
+   * Creates the options menu of a column: a kebab button opening a dropdown with the column actions
+   * and the filter controls of the column.
+   * @param {Object} column - The column definition.
+   * @param {HTMLElement|null} headerContent - The filter controls of the column, if it is filterable.
+   * @returns {HTMLElement} The menu container.
+   */
+  createHeaderMenu(column, headerContent) {
+    const menu = createBaseElement({
+      tag: "div",
+      attributes: {
+        class: "header-menu dropdown-menu flex-col",
+        role: "dialog",
+        "aria-label": `${column.label} options`,
+      },
+      events: {
+        keydown: (event) => this.handleHeaderMenuKeydown(event),
+      },
+    });
+    menu.hidden = true;
+
+    const button = createBaseElement({
+      tag: "button",
+      attributes: {
+        type: "button",
+        class: "header-menu-btn",
+        title: `${column.label} options`,
+        "aria-label": `${column.label} options`,
+        "aria-haspopup": "dialog",
+        "aria-expanded": "false",
+      },
+      children: [
+        createBaseElement({ tag: "i", attributes: { class: "fas fa-ellipsis-vertical" } }),
+      ],
+    });
+
+    const container = createBaseElement({
+      tag: "div",
+      attributes: { class: "header-menu-container dropdown" },
+      events: {
+        focusout: (event) => {
+          if (event.relatedTarget && !container.contains(event.relatedTarget)) {
+            this.closeHeaderMenu();
+          }
+        },
+      },
+      children: [button, menu],
+    });
+
+    const entry = { field: column.field, container, button, menu, headerContent };
+    button.addEventListener("click", () => {
+      if (this.openMenu === entry) {
+        this.closeHeaderMenu();
+      } else {
+        this.openHeaderMenu(entry);
+      }
+    });
+    return container;
+  }
+
+  /**
+   * Opens the options menu of a column, closing any other, with its items up to date.
+   * @param {Object} entry - The menu ({ field, container, button, menu, headerContent }).
+   */
+  openHeaderMenu(entry) {
+    this.closeHeaderMenu();
+    const column = this.tableInstance.columns.getColumn(entry.field);
+    entry.menu.replaceChildren(
+      ...this.createHeaderMenuItems(column),
+      ...(entry.headerContent
+        ? [
+            createBaseElement({ tag: "p", attributes: { class: "header-menu-heading" }, textContent: "Filter" }),
+            entry.headerContent,
+          ]
+        : [])
+    );
+    entry.menu.hidden = false;
+    entry.button.setAttribute("aria-expanded", "true");
+    this.openMenu = entry;
+
+    const firstItem = entry.menu.querySelector("button:not([disabled]), input, select");
+    if (firstItem) {
+      firstItem.focus();
+    }
+  }
+
+  /**
+   * Closes the open column options menu.
+   * @param {boolean} restoreFocus - Whether to move the focus back to the menu button.
+   */
+  closeHeaderMenu(restoreFocus = false) {
+    const entry = this.openMenu;
+    if (!entry) {
+      return;
+    }
+    this.openMenu = null;
+    entry.menu.hidden = true;
+    entry.button.setAttribute("aria-expanded", "false");
+    if (restoreFocus) {
+      entry.button.focus();
+    }
+  }
+
+  /**
+   * Handles the keyboard in a column options menu: Escape closes it, and the arrow keys move between the items.
+   * @param {KeyboardEvent} event - The keydown event.
+   */
+  handleHeaderMenuKeydown(event) {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      this.closeHeaderMenu(true);
+      return;
+    }
+    if (event.key !== "ArrowDown" && event.key !== "ArrowUp") {
+      return;
+    }
+    const items = Array.from(
+      this.openMenu.menu.querySelectorAll(".header-menu-item:not([disabled])")
+    );
+    const index = items.indexOf(document.activeElement);
+    if (index === -1) {
+      return;
+    }
+    event.preventDefault();
+    const step = event.key === "ArrowDown" ? 1 : -1;
+    items[(index + step + items.length) % items.length].focus();
+  }
+
+  /**
+   * Whether a column can move left or right, past a visible column pinned to the same edge.
+   * @param {Object} column - The column definition.
+   * @param {number} direction - -1 for left, 1 for right.
+   * @returns {boolean} Whether the column can move.
+   */
+  canMoveColumn(column, direction) {
+    const siblings = this.tableInstance.columns
+      .getVisibleColumns()
+      .filter((other) => other.pinned === column.pinned);
+    const index = siblings.findIndex((other) => other.field === column.field);
+    return index !== -1 && Boolean(siblings[index + direction]);
+  }
+
+  /**
+   * Creates the items of a column options menu, reflecting the current sort, visibility, pinning, position
+   * and grouping.
+   * @param {Object} column - The column definition.
+   * @returns {Array<HTMLElement>} The menu items.
+   */
+  createHeaderMenuItems(column) {
+    const table = this.tableInstance;
+    const field = column.field;
+    const sortKey = table.sortState.find((key) => key.column === field);
+    const item = (icon, label, onClick, { disabled = false, keepOpen = false } = {}) => {
+      const button = createBaseElement({
+        tag: "button",
+        attributes: { type: "button", class: "header-menu-item" },
+        events: {
+          click: () => {
+            if (!keepOpen) {
+              this.closeHeaderMenu(true);
+            }
+            onClick();
+          },
+        },
+        children: [
+          createBaseElement({ tag: "i", attributes: { class: `fas ${icon}` } }),
+          ` ${label}`,
+        ],
+      });
+      button.disabled = disabled;
+      return button;
+    };
+
+    const statsPanel = createBaseElement({
+      tag: "dl",
+      attributes: { class: "column-stats" },
+    });
+    statsPanel.hidden = true;
+
+    return [
+      ...(column.sortable
+        ? [
+            item("fa-arrow-up-short-wide", "Sort ascending", () => table.setColumnSort(field, "asc"), {
+              disabled: Boolean(sortKey && sortKey.direction === "asc" && table.sortState.length === 1),
+            }),
+            item("fa-arrow-down-wide-short", "Sort descending", () => table.setColumnSort(field, "desc"), {
+              disabled: Boolean(sortKey && sortKey.direction === "desc" && table.sortState.length === 1),
+            }),
+            item("fa-xmark", "Clear sort", () => table.setColumnSort(field, null), {
+              disabled: !sortKey,
+            }),
+          ]
+        : []),
+      item("fa-eye-slash", "Hide column", () => table.setColumnVisible(field, false), {
+        // The last visible column cannot be hidden
+        disabled: table.columns.getVisibleColumns().length === 1,
+      }),
+      ...(column.pinned !== "left"
+        ? [item("fa-thumbtack", "Pin left", () => table.setColumnPinned(field, "left"))]
+        : []),
+      ...(column.pinned !== "right"
+        ? [item("fa-thumbtack", "Pin right", () => table.setColumnPinned(field, "right"))]
+        : []),
+      ...(column.pinned ? [item("fa-thumbtack-slash", "Unpin", () => table.setColumnPinned(field, null))] : []),
+      ...(column.reorderable
+        ? [
+            item("fa-arrow-left", "Move left", () => this.moveColumnFromKeyboard(field, -1, ".header-menu-btn"), {
+              disabled: !this.canMoveColumn(column, -1),
+            }),
+            item("fa-arrow-right", "Move right", () => this.moveColumnFromKeyboard(field, 1, ".header-menu-btn"), {
+              disabled: !this.canMoveColumn(column, 1),
+            }),
+          ]
+        : []),
+      item("fa-arrows-left-right", "Autosize", () => table.autosizeColumn(field)),
+      table.groupBy === field
+        ? item("fa-layer-group", "Ungroup", () => table.setGroupBy(null))
+        : item("fa-layer-group", "Group by this column", () => table.setGroupBy(field)),
+      item(
+        "fa-chart-simple",
+        "Column stats",
+        () => {
+          statsPanel.hidden = !statsPanel.hidden;
+          if (!statsPanel.hidden) {
+            this.renderColumnStats(statsPanel, field);
+          }
+        },
+        { keepOpen: true }
+      ),
+      statsPanel,
+    ];
+  }
+
+  /**
+   * Renders the statistics of a column as a description list.
+   * @param {HTMLElement} list - The description list.
+   * @param {string} field - The column name.
+   */
+  renderColumnStats(list, field) {
+    const table = this.tableInstance;
+    const stats = table.getColumnStats(field);
+    const format = (value) => table.formatValue(value, field);
+    const number = (value) => value.toLocaleString(table.locale, { maximumFractionDigits: 2 });
+    const entries = [
+      [stats.scope === "page" ? "Rows on this page" : "Rows", number(stats.count)],
+      ["Empty", number(stats.empty)],
+      ["Distinct", number(stats.distinct)],
+      ...(stats.trueCount !== undefined ? [["Yes", number(stats.trueCount)]] : []),
+      ...(stats.min !== undefined ? [["Min", format(stats.min)], ["Max", format(stats.max)]] : []),
+      ...(stats.sum !== undefined
+        ? [
+            ["Sum", format(stats.sum)],
+            // An integer column can have a fractional average
+            ["Average", stats.type === "integer" ? number(stats.average) : format(stats.average)],
+          ]
+        : []),
+    ];
+    list.replaceChildren(
+      ...entries.flatMap(([term, value]) => [
+        createBaseElement({ tag: "dt", textContent: term }),
+        createBaseElement({ tag: "dd", textContent: value }),
+      ])
+    );
+  }
+
+  createHeaderContent(data, uniqueValues = []) {
+    const searchInput = createBaseElement({
+      tag: "input",
+      attributes: {
+        type: "text",
+        class: "table-control column-search",
+        placeholder: "Search...",
+      },
+      events: {
+        input: debounce((event) => {
+          this.tableInstance.setColumnFilter(data, { search: event.target.value });
+        }, FILTER_INPUT_DELAY),
+      },
+    });
+    const selectElement = this.createSelectElement(data, uniqueValues);
+    this.filterControls[data] = { searchInput, selectElement };
+
     const headerContent = createBaseElement({
       tag: "div",
       attributes: {
         class: "header-content flex-col base-gap",
       },
-      children: [
+      children: [searchInput, selectElement],
+    });
+    return headerContent;
+  }
+
+  /**
+   * Creates the options of a filter select, starting with the "Filter by" option that clears the filter.
+   * Only the first values of a column with many values are offered, along with the value it is filtered by.
+   * @param {string} headerName - The column name.
+   * @param {Array} uniqueValues - The unique values of the column.
+   * @returns {Array<HTMLElement>} The option elements.
+   */
+  createFilterOptions(headerName, uniqueValues = []) {
+    const filter = this.tableInstance.filters[headerName];
+    const selected = filter && filter.value;
+    const values = uniqueValues.slice(0, MAX_FILTER_OPTIONS);
+    if (selected && !values.some((value) => String(value) === selected)) {
+      values.push(selected);
+    }
+    const hidden = uniqueValues.length - MAX_FILTER_OPTIONS;
+
+    return [
+      createBaseElement({
+        tag: "option",
+        attributes: {
+          value: "",
+        },
+        textContent: `Filter by ${this.getColumnLabel(headerName)}`,
+      }),
+      ...values.map((value) =>
         createBaseElement({
-          tag: "input",
+          tag: "option",
           attributes: {
-            type: "text",
-            class: "table-control",
-            placeholder: "Search...",
+            value: value,
           },
-        }),
-        this.createSelectElement(data, uniqueValues),
-      ],
+          textContent: this.tableInstance.formatValue(value, headerName),
+        })
+      ),
+      ...(hidden > 0
+        ? [
+            createBaseElement({
+              tag: "option",
+              attributes: { value: "", disabled: "" },
+              textContent: `${hidden.toLocaleString()} more values: use the search`,
+            }),
+          ]
+        : []),
+    ];
+  }
+
+  /**
+   * Replaces the options of the filter selects, keeping the selected values.
+   * @param {Object} uniqueColumnValues - An object containing unique values for each column.
+   */
+  updateFilterOptions(uniqueColumnValues = {}) {
+    Object.keys(this.filterControls).forEach((column) => {
+      const { selectElement } = this.filterControls[column];
+      const value = selectElement.value;
+      selectElement.replaceChildren(
+        ...this.createFilterOptions(column, uniqueColumnValues[column])
+      );
+      selectElement.value = value;
+    });
+  }
+
+  /**
+   * Returns the label of a column.
+   * @param {string} column - The column name.
+   * @returns {string} The label of the column definition, or the column name.
+   */
+  getColumnLabel(column) {
+    const definition = this.tableInstance.columns.getColumn(column);
+    return definition ? definition.label : column;
+  }
+
+  /**
+   * Updates the alignment of the headers, once the column types are known.
+   */
+  updateColumnAlignment() {
+    this.headerRow.querySelectorAll("th[data-column]").forEach((header) => {
+      header.classList.remove("align-left", "align-center", "align-right");
+      header.classList.add(`align-${this.tableInstance.getColumnAlign(header.dataset.column)}`);
     });
-    return headerContent;
   }
 
   createSelectElement(headerName, uniqueValues) {
     const selectElement = createBaseElement({
       tag: "select",
       attributes: {
-        class: "table-control",
+        class: "table-control column-filter",
       },
-      children: [
-        createBaseElement({
-          tag: "option",
-          attributes: {
-            value: "",
-            disabled: true,
-          },
-          textContent: `Filter by ${headerName}`,
-        }),
-        ...uniqueValues.map(value => 
-          createBaseElement({
-            tag: "option",
-            attributes: {
-              value: value,
-            },
-            textContent: value,
-          })
-        ),
-      ],
+      events: {
+        change: (event) => {
+          this.tableInstance.setColumnFilter(headerName, { value: event.target.value });
+        },
+      },
+      children: this.createFilterOptions(headerName, uniqueValues),
     });
     return selectElement;
   }
 
+  /**
+   * Updates the search inputs and filter selects to reflect the active column filters.
+   * @param {Object} filters - The column filters ({ search, value }) keyed by column name.
+   */
+  updateFilterControls(filters = {}) {
+    Object.keys(this.filterControls).forEach((column) => {
+      const { searchInput, selectElement, header } = this.filterControls[column];
+      const filter = filters[column] || {};
+      const search = filter.search || "";
+
+      // Leave the input alone while it is being typed in, so the caret does not jump
+      if (searchInput.value.trim() !== search) {
+        searchInput.value = search;
+      }
+      selectElement.value = filter.value || "";
+      header.classList.toggle("filter-active", Boolean(filters[column]));
+    });
+  }
+
+  /**
+   * Measures the width a column takes to fit its content, by letting the browser lay it out without a fixed width.
+   * @param {string} field - The column name.
+   * @returns {number} The width in pixels, or 0 if the column is not rendered.
+   */
+  measureColumnWidth(field) {
+    const header = Array.from(this.headerRow.children).find(
+      (element) => element.dataset.column === field
+    );
+    if (!header) {
+      return 0;
+    }
+    this.applyColumnWidth(field, null);
+    return Math.ceil(header.getBoundingClientRect().width);
+  }
+
   createBottomBorder() {
     const bottomBorder = createBaseElement({
       tag: "div",
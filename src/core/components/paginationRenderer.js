@@ -9,11 +9,10 @@ export class PaginationRenderer {
   }
 
   updateRowsPerPage(rowsPerPage) {
-    this.tableInstance.rowsPerPage = rowsPerPage;
+    this.tableInstance.setRowsPerPage(rowsPerPage);
     this.updateTotalPages();
     this.currentPage = 1;
     this.renderPagination();
-    this.tableInstance.updateBody();
   }
 
   updateTotalPages() {
@@ -108,9 +107,11 @@ export class PaginationRenderer {
       return;
     }
 
-    this.currentPage = parseInt(newPage, 10);
-    this.tableInstance.currentPage = this.currentPage;
-    this.tableInstance.updateBody();
+    // The table may cancel the change
+    if (!this.tableInstance.setPage(newPage)) {
+      return;
+    }
+    this.currentPage = this.tableInstance.currentPage;
     this.renderPagination();
   }
 }
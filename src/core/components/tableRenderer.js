@@ -1,5 +1,31 @@
 // Imports
-import { createBaseElement } from "../../utils/htmlUtils.js";
+import { createBaseElement, debounce } from "../../utils/htmlUtils.js";
+import { Toast } from "../../utils/toast.js";
+import { EXPORT_FORMATS } from "../api/exporter.js";
+import ThemeLoader from "../api/themeLoader.js";
+
+// Row densities and text overflow modes of the table.
+export const DENSITIES = ["compact", "normal", "comfortable"];
+export const TEXT_OVERFLOWS = ["wrap", "truncate"];
+
+// File types offered by the file picker.
+const FILE_INPUT_ACCEPT = ".csv,.tsv,.txt,.json,text/csv,text/tab-separated-values,application/json";
+
+/**
+ * Format a number of bytes as a human-readable size.
+ * @param {number} bytes - The number of bytes.
+ * @returns {string} The formatted size (e.g. "12.5 MB").
+ */
+const formatBytes = (bytes) => {
+  const units = ["B", "KB", "MB", "GB"];
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${unit ? size.toFixed(1) : size} ${units[unit]}`;
+};
 
 /**
  * Class representing a TableRenderer.
@@ -18,6 +44,37 @@ export class TableRenderer {
 
     // List of options for rows per page dropdown.
     this.rowsPerPageList = [5, 10, 20, 50, 100, 500, 1000];
+    // Listeners added to the document and the container ({ target, type, handler }), removed by `removeListeners`
+    this.listeners = [];
+  }
+
+  /**
+   * Get the id of an element of the table, prefixed with the table id so several tables can share a page.
+   * @param {string} name - The name of the element.
+   * @returns {string} The element id.
+   */
+  getElementId(name) {
+    return `${this.tableId}-${name}`;
+  }
+
+  /**
+   * Add an event listener to an element outside of the rendered table, such as the document or the container,
+   * keeping track of it so it can be removed when the table is rebuilt or destroyed.
+   * @param {EventTarget} target - The element to listen to.
+   * @param {string} type - The event type.
+   * @param {Function} handler - The event handler.
+   */
+  addListener(target, type, handler) {
+    target.addEventListener(type, handler);
+    this.listeners.push({ target, type, handler });
+  }
+
+  /**
+   * Remove the event listeners added with `addListener`.
+   */
+  removeListeners() {
+    this.listeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+    this.listeners = [];
   }
 
   /**
@@ -31,7 +88,29 @@ export class TableRenderer {
   }
 
   /**
-   * Create elements for the top container, including search and table options.
+   * Set the CSS custom properties of a theme on the table container, so the theme only applies to this table.
+   * Properties of the previous theme that the new theme does not set fall back to the stylesheet.
+   * @param {Object} theme - The theme ({ name, colorScheme, variables }).
+   */
+  applyTheme(theme) {
+    const properties = ThemeLoader.toProperties(theme);
+    (this.themeProperties || []).forEach((name) => {
+      if (!(name in properties)) {
+        this.container.style.removeProperty(name);
+      }
+    });
+    Object.entries(properties).forEach(([name, value]) => {
+      this.container.style.setProperty(name, value);
+    });
+    this.themeProperties = Object.keys(properties);
+
+    this.container.setAttribute("data-theme", theme.name);
+    // Let native controls, such as scrollbars and inputs, match the theme
+    this.container.style.colorScheme = theme.colorScheme || "";
+  }
+
+  /**
+   * Create elements for the top container, including search, clear filters and table options.
    */
   createTopContainerElements() {
     this.topContainer = createBaseElement({
@@ -60,7 +139,29 @@ export class TableRenderer {
         placeholder: "Search...",
         class: "searchbar table-control",
       },
+      events: {
+        input: debounce(
+          (event) => this.setSearch(event.target.value),
+          this.searchOptions.delay
+        ),
+      },
+    });
+
+    this.clearFiltersButton = createBaseElement({
+      tag: "button",
+      attributes: {
+        type: "button",
+        class: "clear-filters-btn table-control",
+        title: "Clear all column filters",
+      },
+      events: { click: () => this.clearFilters() },
+      children: [
+        createBaseElement({ tag: "i", attributes: { class: "fas fa-filter-circle-xmark" } }),
+        " Clear filters",
+      ],
     });
+    this.clearFiltersButton.hidden = true;
+    this.topRightContainer.appendChild(this.clearFiltersButton);
 
     this.topMenuContainer = createBaseElement({
       tag: "div",
@@ -72,8 +173,22 @@ export class TableRenderer {
       this.topRightContainer.appendChild(this.searchbar);
     }
 
+    // Conditionally add the file picker if enabled.
+    if (this.hasFileInput) {
+      this.topRightContainer.appendChild(this.createFileInputElements());
+    }
+
+    // Conditionally add the views menu if enabled.
+    if (this.hasSavedViews) {
+      this.topMenuContainer.appendChild(this.createViewsElements());
+    }
+
     // Conditionally add the table options menu if enabled.
     if (this.hasTableOptions) {
+      this.topMenuContainer.appendChild(this.createTableOptionsElements());
+    }
+
+    if (this.hasSavedViews || this.hasTableOptions) {
       this.topRightContainer.appendChild(this.topMenuContainer);
     }
 
@@ -81,7 +196,547 @@ export class TableRenderer {
   }
 
   /**
-   * Create elements for the action container, such as the loader.
+   * Create the table options menu, a dropdown with the column visibility, row density, text overflow,
+   * rows per page, export and layout reset controls. The menu closes on Escape, when the focus leaves it
+   * and on a click outside of it.
+   * @returns {HTMLElement} The table options container.
+   */
+  createTableOptionsElements() {
+    // Rebuilt each time the menu opens, as the columns follow the loaded data
+    this.columnOptionsList = createBaseElement({
+      tag: "div",
+      attributes: { class: "column-options flex-col" },
+    });
+
+    this.densityRadios = DENSITIES.map((density) =>
+      createBaseElement({
+        tag: "input",
+        attributes: { type: "radio", name: `${this.tableId}-density`, value: density },
+        events: { change: () => this.setDensity(density) },
+      })
+    );
+
+    this.textOverflowRadios = TEXT_OVERFLOWS.map((textOverflow) =>
+      createBaseElement({
+        tag: "input",
+        attributes: { type: "radio", name: `${this.tableId}-text-overflow`, value: textOverflow },
+        events: { change: () => this.setTextOverflow(textOverflow) },
+      })
+    );
+
+    this.optionsRowsPerPageSelect = createBaseElement({
+      tag: "select",
+      attributes: { class: "table-control" },
+      events: { change: (event) => this.setRowsPerPage(parseInt(event.target.value)) },
+      children: this.rowsPerPageList.map((value) =>
+        createBaseElement({ tag: "option", attributes: { value }, textContent: value })
+      ),
+    });
+
+    const radioLabel = (radio) =>
+      createBaseElement({
+        tag: "label",
+        attributes: { class: "flex-row align-center base-gap" },
+        children: [radio, radio.value.charAt(0).toUpperCase() + radio.value.slice(1)],
+      });
+    const section = (legend, children) => this.createMenuSection(legend, children);
+
+    this.tableOptionsMenu = createBaseElement({
+      tag: "div",
+      attributes: {
+        class: "table-options-menu dropdown-menu flex-col base-gap",
+        role: "dialog",
+        "aria-label": "Table options",
+      },
+      events: {
+        keydown: (event) => {
+          if (event.key === "Escape") {
+            this.toggleTableOptions(false);
+            this.tableOptionsButton.focus();
+          }
+        },
+      },
+      children: [
+        section("Columns", [this.columnOptionsList]),
+        section("Row density", this.densityRadios.map(radioLabel)),
+        section("Text", this.textOverflowRadios.map(radioLabel)),
+        // Virtual scrolling shows every row
+        ...(this.isVirtual() ? [] : [section("Rows per page", [this.optionsRowsPerPageSelect])]),
+        section("Export", this.createExportElements()),
+        createBaseElement({
+          tag: "button",
+          attributes: { type: "button", class: "reset-layout-btn table-control" },
+          events: { click: () => this.resetLayout() },
+          textContent: "Reset layout to defaults",
+        }),
+      ],
+    });
+    this.tableOptionsMenu.hidden = true;
+
+    this.tableOptionsButton = createBaseElement({
+      tag: "button",
+      attributes: {
+        type: "button",
+        class: "table-options-btn table-control",
+        "aria-haspopup": "dialog",
+        "aria-expanded": "false",
+      },
+      events: { click: () => this.toggleTableOptions() },
+      children: [
+        createBaseElement({ tag: "i", attributes: { class: "fas fa-sliders" } }),
+        " Options",
+      ],
+    });
+
+    this.tableOptionsContainer = createBaseElement({
+      tag: "div",
+      attributes: { class: "table-options dropdown" },
+      events: {
+        focusout: (event) => {
+          if (event.relatedTarget && !this.tableOptionsContainer.contains(event.relatedTarget)) {
+            this.toggleTableOptions(false);
+          }
+        },
+      },
+      children: [this.tableOptionsButton, this.tableOptionsMenu],
+    });
+
+    this.addListener(document, "click", (event) => {
+      if (!this.tableOptionsMenu.hidden && !this.tableOptionsContainer.contains(event.target)) {
+        this.toggleTableOptions(false);
+      }
+    });
+
+    return this.tableOptionsContainer;
+  }
+
+  /**
+   * Create a titled section of a dropdown menu.
+   * @param {string} legend - The title of the section.
+   * @param {Array<HTMLElement>} children - The controls of the section.
+   * @returns {HTMLElement} The section.
+   */
+  createMenuSection(legend, children) {
+    return createBaseElement({
+      tag: "fieldset",
+      attributes: { class: "table-options-section flex-col base-gap" },
+      children: [createBaseElement({ tag: "legend", textContent: legend }), ...children],
+    });
+  }
+
+  /**
+   * Create the views menu, a dropdown listing the saved views to apply, with controls to save the current view,
+   * to update, rename, delete or make the default the active view, and to export and import the views.
+   * The menu closes on Escape, when the focus leaves it and on a click outside of it.
+   * @returns {HTMLElement} The views container.
+   */
+  createViewsElements() {
+    // Rebuilt whenever the views change
+    this.viewsList = createBaseElement({
+      tag: "div",
+      attributes: { class: "views-list flex-col base-gap" },
+    });
+    this.viewActions = createBaseElement({
+      tag: "div",
+      attributes: { class: "view-actions flex-col base-gap" },
+    });
+
+    this.viewNameInput = createBaseElement({
+      tag: "input",
+      attributes: {
+        type: "text",
+        class: "view-name table-control",
+        placeholder: "View name",
+        "aria-label": "View name",
+      },
+      events: {
+        keydown: (event) => {
+          if (event.key === "Enter") {
+            event.preventDefault();
+            this.saveNewView();
+          }
+        },
+      },
+    });
+
+    this.viewsFileInput = createBaseElement({
+      tag: "input",
+      attributes: { type: "file", class: "file-input", accept: ".json,application/json" },
+      events: {
+        change: (event) => {
+          const [file] = event.target.files;
+          if (file) {
+            this.importViewsFile(file);
+          }
+          // Allow the same file to be picked again
+          event.target.value = "";
+        },
+      },
+    });
+    this.viewsFileInput.hidden = true;
+
+    const button = (icon, label, onClick) =>
+      createBaseElement({
+        tag: "button",
+        attributes: { type: "button", class: "table-control" },
+        events: { click: onClick },
+        children: [createBaseElement({ tag: "i", attributes: { class: `fas ${icon}` } }), ` ${label}`],
+      });
+
+    this.viewsMenu = createBaseElement({
+      tag: "div",
+      attributes: {
+        class: "views-menu table-options-menu dropdown-menu flex-col base-gap",
+        role: "dialog",
+        "aria-label": "Saved views",
+      },
+      events: {
+        keydown: (event) => {
+          if (event.key === "Escape") {
+            this.toggleViewsMenu(false);
+            this.viewsButton.focus();
+          }
+        },
+      },
+      children: [
+        this.createMenuSection("Views", [this.viewsList]),
+        this.createMenuSection("Active view", [this.viewActions]),
+        this.createMenuSection("Save the current view", [
+          createBaseElement({
+            tag: "div",
+            attributes: { class: "flex-row base-gap" },
+            children: [this.viewNameInput, button("fa-floppy-disk", "Save", () => this.saveNewView())],
+          }),
+        ]),
+        this.createMenuSection("Import and export", [
+          createBaseElement({
+            tag: "div",
+            attributes: { class: "flex-row base-gap" },
+            children: [
+              button("fa-file-export", "Export", () => this.downloadViews()),
+              button("fa-file-import", "Import", () => this.viewsFileInput.click()),
+              this.viewsFileInput,
+            ],
+          }),
+        ]),
+      ],
+    });
+    this.viewsMenu.hidden = true;
+
+    this.viewsButton = createBaseElement({
+      tag: "button",
+      attributes: {
+        type: "button",
+        class: "views-btn table-control",
+        "aria-haspopup": "dialog",
+        "aria-expanded": "false",
+      },
+      events: { click: () => this.toggleViewsMenu() },
+      children: [
+        createBaseElement({ tag: "i", attributes: { class: "fas fa-bookmark" } }),
+        " Views",
+      ],
+    });
+
+    this.viewsContainer = createBaseElement({
+      tag: "div",
+      attributes: { class: "views dropdown" },
+      events: {
+        focusout: (event) => {
+          if (event.relatedTarget && !this.viewsContainer.contains(event.relatedTarget)) {
+            this.toggleViewsMenu(false);
+          }
+        },
+      },
+      children: [this.viewsButton, this.viewsMenu],
+    });
+
+    this.addListener(document, "click", (event) => {
+      if (!this.viewsMenu.hidden && !this.viewsContainer.contains(event.target)) {
+        this.toggleViewsMenu(false);
+      }
+    });
+
+    this.updateViewsMenu();
+    return this.viewsContainer;
+  }
+
+  /**
+   * Open or close the views menu, moving the focus to its first control when it opens.
+   * @param {boolean} open - Whether to open the menu (default: toggle it).
+   */
+  toggleViewsMenu(open = this.viewsMenu.hidden) {
+    if (open) {
+      this.updateViewsMenu();
+    }
+    this.viewsMenu.hidden = !open;
+    this.viewsButton.setAttribute("aria-expanded", String(open));
+    if (open) {
+      const firstControl = this.viewsMenu.querySelector("input, button");
+      if (firstControl) {
+        firstControl.focus();
+      }
+    }
+  }
+
+  /**
+   * Update the views menu to match the views: a button per view, marking the active and the default view,
+   * and the actions of the active view.
+   */
+  updateViewsMenu() {
+    if (!this.viewsMenu) {
+      return;
+    }
+    const views = this.getViews();
+    const defaultView = this.views.defaultView;
+    this.viewsList.replaceChildren(
+      ...(views.length
+        ? views.map((view) =>
+            createBaseElement({
+              tag: "button",
+              attributes: {
+                type: "button",
+                class: `view-item table-control${view.id === this.activeView ? " active" : ""}`,
+                "aria-pressed": String(view.id === this.activeView),
+              },
+              events: {
+                click: () => {
+                  this.toggleViewsMenu(false);
+                  this.applyView(view.id).catch((error) => console.error("Error applying view:", error));
+                },
+              },
+              children: [
+                createBaseElement({ tag: "span", attributes: { class: "view-name-text" }, textContent: view.name }),
+                ...(view.id === defaultView
+                  ? [createBaseElement({ tag: "i", attributes: { class: "fas fa-star", title: "Default view" } })]
+                  : []),
+              ],
+            })
+          )
+        : [createBaseElement({ tag: "p", attributes: { class: "views-empty" }, textContent: "No saved views" })])
+    );
+
+    const active = this.getActiveView();
+    const action = (icon, label, onClick) =>
+      createBaseElement({
+        tag: "button",
+        attributes: { type: "button", class: "table-control" },
+        events: { click: () => this.runViewAction(onClick) },
+        children: [createBaseElement({ tag: "i", attributes: { class: `fas ${icon}` } }), ` ${label}`],
+      });
+    this.viewActions.replaceChildren(
+      ...(active
+        ? [
+            createBaseElement({ tag: "p", attributes: { class: "view-active-name" }, textContent: active.name }),
+            action("fa-arrows-rotate", "Update with the current view", () => this.updateView(active.id)),
+            action("fa-pen", "Rename to the name below", () => {
+              this.renameView(active.id, this.viewNameInput.value);
+              this.viewNameInput.value = "";
+            }),
+            active.id === defaultView
+              ? action("fa-star-half-stroke", "Clear default", () => this.setDefaultView(null))
+              : action("fa-star", "Set as default", () => this.setDefaultView(active.id)),
+            action("fa-trash", "Delete", async () => {
+              if (await this.confirmAction(`Delete the view "${active.name}"?`)) {
+                this.deleteView(active.id);
+              }
+            }),
+          ]
+        : [
+            createBaseElement({
+              tag: "p",
+              attributes: { class: "views-empty" },
+              textContent: "Apply or save a view to manage it",
+            }),
+          ])
+    );
+  }
+
+  /**
+   * Save the current view under the name typed in the views menu.
+   */
+  saveNewView() {
+    this.runViewAction(() => {
+      this.createView(this.viewNameInput.value);
+      this.viewNameInput.value = "";
+    });
+  }
+
+  /**
+   * Run an action of the views menu, reporting an error, such as a name that is already used, in a toast.
+   * @param {Function} action - The action; it may return a promise.
+   * @returns {Promise<void>} A promise that resolves once the action has run.
+   */
+  async runViewAction(action) {
+    try {
+      await action();
+    } catch (error) {
+      this.toast.showToast(error.message, "error");
+    }
+  }
+
+  /**
+   * Create the export controls of the table options menu, choosing the rows and values to export
+   * and the file format.
+   * @returns {Array<HTMLElement>} The export controls.
+   */
+  createExportElements() {
+    this.exportScopeSelect = createBaseElement({
+      tag: "select",
+      attributes: { class: "export-scope table-control" },
+      children: [
+        ["filtered", "Filtered rows"],
+        ["all", "All rows"],
+        ["selected", "Selected rows"],
+        ["page", "Current page"],
+      ].map(([value, label]) =>
+        createBaseElement({ tag: "option", attributes: { value }, textContent: label })
+      ),
+    });
+
+    this.exportFormattedCheckbox = createBaseElement({
+      tag: "input",
+      attributes: { type: "checkbox", class: "export-formatted" },
+    });
+
+    this.exportFormatButtons = this.exportOptions.formats.map((format) =>
+      createBaseElement({
+        tag: "button",
+        attributes: {
+          type: "button",
+          class: "export-format-btn table-control",
+          "data-format": format,
+        },
+        events: {
+          click: () => {
+            this.toggleTableOptions(false);
+            this.runExport(format, {
+              scope: this.exportScopeSelect.value,
+              values: this.exportFormattedCheckbox.checked ? "formatted" : "raw",
+            });
+          },
+        },
+        textContent: EXPORT_FORMATS[format].label,
+      })
+    );
+
+    return [
+      createBaseElement({
+        tag: "label",
+        attributes: { class: "flex-col" },
+        children: ["Rows", this.exportScopeSelect],
+      }),
+      createBaseElement({
+        tag: "label",
+        attributes: { class: "flex-row align-center base-gap" },
+        children: [this.exportFormattedCheckbox, "Formatted values"],
+      }),
+      createBaseElement({
+        tag: "div",
+        attributes: { class: "export-formats flex-row base-gap" },
+        children: this.exportFormatButtons,
+      }),
+    ];
+  }
+
+  /**
+   * Open or close the table options menu. Opening it brings its controls up to date
+   * and moves the focus to the first of them.
+   * @param {boolean} open - Whether to open the menu (default: toggle it).
+   */
+  toggleTableOptions(open = this.tableOptionsMenu.hidden) {
+    if (open) {
+      this.updateTableOptions();
+    }
+    this.tableOptionsMenu.hidden = !open;
+    this.tableOptionsButton.setAttribute("aria-expanded", String(open));
+    if (open) {
+      const firstControl = this.tableOptionsMenu.querySelector("input, select, button");
+      if (firstControl) {
+        firstControl.focus();
+      }
+    }
+  }
+
+  /**
+   * Update the controls of the table options menu to match the table: a checkbox per column,
+   * the row density, the text overflow and the rows per page.
+   */
+  updateTableOptions() {
+    if (!this.tableOptionsMenu) {
+      return;
+    }
+
+    const columns = this.columns.getColumns();
+    const visibleCount = columns.filter((column) => column.visible).length;
+    this.columnOptionsList.innerHTML = "";
+    columns.forEach((column) => {
+      const checkbox = createBaseElement({
+        tag: "input",
+        attributes: { type: "checkbox", "data-column": column.field },
+        events: {
+          change: (event) => {
+            this.setColumnVisible(column.field, event.target.checked);
+            // Keep the focus on the rebuilt checkbox
+            this.updateTableOptions();
+            Array.from(this.columnOptionsList.querySelectorAll("input"))
+              .find((input) => input.getAttribute("data-column") === column.field)
+              .focus();
+          },
+        },
+      });
+      checkbox.checked = column.visible;
+      // The last visible column cannot be hidden
+      checkbox.disabled = column.visible && visibleCount === 1;
+      this.columnOptionsList.appendChild(
+        createBaseElement({
+          tag: "label",
+          attributes: { class: "flex-row align-center base-gap" },
+          children: [checkbox, column.label],
+        })
+      );
+    });
+
+    this.densityRadios.forEach((radio) => {
+      radio.checked = radio.value === this.density;
+    });
+    this.textOverflowRadios.forEach((radio) => {
+      radio.checked = radio.value === this.textOverflow;
+    });
+    this.optionsRowsPerPageSelect.value = this.rowsPerPage;
+  }
+
+  /**
+   * Apply the row density, text overflow, sticky header and virtual scrolling classes to the table container.
+   */
+  updateLayoutClasses() {
+    DENSITIES.forEach((density) => {
+      this.container.classList.toggle(`density-${density}`, density === this.density);
+    });
+    TEXT_OVERFLOWS.forEach((textOverflow) => {
+      this.container.classList.toggle(`text-${textOverflow}`, textOverflow === this.textOverflow);
+    });
+
+    // Virtual scrolling needs a body of fixed height and rows of a fixed height
+    const virtual = this.isVirtual();
+    const { height, rowHeight } = this.virtualScrollOptions;
+    this.container.classList.toggle("virtual-scroll", virtual);
+    this.container.classList.toggle("sticky-header", this.stickyHeader);
+    if (virtual) {
+      this.container.style.setProperty("--virtual-scroll-height", `${height}px`);
+    } else {
+      this.container.style.removeProperty("--virtual-scroll-height");
+    }
+    if (virtual && rowHeight) {
+      this.container.style.setProperty("--row-height", `${rowHeight}px`);
+    } else {
+      this.container.style.removeProperty("--row-height");
+    }
+  }
+
+  /**
+   * Create elements for the action container, such as the loader and the selection toolbar
+   * with its bulk actions, and the container of the toast messages.
    */
   createActionContainerElements() {
     this.actionContainer = createBaseElement({
@@ -89,15 +744,167 @@ export class TableRenderer {
       attributes: { class: "action-container" },
     });
 
+    this.loaderText = createBaseElement({
+      tag: "span",
+      attributes: { class: "loader-text" },
+    });
+
+    this.loaderProgress = createBaseElement({
+      tag: "progress",
+      attributes: { class: "loader-progress", max: 1 },
+    });
+
+    this.loaderCancelButton = createBaseElement({
+      tag: "button",
+      attributes: { type: "button", class: "loader-cancel table-control" },
+      events: { click: () => this.cancelLoading() },
+      textContent: "Cancel",
+    });
+
     this.loader = createBaseElement({
       tag: "div",
-      attributes: { class: "loader" },
+      attributes: { class: "loader flex-row align-center base-gap" },
+      children: [
+        createBaseElement({
+          tag: "i",
+          attributes: { class: "fas fa-spinner fa-spin" },
+        }),
+        this.loaderText,
+        this.loaderProgress,
+        this.loaderCancelButton,
+      ],
+    });
+    this.loader.hidden = true;
+
+    this.selectionText = createBaseElement({
+      tag: "span",
+      attributes: { class: "selection-text", "aria-live": "polite" },
+    });
+
+    this.selectAllMatchingButton = createBaseElement({
+      tag: "button",
+      attributes: { type: "button", class: "selection-select-all table-control" },
+      events: { click: () => this.selectAllMatching() },
+    });
+
+    this.clearSelectionButton = createBaseElement({
+      tag: "button",
+      attributes: { type: "button", class: "selection-clear table-control" },
+      events: { click: () => this.clearSelection() },
+      textContent: "Clear selection",
+    });
+
+    // One button per bulk action, run on the selected rows
+    this.bulkActionButtons = this.bulkActions.getActions().map((action) =>
+      createBaseElement({
+        tag: "button",
+        attributes: {
+          type: "button",
+          class: "bulk-action-btn table-control",
+          "data-action": action.id,
+        },
+        events: { click: () => this.runBulkAction(action.id) },
+        children: [
+          ...(action.icon
+            ? [createBaseElement({ tag: "i", attributes: { class: `fas ${action.icon}` } }), " "]
+            : []),
+          action.label,
+        ],
+      })
+    );
+
+    this.bulkActionsContainer = createBaseElement({
+      tag: "div",
+      attributes: { class: "bulk-actions flex-row align-center base-gap", role: "group" },
+      children: this.bulkActionButtons,
+    });
+
+    this.selectionBar = createBaseElement({
+      tag: "div",
+      attributes: {
+        class: "selection-bar flex-row align-center base-gap",
+        role: "toolbar",
+        "aria-label": "Selected rows",
+      },
+      children: [
+        this.selectionText,
+        this.selectAllMatchingButton,
+        this.clearSelectionButton,
+        this.bulkActionsContainer,
+      ],
+    });
+    this.selectionBar.hidden = true;
+
+    this.toastContainer = createBaseElement({
+      tag: "div",
+      attributes: { class: "toast-container" },
     });
+    this.toast = new Toast(this.toastContainer);
 
     this.actionContainer.appendChild(this.loader);
+    this.actionContainer.appendChild(this.selectionBar);
+    this.container.appendChild(this.toastContainer);
     this.container.appendChild(this.actionContainer);
   }
 
+  /**
+   * Show the loading progress in the loader, or hide the loader once loading is complete.
+   * @param {Object} progress - The loading progress.
+   * @param {number} progress.loadedRows - The number of rows loaded so far.
+   * @param {number} progress.loadedBytes - The number of bytes loaded so far.
+   * @param {number} progress.totalBytes - The total number of bytes, if known.
+   * @param {boolean} progress.complete - Whether loading is complete.
+   */
+  updateLoader({ loadedRows = 0, loadedBytes = 0, totalBytes = null, complete = false }) {
+    this.loader.hidden = complete;
+    if (complete) {
+      return;
+    }
+
+    const size = totalBytes
+      ? `${formatBytes(loadedBytes)} of ${formatBytes(totalBytes)}`
+      : formatBytes(loadedBytes);
+    this.loaderText.textContent = `Loading ${size} (${loadedRows.toLocaleString()} rows)`;
+
+    // Without a known size the progress bar is indeterminate
+    if (totalBytes) {
+      this.loaderProgress.value = Math.min(loadedBytes / totalBytes, 1);
+    } else {
+      this.loaderProgress.removeAttribute("value");
+    }
+  }
+
+  /**
+   * Show the number of selected rows in the selection bar, offering to extend a selected page
+   * to every matching row, or hide the bar when no row is selected.
+   * @param {Object} state - The selection state.
+   * @param {number} state.selected - The number of selected rows.
+   * @param {boolean} state.pageSelected - Whether every row of the current page is selected.
+   * @param {number} state.totalResults - The number of rows matching the filters and search.
+   * @param {boolean} state.canSelectAll - Whether the rows of other pages can be selected.
+   */
+  updateSelectionBar({ selected = 0, pageSelected = false, totalResults = 0, canSelectAll = true }) {
+    this.selectionBar.hidden = selected === 0;
+    this.selectionText.textContent = `${selected.toLocaleString()} ${
+      selected === 1 ? "row" : "rows"
+    } selected`;
+
+    const canExtend = canSelectAll && pageSelected && selected < totalResults;
+    this.selectAllMatchingButton.hidden = !canExtend;
+    this.selectAllMatchingButton.textContent = `Select all ${totalResults.toLocaleString()} matching rows`;
+  }
+
+  /**
+   * Disable the bulk action buttons while an action is running.
+   * @param {boolean} busy - Whether an action is running.
+   */
+  setBulkActionsBusy(busy) {
+    this.bulkActionButtons.forEach((button) => {
+      button.disabled = busy;
+    });
+    this.selectionBar.setAttribute("aria-busy", String(busy));
+  }
+
   /**
    * Create table elements including thead and tbody.
    */
@@ -105,6 +912,9 @@ export class TableRenderer {
     this.middleContainer = createBaseElement({
       tag: "div",
       attributes: { class: "middle-container" },
+      events: {
+        scroll: () => this.updatePinShadows(),
+      },
     });
 
     this.table = createBaseElement({
@@ -118,8 +928,136 @@ export class TableRenderer {
     this.table.appendChild(this.thead);
     this.table.appendChild(this.tbody);
     this.middleContainer.appendChild(this.table);
+    this.middleContainer.appendChild(this.createDropZoneElements());
 
     this.container.appendChild(this.middleContainer);
+
+    // State saved in the URL is restored when the user goes back or forward, or follows a link to the page
+    this.addListener(window, "popstate", () => this.restoreUrlState());
+    this.addListener(window, "hashchange", () => this.restoreUrlState());
+  }
+
+  /**
+   * Create the file picker, a button opening a hidden file input for CSV, TSV and JSON files.
+   * @returns {HTMLElement} The file picker button.
+   */
+  createFileInputElements() {
+    this.fileInput = createBaseElement({
+      tag: "input",
+      attributes: {
+        type: "file",
+        class: "file-input",
+        accept: FILE_INPUT_ACCEPT,
+      },
+      events: {
+        change: (event) => {
+          const [file] = event.target.files;
+          if (file) {
+            this.loadFile(file);
+          }
+          // Allow the same file to be picked again
+          event.target.value = "";
+        },
+      },
+    });
+    this.fileInput.hidden = true;
+
+    this.fileInputButton = createBaseElement({
+      tag: "button",
+      attributes: {
+        type: "button",
+        class: "file-input-btn table-control",
+        title: "Open a CSV, TSV or JSON file",
+      },
+      events: { click: () => this.fileInput.click() },
+      children: [
+        createBaseElement({ tag: "i", attributes: { class: "fas fa-folder-open" } }),
+        " Open file",
+        this.fileInput,
+      ],
+    });
+    return this.fileInputButton;
+  }
+
+  /**
+   * Create the drop zone shown over the table while a file is dragged over it,
+   * and listen for files dropped anywhere on the table container.
+   * @returns {HTMLElement} The drop zone.
+   */
+  createDropZoneElements() {
+    this.dropZone = createBaseElement({
+      tag: "div",
+      attributes: { class: "drop-zone flex-col align-center justify-center base-gap" },
+      children: [
+        createBaseElement({ tag: "i", attributes: { class: "fas fa-file-import" } }),
+        createBaseElement({
+          tag: "p",
+          textContent: "Drop a CSV, TSV or JSON file here",
+        }),
+      ],
+    });
+    this.dropZone.hidden = true;
+
+    if (this.hasFileInput) {
+      this.dropZone.appendChild(
+        createBaseElement({
+          tag: "button",
+          attributes: { type: "button", class: "table-control" },
+          events: { click: () => this.fileInput.click() },
+          textContent: "Choose a file",
+        })
+      );
+    }
+
+    // Count nested dragenter/dragleave events so moving over child elements does not hide the drop zone
+    let dragDepth = 0;
+    const isFileDrag = (event) =>
+      this.hasFileInput &&
+      event.dataTransfer &&
+      Array.from(event.dataTransfer.types || []).includes("Files");
+    const setDragging = (isDragging) => {
+      this.isDraggingFile = isDragging;
+      this.updateDropZone();
+    };
+
+    this.addListener(this.container, "dragenter", (event) => {
+      if (!isFileDrag(event)) {
+        return;
+      }
+      event.preventDefault();
+      dragDepth++;
+      setDragging(true);
+    });
+    this.addListener(this.container, "dragover", (event) => {
+      if (!isFileDrag(event)) {
+        return;
+      }
+      event.preventDefault();
+      event.dataTransfer.dropEffect = "copy";
+    });
+    this.addListener(this.container, "dragleave", (event) => {
+      if (!isFileDrag(event)) {
+        return;
+      }
+      dragDepth = Math.max(dragDepth - 1, 0);
+      if (!dragDepth) {
+        setDragging(false);
+      }
+    });
+    this.addListener(this.container, "drop", (event) => {
+      if (!isFileDrag(event)) {
+        return;
+      }
+      event.preventDefault();
+      dragDepth = 0;
+      setDragging(false);
+      const [file] = event.dataTransfer.files;
+      if (file) {
+        this.loadFile(file);
+      }
+    });
+
+    return this.dropZone;
   }
 
   /**
@@ -139,13 +1077,13 @@ createBottomContainerElements() {
 
   this.rowsPerPageLabel = createBaseElement({
     tag: "label",
-    attributes: { for: "rows-per-page", textContent: "Rows per page:" },
+    attributes: { for: this.getElementId("rows-per-page") },
     textContent: "Rows per page:",
   });
 
   this.rowsPerPageSelect = createBaseElement({
     tag: "select",
-    attributes: { class: "table-control rows-per-page", id: "rows-per-page" },
+    attributes: { class: "table-control rows-per-page", id: this.getElementId("rows-per-page") },
     children: this.rowsPerPageList.map((value) =>
       createBaseElement({
         tag: "option",
@@ -159,19 +1097,15 @@ createBottomContainerElements() {
 
   // Add event listener to handle changes in rows per page
   this.rowsPerPageSelect.addEventListener("change", (event) => {
-    this.rowsPerPage = parseInt(event.target.value);
-    this.currentPage = 1; // Reset to the first page
-  
-    this.getData().then(() => {
-      this.updateBody(); // Update the table body with new data
-    }).catch((error) => {
-      console.error("Error fetching data:", error);
-    });
+    this.setRowsPerPage(parseInt(event.target.value));
   });
   
   
-  this.bottomLeftContainer.appendChild(this.rowsPerPageLabel);
-  this.bottomLeftContainer.appendChild(this.rowsPerPageSelect);
+  // Virtual scrolling shows every row, so there are no pages to choose
+  if (!this.isVirtual()) {
+    this.bottomLeftContainer.appendChild(this.rowsPerPageLabel);
+    this.bottomLeftContainer.appendChild(this.rowsPerPageSelect);
+  }
 
   this.paginationContainer = createBaseElement({
     tag: "div",
@@ -185,24 +1119,24 @@ createBottomContainerElements() {
 
   this.gotoPageLabel = createBaseElement({
     tag: "label",
-    attributes: { for: "goto-page", textContent: "Go to page:" },
+    attributes: { for: this.getElementId("goto-page") },
     textContent: "Go to page:",
   });
 
   this.gotoPageSelect = createBaseElement({
     tag: "select",
-    attributes: { class: "table-control goto-page", id: "goto-page" },
+    attributes: { class: "table-control goto-page", id: this.getElementId("goto-page") },
   });
 
   // Add event listener to handle page changes
   this.gotoPageSelect.addEventListener("change", (event) => {
-    this.currentPage = parseInt(event.target.value);
-    this.getData(this.currentPage); // Fetch data for the selected page
-    this.updateBody(); // Update the table body with new data
+    this.setPage(parseInt(event.target.value));
   });
 
-  this.bottomRightContainer.appendChild(this.gotoPageLabel);
-  this.bottomRightContainer.appendChild(this.gotoPageSelect);
+  if (!this.isVirtual()) {
+    this.bottomRightContainer.appendChild(this.gotoPageLabel);
+    this.bottomRightContainer.appendChild(this.gotoPageSelect);
+  }
 
   this.bottomContainer.appendChild(this.bottomLeftContainer);
   this.bottomContainer.appendChild(this.paginationContainer);
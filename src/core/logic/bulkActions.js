@@ -0,0 +1,106 @@
+/**
+ * BulkActions Module
+ *
+ * Overview:
+ * This module provides functionality for describing the actions that can be run on the selected rows of a table.
+ * It includes the `BulkActions` class, which merges the built-in actions with the actions configured for the table.
+ *
+ * Features:
+ * - Built-in actions, referenced by id ("delete", "export", "copy"), with settings that can be overridden.
+ * - Custom actions with a label, an icon, an optional confirmation message and a (possibly async) handler.
+ * - Confirmation messages given as text, or as a function of the selected rows.
+ *
+ * Classes:
+ * - BulkActions: Handles the bulk action definitions of a table.
+ *
+ * Usage:
+ * To use this module, create an instance of the `BulkActions` class with the configured actions and the built-in actions.
+ * Then, use `getActions` to render the toolbar and `get` to find an action by id.
+ *
+ * Example:
+ * const bulkActions = new BulkActions([
+ *   'copy',
+ *   { id: 'delete', confirm: (rows) => `Delete ${rows.length} orders?` },
+ *   { id: 'archive', label: 'Archive', icon: 'fa-box-archive', handler: async (rows) => api.archive(rows) },
+ * ], builtInActions);
+ * console.log(bulkActions.getActions().map(action => action.label)); // ["Copy", "Delete", "Archive"]
+ */
+
+/**
+ * BulkActions class for managing the bulk actions of a table.
+ */
+export default class BulkActions {
+  /**
+   * Constructor for the BulkActions class.
+   * @param {Array<string|Object>} actions - The actions, in toolbar order: ids of built-in actions, or action objects.
+   * An object with the id of a built-in action overrides its settings.
+   * @param {string} actions[].id - A unique id for the action.
+   * @param {string} actions[].label - The button text.
+   * @param {string} actions[].icon - The Font Awesome icon class of the button (e.g. "fa-trash").
+   * @param {string|Function} actions[].confirm - A confirmation message, or a function of the selected rows returning
+   * one (or nothing to skip the confirmation).
+   * @param {Function} actions[].handler - Runs the action, called with the selected rows and the table; may return
+   * (a promise of) a message to report.
+   * @param {Object} builtInActions - The built-in actions keyed by id.
+   * @throws {Error} - Throws an error for an unknown built-in action or an action without a handler.
+   */
+  constructor(actions = [], builtInActions = {}) {
+    this.actions = actions.map((action) => BulkActions.normalize(action, builtInActions));
+  }
+
+  /**
+   * Get the actions, in toolbar order.
+   * @returns {Array<Object>} - The actions.
+   */
+  getActions() {
+    return this.actions;
+  }
+
+  /**
+   * Get an action by id.
+   * @param {string} id - The action id.
+   * @returns {Object|undefined} - The action, if there is one.
+   */
+  get(id) {
+    return this.actions.find((action) => action.id === id);
+  }
+
+  /**
+   * Resolve the confirmation message of an action for the selected rows.
+   * @param {Object} action - The action.
+   * @param {Array<Object>} rows - The selected rows.
+   * @returns {string|null} - The confirmation message, or null if no confirmation is needed.
+   */
+  static getConfirmMessage(action, rows) {
+    const message =
+      typeof action.confirm === "function" ? action.confirm(rows) : action.confirm;
+    return message || null;
+  }
+
+  /**
+   * Normalise an action, merging the settings of a built-in action.
+   * @param {string|Object} action - The id of a built-in action, or an action object.
+   * @param {Object} builtInActions - The built-in actions keyed by id.
+   * @returns {Object} - The action ({ id, label, icon, confirm, handler }).
+   * @throws {Error} - Throws an error for an unknown built-in action or an action without a handler.
+   */
+  static normalize(action, builtInActions = {}) {
+    const settings = typeof action === "string" ? { id: action } : { ...action };
+    const builtIn = builtInActions[settings.id];
+    if (typeof action === "string" && !builtIn) {
+      throw new Error(`Unknown bulk action: ${action}`);
+    }
+
+    const normalized = {
+      label: settings.id,
+      icon: null,
+      confirm: null,
+      ...builtIn,
+      ...settings,
+    };
+    if (typeof normalized.handler !== "function") {
+      throw new Error(`Bulk action "${normalized.id}" has no handler`);
+    }
+    return normalized;
+  }
+}
@@ -0,0 +1,51 @@
+import BulkActions from "./bulkActions.js";
+
+const builtInActions = {
+  delete: { id: "delete", label: "Delete", icon: "fa-trash", confirm: "Delete?", handler: () => "Deleted" },
+  copy: { id: "copy", label: "Copy", icon: "fa-copy", handler: () => "Copied" },
+};
+
+describe("BulkActions", () => {
+  test("lists built-in and custom actions in the given order", () => {
+    const archive = jest.fn();
+    const actions = new BulkActions(
+      ["copy", { id: "archive", label: "Archive", icon: "fa-box-archive", handler: archive }, "delete"],
+      builtInActions
+    );
+
+    expect(actions.getActions().map((action) => action.id)).toEqual(["copy", "archive", "delete"]);
+    expect(actions.get("archive")).toEqual({
+      id: "archive",
+      label: "Archive",
+      icon: "fa-box-archive",
+      confirm: null,
+      handler: archive,
+    });
+    expect(actions.get("missing")).toBeUndefined();
+  });
+
+  test("overrides the settings of a built-in action", () => {
+    const actions = new BulkActions([{ id: "delete", label: "Remove", confirm: null }], builtInActions);
+    expect(actions.get("delete")).toMatchObject({ label: "Remove", icon: "fa-trash", confirm: null });
+    expect(actions.get("delete").handler).toBe(builtInActions.delete.handler);
+  });
+
+  test("defaults the label to the id", () => {
+    expect(BulkActions.normalize({ id: "flag", handler: () => {} }).label).toBe("flag");
+  });
+
+  test("throws for an unknown built-in action or an action without a handler", () => {
+    expect(() => new BulkActions(["archive"], builtInActions)).toThrow("Unknown bulk action: archive");
+    expect(() => new BulkActions([{ id: "archive" }], builtInActions)).toThrow('Bulk action "archive" has no handler');
+  });
+
+  test("resolves confirmation messages given as text or as a function of the rows", () => {
+    const rows = [{ id: 1 }, { id: 2 }];
+    expect(BulkActions.getConfirmMessage({ confirm: "Sure?" }, rows)).toBe("Sure?");
+    expect(BulkActions.getConfirmMessage({ confirm: (selected) => `Delete ${selected.length}?` }, rows)).toBe(
+      "Delete 2?"
+    );
+    expect(BulkActions.getConfirmMessage({ confirm: () => "" }, rows)).toBeNull();
+    expect(BulkActions.getConfirmMessage({ confirm: null }, rows)).toBeNull();
+  });
+});
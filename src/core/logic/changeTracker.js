@@ -0,0 +1,147 @@
+/**
+ * ChangeTracker Module
+ *
+ * Overview:
+ * This module provides functionality for tracking the cells edited in a table until the edits are committed or reverted.
+ * It includes the `ChangeTracker` class, which applies each edit to its row and remembers the original value,
+ * so the edited (dirty) cells can be marked, listed and restored.
+ *
+ * Features:
+ * - Apply edits to the rows, keeping the original value of each edited cell.
+ * - Forget an edit that restores the original value.
+ * - Tell whether a cell or a row has pending changes.
+ * - List the pending changes with their old and new values.
+ * - Revert the pending changes, or accept them as the new original values.
+ *
+ * Classes:
+ * - ChangeTracker: Handles tracking the pending edits of a table.
+ *
+ * Usage:
+ * To use this module, create an instance of the `ChangeTracker` class. Then, call `set` with the row id,
+ * the row, the field and the new value for each edit. Use `getChanges` to list the pending changes,
+ * `revert` to restore the original values, and `clear` once the changes have been saved.
+ *
+ * Example:
+ * const tracker = new ChangeTracker();
+ * tracker.set(7, row, 'status', 'Shipped');
+ * console.log(tracker.isDirty(7, 'status'), tracker.getChanges());
+ * tracker.revert(); // row.status is back to its original value
+ */
+
+/**
+ * ChangeTracker class for tracking the pending edits of a table.
+ */
+export default class ChangeTracker {
+  /**
+   * Constructor for the ChangeTracker class.
+   */
+  constructor() {
+    // Pending changes ({ row, original }) keyed by row id, where `original` holds the original values keyed by field
+    this.changes = new Map();
+  }
+
+  /**
+   * Apply an edit to a row, remembering the original value of the cell.
+   * @param {*} id - The row id.
+   * @param {Object} row - The row.
+   * @param {string} field - The edited field.
+   * @param {*} value - The new value.
+   */
+  set(id, row, field, value) {
+    let change = this.changes.get(id);
+    if (!change) {
+      change = { row, original: {} };
+      this.changes.set(id, change);
+    }
+    if (!(field in change.original)) {
+      change.original[field] = row[field];
+    }
+
+    row[field] = value;
+
+    // An edit back to the original value is no longer a change
+    if (ChangeTracker.isEqual(change.original[field], value)) {
+      delete change.original[field];
+      if (!Object.keys(change.original).length) {
+        this.changes.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Whether a cell, or any cell of a row, has a pending change.
+   * @param {*} id - The row id.
+   * @param {string} field - The field (default: any field of the row).
+   * @returns {boolean} - True if there is a pending change.
+   */
+  isDirty(id, field = null) {
+    const change = this.changes.get(id);
+    if (!change) {
+      return false;
+    }
+    return field === null || field in change.original;
+  }
+
+  /**
+   * Whether there are pending changes.
+   * @returns {boolean} - True if any cell has been edited.
+   */
+  hasChanges() {
+    return this.changes.size > 0;
+  }
+
+  /**
+   * List the pending changes.
+   * @returns {Array<Object>} - The changed rows ({ id, row, changes }), where `changes` holds
+   * the old and new values ({ oldValue, newValue }) keyed by field.
+   */
+  getChanges() {
+    return Array.from(this.changes.entries()).map(([id, { row, original }]) => ({
+      id,
+      row,
+      changes: Object.keys(original).reduce((acc, field) => {
+        acc[field] = { oldValue: original[field], newValue: row[field] };
+        return acc;
+      }, {}),
+    }));
+  }
+
+  /**
+   * Restore the original values of the edited cells and forget the changes.
+   * @returns {Array<Object>} - The reverted changes (see `getChanges`).
+   */
+  revert() {
+    const changes = this.getChanges();
+    this.changes.forEach(({ row, original }) => {
+      Object.assign(row, original);
+    });
+    this.changes.clear();
+    return changes;
+  }
+
+  /**
+   * Forget the pending changes of a row, such as a deleted row.
+   * @param {*} id - The row id.
+   */
+  delete(id) {
+    this.changes.delete(id);
+  }
+
+  /**
+   * Forget the pending changes, keeping the edited values.
+   */
+  clear() {
+    this.changes.clear();
+  }
+
+  /**
+   * Whether two cell values are the same, comparing them as text.
+   * @param {*} a - The first value.
+   * @param {*} b - The second value.
+   * @returns {boolean} - True if the values are the same.
+   */
+  static isEqual(a, b) {
+    const text = (value) => (value === null || value === undefined ? "" : String(value));
+    return text(a) === text(b);
+  }
+}
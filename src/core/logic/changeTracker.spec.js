@@ -0,0 +1,62 @@
+import ChangeTracker from "./changeTracker.js";
+
+describe("ChangeTracker", () => {
+  test("applies edits to the rows and lists them with their original values", () => {
+    const tracker = new ChangeTracker();
+    const row = { name: "Alice", status: "New" };
+    tracker.set(1, row, "status", "Shipped");
+    tracker.set(1, row, "status", "Delivered");
+
+    expect(row.status).toBe("Delivered");
+    expect(tracker.hasChanges()).toBe(true);
+    expect(tracker.isDirty(1)).toBe(true);
+    expect(tracker.isDirty(1, "status")).toBe(true);
+    expect(tracker.isDirty(1, "name")).toBe(false);
+    expect(tracker.isDirty(2)).toBe(false);
+    expect(tracker.getChanges()).toEqual([
+      { id: 1, row, changes: { status: { oldValue: "New", newValue: "Delivered" } } },
+    ]);
+  });
+
+  test("forgets an edit back to the original value, comparing values as text", () => {
+    const tracker = new ChangeTracker();
+    const row = { age: "30", note: null };
+    tracker.set(1, row, "age", "31");
+    tracker.set(1, row, "age", 30);
+    tracker.set(1, row, "note", "");
+
+    expect(row).toEqual({ age: 30, note: "" });
+    expect(tracker.hasChanges()).toBe(false);
+    expect(tracker.getChanges()).toEqual([]);
+  });
+
+  test("reverts the edited cells to their original values", () => {
+    const tracker = new ChangeTracker();
+    const first = { name: "Alice", age: "30" };
+    const second = { name: "Bob", age: "25" };
+    tracker.set(1, first, "name", "Alicia");
+    tracker.set(1, first, "age", "31");
+    tracker.set(2, second, "age", "26");
+
+    const reverted = tracker.revert();
+    expect(reverted.map(({ id }) => id)).toEqual([1, 2]);
+    expect(first).toEqual({ name: "Alice", age: "30" });
+    expect(second).toEqual({ name: "Bob", age: "25" });
+    expect(tracker.hasChanges()).toBe(false);
+  });
+
+  test("keeps the edited values once cleared, and forgets the changes of a deleted row", () => {
+    const tracker = new ChangeTracker();
+    const first = { name: "Alice" };
+    const second = { name: "Bob" };
+    tracker.set(1, first, "name", "Alicia");
+    tracker.set(2, second, "name", "Robert");
+
+    tracker.delete(2);
+    expect(tracker.getChanges().map(({ id }) => id)).toEqual([1]);
+    tracker.clear();
+    expect(tracker.hasChanges()).toBe(false);
+    expect(tracker.revert()).toEqual([]);
+    expect(first.name).toBe("Alicia");
+  });
+});
@@ -0,0 +1,347 @@
+/**
+ * ColumnModel Module
+ *
+ * Overview:
+ * This module provides functionality for describing the columns of a table declaratively.
+ * It includes the `ColumnModel` class, which turns the `columns` option of the table into column definitions
+ * and, without that option, derives the columns from the fields of the data source.
+ *
+ * Features:
+ * - Choose the source field, label, order and default visibility of each column.
+ * - Set the width and alignment of each column, and the narrowest and widest it can be resized to.
+ * - Set the type of each column (see `ColumnTypes`) and a custom formatter for its cells.
+ * - Enable or disable sorting, filtering and editing per column, and choose the editor and validation of edits.
+ * - Fall back to one column per field, in the order of the data source, when no columns are defined.
+ * - Pin columns to the left or right edge of the table.
+ * - Show, hide, pin, resize and reorder columns at runtime, and reset them to their definitions.
+ *
+ * Classes:
+ * - ColumnModel: Handles the column definitions of a table.
+ *
+ * Usage:
+ * To use this module, create an instance of the `ColumnModel` class, optionally passing the column definitions.
+ * Then, call `setFields` with the fields of the data source, and use `getVisibleColumns` to render the table.
+ *
+ * Example:
+ * const columnModel = new ColumnModel([
+ *   'id',
+ *   { field: 'name', label: 'Customer', width: 200, minWidth: 120, maxWidth: 400 },
+ *   { field: 'total', type: 'currency', align: 'right', filterable: false },
+ *   { field: 'status', formatter: (value) => value.toUpperCase(), visible: false },
+ * ]);
+ * columnModel.setFields(['id', 'name', 'total', 'status', 'notes']);
+ * console.log(columnModel.getVisibleColumns().map(column => column.label)); // ["id", "Customer", "total"]
+ */
+
+// The settings of a column that are not given in its definition.
+const COLUMN_DEFAULTS = {
+  label: null,
+  order: null,
+  visible: true,
+  width: null,
+  minWidth: null,
+  maxWidth: null,
+  resizable: true,
+  reorderable: true,
+  align: null,
+  pinned: null,
+  type: null,
+  formatter: null,
+  sortable: true,
+  filterable: true,
+  editable: true,
+  editor: null,
+  options: null,
+  required: false,
+  validate: null,
+};
+
+const ALIGNMENTS = ["left", "center", "right"];
+const PIN_SIDES = ["left", "right"];
+
+/**
+ * ColumnModel class for managing the column definitions of a table.
+ */
+export default class ColumnModel {
+  /**
+   * Constructor for the ColumnModel class.
+   * @param {Array<string|Object>} definitions - The column definitions, in display order. Each is either a field name
+   * or an object with the settings below. Without definitions, every field of the data source is shown.
+   * @param {string} definitions[].field - The field of the rows the column shows.
+   * @param {string} definitions[].label - The header text (default: the field).
+   * @param {number} definitions[].order - The position of the column; columns without one keep their place in the list.
+   * @param {boolean} definitions[].visible - Whether the column is shown (default: true).
+   * @param {number|string} definitions[].width - The column width, in pixels or as a CSS length.
+   * @param {number} definitions[].minWidth - The narrowest the column can be, in pixels (default: no minimum).
+   * @param {number} definitions[].maxWidth - The widest the column can be, in pixels (default: no maximum).
+   * @param {boolean} definitions[].resizable - Whether the column can be resized from its header (default: true).
+   * @param {boolean} definitions[].reorderable - Whether the column can be moved from its header (default: true).
+   * @param {string} definitions[].align - The cell alignment: "left", "center" or "right" (default: right for
+   * numeric columns, otherwise left).
+   * @param {string} definitions[].pinned - The edge the column is pinned to: "left" or "right" (default: not pinned).
+   * @param {string|Object} definitions[].type - The column type, overriding the inferred type (see `ColumnTypes`).
+   * @param {Function} definitions[].formatter - Formats a cell, called with the value, the row and the column;
+   * returns a string or a DOM node.
+   * @param {boolean} definitions[].sortable - Whether the column can be sorted (default: true).
+   * @param {boolean} definitions[].filterable - Whether the column has filter controls (default: true).
+   * @param {boolean} definitions[].editable - Whether the cells can be edited, when editing is enabled (default: true).
+   * @param {string} definitions[].editor - The cell editor: "text", "number", "date", "datetime", "select" or
+   * "checkbox" (default: suited to the column type).
+   * @param {Array} definitions[].options - The values offered by a "select" editor (default: the values of the column).
+   * @param {boolean} definitions[].required - Whether an edited cell needs a value (default: false).
+   * @param {Function} definitions[].validate - Validates an edit, called with the new value, the row and the column;
+   * returns false or an error message to reject the value.
+   * @throws {Error} - Throws an error if a definition has no field or invalid width limits.
+   */
+  constructor(definitions = null) {
+    this.definitions = Array.isArray(definitions)
+      ? definitions.map((definition, index) => ColumnModel.normalize(definition, index))
+      : null;
+    this.columns = this.definitions ? this.definitions.map((column) => ({ ...column })) : [];
+    // The fields of the data source, in their original order
+    this.fields = [];
+    // Whether the columns were reordered, so they keep their order when the fields of the data source change
+    this.reordered = false;
+  }
+
+  /**
+   * Set the fields of the data source. Without column definitions, the columns follow the fields,
+   * keeping the settings of columns that remain. Reordered columns keep their order, and new fields
+   * are added after them.
+   * @param {Array<string>} fields - The fields of the data source.
+   */
+  setFields(fields = []) {
+    if (this.definitions) {
+      return;
+    }
+    this.fields = fields.map(String);
+    const columns = fields.map(
+      (field, index) =>
+        this.getColumn(field) || ColumnModel.normalize(field, index)
+    );
+    if (this.reordered) {
+      const rank = new Map(this.columns.map((column, index) => [column, index]));
+      const rankOf = (column) => (rank.has(column) ? rank.get(column) : this.columns.length);
+      columns.sort((a, b) => rankOf(a) - rankOf(b));
+    }
+    this.columns = columns;
+  }
+
+  /**
+   * Get every column, visible or not, in display order: the columns pinned to the left first,
+   * and the columns pinned to the right last.
+   * @returns {Array<Object>} - The columns.
+   */
+  getColumns() {
+    const pinRank = (column) => (column.pinned === "left" ? 0 : column.pinned === "right" ? 2 : 1);
+    return this.columns
+      .map((column, index) => ({ column, index }))
+      .sort((a, b) => {
+        const orderA = a.column.order === null ? a.index : a.column.order;
+        const orderB = b.column.order === null ? b.index : b.column.order;
+        return pinRank(a.column) - pinRank(b.column) || orderA - orderB || a.index - b.index;
+      })
+      .map(({ column }) => column);
+  }
+
+  /**
+   * Get the visible columns, in display order.
+   * @returns {Array<Object>} - The visible columns.
+   */
+  getVisibleColumns() {
+    return this.getColumns().filter((column) => column.visible);
+  }
+
+  /**
+   * Get the fields of the visible columns, in display order.
+   * @returns {Array<string>} - The visible fields.
+   */
+  getVisibleFields() {
+    return this.getVisibleColumns().map((column) => column.field);
+  }
+
+  /**
+   * Get the fields of every column, visible or not, in display order.
+   * @returns {Array<string>} - The fields.
+   */
+  getOrder() {
+    return this.getColumns().map((column) => column.field);
+  }
+
+  /**
+   * Reorder the columns. Columns pinned to an edge stay at that edge, in the given order.
+   * @param {Array<string>} fields - The fields in their new order. Unknown fields are ignored, and columns
+   * left out follow the given ones, in their current order.
+   * @throws {Error} - Throws an error if the order is not an array.
+   */
+  setOrder(fields) {
+    if (!Array.isArray(fields)) {
+      throw new Error(`Invalid column order: ${fields}`);
+    }
+    const listed = new Set(fields.map(String).filter((field) => this.getColumn(field)));
+    const order = [...listed, ...this.getOrder().filter((field) => !listed.has(field))];
+    this.columns = order.map((field) => this.getColumn(field));
+    // The order of the list replaces the order of the definitions
+    this.columns.forEach((column) => {
+      column.order = null;
+    });
+    this.reordered = true;
+  }
+
+  /**
+   * Move a column past the next visible column on its left or right, among the columns pinned to the same edge.
+   * @param {string} field - The field of the column.
+   * @param {number} direction - -1 to move the column left, 1 to move it right.
+   * @returns {boolean} - Whether the column moved; it cannot move past the first or last column of its edge.
+   * @throws {Error} - Throws an error if there is no column for the field.
+   */
+  move(field, direction) {
+    const column = this.requireColumn(field);
+    const siblings = this.getVisibleColumns().filter((other) => other.pinned === column.pinned);
+    const target = siblings[siblings.indexOf(column) + (direction < 0 ? -1 : 1)];
+    if (!column.visible || !target) {
+      return false;
+    }
+    const order = this.getOrder().filter((other) => other !== field);
+    order.splice(order.indexOf(target.field) + (direction < 0 ? 0 : 1), 0, field);
+    this.setOrder(order);
+    return true;
+  }
+
+  /**
+   * Get the column showing a field.
+   * @param {string} field - The field.
+   * @returns {Object|undefined} - The column, if there is one.
+   */
+  getColumn(field) {
+    return this.columns.find((column) => column.field === field);
+  }
+
+  /**
+   * Show or hide a column.
+   * @param {string} field - The field of the column.
+   * @param {boolean} visible - Whether the column is shown.
+   * @throws {Error} - Throws an error if there is no column for the field.
+   */
+  setVisible(field, visible) {
+    this.requireColumn(field).visible = Boolean(visible);
+  }
+
+  /**
+   * Pin a column to the left or right edge of the table, or unpin it.
+   * @param {string} field - The field of the column.
+   * @param {string|null} side - "left", "right", or null to unpin the column.
+   * @throws {Error} - Throws an error if there is no column for the field or the side is invalid.
+   */
+  setPinned(field, side) {
+    const column = this.requireColumn(field);
+    if (side && !PIN_SIDES.includes(side)) {
+      throw new Error(`Invalid pin side for column "${field}": ${side}`);
+    }
+    column.pinned = side || null;
+  }
+
+  /**
+   * Set the width of a column. Widths in pixels are kept within the minimum and maximum width of the column.
+   * @param {string} field - The field of the column.
+   * @param {number|string|null} width - The width, in pixels or as a CSS length, or null to fit the content.
+   * @returns {number|string|null} - The width set.
+   * @throws {Error} - Throws an error if there is no column for the field.
+   */
+  setWidth(field, width) {
+    const column = this.requireColumn(field);
+    column.width = ColumnModel.clampWidth(column, width) || null;
+    return column.width;
+  }
+
+  /**
+   * Get the column showing a field, which must exist.
+   * @param {string} field - The field.
+   * @returns {Object} - The column.
+   * @throws {Error} - Throws an error if there is no column for the field.
+   */
+  requireColumn(field) {
+    const column = this.getColumn(field);
+    if (!column) {
+      throw new Error(`Unknown column: ${field}`);
+    }
+    return column;
+  }
+
+  /**
+   * Restore the columns to their definitions, or to the fields of the data source in their original order,
+   * undoing the layout changes made since.
+   */
+  reset() {
+    this.columns = this.definitions
+      ? this.definitions.map((column) => ({ ...column }))
+      : this.fields.map((field, index) => ColumnModel.normalize(field, index));
+    this.reordered = false;
+  }
+
+  /**
+   * Get the column types set by the column definitions.
+   * @returns {Object} - The column types keyed by field.
+   */
+  getTypes() {
+    return this.columns.reduce((acc, column) => {
+      if (column.type) {
+        acc[column.field] = column.type;
+      }
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Keep a width in pixels within the minimum and maximum width of a column.
+   * @param {Object} column - The column.
+   * @param {number|string|null} width - The width; CSS lengths and null are returned unchanged.
+   * @returns {number|string|null} - The width, rounded and clamped when it is a number.
+   */
+  static clampWidth(column, width) {
+    if (typeof width !== "number" || !Number.isFinite(width)) {
+      return width;
+    }
+    let clamped = Math.round(width);
+    if (column.minWidth !== null) {
+      clamped = Math.max(clamped, column.minWidth);
+    }
+    if (column.maxWidth !== null) {
+      clamped = Math.min(clamped, column.maxWidth);
+    }
+    return clamped;
+  }
+
+  /**
+   * Normalise a column definition, filling in the default settings.
+   * @param {string|Object} definition - A field name, or a column definition.
+   * @param {number} index - The position of the definition in the list.
+   * @returns {Object} - The column.
+   * @throws {Error} - Throws an error if the definition has no field or invalid width limits.
+   */
+  static normalize(definition, index = 0) {
+    const column = typeof definition === "string" ? { field: definition } : { ...definition };
+    if (column.field === undefined || column.field === null || column.field === "") {
+      throw new Error(`Invalid column definition at index ${index}: a field is required`);
+    }
+    if (column.align && !ALIGNMENTS.includes(column.align)) {
+      throw new Error(`Invalid alignment for column "${column.field}": ${column.align}`);
+    }
+    if (column.pinned && !PIN_SIDES.includes(column.pinned)) {
+      throw new Error(`Invalid pin side for column "${column.field}": ${column.pinned}`);
+    }
+    ["minWidth", "maxWidth"].forEach((key) => {
+      const limit = column[key];
+      if (limit !== undefined && limit !== null && !(typeof limit === "number" && limit >= 0)) {
+        throw new Error(`Invalid ${key} for column "${column.field}": ${limit}`);
+      }
+    });
+    if (typeof column.minWidth === "number" && typeof column.maxWidth === "number" && column.minWidth > column.maxWidth) {
+      throw new Error(`Invalid width limits for column "${column.field}": minWidth is greater than maxWidth`);
+    }
+
+    const normalized = { ...COLUMN_DEFAULTS, ...column, field: String(column.field) };
+    normalized.label = normalized.label === null ? normalized.field : String(normalized.label);
+    return normalized;
+  }
+}
@@ -0,0 +1,146 @@
+import ColumnModel from "./columnModel.js";
+
+const fieldsOf = (columns) => columns.map((column) => column.field);
+
+describe("ColumnModel", () => {
+  describe("definitions", () => {
+    test("fills in the default settings and labels", () => {
+      const model = new ColumnModel(["id", { field: "name", label: "Customer", align: "center" }]);
+      expect(model.getColumn("id")).toMatchObject({ field: "id", label: "id", visible: true, sortable: true });
+      expect(model.getColumn("name")).toMatchObject({ label: "Customer", align: "center", width: null });
+      expect(model.getColumn("missing")).toBeUndefined();
+    });
+
+    test("throws for a definition without a field or with an invalid alignment", () => {
+      expect(() => new ColumnModel(["id", { label: "Name" }])).toThrow(
+        "Invalid column definition at index 1: a field is required"
+      );
+      expect(() => new ColumnModel([{ field: "id", align: "middle" }])).toThrow('Invalid alignment for column "id": middle');
+    });
+
+    test("orders the columns by their order setting, keeping the others in place", () => {
+      const model = new ColumnModel([{ field: "a", order: 2 }, "b", "c", { field: "d", visible: false }]);
+      expect(fieldsOf(model.getColumns())).toEqual(["b", "a", "c", "d"]);
+      expect(model.getVisibleFields()).toEqual(["b", "a", "c"]);
+      expect(fieldsOf(model.getVisibleColumns())).toEqual(["b", "a", "c"]);
+    });
+
+    test("follows the fields of the data source without definitions, keeping the settings of remaining columns", () => {
+      const model = new ColumnModel();
+      model.setFields(["id", "name"]);
+      model.getColumn("name").label = "Customer";
+      model.setFields(["name", "total"]);
+      expect(fieldsOf(model.getColumns())).toEqual(["name", "total"]);
+      expect(model.getColumn("name").label).toBe("Customer");
+
+      const defined = new ColumnModel(["id"]);
+      defined.setFields(["id", "name"]);
+      expect(fieldsOf(defined.getColumns())).toEqual(["id"]);
+    });
+
+    test("lists the column types of the definitions", () => {
+      const model = new ColumnModel([{ field: "code", type: "text" }, "name"]);
+      expect(model.getTypes()).toEqual({ code: "text" });
+    });
+  });
+
+  describe("visibility", () => {
+    test("shows and hides columns, and resets them to their definitions", () => {
+      const model = new ColumnModel(["id", { field: "name", visible: false }]);
+      model.setVisible("name", true);
+      model.setVisible("id", 0);
+      expect(model.getVisibleFields()).toEqual(["name"]);
+
+      model.reset();
+      expect(model.getVisibleFields()).toEqual(["id"]);
+    });
+
+    test("resets the columns of the data source to its fields", () => {
+      const model = new ColumnModel();
+      model.setFields(["id", "name"]);
+      model.setVisible("id", false);
+      model.reset();
+      expect(model.getVisibleFields()).toEqual(["id", "name"]);
+    });
+  });
+
+  describe("pinning", () => {
+    test("shows the columns pinned to the left first and to the right last", () => {
+      const model = new ColumnModel(["a", "b", { field: "c", pinned: "left" }, "d"]);
+      model.setPinned("a", "right");
+      expect(fieldsOf(model.getColumns())).toEqual(["c", "b", "d", "a"]);
+
+      model.setPinned("a", null);
+      expect(fieldsOf(model.getColumns())).toEqual(["c", "a", "b", "d"]);
+    });
+
+    test("throws for an invalid side or an unknown column", () => {
+      const model = new ColumnModel(["a"]);
+      expect(() => model.setPinned("a", "top")).toThrow('Invalid pin side for column "a": top');
+      expect(() => model.setPinned("b", "left")).toThrow("Unknown column: b");
+      expect(() => model.setVisible("b", false)).toThrow("Unknown column: b");
+      expect(() => new ColumnModel([{ field: "a", pinned: "top" }])).toThrow('Invalid pin side for column "a": top');
+    });
+  });
+
+  describe("widths", () => {
+    test("keeps widths in pixels within the limits of the column", () => {
+      const model = new ColumnModel([{ field: "a", minWidth: 50, maxWidth: 300 }, "b"]);
+      expect(model.setWidth("a", 20)).toBe(50);
+      expect(model.setWidth("a", 500)).toBe(300);
+      expect(model.setWidth("a", 120.6)).toBe(121);
+      expect(model.setWidth("a", "10rem")).toBe("10rem");
+      expect(model.setWidth("a", null)).toBeNull();
+      expect(model.setWidth("b", 2000)).toBe(2000);
+      expect(model.getColumn("a").width).toBeNull();
+    });
+
+    test("throws for invalid width limits", () => {
+      expect(() => new ColumnModel([{ field: "a", minWidth: -1 }])).toThrow('Invalid minWidth for column "a": -1');
+      expect(() => new ColumnModel([{ field: "a", maxWidth: "wide" }])).toThrow('Invalid maxWidth for column "a": wide');
+      expect(() => new ColumnModel([{ field: "a", minWidth: 200, maxWidth: 100 }])).toThrow(
+        'Invalid width limits for column "a": minWidth is greater than maxWidth'
+      );
+    });
+  });
+
+  describe("order", () => {
+    test("reorders the columns, putting the columns left out after the given ones", () => {
+      const model = new ColumnModel([{ field: "a", order: 2 }, "b", "c", "d"]);
+      expect(model.getOrder()).toEqual(["b", "a", "c", "d"]);
+
+      model.setOrder(["d", "missing", "a"]);
+      expect(model.getOrder()).toEqual(["d", "a", "b", "c"]);
+      expect(model.getColumn("a").order).toBeNull();
+      expect(() => model.setOrder("a,b")).toThrow("Invalid column order: a,b");
+    });
+
+    test("keeps pinned columns at their edge", () => {
+      const model = new ColumnModel([{ field: "a", pinned: "left" }, "b", "c"]);
+      model.setOrder(["c", "b", "a"]);
+      expect(model.getOrder()).toEqual(["a", "c", "b"]);
+    });
+
+    test("moves a column past the next visible column pinned to the same edge", () => {
+      const model = new ColumnModel([{ field: "a", pinned: "left" }, "b", { field: "c", visible: false }, "d"]);
+      expect(model.move("b", 1)).toBe(true);
+      expect(model.getOrder()).toEqual(["a", "c", "d", "b"]);
+      expect(model.move("b", 1)).toBe(false);
+      expect(model.move("d", -1)).toBe(false);
+      expect(model.move("a", 1)).toBe(false);
+      expect(model.move("c", -1)).toBe(false);
+      expect(() => model.move("e", 1)).toThrow("Unknown column: e");
+    });
+
+    test("keeps the new order when the fields of the data source change, until it is reset", () => {
+      const model = new ColumnModel();
+      model.setFields(["a", "b", "c"]);
+      model.setOrder(["c", "a"]);
+      model.setFields(["a", "b", "c", "d"]);
+      expect(model.getOrder()).toEqual(["c", "a", "b", "d"]);
+
+      model.reset();
+      expect(model.getOrder()).toEqual(["a", "b", "c", "d"]);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * ColumnStats Module
+ *
+ * Overview:
+ * This module provides functionality for summarising the values of a table column.
+ * It includes the `ColumnStats` class, which counts the values of a column and, depending on the column type,
+ * finds the smallest and largest values, their sum and their average.
+ *
+ * Features:
+ * - Count the values, the empty values and the distinct values of a column.
+ * - Minimum, maximum, sum and average of numeric columns (number, integer, currency and percent).
+ * - Earliest and latest values of date and date-time columns.
+ * - Number of true values of boolean columns.
+ *
+ * Classes:
+ * - ColumnStats: Handles calculating column statistics.
+ *
+ * Usage:
+ * To use this module, call `ColumnStats.compute` with the rows, the column and the column types of the table.
+ *
+ * Example:
+ * const stats = ColumnStats.compute(rows, 'total', columnTypes);
+ * console.log(stats.count, stats.min, stats.max, stats.average);
+ */
+
+// Column types with a sum and an average.
+const NUMERIC_TYPES = ["number", "integer", "currency", "percent"];
+
+/**
+ * ColumnStats class for summarising the values of a column.
+ */
+export default class ColumnStats {
+  /**
+   * Calculate the statistics of a column.
+   * @param {Array<Object>} rows - The rows.
+   * @param {string} column - The column name.
+   * @param {ColumnTypes} columnTypes - The column types, used to parse the values.
+   * @returns {Object} - The statistics ({ type, count, empty, distinct }), with `min`, `max`, `sum` and `average`
+   * for numeric columns, `min` and `max` for date columns, and `trueCount` for boolean columns. Values that do not
+   * parse as the column type are left out of the type statistics.
+   */
+  static compute(rows, column, columnTypes) {
+    const type = columnTypes.getType(column);
+    const distinct = new Set();
+    const stats = { type, count: rows.length, empty: 0, distinct: 0 };
+    const parsedValues = [];
+
+    rows.forEach((row) => {
+      const value = row[column];
+      if (value === null || value === undefined || String(value).trim() === "") {
+        stats.empty++;
+        return;
+      }
+      distinct.add(String(value));
+      if (type !== "text") {
+        const parsed = columnTypes.parse(value, type);
+        if (parsed !== null) {
+          parsedValues.push(parsed);
+        }
+      }
+    });
+    stats.distinct = distinct.size;
+
+    if (type === "boolean") {
+      stats.trueCount = parsedValues.filter(Boolean).length;
+    } else if (parsedValues.length) {
+      stats.min = parsedValues.reduce((min, value) => (value < min ? value : min));
+      stats.max = parsedValues.reduce((max, value) => (value > max ? value : max));
+      if (NUMERIC_TYPES.includes(type)) {
+        stats.sum = parsedValues.reduce((sum, value) => sum + value, 0);
+        stats.average = stats.sum / parsedValues.length;
+      }
+    }
+    return stats;
+  }
+}
@@ -0,0 +1,48 @@
+import ColumnStats from "./columnStats.js";
+import ColumnTypes from "./columnTypes.js";
+
+describe("ColumnStats", () => {
+  const columnTypes = new ColumnTypes({
+    overrides: { total: "currency", score: "integer", shipped: "date", active: "boolean", name: "text" },
+  });
+  const rows = [
+    { total: "$10.50", score: "3", shipped: "2024-03-15", active: "yes", name: "Alice" },
+    { total: "$4", score: "n/a", shipped: "3/1/2024", active: "no", name: "Bob" },
+    { total: "", score: "7", shipped: null, active: true, name: "Alice" },
+    { total: "$1,000", score: "3", shipped: "2024-04-01", active: "maybe", name: " " },
+  ];
+
+  test("counts the values, the empty values and the distinct values", () => {
+    expect(ColumnStats.compute(rows, "name", columnTypes)).toEqual({ type: "text", count: 4, empty: 1, distinct: 2 });
+  });
+
+  test("sums and averages numeric columns, leaving out values that do not parse", () => {
+    expect(ColumnStats.compute(rows, "total", columnTypes)).toEqual({
+      type: "currency",
+      count: 4,
+      empty: 1,
+      distinct: 3,
+      min: 4,
+      max: 1000,
+      sum: 1014.5,
+      average: 338.1666666666667,
+    });
+    expect(ColumnStats.compute(rows, "score", columnTypes)).toMatchObject({ distinct: 3, min: 3, max: 7, sum: 13 });
+  });
+
+  test("finds the earliest and latest dates", () => {
+    const stats = ColumnStats.compute(rows, "shipped", columnTypes);
+    expect(stats).toMatchObject({ type: "date", empty: 1, min: Date.UTC(2024, 2, 1), max: Date.UTC(2024, 3, 1) });
+    expect(stats).not.toHaveProperty("sum");
+  });
+
+  test("counts the true values of boolean columns", () => {
+    const stats = ColumnStats.compute(rows, "active", columnTypes);
+    expect(stats).toEqual({ type: "boolean", count: 4, empty: 0, distinct: 4, trueCount: 2 });
+  });
+
+  test("leaves out the type statistics when no value parses", () => {
+    const stats = ColumnStats.compute([{ score: "" }, { score: "n/a" }], "score", columnTypes);
+    expect(stats).toEqual({ type: "integer", count: 2, empty: 1, distinct: 1 });
+  });
+});
@@ -0,0 +1,461 @@
+/**
+ * ColumnTypes Module
+ *
+ * Overview:
+ * This module provides functionality for inferring the type of each column from its values,
+ * parsing raw values into typed values, and formatting them for display with the `Intl` APIs.
+ * It includes the `ColumnTypes` class, which keeps the inferred and overridden type of every column.
+ *
+ * Features:
+ * - Infer number, integer, currency, percent, date, datetime, boolean and text columns from a sample of their values.
+ * - Override the type (and formatting options) of any column.
+ * - Parse raw values, including CSV strings such as "$1,234.50", "12.5%" and "2024-03-01", into comparable values.
+ * - Format values for display using `Intl.NumberFormat` and `Intl.DateTimeFormat` in a configurable locale.
+ * - Tell which columns are numeric, so they can be right-aligned.
+ *
+ * Classes:
+ * - ColumnTypes: Handles inferring, parsing and formatting column values.
+ *
+ * Usage:
+ * To use this module, create an instance of the `ColumnTypes` class, optionally passing the locale, the default
+ * currency and per-column overrides. Then, call the `infer` method with the rows and headers, and use `parse`
+ * and `format` to compare and display values.
+ *
+ * Example:
+ * const columnTypes = new ColumnTypes({ locale: 'de-DE', currency: 'EUR', overrides: { Code: 'text' } });
+ * columnTypes.infer(rows, ['Code', 'Price', 'Ordered']);
+ * console.log(columnTypes.getType('Price'), columnTypes.format('1234.5', 'Price')); // "currency", "1.234,50 €"
+ */
+
+// The maximum number of non-empty values inspected when inferring a column type.
+const TYPE_SAMPLE_SIZE = 200;
+
+// The column types, from the most to the least specific.
+export const COLUMN_TYPES = [
+  "boolean",
+  "integer",
+  "number",
+  "percent",
+  "currency",
+  "date",
+  "datetime",
+  "text",
+];
+
+const NUMERIC_TYPES = ["integer", "number", "percent", "currency"];
+
+const BOOLEAN_VALUES = {
+  true: true,
+  false: false,
+  yes: true,
+  no: false,
+};
+
+const CURRENCY_SYMBOLS = {
+  $: "USD",
+  "€": "EUR",
+  "£": "GBP",
+  "¥": "JPY",
+  "₹": "INR",
+};
+
+const LEADING_ZERO_PATTERN = /^[-+]?0\d/;
+const INTEGER_PATTERN = /^[-+]?(\d+|\d{1,3}(,\d{3})+)$/;
+const NUMBER_PATTERN = /^[-+]?(\d+|\d{1,3}(,\d{3})+)?(\.\d+)?(e[-+]?\d+)?$/i;
+const PERCENT_PATTERN = /^[-+]?(\d+|\d{1,3}(,\d{3})+)?(\.\d+)?\s?%$/;
+const CURRENCY_PATTERN = /^([-+]?)([$€£¥₹])\s?([-+]?)(\d+|\d{1,3}(,\d{3})+)?(\.\d+)?$|^([-+]?)(\d+|\d{1,3}(,\d{3})+)?(\.\d+)?\s?([$€£¥₹])$/;
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{1,2})-(\d{1,2})$/;
+const SHORT_DATE_PATTERN = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/;
+const DATETIME_PATTERN = /^\d{4}-\d{1,2}-\d{1,2}[ T]\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+/**
+ * Whether a value is empty (null, undefined or blank).
+ * @param {*} value - The value.
+ * @returns {boolean} - True if the value is empty.
+ */
+const isEmpty = (value) =>
+  value === null || value === undefined || String(value).trim() === "";
+
+/**
+ * ColumnTypes class for inferring, parsing and formatting column values.
+ */
+export default class ColumnTypes {
+  /**
+   * Constructor for the ColumnTypes class.
+   * @param {Object} options - Column type options.
+   * @param {string} options.locale - The locale used for formatting (default: the browser locale).
+   * @param {string} options.currency - The currency code used when a currency column has no symbol (default: "USD").
+   * @param {Object} options.overrides - Column types keyed by column name, either a type name or an object
+   * ({ type, currency, format }) where `format` holds `Intl` formatting options.
+   */
+  constructor(options = {}) {
+    this.locale = options.locale;
+    this.currency = options.currency || "USD";
+    this.overrides = {};
+    Object.entries(options.overrides || {}).forEach(([column, override]) => {
+      this.overrides[column] =
+        typeof override === "string" ? { type: override } : { ...override };
+    });
+
+    // Inferred types and currencies keyed by column name
+    this.types = {};
+    this.currencies = {};
+    this.formatters = {};
+  }
+
+  /**
+   * Infer the type of each column from a sample of its values.
+   * @param {Array<Object>} rows - The rows.
+   * @param {Array<string>} headers - The columns to infer.
+   * @returns {Object} - The column types keyed by column name (overrides included).
+   */
+  infer(rows, headers) {
+    this.types = {};
+    this.currencies = {};
+    this.formatters = {};
+
+    headers.forEach((column) => {
+      if (this.overrides[column] && this.overrides[column].type) {
+        return;
+      }
+      const values = [];
+      for (let i = 0; i < rows.length && values.length < TYPE_SAMPLE_SIZE; i++) {
+        if (!isEmpty(rows[i][column])) {
+          values.push(rows[i][column]);
+        }
+      }
+      this.types[column] = ColumnTypes.inferType(values);
+      if (this.types[column] === "currency") {
+        this.currencies[column] = ColumnTypes.detectCurrency(values);
+      }
+    });
+
+    return this.getTypes(headers);
+  }
+
+  /**
+   * Get the type of every column.
+   * @param {Array<string>} headers - The columns.
+   * @returns {Object} - The column types keyed by column name.
+   */
+  getTypes(headers) {
+    return headers.reduce((acc, column) => {
+      acc[column] = this.getType(column);
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Get the type of a column: its override, its inferred type, or "text".
+   * @param {string} column - The column name.
+   * @returns {string} - The column type.
+   */
+  getType(column) {
+    const override = this.overrides[column];
+    return (override && override.type) || this.types[column] || "text";
+  }
+
+  /**
+   * Whether the type of a column is known, either overridden or inferred.
+   * @param {string} column - The column name.
+   * @returns {boolean} - True if the column has a type.
+   */
+  has(column) {
+    return Boolean(
+      (this.overrides[column] && this.overrides[column].type) || this.types[column]
+    );
+  }
+
+  /**
+   * Override the type of a column.
+   * @param {string} column - The column name.
+   * @param {string|Object} override - A type name, or an object ({ type, currency, format }).
+   */
+  setType(column, override) {
+    this.overrides[column] =
+      typeof override === "string" ? { type: override } : { ...override };
+    delete this.formatters[column];
+  }
+
+  /**
+   * Whether a column holds numbers (integer, number, percent or currency).
+   * @param {string} column - The column name.
+   * @returns {boolean} - True if the column is numeric.
+   */
+  isNumeric(column) {
+    return NUMERIC_TYPES.includes(this.getType(column));
+  }
+
+  /**
+   * Parse a raw value into a comparable value for a type: a number for numeric types,
+   * a timestamp for dates, a boolean for booleans, and a string for text.
+   * @param {*} value - The raw value.
+   * @param {string} type - The column type.
+   * @returns {*} - The parsed value, or null if the value is empty or cannot be parsed.
+   */
+  parse(value, type) {
+    if (isEmpty(value)) {
+      return null;
+    }
+
+    switch (type) {
+      case "integer":
+      case "number":
+        return typeof value === "number" ? value : ColumnTypes.toNumber(String(value));
+      case "percent": {
+        if (typeof value === "number") {
+          return value;
+        }
+        const text = String(value).trim();
+        const number = ColumnTypes.toNumber(text.replace("%", ""));
+        return number === null || !text.endsWith("%") ? number : number / 100;
+      }
+      case "currency":
+        return typeof value === "number"
+          ? value
+          : ColumnTypes.toNumber(String(value).replace(/[$€£¥₹\s]/g, ""));
+      case "date":
+      case "datetime":
+        return ColumnTypes.toTime(value);
+      case "boolean": {
+        if (typeof value === "boolean") {
+          return value;
+        }
+        const key = String(value).trim().toLowerCase();
+        return key in BOOLEAN_VALUES ? BOOLEAN_VALUES[key] : null;
+      }
+      default:
+        return String(value);
+    }
+  }
+
+  /**
+   * Format a raw value of a column for display.
+   * @param {*} value - The raw value.
+   * @param {string} column - The column name.
+   * @returns {string} - The formatted value. Values that cannot be parsed are shown as they are.
+   */
+  format(value, column) {
+    if (isEmpty(value)) {
+      return "";
+    }
+    const type = this.getType(column);
+    if (type === "text") {
+      return String(value);
+    }
+
+    const parsed = this.parse(value, type);
+    if (parsed === null) {
+      return String(value);
+    }
+    if (type === "boolean") {
+      return parsed ? "Yes" : "No";
+    }
+    return this.getFormatter(column, type).format(parsed);
+  }
+
+  /**
+   * Get the cached `Intl` formatter of a column.
+   * @param {string} column - The column name.
+   * @param {string} type - The column type.
+   * @returns {Intl.NumberFormat|Intl.DateTimeFormat} - The formatter.
+   */
+  getFormatter(column, type) {
+    if (!this.formatters[column]) {
+      const override = this.overrides[column] || {};
+      const format = override.format || {};
+
+      switch (type) {
+        case "integer":
+          this.formatters[column] = new Intl.NumberFormat(this.locale, {
+            maximumFractionDigits: 0,
+            ...format,
+          });
+          break;
+        case "percent":
+          this.formatters[column] = new Intl.NumberFormat(this.locale, {
+            style: "percent",
+            maximumFractionDigits: 2,
+            ...format,
+          });
+          break;
+        case "currency":
+          this.formatters[column] = new Intl.NumberFormat(this.locale, {
+            style: "currency",
+            currency: override.currency || this.currencies[column] || this.currency,
+            ...format,
+          });
+          break;
+        case "date":
+          // Dates without a time are parsed as UTC midnight, so they are shown in UTC
+          this.formatters[column] = new Intl.DateTimeFormat(this.locale, {
+            dateStyle: "medium",
+            timeZone: "UTC",
+            ...format,
+          });
+          break;
+        case "datetime":
+          this.formatters[column] = new Intl.DateTimeFormat(this.locale, {
+            dateStyle: "medium",
+            timeStyle: "short",
+            ...format,
+          });
+          break;
+        default:
+          this.formatters[column] = new Intl.NumberFormat(this.locale, {
+            maximumFractionDigits: 6,
+            ...format,
+          });
+      }
+    }
+    return this.formatters[column];
+  }
+
+  /**
+   * Infer the most specific type that fits all of the values.
+   * @param {Array} values - The non-empty values of a column.
+   * @returns {string} - The inferred type.
+   */
+  static inferType(values) {
+    if (!values.length) {
+      return "text";
+    }
+
+    const found = new Set();
+    for (const value of values) {
+      const type = ColumnTypes.detectValueType(value);
+      if (type === "text") {
+        return "text";
+      }
+      found.add(type);
+    }
+
+    if (found.size === 1) {
+      return [...found][0];
+    }
+    // Mixed integers and decimals are numbers, and mixed dates and datetimes are datetimes
+    if ([...found].every((type) => type === "integer" || type === "number")) {
+      return "number";
+    }
+    if ([...found].every((type) => type === "date" || type === "datetime")) {
+      return "datetime";
+    }
+    return "text";
+  }
+
+  /**
+   * Detect the type of a single value.
+   * @param {*} value - A non-empty value.
+   * @returns {string} - The type of the value.
+   */
+  static detectValueType(value) {
+    if (typeof value === "number") {
+      return Number.isInteger(value) ? "integer" : "number";
+    }
+    if (typeof value === "boolean") {
+      return "boolean";
+    }
+    if (value instanceof Date) {
+      return "datetime";
+    }
+
+    const text = String(value).trim();
+    if (text.toLowerCase() in BOOLEAN_VALUES) {
+      return "boolean";
+    }
+    if (NUMBER_PATTERN.test(text) && /\d/.test(text)) {
+      // Leading zeros mark codes, such as postcodes and ids, rather than numbers
+      if (LEADING_ZERO_PATTERN.test(text)) {
+        return "text";
+      }
+      return INTEGER_PATTERN.test(text) ? "integer" : "number";
+    }
+    if (PERCENT_PATTERN.test(text) && /\d/.test(text)) {
+      return "percent";
+    }
+    if (CURRENCY_PATTERN.test(text) && /\d/.test(text)) {
+      return "currency";
+    }
+    if (ColumnTypes.toDate(text) !== null) {
+      return "date";
+    }
+    if (DATETIME_PATTERN.test(text) && ColumnTypes.toTime(text) !== null) {
+      return "datetime";
+    }
+    return "text";
+  }
+
+  /**
+   * Detect the currency of a column from the first currency symbol among its values.
+   * @param {Array} values - The non-empty values of a column.
+   * @returns {string|null} - The currency code, or null if there is no symbol.
+   */
+  static detectCurrency(values) {
+    for (const value of values) {
+      const symbol = String(value).match(/[$€£¥₹]/);
+      if (symbol) {
+        return CURRENCY_SYMBOLS[symbol[0]];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Convert a number string, which may contain thousands separators, to a number.
+   * @param {string} text - The number string.
+   * @returns {number|null} - The number, or null if the string is not a number.
+   */
+  static toNumber(text) {
+    const cleaned = text.trim().replace(/,/g, "").replace(/^([-+]?)\+?/, "$1");
+    if (cleaned === "" || cleaned === "-" || cleaned === "+") {
+      return null;
+    }
+    const number = Number(cleaned);
+    return Number.isNaN(number) ? null : number;
+  }
+
+  /**
+   * Convert a date value to a timestamp. Dates without a time ("2024-03-01", "3/1/2024") are taken as
+   * UTC midnight, whatever the time zone of the browser, so that they show the same day everywhere.
+   * @param {*} value - The date value.
+   * @returns {number|null} - The timestamp in milliseconds, or null if the value is not a date.
+   */
+  static toTime(value) {
+    if (value instanceof Date) {
+      return Number.isNaN(value.getTime()) ? null : value.getTime();
+    }
+    if (typeof value === "number") {
+      return value;
+    }
+    const text = String(value).trim();
+    if (ISO_DATE_PATTERN.test(text) || SHORT_DATE_PATTERN.test(text)) {
+      return ColumnTypes.toDate(text);
+    }
+    const time = Date.parse(text);
+    return Number.isNaN(time) ? null : time;
+  }
+
+  /**
+   * Convert a date without a time to the timestamp of its UTC midnight. Besides ISO dates ("2024-03-01"),
+   * this reads month/day/year dates separated by slashes, dots or dashes ("3/1/2024", "03.01.24"),
+   * where two-digit years up to 49 are in the 2000s and the others in the 1900s.
+   * @param {string} text - The date string.
+   * @returns {number|null} - The timestamp in milliseconds, or null if the string is not a valid date.
+   */
+  static toDate(text) {
+    const isoDate = text.match(ISO_DATE_PATTERN);
+    const shortDate = !isoDate && text.match(SHORT_DATE_PATTERN);
+    if (!isoDate && !shortDate) {
+      return null;
+    }
+
+    const [year, month, day] = isoDate
+      ? [isoDate[1], isoDate[2], isoDate[3]].map(Number)
+      : [shortDate[3], shortDate[1], shortDate[2]].map(Number);
+    const fullYear = shortDate && shortDate[3].length === 2 ? year + (year < 50 ? 2000 : 1900) : year;
+    const date = new Date(0);
+    date.setUTCFullYear(fullYear, month - 1, day);
+    // Reject days that do not exist, such as "2024-02-30", rather than rolling them over
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date.getTime() : null;
+  }
+}
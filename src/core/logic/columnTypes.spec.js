@@ -0,0 +1,128 @@
+import ColumnTypes from "./columnTypes.js";
+
+describe("ColumnTypes", () => {
+  describe("inferType", () => {
+    test.each([
+      [["true", "No", "yes"], "boolean"],
+      [["1", "-20", "1,000"], "integer"],
+      [["1.5", "2e3", "-0.25"], "number"],
+      [["1", "2.5"], "number"],
+      [["50%", "12.5 %"], "percent"],
+      [["$10", "€ 5.50", "20£"], "currency"],
+      [["2024-03-01", "1/2/2024"], "date"],
+      [["03/15/2024", "01.02.2024", "12-01-23"], "date"],
+      [["2024-03-01 10:30", "2024-03-01T10:30:00Z"], "datetime"],
+      [["2024-03-01", "2024-03-01 10:30"], "datetime"],
+      [["1", "apple"], "text"],
+      [["007", "123"], "text"],
+      [["02134", "-01.5"], "text"],
+      [["2/30/2024", "2024-02-01"], "text"],
+      [[], "text"],
+    ])("infers %j as %s", (values, type) => {
+      expect(ColumnTypes.inferType(values)).toBe(type);
+    });
+
+    test("infers the types of JavaScript values", () => {
+      expect(ColumnTypes.inferType([1, 2])).toBe("integer");
+      expect(ColumnTypes.inferType([1.5])).toBe("number");
+      expect(ColumnTypes.inferType([false])).toBe("boolean");
+      expect(ColumnTypes.inferType([new Date()])).toBe("datetime");
+    });
+  });
+
+  describe("infer", () => {
+    test("infers each column from its non-empty values, keeping the overrides", () => {
+      const rows = [
+        { id: "1", price: "$5", code: "10", note: "" },
+        { id: "2", price: "", code: "20", note: "" },
+      ];
+      const types = new ColumnTypes({ overrides: { code: "text" } });
+      expect(types.infer(rows, ["id", "price", "code", "note"])).toEqual({
+        id: "integer",
+        price: "currency",
+        code: "text",
+        note: "text",
+      });
+      expect(types.isNumeric("price")).toBe(true);
+      expect(types.has("missing")).toBe(false);
+      expect(types.getType("missing")).toBe("text");
+    });
+  });
+
+  describe("parse", () => {
+    const types = new ColumnTypes();
+
+    test.each([
+      ["1,234", "integer", 1234],
+      ["-1.5e2", "number", -150],
+      ["12.5%", "percent", 0.125],
+      ["-$1,000.50", "currency", -1000.5],
+      ["2024-03-01", "date", Date.UTC(2024, 2, 1)],
+      ["3/15/2024", "date", Date.UTC(2024, 2, 15)],
+      ["03.15.24", "date", Date.UTC(2024, 2, 15)],
+      ["12-1-99", "date", Date.UTC(1999, 11, 1)],
+      ["2024-02-30", "date", null],
+      ["Yes", "boolean", true],
+      ["false", "boolean", false],
+      [42, "text", "42"],
+      ["abc", "number", null],
+      ["maybe", "boolean", null],
+      ["", "number", null],
+      [null, "text", null],
+    ])("parses %j as %s to %j", (value, type, expected) => {
+      expect(types.parse(value, type)).toBe(expected);
+    });
+  });
+
+  describe("format", () => {
+    test("formats values for the locale", () => {
+      const types = new ColumnTypes({
+        locale: "de-DE",
+        overrides: { n: "number", i: "integer", p: "percent", c: "currency", d: "date", b: "boolean" },
+      });
+      expect(types.format("1234.5", "n")).toBe("1.234,5");
+      expect(types.format("1234", "i")).toBe("1.234");
+      expect(types.format("12.5%", "p")).toMatch(/^12,5\s%$/);
+      expect(types.format("1234.5", "c")).toMatch(/^1\.234,50\s\$$/);
+      expect(types.format("2024-03-01", "d")).toBe("01.03.2024");
+      expect(types.format("yes", "b")).toBe("Yes");
+    });
+
+    test("shows dates without a time on their own day east of UTC", () => {
+      // The time zone is pinned to Asia/Tokyo in jest.config.js
+      expect(new Date(2024, 2, 15).getTimezoneOffset()).toBe(-540);
+      const types = new ColumnTypes({ locale: "en-US", overrides: { d: "date" } });
+      const values = ["2024-03-15", "3/15/2024", "03/15/2024", "3.15.2024", "3-15-24"];
+      expect(values.map((value) => types.format(value, "d"))).toEqual(Array(5).fill("Mar 15, 2024"));
+      expect(types.format("12/1/2023", "d")).toBe("Dec 1, 2023");
+    });
+
+    test("formats currencies with the detected, given or default currency", () => {
+      const types = new ColumnTypes({
+        locale: "en-US",
+        currency: "GBP",
+        overrides: { fixed: { type: "currency", currency: "JPY" } },
+      });
+      types.infer([{ euros: "€5", plain: "$1", fixed: "5" }], ["euros"]);
+      types.setType("plain", "currency");
+      expect(types.format("€5", "euros")).toBe("€5.00");
+      expect(types.format("5", "plain")).toBe("£5.00");
+      expect(types.format("5", "fixed")).toBe("¥5");
+    });
+
+    test("applies the Intl options of an override", () => {
+      const types = new ColumnTypes({
+        locale: "en-US",
+        overrides: { n: { type: "number", format: { minimumFractionDigits: 2 } } },
+      });
+      expect(types.format("3", "n")).toBe("3.00");
+    });
+
+    test("shows text, empty values and values that cannot be parsed as they are", () => {
+      const types = new ColumnTypes({ locale: "en-US", overrides: { n: "number" } });
+      expect(types.format("n/a", "n")).toBe("n/a");
+      expect(types.format(null, "n")).toBe("");
+      expect(types.format("1234", "other")).toBe("1234");
+    });
+  });
+});
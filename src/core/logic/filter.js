@@ -0,0 +1,164 @@
+/**
+ * Filter Module
+ *
+ * Overview:
+ * This module provides functionality for filtering a set of results by per-column filters.
+ * It includes the `Filter` class, which keeps the rows that match every active column filter.
+ *
+ * Features:
+ * - Filter by a case-insensitive search term per column, matching the raw or the formatted value.
+ * - Filter by an exact value per column.
+ * - Compare typed columns with operators (">10", "<=2024-01-31", "!=0") and ranges ("10..20"),
+ *   using the column types inferred or overridden by `ColumnTypes`.
+ * - Combine the filters of all columns (a row must match every column filter).
+ * - Normalise filter objects by dropping empty entries.
+ *
+ * Classes:
+ * - Filter: Handles the filtering of results by column filters.
+ *
+ * Usage:
+ * To use this module, create an instance of the `Filter` class. Then, call the `filter` method
+ * with the results, an object of column filters keyed by column name and, optionally, the `ColumnTypes` of the table.
+ *
+ * Example:
+ * const filter = new Filter();
+ * const filtered = filter.filter(results, { Name: { search: 'ali' }, Age: { search: '>=18' } }, columnTypes);
+ * console.log(filtered);
+ */
+
+// Comparison operators and ranges accepted in the search term of a typed column.
+const COMPARISON_PATTERN = /^(>=|<=|!=|>|<|=)\s*(.+)$/;
+const RANGE_PATTERN = /^(.+?)\s*\.\.\s*(.+)$/;
+
+/**
+ * Filter class for filtering results by column filters.
+ */
+export default class Filter {
+  /**
+   * Filter the results by the given column filters. The original array is not modified.
+   * @param {Array<Object>} results - The results to filter.
+   * @param {Object} filters - The column filters keyed by column name.
+   * @param {string} filters[].search - A search term the column value must contain (case-insensitive).
+   * @param {string} filters[].value - A value the column value must equal.
+   * @param {ColumnTypes} columnTypes - The column types of the table. Without them, every column is compared as text.
+   * @returns {Array<Object>} - The filtered results.
+   */
+  filter(results, filters = {}, columnTypes = null) {
+    const predicates = Object.entries(Filter.normalize(filters)).map(
+      ([column, filter]) => this.createPredicate(column, filter, columnTypes)
+    );
+
+    if (!predicates.length) {
+      return results;
+    }
+    return results.filter((row) => predicates.every((predicate) => predicate(row)));
+  }
+
+  /**
+   * Create a predicate that tests a row against a single column filter.
+   * @param {string} column - The filtered column.
+   * @param {Object} filter - The column filter.
+   * @param {ColumnTypes} columnTypes - The column types of the table.
+   * @returns {Function} - A function returning true if the row matches the filter.
+   */
+  createPredicate(column, filter, columnTypes = null) {
+    const type = columnTypes ? columnTypes.getType(column) : "text";
+    const typed = type !== "text";
+    const parse = (value) => columnTypes.parse(value, type);
+
+    const search = filter.search ? filter.search.toLowerCase() : null;
+    const comparison = search && typed ? this.parseComparison(filter.search, type, parse) : null;
+    const hasValue = filter.value !== undefined && filter.value !== "";
+    const value = hasValue ? String(filter.value) : null;
+    const typedValue = hasValue && typed ? parse(value) : null;
+
+    return (row) => {
+      const cellValue = row[column] === null || row[column] === undefined ? "" : String(row[column]);
+      if (hasValue && cellValue !== value) {
+        // Typed values match when they parse to the same value ("9" and "9.0")
+        if (typedValue === null || parse(cellValue) !== typedValue) {
+          return false;
+        }
+      }
+      if (comparison) {
+        return comparison(parse(cellValue));
+      }
+      if (
+        search &&
+        !cellValue.toLowerCase().includes(search) &&
+        !(typed && columnTypes.format(cellValue, column).toLowerCase().includes(search))
+      ) {
+        return false;
+      }
+      return true;
+    };
+  }
+
+  /**
+   * Parse a comparison (">10", "<=2024-01-31", "!=0") or range ("10..20") search term of a typed column.
+   * @param {string} search - The search term.
+   * @param {string} type - The column type.
+   * @param {Function} parse - Parses a raw value into a comparable value for the column.
+   * @returns {Function|null} - A function testing a parsed value, or null if the term is not a comparison.
+   */
+  parseComparison(search, type, parse) {
+    // Percent operands are written as they are displayed ("50" meaning 50%)
+    const parseOperand = (operand) =>
+      parse(type === "percent" && !operand.endsWith("%") ? `${operand}%` : operand);
+
+    const range = search.match(RANGE_PATTERN);
+    if (range) {
+      const min = parseOperand(range[1]);
+      const max = parseOperand(range[2]);
+      if (min === null || max === null) {
+        return null;
+      }
+      return (value) => value !== null && value >= min && value <= max;
+    }
+
+    const match = search.match(COMPARISON_PATTERN);
+    if (!match) {
+      return null;
+    }
+    const operand = parseOperand(match[2]);
+    if (operand === null) {
+      return null;
+    }
+
+    switch (match[1]) {
+      case ">":
+        return (value) => value !== null && value > operand;
+      case ">=":
+        return (value) => value !== null && value >= operand;
+      case "<":
+        return (value) => value !== null && value < operand;
+      case "<=":
+        return (value) => value !== null && value <= operand;
+      case "!=":
+        return (value) => value !== operand;
+      default:
+        return (value) => value === operand;
+    }
+  }
+
+  /**
+   * Normalise column filters by trimming search terms and dropping empty filters.
+   * @param {Object} filters - The column filters keyed by column name.
+   * @returns {Object} - The normalised column filters.
+   */
+  static normalize(filters = {}) {
+    return Object.entries(filters).reduce((acc, [column, filter = {}]) => {
+      const normalized = {};
+      if (filter.search && filter.search.trim() !== "") {
+        normalized.search = filter.search.trim();
+      }
+      if (filter.value !== undefined && filter.value !== null && filter.value !== "") {
+        normalized.value = String(filter.value);
+      }
+      if (Object.keys(normalized).length) {
+        acc[column] = normalized;
+      }
+      return acc;
+    }, {});
+  }
+}
@@ -0,0 +1,70 @@
+import Filter from "./filter.js";
+import ColumnTypes from "./columnTypes.js";
+
+const rows = [
+  { name: "Alice", city: "Paris", age: "34", joined: "2023-05-01", score: "50%" },
+  { name: "Bob", city: "Berlin", age: "9", joined: "2024-01-15", score: "12.5%" },
+  { name: "Carol", city: "paris", age: "9.0", joined: "", score: "80%" },
+  { name: "Dave", city: null, age: "120", joined: "2024-03-01", score: "" },
+];
+
+const columnTypes = new ColumnTypes();
+columnTypes.infer(rows, Object.keys(rows[0]));
+
+// Filter the rows and list the names of the matching rows
+const names = (filters, types = columnTypes) => new Filter().filter(rows, filters, types).map((row) => row.name);
+
+describe("Filter", () => {
+  test("keeps every row without filters", () => {
+    expect(new Filter().filter(rows, {})).toBe(rows);
+    expect(names({ name: { search: "  " }, city: { value: "" } })).toHaveLength(4);
+  });
+
+  test("matches search terms anywhere in the value, ignoring case", () => {
+    expect(names({ city: { search: "PAR" } })).toEqual(["Alice", "Carol"]);
+    expect(names({ city: { search: "x" } })).toEqual([]);
+  });
+
+  test("matches values exactly", () => {
+    expect(names({ city: { value: "Paris" } })).toEqual(["Alice"]);
+  });
+
+  test("matches typed values that parse to the same value", () => {
+    expect(names({ age: { value: "9" } })).toEqual(["Bob", "Carol"]);
+    expect(names({ age: { value: "9" } }, null)).toEqual(["Bob"]);
+  });
+
+  test("combines the filters of several columns", () => {
+    expect(names({ city: { search: "paris" }, age: { value: "34" } })).toEqual(["Alice"]);
+  });
+
+  test("compares typed columns with operators", () => {
+    expect(names({ age: { search: ">9" } })).toEqual(["Alice", "Dave"]);
+    expect(names({ age: { search: ">= 34" } })).toEqual(["Alice", "Dave"]);
+    expect(names({ age: { search: "<34" } })).toEqual(["Bob", "Carol"]);
+    expect(names({ age: { search: "!=9" } })).toEqual(["Alice", "Dave"]);
+    expect(names({ age: { search: "=120" } })).toEqual(["Dave"]);
+    expect(names({ joined: { search: "<2024-02-01" } })).toEqual(["Alice", "Bob"]);
+  });
+
+  test("matches typed columns in a range", () => {
+    expect(names({ age: { search: "9..34" } })).toEqual(["Alice", "Bob", "Carol"]);
+    expect(names({ joined: { search: "2024-01-01..2024-12-31" } })).toEqual(["Bob", "Dave"]);
+  });
+
+  test("compares percentages as they are displayed", () => {
+    expect(names({ score: { search: ">40" } })).toEqual(["Alice", "Carol"]);
+  });
+
+  test("searches the text of a comparison that cannot be parsed", () => {
+    expect(names({ age: { search: ">abc" } })).toEqual([]);
+    expect(names({ name: { search: ">a" } })).toEqual([]);
+  });
+
+  test("normalizes filters", () => {
+    expect(Filter.normalize({ a: { search: " x " }, b: { value: 0 }, c: { search: "" }, d: undefined })).toEqual({
+      a: { search: "x" },
+      b: { value: "0" },
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Grouper Module
+ *
+ * Overview:
+ * This module provides functionality for grouping the rows of a table by the values of a column.
+ * It includes the `Grouper` class, which splits sorted rows into groups of consecutive rows with the same value
+ * and counts the rows of each group across the whole dataset.
+ *
+ * Features:
+ * - Split the rows of a page into groups, keeping their order.
+ * - Count the rows of each group.
+ * - Group empty values together.
+ *
+ * Classes:
+ * - Grouper: Handles grouping rows by a column.
+ *
+ * Usage:
+ * To use this module, create an instance of the `Grouper` class with the column to group by. Sort the rows by that
+ * column first, so the rows of each group are consecutive, then call `split` to get the groups.
+ *
+ * Example:
+ * const grouper = new Grouper('status');
+ * grouper.split(rows).forEach(group => console.log(group.value, group.rows.length));
+ * console.log(grouper.count(allRows).get('Shipped'));
+ */
+
+/**
+ * Grouper class for grouping rows by the values of a column.
+ */
+export default class Grouper {
+  /**
+   * Constructor for the Grouper class.
+   * @param {string} column - The column to group by.
+   */
+  constructor(column) {
+    this.column = column;
+  }
+
+  /**
+   * Get the key of the group a row belongs to.
+   * @param {Object} row - The row.
+   * @returns {string} - The group key: the value of the column as text, or "" for an empty value.
+   */
+  getKey(row) {
+    const value = row[this.column];
+    return value === null || value === undefined ? "" : String(value);
+  }
+
+  /**
+   * Split rows into groups of consecutive rows with the same value.
+   * @param {Array<Object>} rows - The rows, sorted by the column.
+   * @returns {Array<Object>} - The groups ({ key, value, rows }), in order.
+   */
+  split(rows) {
+    return rows.reduce((groups, row) => {
+      const key = this.getKey(row);
+      const last = groups[groups.length - 1];
+      if (last && last.key === key) {
+        last.rows.push(row);
+      } else {
+        groups.push({ key, value: row[this.column], rows: [row] });
+      }
+      return groups;
+    }, []);
+  }
+
+  /**
+   * Count the rows of each group.
+   * @param {Array<Object>} rows - The rows, in any order.
+   * @returns {Map<string, number>} - The number of rows keyed by group key.
+   */
+  count(rows) {
+    const counts = new Map();
+    rows.forEach((row) => {
+      const key = this.getKey(row);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    return counts;
+  }
+}
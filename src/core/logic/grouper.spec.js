@@ -0,0 +1,38 @@
+import Grouper from "./grouper.js";
+
+describe("Grouper", () => {
+  const rows = [
+    { id: 1, status: "New" },
+    { id: 2, status: "New" },
+    { id: 3, status: null },
+    { id: 4 },
+    { id: 5, status: 5 },
+    { id: 6, status: "New" },
+  ];
+
+  test("keys rows by the value of the column as text, and empty values by an empty string", () => {
+    const grouper = new Grouper("status");
+    expect(rows.map((row) => grouper.getKey(row))).toEqual(["New", "New", "", "", "5", "New"]);
+  });
+
+  test("splits rows into groups of consecutive rows with the same value", () => {
+    const groups = new Grouper("status").split(rows);
+    expect(groups.map(({ key, value, rows }) => [key, value, rows.map((row) => row.id)])).toEqual([
+      ["New", "New", [1, 2]],
+      ["", null, [3, 4]],
+      ["5", 5, [5]],
+      ["New", "New", [6]],
+    ]);
+    expect(new Grouper("status").split([])).toEqual([]);
+  });
+
+  test("counts the rows of each group in any order", () => {
+    expect(new Grouper("status").count(rows)).toEqual(
+      new Map([
+        ["New", 3],
+        ["", 2],
+        ["5", 1],
+      ])
+    );
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Search Module
+ *
+ * Overview:
+ * This module provides functionality for searching a set of results for a term across several columns,
+ * and for splitting cell text into matching and non-matching parts so the matches can be highlighted.
+ * It includes the `Search` class, which builds a matcher from the term and the search options.
+ *
+ * Features:
+ * - Search across all columns or a limited set of columns.
+ * - Case-insensitive (default) or case-sensitive matching.
+ * - Substring (default) or whole-word matching.
+ * - Split text into segments for highlighting the matches.
+ *
+ * Classes:
+ * - Search: Handles matching rows and text against a search term.
+ *
+ * Usage:
+ * To use this module, create an instance of the `Search` class by passing the term and the search options.
+ * Then, call the `filter` method to keep the matching rows, or the `split` method to highlight the matches in a text.
+ *
+ * Example:
+ * const search = new Search({ term: 'ali', columns: ['Name', 'Email'], wholeWord: false });
+ * const matches = search.filter(results);
+ * console.log(search.split('Alice')); // [{ text: 'Ali', match: true }, { text: 'ce', match: false }]
+ */
+
+/**
+ * Search class for matching rows and text against a search term.
+ */
+export default class Search {
+  /**
+   * Constructor for the Search class.
+   * @param {Object} options - Search options.
+   * @param {string} options.term - The term to search for.
+   * @param {Array<string>} options.columns - The columns to search (default: all columns of each row).
+   * @param {boolean} options.caseSensitive - Whether matching is case-sensitive (default: false).
+   * @param {boolean} options.wholeWord - Whether only whole words match (default: false).
+   */
+  constructor(options = {}) {
+    this.term = (options.term || "").trim();
+    this.columns = options.columns || null;
+    this.caseSensitive = options.caseSensitive || false;
+    this.wholeWord = options.wholeWord || false;
+    this.pattern = this.term ? this.createPattern() : null;
+  }
+
+  /**
+   * Whether there is a term to search for.
+   * @returns {boolean} - True if the search is active.
+   */
+  isActive() {
+    return this.pattern !== null;
+  }
+
+  /**
+   * Whether the search applies to a column.
+   * @param {string} column - The column name.
+   * @returns {boolean} - True if the column is searched.
+   */
+  appliesTo(column) {
+    return this.isActive() && (!this.columns || this.columns.includes(column));
+  }
+
+  /**
+   * Filter the results to the rows with a match in any searched column. The original array is not modified.
+   * @param {Array<Object>} results - The results to search.
+   * @returns {Array<Object>} - The matching results.
+   */
+  filter(results) {
+    if (!this.isActive()) {
+      return results;
+    }
+    return results.filter((row) => {
+      const columns = this.columns || Object.keys(row);
+      return columns.some((column) => this.test(row[column]));
+    });
+  }
+
+  /**
+   * Test a single value against the search term.
+   * @param {*} value - The value to test.
+   * @returns {boolean} - True if the value contains a match.
+   */
+  test(value) {
+    if (value === null || value === undefined) {
+      return false;
+    }
+    this.pattern.lastIndex = 0;
+    return this.pattern.test(String(value));
+  }
+
+  /**
+   * Split a text into matching and non-matching segments.
+   * @param {*} value - The text to split.
+   * @returns {Array<Object>} - The segments ({ text, match }) in order.
+   */
+  split(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+    if (!this.isActive() || !text) {
+      return [{ text, match: false }];
+    }
+
+    const segments = [];
+    let lastIndex = 0;
+    this.pattern.lastIndex = 0;
+    let match = this.pattern.exec(text);
+    while (match) {
+      if (match.index > lastIndex) {
+        segments.push({ text: text.slice(lastIndex, match.index), match: false });
+      }
+      segments.push({ text: match[0], match: true });
+      lastIndex = match.index + match[0].length;
+      match = this.pattern.exec(text);
+    }
+    if (lastIndex < text.length) {
+      segments.push({ text: text.slice(lastIndex), match: false });
+    }
+    return segments;
+  }
+
+  /**
+   * Create the regular expression used to find the term.
+   * @returns {RegExp} - The search pattern.
+   */
+  createPattern() {
+    const escaped = this.term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const source = this.wholeWord
+      ? `(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`
+      : escaped;
+    return new RegExp(source, this.caseSensitive ? "gu" : "giu");
+  }
+}
@@ -0,0 +1,52 @@
+import Search from "./search.js";
+
+const rows = [
+  { name: "Anna Smith", city: "Oslo", note: "" },
+  { name: "Ben", city: "Annecy", note: null },
+  { name: "Carl", city: "Rome", note: "Joanna's friend" },
+];
+
+// Search the rows and list the names of the matching rows
+const names = (options) => new Search(options).filter(rows).map((row) => row.name);
+
+describe("Search", () => {
+  test("is inactive without a term", () => {
+    const search = new Search({ term: "   " });
+    expect(search.isActive()).toBe(false);
+    expect(search.filter(rows)).toBe(rows);
+  });
+
+  test("matches any column, ignoring case", () => {
+    expect(names({ term: "ANN" })).toEqual(["Anna Smith", "Ben", "Carl"]);
+  });
+
+  test("only searches the given columns", () => {
+    const search = new Search({ term: "ann", columns: ["name"] });
+    expect(search.filter(rows).map((row) => row.name)).toEqual(["Anna Smith"]);
+    expect(search.appliesTo("name")).toBe(true);
+    expect(search.appliesTo("city")).toBe(false);
+  });
+
+  test("matches case-sensitively when told to", () => {
+    expect(names({ term: "Ann", caseSensitive: true })).toEqual(["Anna Smith", "Ben"]);
+  });
+
+  test("matches whole words when told to", () => {
+    expect(names({ term: "anna", wholeWord: true })).toEqual(["Anna Smith"]);
+  });
+
+  test("treats the term as text rather than a pattern", () => {
+    expect(names({ term: "a.n" })).toEqual([]);
+    expect(names({ term: "'s" })).toEqual(["Carl"]);
+  });
+
+  test("splits text into matching and other segments", () => {
+    expect(new Search({ term: "an" }).split("Banana")).toEqual([
+      { text: "B", match: false },
+      { text: "an", match: true },
+      { text: "an", match: true },
+      { text: "a", match: false },
+    ]);
+    expect(new Search({ term: "x" }).split(null)).toEqual([{ text: "", match: false }]);
+  });
+});
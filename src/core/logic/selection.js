@@ -0,0 +1,171 @@
+/**
+ * Selection Module
+ *
+ * Overview:
+ * This module provides functionality for keeping track of the selected rows of a table.
+ * It includes the `Selection` class, which keys the selected rows by their row id, so the selection
+ * survives page changes, sorting and filtering.
+ *
+ * Features:
+ * - Select, deselect and toggle rows by id.
+ * - Select a range of rows between an anchor row and another row (shift-click).
+ * - Tell whether all, some or none of a set of rows are selected, for the select-all checkbox.
+ * - List the selected row ids and rows, in the order they were selected.
+ *
+ * Classes:
+ * - Selection: Handles the selected rows of a table.
+ *
+ * Usage:
+ * To use this module, create an instance of the `Selection` class. Then, call `select`, `deselect` or `toggle`
+ * with the id and the row, and `getRows` to list the selected rows. Use `selectRange` with the rows in
+ * display order to select the rows between the anchor (the last toggled row) and another row.
+ *
+ * Example:
+ * const selection = new Selection();
+ * selection.toggle(3, row3);
+ * selection.selectRange(pageRows, 7, (row) => row.id); // selects the rows from id 3 to id 7
+ * console.log(selection.size, selection.getIds());
+ */
+
+/**
+ * Selection class for tracking the selected rows of a table.
+ */
+export default class Selection {
+  /**
+   * Constructor for the Selection class.
+   */
+  constructor() {
+    // Selected rows keyed by row id, in the order they were selected.
+    // A row selected by id alone is null until it is loaded.
+    this.rows = new Map();
+    // The id of the row a range selection starts from
+    this.anchor = null;
+  }
+
+  /**
+   * The number of selected rows.
+   * @returns {number} - The number of selected rows.
+   */
+  get size() {
+    return this.rows.size;
+  }
+
+  /**
+   * Whether a row is selected.
+   * @param {*} id - The row id.
+   * @returns {boolean} - True if the row is selected.
+   */
+  isSelected(id) {
+    return this.rows.has(id);
+  }
+
+  /**
+   * Select a row.
+   * @param {*} id - The row id.
+   * @param {Object} row - The row, if it is loaded.
+   */
+  select(id, row = null) {
+    if (!this.rows.has(id) || row) {
+      this.rows.set(id, row || null);
+    }
+  }
+
+  /**
+   * Deselect a row.
+   * @param {*} id - The row id.
+   */
+  deselect(id) {
+    this.rows.delete(id);
+  }
+
+  /**
+   * Toggle the selection of a row and make it the anchor of the next range selection.
+   * @param {*} id - The row id.
+   * @param {Object} row - The row.
+   * @param {boolean} selected - Whether to select or deselect the row (default: the opposite of its current state).
+   */
+  toggle(id, row, selected = !this.isSelected(id)) {
+    if (selected) {
+      this.select(id, row);
+    } else {
+      this.deselect(id);
+    }
+    this.anchor = id;
+  }
+
+  /**
+   * Select or deselect the rows between the anchor and a row, inclusive. Without an anchor among the rows,
+   * only the row itself is toggled.
+   * @param {Array<Object>} rows - The rows in display order.
+   * @param {*} id - The id of the row the range ends on.
+   * @param {Function} getId - Returns the id of a row.
+   * @param {boolean} selected - Whether to select or deselect the range (default: true).
+   */
+  selectRange(rows, id, getId, selected = true) {
+    const ids = rows.map(getId);
+    const start = ids.indexOf(this.anchor);
+    const end = ids.indexOf(id);
+    if (start === -1 || end === -1) {
+      this.toggle(id, rows[end], selected);
+      return;
+    }
+
+    const [from, to] = start < end ? [start, end] : [end, start];
+    for (let i = from; i <= to; i++) {
+      if (selected) {
+        this.select(ids[i], rows[i]);
+      } else {
+        this.deselect(ids[i]);
+      }
+    }
+  }
+
+  /**
+   * Tell how many of a set of rows are selected.
+   * @param {Array<*>} ids - The row ids.
+   * @returns {string} - "all", "some" or "none".
+   */
+  getState(ids) {
+    const count = ids.filter((id) => this.isSelected(id)).length;
+    if (count && count === ids.length) {
+      return "all";
+    }
+    return count ? "some" : "none";
+  }
+
+  /**
+   * Get the ids of the selected rows.
+   * @returns {Array<*>} - The selected row ids.
+   */
+  getIds() {
+    return Array.from(this.rows.keys());
+  }
+
+  /**
+   * Get the selected rows that are loaded.
+   * @returns {Array<Object>} - The selected rows.
+   */
+  getRows() {
+    return Array.from(this.rows.values()).filter((row) => row);
+  }
+
+  /**
+   * Replace the selected rows with other objects for the same rows, such as copies of them.
+   * @param {Map<Object, Object>} replacements - The new objects keyed by the rows they replace.
+   */
+  replaceRows(replacements) {
+    this.rows.forEach((row, id) => {
+      if (replacements.has(row)) {
+        this.rows.set(id, replacements.get(row));
+      }
+    });
+  }
+
+  /**
+   * Deselect every row.
+   */
+  clear() {
+    this.rows.clear();
+    this.anchor = null;
+  }
+}
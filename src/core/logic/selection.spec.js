@@ -0,0 +1,81 @@
+import Selection from "./selection.js";
+
+const rows = [1, 2, 3, 4, 5].map((id) => ({ id }));
+const getId = (row) => row.id;
+
+describe("Selection", () => {
+  test("selects, deselects and toggles rows by id, in the order they were selected", () => {
+    const selection = new Selection();
+    selection.select(3, rows[2]);
+    selection.toggle(1, rows[0]);
+    selection.toggle(3, rows[2]);
+    selection.toggle(2, rows[1], true);
+
+    expect(selection.size).toBe(2);
+    expect(selection.isSelected(3)).toBe(false);
+    expect(selection.getIds()).toEqual([1, 2]);
+    expect(selection.getRows()).toEqual([rows[0], rows[1]]);
+    expect(selection.anchor).toBe(2);
+  });
+
+  test("keeps rows selected by id until they are loaded", () => {
+    const selection = new Selection();
+    selection.select(4);
+    expect(selection.getIds()).toEqual([4]);
+    expect(selection.getRows()).toEqual([]);
+
+    selection.select(4, rows[3]);
+    selection.select(4);
+    expect(selection.getRows()).toEqual([rows[3]]);
+  });
+
+  test("selects and deselects the range between the anchor and a row, in either direction", () => {
+    const selection = new Selection();
+    selection.toggle(4, rows[3]);
+    selection.selectRange(rows, 2, getId);
+    expect(selection.getIds().sort()).toEqual([2, 3, 4]);
+
+    selection.toggle(5, rows[4]);
+    selection.selectRange(rows, 3, getId, false);
+    expect(selection.getIds()).toEqual([2]);
+  });
+
+  test("toggles only the row itself without an anchor among the rows", () => {
+    const selection = new Selection();
+    selection.toggle(9, { id: 9 });
+    selection.selectRange(rows, 2, getId);
+    expect(selection.getIds()).toEqual([9, 2]);
+    expect(selection.anchor).toBe(2);
+  });
+
+  test("tells whether all, some or none of a set of rows are selected", () => {
+    const selection = new Selection();
+    expect(selection.getState([1, 2])).toBe("none");
+    selection.select(1, rows[0]);
+    expect(selection.getState([1, 2])).toBe("some");
+    selection.select(2, rows[1]);
+    expect(selection.getState([1, 2])).toBe("all");
+    expect(selection.getState([])).toBe("none");
+  });
+
+  test("replaces the selected rows with copies of them", () => {
+    const selection = new Selection();
+    selection.select(1, rows[0]);
+    selection.select(2, rows[1]);
+    selection.select(6);
+    const copy = { ...rows[0] };
+
+    selection.replaceRows(new Map([[rows[0], copy], [rows[2], { ...rows[2] }]]));
+    expect(selection.getIds()).toEqual([1, 2, 6]);
+    expect(selection.getRows()).toEqual([copy, rows[1]]);
+    expect(selection.getRows()[0]).toBe(copy);
+  });
+
+  test("clears the rows and the anchor", () => {
+    const selection = new Selection();
+    selection.toggle(1, rows[0]);
+    selection.clear();
+    expect(selection.size).toBe(0);
+    expect(selection.anchor).toBeNull();
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Sorter Module
+ *
+ * Overview:
+ * This module provides functionality for sorting a set of results by one or more columns.
+ * It includes the `Sorter` class, which orders the rows using a comparator that understands the type of each
+ * sorted column, as inferred or overridden by `ColumnTypes`.
+ *
+ * Features:
+ * - Sort by multiple columns, in order of priority.
+ * - Ascending and descending directions per column.
+ * - Type-aware comparison for numbers, currencies, percentages, dates, booleans and text.
+ * - Locale collation for text values (e.g. "a" < "B" < "ä" < "z", "item2" < "item10").
+ * - Empty values are always placed after non-empty values.
+ *
+ * Classes:
+ * - Sorter: Handles the sorting of results by a sort state.
+ *
+ * Usage:
+ * To use this module, create an instance of the `Sorter` class, optionally passing the locale to use
+ * for text collation. Then, call the `sort` method with the results, the sort state and, optionally,
+ * the `ColumnTypes` of the table. Columns without a known type are inferred from the results.
+ *
+ * Example:
+ * const sorter = new Sorter({ locale: 'en-GB' });
+ * const sorted = sorter.sort(results, [{ column: 'Name', direction: 'asc' }, { column: 'Age', direction: 'desc' }]);
+ * console.log(sorted);
+ */
+
+// Imports
+import ColumnTypes from "./columnTypes.js";
+
+/**
+ * Sorter class for sorting results by one or more columns.
+ */
+export default class Sorter {
+  /**
+   * Constructor for the Sorter class.
+   * @param {Object} options - Sorter options.
+   * @param {string} options.locale - The locale used to collate text values (default: the browser locale).
+   */
+  constructor(options = {}) {
+    this.locale = options.locale;
+    this.collator = new Intl.Collator(this.locale, {
+      numeric: true,
+      sensitivity: "base",
+    });
+  }
+
+  /**
+   * Sort the results by the given sort state. The original array is not modified.
+   * @param {Array<Object>} results - The results to sort.
+   * @param {Array<Object>} sortState - The sort keys, in order of priority.
+   * @param {string} sortState[].column - The column to sort by.
+   * @param {string} sortState[].direction - The sort direction, either "asc" or "desc".
+   * @param {ColumnTypes} columnTypes - The column types of the table (default: inferred from the results).
+   * @returns {Array<Object>} - The sorted results.
+   */
+  sort(results, sortState = [], columnTypes = null) {
+    if (!sortState.length || results.length < 2) {
+      return results;
+    }
+
+    // Columns the table has no type for yet are inferred from the results
+    const types = columnTypes || new ColumnTypes({ locale: this.locale });
+    const unknown = sortState
+      .map(({ column }) => column)
+      .filter((column) => !types.has(column));
+    const inferred = unknown.length
+      ? new ColumnTypes({ locale: this.locale }).infer(results, unknown)
+      : {};
+
+    const keys = sortState.map(({ column, direction }) => ({
+      column,
+      type: inferred[column] || types.getType(column),
+      modifier: direction === "desc" ? -1 : 1,
+    }));
+
+    // Parse each sort value once up front rather than on every comparison.
+    const decorated = results.map((row) => ({
+      row,
+      values: keys.map((key) => this.parseValue(row[key.column], key.type, types)),
+    }));
+
+    decorated.sort((a, b) => {
+      for (let i = 0; i < keys.length; i++) {
+        const result = this.compare(a.values[i], b.values[i], keys[i]);
+        if (result !== 0) {
+          return result;
+        }
+      }
+      return 0;
+    });
+
+    return decorated.map((item) => item.row);
+  }
+
+  /**
+   * Compare two parsed values for a sort key.
+   * @param {*} a - The first parsed value.
+   * @param {*} b - The second parsed value.
+   * @param {Object} key - The sort key the values belong to.
+   * @returns {number} - A negative number, zero or a positive number.
+   */
+  compare(a, b, key) {
+    const aEmpty = a === null;
+    const bEmpty = b === null;
+
+    // Empty values go last regardless of the direction.
+    if (aEmpty || bEmpty) {
+      return aEmpty === bEmpty ? 0 : aEmpty ? 1 : -1;
+    }
+
+    if (key.type === "text") {
+      return this.collator.compare(a, b) * key.modifier;
+    }
+    return (a < b ? -1 : a > b ? 1 : 0) * key.modifier;
+  }
+
+  /**
+   * Parse a raw value into a comparable value for the given type.
+   * @param {*} value - The raw value.
+   * @param {string} type - The column type.
+   * @param {ColumnTypes} columnTypes - The column types used to parse the value.
+   * @returns {*} - The parsed value, or null if the value is empty or cannot be parsed.
+   */
+  parseValue(value, type, columnTypes) {
+    const parsed = columnTypes.parse(value, type);
+    // Booleans sort false before true
+    return typeof parsed === "boolean" ? Number(parsed) : parsed;
+  }
+}
@@ -0,0 +1,85 @@
+import Sorter from "./sorter.js";
+import ColumnTypes from "./columnTypes.js";
+
+// Sort rows and list the values of a column in the sorted order
+const sortValues = (rows, sortState, options = {}, columnTypes = null) =>
+  new Sorter(options).sort(rows, sortState, columnTypes).map((row) => row[sortState[0].column]);
+
+const toRows = (column, values) => values.map((value) => ({ [column]: value }));
+
+describe("Sorter", () => {
+  test("leaves the rows as they are without sort keys", () => {
+    const rows = toRows("a", ["b", "a"]);
+    expect(new Sorter().sort(rows, [])).toBe(rows);
+  });
+
+  test("does not modify the rows array", () => {
+    const rows = toRows("a", ["b", "a"]);
+    new Sorter().sort(rows, [{ column: "a", direction: "asc" }]);
+    expect(rows.map((row) => row.a)).toEqual(["b", "a"]);
+  });
+
+  test("sorts numbers by value rather than as text", () => {
+    const rows = toRows("n", ["10", "9", "-2", "1,000", "3.5"]);
+    expect(sortValues(rows, [{ column: "n", direction: "asc" }])).toEqual(["-2", "3.5", "9", "10", "1,000"]);
+    expect(sortValues(rows, [{ column: "n", direction: "desc" }])).toEqual(["1,000", "10", "9", "3.5", "-2"]);
+  });
+
+  test("sorts dates, currencies, percentages and booleans by type", () => {
+    const asc = (column, values) => sortValues(toRows(column, values), [{ column, direction: "asc" }]);
+    expect(asc("d", ["2024-03-01", "2023-12-31", "2024-01-15"])).toEqual(["2023-12-31", "2024-01-15", "2024-03-01"]);
+    expect(asc("c", ["$10.50", "$9", "$100"])).toEqual(["$9", "$10.50", "$100"]);
+    expect(asc("p", ["50%", "5%", "12.5%"])).toEqual(["5%", "12.5%", "50%"]);
+    expect(asc("b", ["yes", "no", "true", "false"])).toEqual(["no", "false", "yes", "true"]);
+  });
+
+  test("sorts text naturally, ignoring case and accents", () => {
+    const rows = toRows("t", ["item 10", "Item 2", "item 1"]);
+    expect(sortValues(rows, [{ column: "t", direction: "asc" }], { locale: "en" })).toEqual([
+      "item 1",
+      "Item 2",
+      "item 10",
+    ]);
+  });
+
+  test("collates text for the locale", () => {
+    const rows = toRows("t", ["zebra", "ähnlich", "apple"]);
+    expect(sortValues(rows, [{ column: "t", direction: "asc" }], { locale: "de" })).toEqual([
+      "ähnlich",
+      "apple",
+      "zebra",
+    ]);
+    expect(sortValues(rows, [{ column: "t", direction: "asc" }], { locale: "sv" })).toEqual([
+      "apple",
+      "zebra",
+      "ähnlich",
+    ]);
+  });
+
+  test("puts empty values last in either direction", () => {
+    const rows = toRows("n", ["2", "", "1", null]);
+    expect(sortValues(rows, [{ column: "n", direction: "asc" }])).toEqual(["1", "2", "", null]);
+    expect(sortValues(rows, [{ column: "n", direction: "desc" }])).toEqual(["2", "1", "", null]);
+  });
+
+  test("sorts by the next key when values are equal, keeping the order of equal rows", () => {
+    const rows = [
+      { team: "b", score: "1", name: "first" },
+      { team: "a", score: "2", name: "second" },
+      { team: "b", score: "3", name: "third" },
+      { team: "a", score: "2", name: "fourth" },
+    ];
+    const sorted = new Sorter().sort(rows, [
+      { column: "team", direction: "asc" },
+      { column: "score", direction: "desc" },
+    ]);
+    expect(sorted.map((row) => row.name)).toEqual(["second", "fourth", "third", "first"]);
+  });
+
+  test("uses the column types of the table", () => {
+    const rows = toRows("code", ["20", "1e3"]);
+    expect(sortValues(rows, [{ column: "code", direction: "asc" }])).toEqual(["20", "1e3"]);
+    const columnTypes = new ColumnTypes({ overrides: { code: "text" } });
+    expect(sortValues(rows, [{ column: "code", direction: "asc" }], {}, columnTypes)).toEqual(["1e3", "20"]);
+  });
+});
@@ -0,0 +1,284 @@
+/**
+ * ViewManager Module
+ *
+ * Overview:
+ * This module provides functionality for keeping a list of named views of a table, each holding the sort keys,
+ * column filters, search and column layout to show the table with.
+ * It includes the `ViewManager` class, which creates, renames, updates and deletes views, marks one of them as
+ * the default view, and imports and exports the views as JSON.
+ *
+ * Features:
+ * - Create, rename, update and delete named views, with unique names.
+ * - Mark a view as the default view, to show when the table opens.
+ * - Export the views as JSON, with a version, and import them again, adding to or replacing the views.
+ *
+ * Classes:
+ * - ViewManager: Handles the named views of a table.
+ *
+ * Usage:
+ * To use this module, create an instance of the `ViewManager` class, optionally passing saved views.
+ * Then, use `create`, `rename`, `update` and `delete` to manage the views, and `toJSON` and `import`
+ * to save and load them.
+ *
+ * Example:
+ * const views = new ViewManager();
+ * const view = views.create('Open orders', { filters: { status: { value: 'open' } }, sort: [] });
+ * views.setDefault(view.id);
+ * const exported = JSON.stringify(views.toJSON());
+ * new ViewManager().import(exported);
+ */
+
+// The version of the format of exported views. Views of another version cannot be imported.
+export const VIEWS_VERSION = 1;
+
+/**
+ * ViewManager class for managing the named views of a table.
+ */
+export default class ViewManager {
+  /**
+   * Constructor for the ViewManager class.
+   * @param {Object} options - The saved views.
+   * @param {Array<Object>} options.views - The views ({ id, name, state }).
+   * @param {string} options.defaultView - The id of the default view (default: none).
+   * @throws {Error} - Throws an error if a view is invalid.
+   */
+  constructor({ views = [], defaultView = null } = {}) {
+    this.views = [];
+    this.defaultView = null;
+    this.import({ views, defaultView });
+  }
+
+  /**
+   * Get every view, in the order they were created.
+   * @returns {Array<Object>} - Copies of the views ({ id, name, state }).
+   */
+  getViews() {
+    return this.views.map((view) => ViewManager.copy(view));
+  }
+
+  /**
+   * Get a view.
+   * @param {string} id - The id of the view.
+   * @returns {Object|undefined} - A copy of the view, if there is one.
+   */
+  getView(id) {
+    const view = this.views.find((other) => other.id === id);
+    return view ? ViewManager.copy(view) : undefined;
+  }
+
+  /**
+   * Get the default view.
+   * @returns {Object|null} - A copy of the default view, or null if there is none.
+   */
+  getDefault() {
+    return this.defaultView ? this.getView(this.defaultView) : null;
+  }
+
+  /**
+   * Create a view.
+   * @param {string} name - The name of the view.
+   * @param {Object} state - The state the view shows the table with; it must be serializable as JSON.
+   * @returns {Object} - A copy of the view.
+   * @throws {Error} - Throws an error if the name is empty or already used, or the state is not an object.
+   */
+  create(name, state) {
+    const view = {
+      id: this.createId(),
+      name: this.validateName(name),
+      state: ViewManager.validateState(state),
+    };
+    this.views.push(view);
+    return ViewManager.copy(view);
+  }
+
+  /**
+   * Rename a view.
+   * @param {string} id - The id of the view.
+   * @param {string} name - The new name.
+   * @throws {Error} - Throws an error if there is no view with the id, or the name is empty or already used.
+   */
+  rename(id, name) {
+    const view = this.requireView(id);
+    view.name = this.validateName(name, id);
+  }
+
+  /**
+   * Replace the state of a view.
+   * @param {string} id - The id of the view.
+   * @param {Object} state - The new state.
+   * @throws {Error} - Throws an error if there is no view with the id, or the state is not an object.
+   */
+  update(id, state) {
+    this.requireView(id).state = ViewManager.validateState(state);
+  }
+
+  /**
+   * Delete a view. Deleting the default view leaves no default view.
+   * @param {string} id - The id of the view.
+   * @throws {Error} - Throws an error if there is no view with the id.
+   */
+  delete(id) {
+    const view = this.requireView(id);
+    this.views = this.views.filter((other) => other !== view);
+    if (this.defaultView === id) {
+      this.defaultView = null;
+    }
+  }
+
+  /**
+   * Mark a view as the default view, or clear the default view.
+   * @param {string|null} id - The id of the view, or null to clear the default view.
+   * @throws {Error} - Throws an error if there is no view with the id.
+   */
+  setDefault(id) {
+    if (id !== null) {
+      this.requireView(id);
+    }
+    this.defaultView = id;
+  }
+
+  /**
+   * Get the views and the default view, to save or export them.
+   * @returns {Object} - The views ({ version, views, defaultView }).
+   */
+  toJSON() {
+    return { version: VIEWS_VERSION, views: this.getViews(), defaultView: this.defaultView };
+  }
+
+  /**
+   * Import views. Imported views replace the views of the same name; the others are added.
+   * @param {string|Object|Array<Object>} data - The views as JSON or as returned by `toJSON`, or an array of views.
+   * Views are objects with a name and a state; their ids are kept unless already used.
+   * @param {Object} options - Import options.
+   * @param {boolean} options.replace - Whether to delete the current views first (default: false).
+   * @returns {Array<Object>} - Copies of the imported views.
+   * @throws {Error} - Throws an error if the data or one of its views is invalid; no view is imported then.
+   */
+  import(data, { replace = false } = {}) {
+    const { views, defaultView } = ViewManager.parse(data);
+    // Validate every view before changing anything
+    const imported = views.map((view, index) => {
+      if (!view || typeof view !== "object" || typeof view.name !== "string" || !view.name.trim()) {
+        throw new Error(`Invalid view at index ${index}: a name is required`);
+      }
+      return { id: view.id, name: view.name.trim(), state: ViewManager.validateState(view.state) };
+    });
+    const names = imported.map((view) => view.name);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) {
+      throw new Error(`Invalid views: the name "${duplicate}" is used more than once`);
+    }
+
+    if (replace) {
+      this.views = [];
+      this.defaultView = null;
+    }
+    return imported.map((entry) => {
+      let view = this.views.find((other) => other.name === entry.name);
+      if (view) {
+        view.state = entry.state;
+      } else {
+        const id = typeof entry.id === "string" && entry.id && !this.getView(entry.id) ? entry.id : this.createId();
+        view = { id, name: entry.name, state: entry.state };
+        this.views.push(view);
+      }
+      if (entry.id !== undefined && entry.id === defaultView) {
+        this.defaultView = view.id;
+      }
+      return ViewManager.copy(view);
+    });
+  }
+
+  /**
+   * Get a view, which must exist.
+   * @param {string} id - The id of the view.
+   * @returns {Object} - The view.
+   * @throws {Error} - Throws an error if there is no view with the id.
+   */
+  requireView(id) {
+    const view = this.views.find((other) => other.id === id);
+    if (!view) {
+      throw new Error(`Unknown view: ${id}`);
+    }
+    return view;
+  }
+
+  /**
+   * Check the name of a view.
+   * @param {string} name - The name.
+   * @param {string} id - The id of the view being renamed, if any.
+   * @returns {string} - The name, trimmed.
+   * @throws {Error} - Throws an error if the name is empty or used by another view.
+   */
+  validateName(name, id = null) {
+    const trimmed = typeof name === "string" ? name.trim() : "";
+    if (!trimmed) {
+      throw new Error("Invalid view name: a name is required");
+    }
+    if (this.views.some((view) => view.name === trimmed && view.id !== id)) {
+      throw new Error(`Invalid view name: "${trimmed}" is already used`);
+    }
+    return trimmed;
+  }
+
+  /**
+   * Create an id that no view uses.
+   * @returns {string} - The id.
+   */
+  createId() {
+    let index = this.views.length + 1;
+    while (this.views.some((view) => view.id === `view-${index}`)) {
+      index += 1;
+    }
+    return `view-${index}`;
+  }
+
+  /**
+   * Check the state of a view, copying it.
+   * @param {Object} state - The state.
+   * @returns {Object} - A copy of the state.
+   * @throws {Error} - Throws an error if the state is not an object.
+   */
+  static validateState(state) {
+    if (!state || typeof state !== "object" || Array.isArray(state)) {
+      throw new Error("Invalid view state: an object is required");
+    }
+    return JSON.parse(JSON.stringify(state));
+  }
+
+  /**
+   * Read views to import.
+   * @param {string|Object|Array<Object>} data - The views as JSON or as returned by `toJSON`, or an array of views.
+   * @returns {Object} - The views ({ views, defaultView }).
+   * @throws {Error} - Throws an error if the data cannot be read or is of another version.
+   */
+  static parse(data) {
+    let parsed = data;
+    if (typeof data === "string") {
+      try {
+        parsed = JSON.parse(data);
+      } catch (error) {
+        throw new Error(`Invalid views: ${error.message}`);
+      }
+    }
+    if (Array.isArray(parsed)) {
+      return { views: parsed, defaultView: null };
+    }
+    if (!parsed || typeof parsed !== "object" || !Array.isArray(parsed.views)) {
+      throw new Error("Invalid views: a list of views is required");
+    }
+    if (parsed.version !== undefined && parsed.version !== VIEWS_VERSION) {
+      throw new Error(`Invalid views: version ${parsed.version} is not supported`);
+    }
+    return { views: parsed.views, defaultView: parsed.defaultView || null };
+  }
+
+  /**
+   * Copy a view, so changes to the copy do not affect the saved view.
+   * @param {Object} view - The view.
+   * @returns {Object} - The copy.
+   */
+  static copy(view) {
+    return { id: view.id, name: view.name, state: JSON.parse(JSON.stringify(view.state)) };
+  }
+}
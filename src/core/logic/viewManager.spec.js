@@ -0,0 +1,104 @@
+import ViewManager, { VIEWS_VERSION } from "./viewManager.js";
+
+const state = { sort: [{ column: "date", direction: "desc" }], filters: {} };
+
+describe("ViewManager", () => {
+  test("creates, renames, updates and deletes views", () => {
+    const views = new ViewManager();
+    const view = views.create("  Recent  ", state);
+    expect(view).toEqual({ id: "view-1", name: "Recent", state });
+
+    views.rename(view.id, "Latest");
+    views.update(view.id, { sort: [] });
+    expect(views.getView(view.id)).toEqual({ id: "view-1", name: "Latest", state: { sort: [] } });
+
+    views.delete(view.id);
+    expect(views.getViews()).toEqual([]);
+    expect(() => views.delete(view.id)).toThrow("Unknown view: view-1");
+  });
+
+  test("requires unique, non-empty names and an object state", () => {
+    const views = new ViewManager();
+    const view = views.create("Recent", state);
+    expect(() => views.create(" ", state)).toThrow("Invalid view name: a name is required");
+    expect(() => views.create("Recent", state)).toThrow('Invalid view name: "Recent" is already used');
+    expect(() => views.create("List", [])).toThrow("Invalid view state: an object is required");
+    expect(() => views.create("List", null)).toThrow("Invalid view state: an object is required");
+    // A view keeps its own name
+    expect(() => views.rename(view.id, "Recent")).not.toThrow();
+  });
+
+  test("returns copies, so changes to them do not affect the views", () => {
+    const views = new ViewManager();
+    const saved = { sort: [] };
+    const view = views.create("Recent", saved);
+    saved.sort.push({ column: "a", direction: "asc" });
+    view.state.sort.push({ column: "b", direction: "asc" });
+    expect(views.getView(view.id).state).toEqual({ sort: [] });
+  });
+
+  test("marks a default view, cleared when it is deleted", () => {
+    const views = new ViewManager();
+    const view = views.create("Recent", state);
+    expect(views.getDefault()).toBeNull();
+    views.setDefault(view.id);
+    expect(views.getDefault().name).toBe("Recent");
+    expect(() => views.setDefault("missing")).toThrow("Unknown view: missing");
+
+    views.delete(view.id);
+    expect(views.getDefault()).toBeNull();
+  });
+
+  test("exports and imports views as JSON, with the default view", () => {
+    const views = new ViewManager();
+    const view = views.create("Recent", state);
+    views.create("All", {});
+    views.setDefault(view.id);
+    const exported = JSON.stringify(views.toJSON());
+    expect(JSON.parse(exported).version).toBe(VIEWS_VERSION);
+
+    const imported = new ViewManager();
+    imported.import(exported);
+    expect(imported.getViews()).toEqual(views.getViews());
+    expect(imported.getDefault()).toEqual(views.getDefault());
+  });
+
+  test("replaces views of the same name and adds the others on import", () => {
+    const views = new ViewManager();
+    const kept = views.create("Recent", {});
+    views.create("Mine", {});
+    const imported = views.import([
+      { name: "Recent", state },
+      { id: kept.id, name: "New", state: {} },
+    ]);
+
+    expect(views.getViews().map((view) => view.name)).toEqual(["Recent", "Mine", "New"]);
+    expect(views.getView(kept.id).state).toEqual(state);
+    // An id already used is replaced
+    expect(imported[1].id).not.toBe(kept.id);
+  });
+
+  test("replaces every view when told to", () => {
+    const views = new ViewManager({ views: [{ id: "a", name: "Old", state: {} }], defaultView: "a" });
+    views.import({ views: [{ name: "New", state }] }, { replace: true });
+    expect(views.getViews().map((view) => view.name)).toEqual(["New"]);
+    expect(views.getDefault()).toBeNull();
+  });
+
+  test.each([
+    ["not json", "Invalid views: "],
+    [{ views: "nope" }, "Invalid views: a list of views is required"],
+    [42, "Invalid views: a list of views is required"],
+    [{ version: VIEWS_VERSION + 1, views: [] }, `Invalid views: version ${VIEWS_VERSION + 1} is not supported`],
+    [[{ state: {} }], "Invalid view at index 0: a name is required"],
+    [[{ name: "A", state: {} }, { name: "  ", state: {} }], "Invalid view at index 1: a name is required"],
+    [[{ name: "A", state: "x" }], "Invalid view state: an object is required"],
+    [[{ name: "A", state: {} }, { name: " A", state: {} }], 'Invalid views: the name "A" is used more than once'],
+  ])("rejects invalid views to import (%j)", (data, message) => {
+    const views = new ViewManager();
+    views.create("Existing", state);
+    expect(() => views.import(data, { replace: true })).toThrow(message);
+    // Nothing is imported when any view is invalid
+    expect(views.getViews().map((view) => view.name)).toEqual(["Existing"]);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * VirtualWindow Module
+ *
+ * Overview:
+ * This module provides functionality for rendering only the visible rows of a long, scrolling list of rows.
+ * It includes the `VirtualWindow` class, which works out from the scroll position which rows are in view,
+ * which rows to render around them, and how tall the space above and below the rendered rows must be
+ * for the scrollbar to stay proportional to the full number of rows.
+ *
+ * Features:
+ * - Find the rows in view for a scroll position, assuming every row has the same height.
+ * - Render a buffer of rows above and below the rows in view, so scrolling does not show empty space.
+ * - Scale the scroll position to the rows when the list is taller than browsers allow an element to be,
+ *   so millions of rows can be scrolled through.
+ *
+ * Classes:
+ * - VirtualWindow: Handles the window of rows to render.
+ *
+ * Usage:
+ * To use this module, create an instance of the `VirtualWindow` class with the row height. Then, whenever the list
+ * scrolls, call `compute` with the number of rows, the scroll position and the height of the viewport, and render
+ * the rows from `start` to `end` between spacers of `topSpacer` and `bottomSpacer` pixels.
+ *
+ * Example:
+ * const virtualWindow = new VirtualWindow({ rowHeight: 35, buffer: 10 });
+ * const { start, end, topSpacer, bottomSpacer } = virtualWindow.compute(10000, 52500, 500);
+ * console.log(start, end); // 1490 1526
+ */
+
+// The tallest list, in pixels, rendered at its full height. Browsers cap the height of elements
+// (Firefox at about 17.9 million pixels), so taller lists scale the scroll position to the rows.
+const MAX_SCROLL_HEIGHT = 10000000;
+
+/**
+ * VirtualWindow class for finding the rows to render in a scrolling list.
+ */
+export default class VirtualWindow {
+  /**
+   * Constructor for the VirtualWindow class.
+   * @param {Object} options - Window options.
+   * @param {number} options.rowHeight - The height of each row, in pixels (default: 35).
+   * @param {number} options.buffer - The number of rows to render above and below the rows in view (default: 10).
+   * @param {number} options.maxHeight - The tallest list rendered at its full height, in pixels (default: 10 million).
+   */
+  constructor({ rowHeight = 35, buffer = 10, maxHeight = MAX_SCROLL_HEIGHT } = {}) {
+    this.rowHeight = rowHeight;
+    this.buffer = buffer;
+    this.maxHeight = maxHeight;
+  }
+
+  /**
+   * Find the rows to render for a scroll position.
+   * @param {number} count - The number of rows in the list.
+   * @param {number} scrollTop - The scroll position of the list, in pixels.
+   * @param {number} viewportHeight - The height of the visible part of the list, in pixels.
+   * @returns {Object} - The window ({ start, end, first, last, topSpacer, bottomSpacer, height }): the rows to render
+   * from `start` (inclusive) to `end` (exclusive), the rows in view from `first` to `last` (exclusive), the heights
+   * of the spacers above and below the rendered rows and the height of the whole list, in pixels.
+   */
+  compute(count, scrollTop, viewportHeight) {
+    const totalHeight = count * this.rowHeight;
+    const height = Math.min(totalHeight, this.maxHeight);
+
+    // The scroll position as a share of the scrollable height, applied to the full height of the rows
+    const maxScroll = Math.max(height - viewportHeight, 0);
+    const position = Math.min(Math.max(scrollTop, 0), maxScroll);
+    const rowsTop = maxScroll
+      ? (position / maxScroll) * Math.max(totalHeight - viewportHeight, 0)
+      : 0;
+
+    const first = Math.min(Math.floor(rowsTop / this.rowHeight), Math.max(count - 1, 0));
+    const last = Math.min(first + Math.ceil(viewportHeight / this.rowHeight) + 1, count);
+    const start = Math.max(first - this.buffer, 0);
+    const end = Math.min(last + this.buffer, count);
+
+    // Line the first row in view up with the scroll position, allowing for how much of it has scrolled out of view
+    const offset = rowsTop - first * this.rowHeight;
+    const topSpacer = Math.max(position - offset - (first - start) * this.rowHeight, 0);
+    const bottomSpacer = Math.max(height - topSpacer - (end - start) * this.rowHeight, 0);
+
+    return { start, end, first, last, topSpacer, bottomSpacer, height };
+  }
+}
@@ -0,0 +1,54 @@
+import VirtualWindow from "./virtualWindow.js";
+
+describe("VirtualWindow", () => {
+  test("renders the rows in view and a buffer at the top of the list", () => {
+    const result = new VirtualWindow({ rowHeight: 20, buffer: 5 }).compute(1000, 0, 200);
+    expect(result).toEqual({ start: 0, end: 16, first: 0, last: 11, topSpacer: 0, bottomSpacer: 19680, height: 20000 });
+  });
+
+  test("renders a buffer on both sides in the middle of the list", () => {
+    const { start, end, first, last, topSpacer, bottomSpacer, height } = new VirtualWindow({
+      rowHeight: 20,
+      buffer: 5,
+    }).compute(1000, 5010, 200);
+    expect({ start, end, first, last }).toEqual({ start: 245, end: 266, first: 250, last: 261 });
+    // The first row in view lines up with the scroll position
+    expect(topSpacer).toBe(4900);
+    expect(topSpacer + (first - start) * 20).toBe(5000);
+    expect(topSpacer + (end - start) * 20 + bottomSpacer).toBe(height);
+  });
+
+  test("stops at the end of the list", () => {
+    const result = new VirtualWindow({ rowHeight: 20, buffer: 5 }).compute(100, 99999, 200);
+    expect(result.end).toBe(100);
+    expect(result.last).toBe(100);
+    expect(result.bottomSpacer).toBe(0);
+    expect(result.topSpacer + (result.end - result.start) * 20).toBe(2000);
+  });
+
+  test("handles lists shorter than the viewport and empty lists", () => {
+    expect(new VirtualWindow({ rowHeight: 20 }).compute(3, 50, 200)).toEqual({
+      start: 0,
+      end: 3,
+      first: 0,
+      last: 3,
+      topSpacer: 0,
+      bottomSpacer: 0,
+      height: 60,
+    });
+    expect(new VirtualWindow().compute(0, 0, 200)).toMatchObject({ start: 0, end: 0, height: 0 });
+  });
+
+  test("scales the scroll position of lists taller than the maximum height", () => {
+    const virtualWindow = new VirtualWindow({ rowHeight: 10, buffer: 0, maxHeight: 1000 });
+    const top = virtualWindow.compute(1000, 0, 100);
+    const middle = virtualWindow.compute(1000, 450, 100);
+    const bottom = virtualWindow.compute(1000, 900, 100);
+
+    expect(top.height).toBe(1000);
+    expect(top.first).toBe(0);
+    expect(middle.first).toBe(495);
+    expect(bottom.last).toBe(1000);
+    expect(bottom.topSpacer + (bottom.end - bottom.start) * 10 + bottom.bottomSpacer).toBe(1000);
+  });
+});
@@ -1,12 +1,19 @@
 
 // Imports
 import { BodyRenderer } from "../components/bodyRenderer.js";
+import Grouper from "../logic/grouper.js";
+import VirtualWindow from "../logic/virtualWindow.js";
 
 export class Body extends BodyRenderer {
   constructor(tableInstance, options = {}) {
     super(tableInstance, options);
     this.tableInstance = tableInstance;
     this.options = options;
+    // With virtual scrolling, the rows and group rows to scroll through and the window of them that is rendered
+    this.virtualItems = null;
+    this.virtualWindow = null;
+
+    this.tableInstance.middleContainer.addEventListener("scroll", () => this.handleScroll());
   }
 
   getResultsArray() {
@@ -15,22 +22,189 @@ export class Body extends BodyRenderer {
       : [this.tableInstance.data.results];
   }
 
-  getDataToRender(rowData) {
-    return this.tableInstance.columnsToDisplay.length
-      ? this.tableInstance.columnsToDisplay.map((column) => rowData[column])
-      : Object.values(rowData);
+  getColumnsToRender() {
+    return this.tableInstance.columns.getVisibleColumns();
+  }
+
+  getDataToRender(rowData, columns = this.getColumnsToRender()) {
+    // Render an empty cell for a missing value, so the cells stay aligned with the headers
+    return columns.map((column) =>
+      rowData[column.field] === undefined || rowData[column.field] === null
+        ? ""
+        : rowData[column.field]
+    );
   }
 
   renderBody() {
     this.clearBody();
+    this.renderedRows = [];
+    this.renderedGroups = [];
+    if (this.tableInstance.isVirtual()) {
+      this.renderVirtualBody();
+      return;
+    }
+    this.virtualItems = null;
     const fragment = document.createDocumentFragment();
 
-    this.getResultsArray().forEach((rowData) => {
-      const row = this.createRow(this.getDataToRender(rowData));
+    const columns = this.getColumnsToRender();
+    const createRow = (rowData) => {
+      const row = this.createRow(this.getDataToRender(rowData, columns), columns, rowData);
       fragment.appendChild(row);
-    });
+      return row;
+    };
+
+    // Grouped rows arrive sorted by the grouped column, so each group is a run of consecutive rows
+    if (this.tableInstance.groupBy) {
+      new Grouper(this.tableInstance.groupBy).split(this.getResultsArray()).forEach((group) => {
+        const element = this.createGroupRow(group, columns);
+        fragment.appendChild(element);
+        this.renderedGroups.push({ key: group.key, element, rows: group.rows.map(createRow) });
+      });
+      this.updateGroupVisibility();
+    } else {
+      this.getResultsArray().forEach(createRow);
+    }
 
     this.tableInstance.tbody.appendChild(fragment);
+    this.tableInstance.updatePinnedColumns();
+  }
+
+  /**
+   * Lists the rows and group rows to scroll through, leaving out the rows of collapsed groups, and renders
+   * the ones in view. The body scrolls back to the top when the sort, filters, search or grouping change.
+   */
+  renderVirtualBody() {
+    const table = this.tableInstance;
+    const rows = this.getResultsArray();
+    this.virtualGroups = new Set();
+    // The position of each listed row among the results, or -1 for a group row
+    this.virtualIndexes = null;
+
+    if (table.groupBy) {
+      this.virtualItems = [];
+      const indexes = [];
+      let index = 0;
+      new Grouper(table.groupBy).split(rows).forEach((group) => {
+        this.virtualGroups.add(group);
+        this.virtualItems.push(group);
+        indexes.push(-1);
+        if (!table.collapsedGroups.has(group.key)) {
+          group.rows.forEach((row, offset) => {
+            this.virtualItems.push(row);
+            indexes.push(index + offset);
+          });
+        }
+        index += group.rows.length;
+      });
+      this.virtualIndexes = Int32Array.from(indexes);
+    } else {
+      this.virtualItems = rows;
+    }
+
+    this.virtualWindow = new VirtualWindow({
+      rowHeight: table.getRowHeight(),
+      buffer: table.virtualScrollOptions.buffer,
+    });
+    const queryKey = JSON.stringify([table.getQuerySort(), table.filters, table.searcher.term]);
+    if (queryKey !== this.virtualQueryKey) {
+      this.virtualQueryKey = queryKey;
+      table.middleContainer.scrollTop = 0;
+    }
+    this.renderedWindow = null;
+    this.renderVirtualWindow();
+  }
+
+  /**
+   * Renders the rows in view, with a buffer of rows above and below them, between spacer rows
+   * that keep the scrollbar proportional to the number of rows.
+   */
+  renderVirtualWindow() {
+    const table = this.tableInstance;
+    const container = table.middleContainer;
+    // The header row sticks to the top, covering part of the body
+    const viewportHeight =
+      Math.max(container.clientHeight - table.thead.offsetHeight, 0) || table.virtualScrollOptions.height;
+    const range = this.virtualWindow.compute(this.virtualItems.length, container.scrollTop, viewportHeight);
+
+    // While the same rows stay rendered, only the spacers change
+    const rendered = this.renderedWindow;
+    this.renderedWindow = range;
+    if (rendered && rendered.start === range.start && rendered.end === range.end) {
+      this.topSpacer.style.height = `${range.topSpacer}px`;
+      this.bottomSpacer.style.height = `${range.bottomSpacer}px`;
+      table.updateRowsPerPageParagraph(table.currentPage, table.rowsPerPage, table.data.totalResults);
+      return;
+    }
+
+    // Commit an open cell editor before its row is replaced
+    const editor = table.tbody.querySelector(".cell-editing .cell-editor");
+    if (editor) {
+      editor.blur();
+    }
+
+    this.clearBody();
+    this.renderedRows = [];
+    this.renderedGroups = [];
+    const columns = this.getColumnsToRender();
+    const fragment = document.createDocumentFragment();
+
+    this.topSpacer = this.createSpacerRow(range.topSpacer, columns);
+    fragment.appendChild(this.topSpacer);
+    // An extra empty row keeps the stripes of alternate rows in place
+    if (range.start % 2 === 0) {
+      fragment.appendChild(this.createSpacerRow(0, columns));
+    }
+    for (let i = range.start; i < range.end; i++) {
+      const item = this.virtualItems[i];
+      if (this.virtualGroups.has(item)) {
+        const element = this.createGroupRow(item, columns);
+        this.renderedGroups.push({ key: item.key, element, rows: [] });
+        fragment.appendChild(element);
+      } else {
+        fragment.appendChild(this.createRow(this.getDataToRender(item, columns), columns, item));
+      }
+    }
+    this.bottomSpacer = this.createSpacerRow(range.bottomSpacer, columns);
+    fragment.appendChild(this.bottomSpacer);
+
+    table.tbody.appendChild(fragment);
+    table.updatePinnedColumns();
+    this.updateGroupVisibility();
+    this.updateRowSelection();
+    table.updateRowsPerPageParagraph(table.currentPage, table.rowsPerPage, table.data.totalResults);
+  }
+
+  /**
+   * Renders the rows scrolled into view, at most once per animation frame.
+   */
+  handleScroll() {
+    if (!this.virtualItems || this.scrollFrame) {
+      return;
+    }
+    this.scrollFrame = requestAnimationFrame(() => {
+      this.scrollFrame = null;
+      if (this.virtualItems) {
+        this.renderVirtualWindow();
+      }
+    });
+  }
+
+  /**
+   * Returns the positions among the results of the first and last rows in view, with virtual scrolling.
+   * @returns {Object} The 1-based positions ({ start, end }), or zeros when no row is in view.
+   */
+  getVisibleRange() {
+    const { first = 0, last = 0 } = this.renderedWindow || {};
+    let start = 0;
+    let end = 0;
+    for (let i = first; i < last; i++) {
+      const index = this.virtualIndexes ? this.virtualIndexes[i] : i;
+      if (index >= 0) {
+        start = start || index + 1;
+        end = index + 1;
+      }
+    }
+    return { start, end };
   }
 
   clearBody() {
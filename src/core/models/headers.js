@@ -13,14 +13,22 @@ export class Header extends HeaderRenderer {
    */
   renderHeaders(uniqueColumnValues) {
     this.tableInstance.thead.innerHTML = "";
+    this.headerRow.innerHTML = "";
+    this.openMenu = null;
+    this.dragField = null;
+    this.sortButtons = {};
+    this.filterControls = {};
 
     this.tableInstance.thead.appendChild(this.headerRow);
     
     this.headerRow.appendChild(this.createFirstHeader());
-    this.tableInstance.headers.forEach(header => {
-      const headerElement = this.createHeader(header, uniqueColumnValues[header]);
+    this.tableInstance.columns.getVisibleColumns().forEach(column => {
+      const headerElement = this.createHeader(column, uniqueColumnValues[column.field]);
 
       this.headerRow.appendChild(headerElement);
     });
+
+    this.updateSortIndicators(this.tableInstance.sortState);
+    this.updateFilterControls(this.tableInstance.filters);
   }
 }
@@ -12,17 +12,9 @@ export class Pagination extends PaginationRenderer {
   }
 
   updatePagination() {
-    // Call the renderPagination method from the parent class
+    // Call the renderPagination method from the parent class.
+    // The buttons are rendered into the pagination container of this table and handle their own clicks.
     this.renderPagination();
-
-    // Add event listeners to the pagination controls
-    const paginationControls = document.querySelectorAll('.pagination-control');
-    paginationControls.forEach((control) => {
-      control.addEventListener('click', (event) => {
-        const newPage = parseInt(event.target.getAttribute('data-page'), 10);
-        this.changePage(newPage);
-      });
-    });
   }
 
   changePage(newPage) {
@@ -30,9 +22,10 @@ export class Pagination extends PaginationRenderer {
       return;
     }
 
-    this.currentPage = newPage;
-    this.tableInstance.currentPage = newPage;
-    this.tableInstance.updateBody();
+    if (!this.tableInstance.setPage(newPage)) {
+      return;
+    }
+    this.currentPage = this.tableInstance.currentPage;
     this.renderPagination();
   }
 }
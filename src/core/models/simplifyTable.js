@@ -2,77 +2,815 @@
 //import '../../static/styles/simplify.css';
 
 // Imports
-import { TableRenderer } from "../components/tableRenderer.js";
-import { FetchData } from "../api/fetchApi.js";
+import { TableRenderer, DENSITIES, TEXT_OVERFLOWS } from "../components/tableRenderer.js";
+import FetchApi from "../api/fetchApi.js";
 import { Header } from "./headers.js";
 import { Body } from "./body.js";
 import { Pagination } from "../models/pagination.js";
+import Filter from "../logic/filter.js";
+import Search from "../logic/search.js";
+import ColumnTypes from "../logic/columnTypes.js";
+import ColumnModel from "../logic/columnModel.js";
+import ChangeTracker from "../logic/changeTracker.js";
+import Selection from "../logic/selection.js";
+import BulkActions from "../logic/bulkActions.js";
+import Grouper from "../logic/grouper.js";
+import ColumnStats from "../logic/columnStats.js";
+import Exporter, { EXPORT_FORMATS } from "../api/exporter.js";
+import LocalData from "../api/localData.js";
+import ThemeLoader, { AUTO_THEME, COLOR_SCHEME_QUERY, CONTRAST_QUERY } from "../api/themeLoader.js";
+import StateStore from "../api/stateStore.js";
+import ViewManager from "../logic/viewManager.js";
+import { throttle } from "../../utils/htmlUtils.js";
+import { EventEmitter } from "../../utils/eventEmitter.js";
+
+// Minimum interval in milliseconds between table refreshes while a CSV file is streaming in.
+const LOADING_REFRESH_INTERVAL = 500;
+
+// Row heights in pixels of each density, used when the stylesheet does not set `--row-height`.
+const ROW_HEIGHTS = { compact: 24, normal: 35, comfortable: 48 };
+
+// Options of `setOptions` that change the data source.
+const SOURCE_OPTIONS = ["url", "data", "headers", "fetchType", "csvOptions", "jsonOptions", "cacheOptions"];
+
+// Options of `setOptions` that change the controls rendered around the table.
+const CONTROL_OPTIONS = [
+  "hasTableOptions",
+  "hasHeaderOptions",
+  "hasPagination",
+  "virtualScroll",
+  "hasSearch",
+  "hasFileInput",
+  "hasSavedViews",
+  "editableCells",
+  "bulkActions",
+];
+
+// Every option that `setOptions` can change.
+const RUNTIME_OPTIONS = [
+  ...SOURCE_OPTIONS,
+  ...CONTROL_OPTIONS,
+  "columns",
+  "columnTypes",
+  "groupBy",
+  "rowsPerPage",
+  "density",
+  "textOverflow",
+  "stickyHeader",
+  "persistState",
+  "virtualScrollOptions",
+  "themePath",
+  "searchOptions",
+  "exportOptions",
+  "confirmAction",
+  "onCommit",
+];
+
+// The events handlers can be registered for with `on`.
+const TABLE_EVENTS = [
+  "dataLoaded",
+  "loadError",
+  "render",
+  "beforePageChange",
+  "pageChange",
+  "rowsPerPageChange",
+  "sort",
+  "filter",
+  "search",
+  "selectionChange",
+  "beforeCellEdit",
+  "cellEdit",
+  "rowClick",
+  "columnResize",
+  "columnReorder",
+  "viewApply",
+  "viewsChange",
+  "destroy",
+];
 
 /**
  * SimplifyTable class for creating and managing a dynamic, interactive table.
  *
  * @param {Object} options - Configuration options for the table.
  * @param {string} options.containerId - The id of the HTML element to contain the table.
- * @param {string} options.tableId - A unique identifier for the table.
+ * @param {string} options.tableId - A unique identifier for the table, also prefixing the ids of its controls
+ * (default: the container id followed by "-table").
  * @param {string} options.url - The URL to fetch data from.
+ * @param {Array<Object>|Array<Array>} options.data - Inline data to display instead of fetching a URL:
+ * an array of objects, or an array of arrays with the headers in `options.headers` or in the first row.
+ * @param {Array<string>} options.headers - The headers of inline data given as an array of arrays.
+ * @param {Array<string|Object>} options.columns - The columns to show, in order: field names, or definitions with the
+ * field, label, order, visibility, width and width limits, alignment, type, formatter and whether the column is
+ * sortable, filterable, editable, resizable and reorderable (see `ColumnModel`). Without it, every field of the data is shown.
+ * @param {string} options.fetchType - The type of data source: "csv" to load a CSV file and page it in the browser,
+ * or "json" to request pages from a server that pages, sorts and filters the data (default: "csv", or "data"
+ * when inline data or no URL is given).
+ * @param {Object} options.jsonOptions - Query parameter names, response fields and request headers for
+ * the "json" fetch type (see `JsonFetcher`).
+ * @param {Object} options.csvOptions - Parser options for the "csv" fetch type, such as the delimiter,
+ * whether there is a header row and whether to skip malformed rows (see `CsvParser`).
+ * @param {Object} options.cacheOptions - Options for caching the CSV file in memory.
+ * @param {boolean} options.cacheOptions.enabled - Whether to share the loaded file with other tables (default: true).
+ * @param {Number} options.cacheOptions.ttl - The time in milliseconds after which the cached file is revalidated
+ * with the server using its ETag or Last-Modified header (default: never).
  * @param {boolean} options.hasTableOptions - Flag to indicate if table options are enabled.
- * @param {boolean} options.hasHeaderOptions - Flag to indicate if header options are enabled.
+ * @param {boolean} options.hasHeaderOptions - Flag to indicate if header options are enabled: each header gets a menu
+ * to sort, hide, pin, autosize and group by the column and to show its statistics, holding the column filters.
+ * @param {string} options.groupBy - The column to group the rows by (default: no grouping).
  * @param {boolean} options.hasPagination - Flag to indicate if pagination is enabled.
+ * @param {boolean} options.virtualScroll - Flag to scroll through every matching row instead of paging them, rendering
+ * only the rows in view. It takes the place of pagination, and applies to data held in the browser: the "json"
+ * fetch type keeps paging the data.
+ * @param {Object} options.virtualScrollOptions - Options for virtual scrolling.
+ * @param {Number} options.virtualScrollOptions.height - The height of the scrolling body in pixels (default: 500).
+ * @param {Number} options.virtualScrollOptions.rowHeight - The height of each row in pixels (default: the row
+ * height of the density). Rows are kept at this height, truncating long cell text.
+ * @param {Number} options.virtualScrollOptions.buffer - The number of rows rendered above and below the rows in view
+ * (default: 10).
  * @param {boolean} options.hasSearch - Flag to indicate if search functionality is enabled.
- * @param {boolean} options.editableCells - Flag to indicate if cells are editable.
- * @param {string} options.themePath - The path to the theme json file for the table.
+ * @param {boolean} options.hasFileInput - Flag to indicate if users can open or drop a local CSV, TSV or JSON file.
+ * @param {boolean} options.hasSavedViews - Flag to indicate if the views menu is shown, to apply, save, rename, update,
+ * delete, import and export named views of the table (see `createView`).
+ * @param {Object} options.viewsOptions - Options for the named views.
+ * @param {boolean} options.viewsOptions.persist - Whether to save the views in localStorage (default: true).
+ * @param {string} options.viewsOptions.key - The localStorage key of the views (default: the table id followed by
+ * "-views").
+ * @param {Array<Object>} options.viewsOptions.views - The views ({ id, name, state }) offered until views are saved.
+ * @param {string} options.viewsOptions.defaultView - The id of the view shown when the table opens, among those views.
+ * @param {boolean} options.editableCells - Flag to indicate if cells are editable. Cells open an editor suited to the
+ * column type on double-click or Enter; columns can opt out, choose an `editor`, and validate edits with `required`
+ * and `validate` in their definition.
+ * @param {string|Function} options.rowId - The field holding the unique id of each row, or a function returning it
+ * (default: an id assigned to each row object). Edits and the row selection are tracked by row id; with a `rowId`,
+ * the selection also survives reloading the data.
+ * @param {Array<string|Object>} options.bulkActions - The actions offered for the selected rows: the built-in
+ * "delete", "export" (as CSV) and "copy" (as tab-separated text), referenced by id or overridden by an object with
+ * their id, and custom actions ({ id, label, icon, confirm, handler }) (see `BulkActions`)
+ * (default: ["export", "copy", "delete"], without "delete" for the "json" fetch type).
+ * @param {Object} options.exportOptions - Defaults of the export menu and `export`.
+ * @param {Array<string>} options.exportOptions.formats - The formats offered by the export menu: "csv", "tsv", "json"
+ * and "xlsx" (default: all of them).
+ * @param {string} options.exportOptions.filename - The file name of exports, without the extension (default: the table id).
+ * @param {Function} options.confirmAction - Asks the user to confirm a bulk action, called with the confirmation
+ * message; returns (a promise of) true to go ahead (default: `window.confirm`).
+ * @param {Function} options.onCommit - Called by `commit` with the pending changes (see `getChanges`), for example
+ * to save them; if it returns a promise that rejects, the changes stay pending.
+ * @param {string|Object} options.themePath - The theme of the table: "auto" to follow the color scheme and contrast
+ * preferences of the user, the name of a built-in theme ("defaultLight", "defaultDark" or "highContrast"), the path
+ * of a theme JSON file, or a theme object ({ name, colorScheme, variables }) (see `ThemeLoader`) (default: "auto").
  * @param {Number} options.rowsPerPage - The number of rows per page.
+ * @param {string} options.density - The row density: "compact", "normal" or "comfortable" (default: "normal").
+ * @param {string} options.textOverflow - Whether long cell text should "wrap" or "truncate" with an ellipsis
+ * (default: "wrap").
+ * @param {boolean|string|Object} options.persistState - Saves the page, rows per page, sort keys, filters, search and
+ * the order, width, visibility and pinning of the columns (see `getViewState`) whenever they change, and restores
+ * them on `init`: true or "local" to save them in localStorage, "query" to save them in a query parameter of the URL
+ * or "hash" in a parameter of its hash, so the view can be shared as a link, or an object ({ storage, key })
+ * (see `StateStore`). The state is saved under the table id by default, and saved state of another schema version
+ * is discarded (default: not saved).
+ * @param {boolean} options.stickyHeader - Whether the header stays in view while the body scrolls (default: true).
+ * Columns pinned with `pinned` in their definition or with `setColumnPinned` stay in view while the body scrolls
+ * sideways, along with the row checkboxes.
+ * @param {Object} options.searchOptions - Options for the global search.
+ * @param {boolean} options.searchOptions.caseSensitive - Whether the search is case-sensitive.
+ * @param {boolean} options.searchOptions.wholeWord - Whether the search only matches whole words.
+ * @param {Array<string>} options.searchOptions.columns - The columns to search (default: all visible columns).
+ * @param {Number} options.searchOptions.delay - The debounce delay of the searchbar in milliseconds.
+ * @param {string} options.locale - The locale used to format values and collate text (default: the browser locale).
+ * @param {string} options.currency - The currency of currency columns without a currency symbol (default: "USD").
+ * @param {Object} options.columnTypes - Column types keyed by column name, overriding the inferred types:
+ * "number", "integer", "currency", "percent", "date", "datetime", "boolean" or "text", or an object
+ * ({ type, currency, format }) where `format` holds `Intl` formatting options (see `ColumnTypes`).
+ * @param {boolean} options.formatValues - Whether to format values for their column type (default: true).
+ *
+ * Events, registered with `on` and removed with `off`. Handlers are called with an event object holding the `type`,
+ * the `table`, its `state` (see `getState`) and the details below. Calling `preventDefault()` on a `before*` event
+ * cancels the change.
+ * - dataLoaded ({ headers, complete }): rows were loaded from the data source; a streaming CSV file is loaded again
+ *   once it is complete.
+ * - loadError ({ error }): the data source or a local file could not be loaded.
+ * - render: the rows of the current page were rendered.
+ * - beforePageChange ({ page, previousPage }), pageChange ({ page, previousPage }): the user or `setPage` moved
+ *   to another page.
+ * - rowsPerPageChange ({ rowsPerPage, previousRowsPerPage }): the number of rows per page changed.
+ * - sort ({ sort }), filter ({ filters }), search ({ term }): the sort keys, column filters or global search changed.
+ * - selectionChange ({ selectedIds }): rows were selected or deselected.
+ * - beforeCellEdit ({ row, rowId, field, value, oldValue }), cellEdit ({ row, rowId, field, value, oldValue }):
+ *   a cell was edited.
+ * - rowClick ({ row, rowId, field, event }): a row was clicked, outside its checkbox and cell editors.
+ * - columnResize ({ field, width, widths }): a column was resized or autosized, or several columns were resized
+ *   with `setColumnWidths`; `widths` holds the new widths keyed by field, and `field` and `width` are null when
+ *   several columns were resized.
+ * - columnReorder ({ order, previousOrder }): the columns were reordered.
+ * - viewApply ({ view }): a saved view was applied.
+ * - viewsChange ({ views, defaultView }): a saved view was created, renamed, updated or deleted, the default view
+ *   changed, or views were imported.
+ * - destroy: the table is being destroyed.
  */
 export class SimplifyTable extends TableRenderer {
   constructor(options = {}) {
     super(options);
+    this.options = { ...options };
     // Set default options
     this.containerId = options.containerId || "simplify-table";
-    this.tableId = options.tableId || "table-id";
-    this.url = options.url || "default-url";
+    // Ids of the table elements are prefixed with the table id, so it must be unique on the page
+    this.tableId = options.tableId || `${this.containerId}-table`;
+    this.url = options.url || null;
+    this.initialData = options.data || null;
+    this.initialHeaders = options.headers || null;
+    this.fetchType =
+      this.initialData || !this.url ? "data" : options.fetchType || "csv";
+    this.jsonOptions = options.jsonOptions || {};
+    this.csvOptions = options.csvOptions || {};
+    this.cacheOptions = options.cacheOptions || {};
     this.hasTableOptions = options.hasTableOptions || false;
     this.hasHeaderOptions = options.hasHeaderOptions || false;
     this.hasPagination = options.hasPagination || false;
+    this.virtualScroll = options.virtualScroll || false;
+    this.virtualScrollOptions = { height: 500, rowHeight: null, buffer: 10, ...options.virtualScrollOptions };
     this.hasSearch = options.hasSearch || false;
+    this.hasFileInput = options.hasFileInput || false;
+    this.hasSavedViews = options.hasSavedViews || false;
     this.editableCells = options.editableCells || false;
-    this.themePath = options.themePath || "defaultLight.json";
+    this.themePath = options.themePath || AUTO_THEME;
+    // The theme applied to the table container
+    this.theme = null;
     this.rowsPerPage = options.rowsPerPage || 10;
+    this.density = options.density || "normal";
+    this.textOverflow = options.textOverflow || "wrap";
+    this.stickyHeader = options.stickyHeader !== false;
+    // The layout restored by `resetLayout`
+    this.defaultLayout = {
+      rowsPerPage: this.rowsPerPage,
+      density: this.density,
+      textOverflow: this.textOverflow,
+    };
+    this.searchOptions = {
+      caseSensitive: false,
+      wholeWord: false,
+      columns: null,
+      delay: 300,
+      ...options.searchOptions,
+    };
+    this.locale = options.locale;
+    this.formatValues = options.formatValues !== false;
+    // Column definitions, following the fields of the data unless given
+    this.columns = new ColumnModel(options.columns);
+    // Column types, inferred from the data unless overridden
+    this.columnTypes = new ColumnTypes({
+      locale: this.locale,
+      currency: options.currency,
+      overrides: { ...this.columns.getTypes(), ...options.columnTypes },
+    });
+
+    this.rowId = options.rowId || null;
+    this.onCommit = options.onCommit || null;
+    // Ids assigned to rows without a `rowId`
+    this.rowIds = new WeakMap();
+    this.nextRowId = 1;
+    // Edited cells that have not been committed or reverted
+    this.changeTracker = new ChangeTracker();
+    // Selected rows, kept across pages, sorting and filtering
+    this.selection = new Selection();
+    // Actions run on the selected rows from the selection toolbar
+    this.bulkActions = new BulkActions(
+      options.bulkActions ||
+        (this.fetchType === "json" ? ["export", "copy"] : ["export", "copy", "delete"]),
+      this.getBuiltInBulkActions()
+    );
+    this.confirmAction = options.confirmAction || ((message) => window.confirm(message));
+    this.exportOptions = {
+      formats: Object.keys(EXPORT_FORMATS),
+      filename: this.tableId,
+      ...options.exportOptions,
+    };
 
     this.currentPage = 1;
-    this.columnsToDisplay = {};
+    // Sort keys ({ column, direction }) in order of priority
+    this.sortState = [];
+    // Column filters ({ search, value }) keyed by column name
+    this.filters = {};
+    // The column the rows are grouped by, the collapsed groups and the number of rows in each group
+    this.groupBy = options.groupBy || null;
+    this.collapsedGroups = new Set();
+    this.groupCounts = null;
+    // The global search, used to both filter the rows and highlight the matches
+    this.searcher = new Search();
+    // Handlers of the table events, see `on`
+    this.events = new EventEmitter();
+    // Saves the state of the table, see `persistState`
+    this.stateStore = this.createStateStore(options.persistState);
+    // Named views of the table, the view last applied and whether the default view has been shown
+    this.viewsOptions = { persist: true, key: `${this.tableId}-views`, ...options.viewsOptions };
+    this.viewsStore = this.viewsOptions.persist ? new StateStore({ key: this.viewsOptions.key }) : null;
+    this.views = this.createViewManager();
+    this.activeView = null;
+    this.defaultViewShown = false;
+    // Refreshes the totals and pagination while a CSV file is streaming in
+    this.refreshWhileLoading = throttle(
+      () => this.updateBody(),
+      LOADING_REFRESH_INTERVAL
+    );
 
-    // Initialize table
-    this.init();
+    // Initialize table; `ready` resolves once the first page has been rendered
+    this.ready = this.init();
   }
 
-  async init() {
-    // Create a new instance of FetchData
-    this.fetchApi = new FetchData(this.url, this.hasPagination);
+  /**
+   * Returns the sort, filters, search and column types to apply to the data.
+   * @returns {Object} The query (see `FetchApi.fetchData`).
+   */
+  getQuery() {
+    return {
+      sort: this.getQuerySort(),
+      filters: this.filters,
+      search: {
+        term: this.searcher.term,
+        columns: this.searcher.columns,
+        caseSensitive: this.searcher.caseSensitive,
+        wholeWord: this.searcher.wholeWord,
+      },
+      columnTypes: this.columnTypes,
+    };
+  }
 
-    // Render table elements
-    this.renderElements();
-    // Fetch data
-    await this.getData();
-    // Render table
+  /**
+   * Returns the sort keys to apply to the data: when the rows are grouped, the grouped column comes first
+   * so the rows of each group are consecutive.
+   * @returns {Array<Object>} The sort keys ({ column, direction }), in order of priority.
+   */
+  getQuerySort() {
+    if (!this.groupBy) {
+      return this.sortState;
+    }
+    const groupKey = this.sortState.find((key) => key.column === this.groupBy) || {
+      column: this.groupBy,
+      direction: "asc",
+    };
+    return [groupKey, ...this.sortState.filter((key) => key.column !== this.groupBy)];
+  }
+
+  /**
+   * Registers a handler for a table event (see the list of events above).
+   * @param {string} event - The event name.
+   * @param {Function} handler - The handler, called with the event object.
+   * @returns {SimplifyTable} The table, so calls can be chained.
+   * @throws {Error} Throws an error for an unknown event or a handler that is not a function.
+   */
+  on(event, handler) {
+    if (!TABLE_EVENTS.includes(event)) {
+      throw new Error(`Unknown table event: ${event}`);
+    }
+    this.events.on(event, handler);
+    return this;
+  }
+
+  /**
+   * Removes a handler of a table event, every handler of an event, or every handler.
+   * @param {string} [event] - The event name (default: every event).
+   * @param {Function} [handler] - The handler to remove (default: every handler of the event).
+   * @returns {SimplifyTable} The table, so calls can be chained.
+   */
+  off(event, handler) {
+    this.events.off(event, handler);
+    return this;
+  }
+
+  /**
+   * Calls the handlers of a table event with an event object holding the table state and the details.
+   * @param {string} type - The event name.
+   * @param {Object} details - The details of the event.
+   * @param {boolean} cancelable - Whether handlers can cancel the change with `preventDefault()`.
+   * @returns {boolean} False if a handler cancelled the change, otherwise true.
+   */
+  emit(type, details = {}, cancelable = false) {
+    let defaultPrevented = false;
+    this.events.emit(type, {
+      type,
+      table: this,
+      state: this.getState(),
+      ...details,
+      cancelable,
+      get defaultPrevented() {
+        return defaultPrevented;
+      },
+      preventDefault: () => {
+        defaultPrevented = cancelable;
+      },
+    });
+    return !defaultPrevented;
+  }
+
+  /**
+   * Returns the state of the table: the page, sort, filters, search, grouping, visible columns and selection.
+   * @returns {Object} The state ({ page, rowsPerPage, totalResults, totalPages, sort, filters, search, groupBy,
+   * columns, selected }).
+   */
+  getState() {
+    const totalResults = this.data ? this.data.totalResults : 0;
+    return {
+      page: this.currentPage,
+      rowsPerPage: this.rowsPerPage,
+      totalResults,
+      totalPages: this.data ? this.getTotalPages() : 0,
+      sort: this.getSort(),
+      filters: this.getFilters(),
+      search: this.getSearch(),
+      groupBy: this.groupBy,
+      columns: this.columns.getVisibleFields(),
+      selected: this.selection.size,
+    };
+  }
+
+  /**
+   * Gets the state of the view that can be saved and restored with `setViewState`: the current page,
+   * the rows per page, the sort keys, the column filters, the global search and the column layout.
+   * @returns {Object} The view state ({ page, rowsPerPage, sort, filters, search, columns }), where `columns`
+   * holds the fields of every column in display order, the hidden fields, and the widths and pinned edges
+   * of the columns keyed by field ({ order, hidden, widths, pinned }).
+   */
+  getViewState() {
+    const columns = this.columns.getColumns();
+    return {
+      page: this.currentPage,
+      rowsPerPage: this.rowsPerPage,
+      sort: this.getSort(),
+      filters: this.getFilters(),
+      search: this.getSearch(),
+      columns: {
+        order: columns.map((column) => column.field),
+        hidden: columns.filter((column) => !column.visible).map((column) => column.field),
+        widths: columns
+          .filter((column) => column.width !== null)
+          .reduce((acc, column) => ({ ...acc, [column.field]: column.width }), {}),
+        pinned: columns
+          .filter((column) => column.pinned)
+          .reduce((acc, column) => ({ ...acc, [column.field]: column.pinned }), {}),
+      },
+    };
+  }
+
+  /**
+   * Restores a view state returned by `getViewState` and renders the table again. Parts of the state that are
+   * missing keep their current value, and sort keys, filters and columns for fields that no longer exist are dropped.
+   * @param {Object} state - The view state.
+   * @returns {Promise<void>} A promise that resolves once the table has been rendered.
+   * @throws {Error} Throws an error if the state is not an object.
+   */
+  async setViewState(state) {
+    if (!state || typeof state !== "object") {
+      throw new Error(`Invalid view state: ${state}`);
+    }
+    await this.ready;
+    if (this.destroyed) {
+      return;
+    }
+    await this.loadViewState(state);
+    if (this.destroyed) {
+      return;
+    }
     this.renderTable();
+    this.updatePaginationControls();
+  }
 
-    // Initialize and render pagination if enabled
-    if (this.hasPagination) {
-      this.pagination = new Pagination(this, this.options);
-      this.pagination.renderPagination();
+  /**
+   * Applies a view state and fetches its page, moving to the first page if the saved page no longer exists.
+   * @param {Object} state - The view state (see `getViewState`).
+   * @returns {Promise<void>} A promise that resolves once the data has been fetched.
+   */
+  async loadViewState(state) {
+    this.restoreViewState(state);
+    this.updateStateControls();
+    await this.getData();
+    if (!this.destroyed && this.currentPage > Math.max(1, this.getTotalPages())) {
+      this.currentPage = 1;
+      await this.getData();
+    }
+  }
+
+  /**
+   * Sets the page, rows per page, sort keys, filters, search and column layout from a view state, without
+   * rendering. Values that are missing or invalid are ignored, and so are fields without a column.
+   * @param {Object} state - The view state (see `getViewState`).
+   */
+  restoreViewState(state = {}) {
+    const known = (field) => Boolean(this.columns.getColumn(field));
+    const isObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+    const layout = isObject(state.columns) ? state.columns : {};
+    if (Array.isArray(layout.order)) {
+      const fields = layout.order.filter(known);
+      const hidden = Array.isArray(layout.hidden) ? layout.hidden : [];
+      const widths = isObject(layout.widths) ? layout.widths : {};
+      const pinned = isObject(layout.pinned) ? layout.pinned : {};
+      this.columns.setOrder(fields);
+      // Columns added since the state was saved keep their settings
+      fields.forEach((field) => {
+        const width = widths[field];
+        this.columns.setVisible(field, !hidden.includes(field));
+        this.columns.setWidth(field, typeof width === "number" || typeof width === "string" ? width : null);
+        this.columns.setPinned(field, ["left", "right"].includes(pinned[field]) ? pinned[field] : null);
+      });
+      // The last visible column cannot be hidden
+      if (fields.length && !this.columns.getVisibleColumns().length) {
+        this.columns.setVisible(fields[0], true);
+      }
+    }
+    if (Array.isArray(state.sort)) {
+      this.sortState = state.sort
+        .filter((key) => isObject(key) && known(key.column))
+        .map(({ column, direction }) => ({ column, direction: direction === "desc" ? "desc" : "asc" }));
+    }
+    if (isObject(state.filters)) {
+      this.filters = Filter.normalize(
+        Object.keys(state.filters)
+          .filter((column) => known(column) && isObject(state.filters[column]))
+          .reduce((acc, column) => ({ ...acc, [column]: state.filters[column] }), {})
+      );
+    }
+    if (typeof state.search === "string") {
+      this.searcher = new Search({
+        ...this.searchOptions,
+        term: state.search,
+        columns: this.searchOptions.columns || this.columns.getVisibleFields(),
+      });
+    }
+    if (Number.isInteger(state.rowsPerPage) && state.rowsPerPage > 0) {
+      this.rowsPerPage = state.rowsPerPage;
+    }
+    if (Number.isInteger(state.page) && state.page > 0) {
+      this.currentPage = state.page;
+    }
+  }
+
+  /**
+   * Updates the searchbar, the rows per page selects, the clear filters control and the table options
+   * to reflect the state of the table.
+   */
+  updateStateControls() {
+    if (this.searchbar.value.trim() !== this.searcher.term) {
+      this.searchbar.value = this.searcher.term;
+    }
+    this.rowsPerPageSelect.value = this.rowsPerPage;
+    this.updateClearFiltersButton();
+    this.updateTableOptions();
+  }
+
+  /**
+   * Creates the store saving the state of the table.
+   * @param {boolean|string|Object} persistState - Where to save the state (see the `persistState` option).
+   * @returns {StateStore|null} The store, or null if the state is not saved.
+   * @throws {Error} Throws an error if the storage is invalid.
+   */
+  createStateStore(persistState) {
+    if (!persistState) {
+      return null;
+    }
+    const settings =
+      typeof persistState === "string"
+        ? { storage: persistState }
+        : typeof persistState === "object"
+          ? persistState
+          : {};
+    return new StateStore({ key: this.tableId, ...settings });
+  }
+
+  /**
+   * Saves the view state, when `persistState` is set.
+   */
+  saveState() {
+    if (this.stateStore && !this.destroyed) {
+      this.stateStore.save(this.getViewState());
+    }
+  }
+
+  /**
+   * Restores the view state saved in the URL, after the user moved through the history of the page
+   * or followed a link to it.
+   */
+  restoreUrlState() {
+    if (!this.stateStore || this.stateStore.storage === "local" || this.destroyed) {
+      return;
+    }
+    const state = this.stateStore.load();
+    if (state && JSON.stringify(state) !== JSON.stringify(this.getViewState())) {
+      this.setViewState(state).catch((error) => console.error("Error restoring table state:", error));
+    }
+  }
+
+  /**
+   * Creates the manager of the named views, with the views saved in localStorage or given in `viewsOptions`.
+   * @returns {ViewManager} The view manager.
+   */
+  createViewManager() {
+    const saved = this.viewsStore && this.viewsStore.load();
+    if (saved) {
+      try {
+        return new ViewManager(saved);
+      } catch (error) {
+        console.error("Error loading saved views:", error);
+      }
+    }
+    return new ViewManager({
+      views: this.viewsOptions.views || [],
+      defaultView: this.viewsOptions.defaultView || null,
+    });
+  }
+
+  /**
+   * Gets the named views.
+   * @returns {Array<Object>} The views ({ id, name, state }), where `state` is a view state without the page
+   * (see `getViewState`).
+   */
+  getViews() {
+    return this.views.getViews();
+  }
+
+  /**
+   * Gets the view last applied or saved, if it still exists.
+   * @returns {Object|null} The view ({ id, name, state }), or null.
+   */
+  getActiveView() {
+    return (this.activeView && this.views.getView(this.activeView)) || null;
+  }
+
+  /**
+   * Saves a named view of the table: its sort keys, column filters, search, rows per page and column layout.
+   * @param {string} name - The name of the view.
+   * @param {Object} state - The view state (default: the current state, see `getViewState`).
+   * @returns {Object} The view ({ id, name, state }).
+   * @throws {Error} Throws an error if the name is empty or already used.
+   */
+  createView(name, state = this.getViewPreset()) {
+    const view = this.views.create(name, state);
+    this.activeView = view.id;
+    this.viewsChanged();
+    return view;
+  }
+
+  /**
+   * Renames a view.
+   * @param {string} id - The id of the view.
+   * @param {string} name - The new name.
+   * @throws {Error} Throws an error if there is no view with the id, or the name is empty or already used.
+   */
+  renameView(id, name) {
+    this.views.rename(id, name);
+    this.viewsChanged();
+  }
+
+  /**
+   * Replaces the state of a view, by default with the current state of the table.
+   * @param {string} id - The id of the view (default: the active view).
+   * @param {Object} state - The view state (default: the current state, see `getViewState`).
+   * @throws {Error} Throws an error if there is no view with the id.
+   */
+  updateView(id = this.activeView, state = this.getViewPreset()) {
+    this.views.update(id, state);
+    this.activeView = id;
+    this.viewsChanged();
+  }
+
+  /**
+   * Deletes a view.
+   * @param {string} id - The id of the view.
+   * @throws {Error} Throws an error if there is no view with the id.
+   */
+  deleteView(id) {
+    this.views.delete(id);
+    if (this.activeView === id) {
+      this.activeView = null;
+    }
+    this.viewsChanged();
+  }
+
+  /**
+   * Sets the view shown when the table opens without a saved state, or clears it.
+   * @param {string|null} id - The id of the view, or null for no default view.
+   * @throws {Error} Throws an error if there is no view with the id.
+   */
+  setDefaultView(id) {
+    this.views.setDefault(id);
+    this.viewsChanged();
+  }
+
+  /**
+   * Shows the table as saved in a view, on the first page.
+   * @param {string} id - The id of the view.
+   * @returns {Promise<void>} A promise that resolves once the table has been rendered.
+   * @throws {Error} Throws an error if there is no view with the id.
+   */
+  async applyView(id) {
+    const view = this.views.requireView(id);
+    this.activeView = id;
+    this.updateViewsMenu();
+    await this.setViewState({ page: 1, ...view.state });
+    this.emit("viewApply", { view: this.views.getView(id) });
+  }
+
+  /**
+   * Exports the views and the default view as JSON, to import them with `importViews`.
+   * @returns {string} The views as JSON.
+   */
+  exportViews() {
+    return JSON.stringify(this.views.toJSON(), null, 2);
+  }
+
+  /**
+   * Imports views exported with `exportViews`. Imported views replace the views of the same name.
+   * @param {string|Object|Array<Object>} data - The views as JSON or as returned by `exportViews`, or an array of views.
+   * @param {Object} options - Import options.
+   * @param {boolean} options.replace - Whether to delete the current views first (default: false).
+   * @returns {Array<Object>} The imported views.
+   * @throws {Error} Throws an error if the data or one of its views is invalid; no view is imported then.
+   */
+  importViews(data, options = {}) {
+    const views = this.views.import(data, options);
+    if (this.activeView && !this.views.getView(this.activeView)) {
+      this.activeView = null;
+    }
+    this.viewsChanged();
+    return views;
+  }
+
+  /**
+   * Saves the views as a JSON file download.
+   */
+  downloadViews() {
+    Exporter.download(this.exportViews(), `${this.exportOptions.filename}-views.json`, "application/json");
+  }
+
+  /**
+   * Imports the views of a JSON file, reporting the result in a toast.
+   * @param {File} file - The JSON file.
+   * @returns {Promise<void>} A promise that resolves once the file has been imported.
+   */
+  async importViewsFile(file) {
+    try {
+      const views = this.importViews(await file.text());
+      this.toast.showToast(`Imported ${views.length} view${views.length === 1 ? "" : "s"}`, "success");
+    } catch (error) {
+      this.toast.showToast(`Import failed: ${error.message}`, "error");
+    }
+  }
+
+  /**
+   * Gets the current state of the table to save in a view: the view state without the page.
+   * @returns {Object} The view state (see `getViewState`).
+   */
+  getViewPreset() {
+    const { page, ...state } = this.getViewState();
+    return state;
+  }
+
+  /**
+   * Saves the views, updates the views menu and emits `viewsChange`.
+   */
+  viewsChanged() {
+    if (this.viewsStore) {
+      this.viewsStore.save(this.views.toJSON());
     }
+    this.updateViewsMenu();
+    this.emit("viewsChange", { views: this.getViews(), defaultView: this.views.defaultView });
+  }
+
+  /**
+   * Creates the FetchApi instance for the current data source.
+   * @returns {FetchApi} The FetchApi instance.
+   */
+  createFetchApi() {
+    return new FetchApi(
+      this.url,
+      this.fetchType,
+      {},
+      {
+        csv: this.csvOptions,
+        json: this.jsonOptions,
+        cacheOptions: this.cacheOptions,
+        onProgress: (progress) => this.handleLoadProgress(progress),
+        locale: this.locale,
+      }
+    );
   }
 
   renderTable() {
-    this.header = new Header(this, this.options);
+    if (!this.header) {
+      this.header = new Header(this, this.options);
+    }
     this.header.renderHeaders(this.uniqueColumnValues);
-    this.body = new Body(this, this.options);
+    if (!this.body) {
+      this.body = new Body(this, this.options);
+    }
     this.body.renderBody();
+    this.updateSelectionControls();
+    this.updateDropZone();
     this.updateRowsPerPageParagraph(
       this.currentPage,
       this.rowsPerPage,
       this.data.totalResults
     );
+    this.emit("render");
+    this.saveState();
   }
 
   /**
@@ -80,61 +818,161 @@ export class SimplifyTable extends TableRenderer {
    */
   async getData(page = this.currentPage) {
     try {
-      const data = await this.fetchApi.fetch({
-        page: page,
-        limit: this.rowsPerPage,
-      });
+      const query = this.getQuery();
+      // Virtual scrolling renders from every matching row, waiting for as many rows as a page while a file loads
+      const data = this.isVirtual()
+        ? await this.fetchApi.fetchRows(query, this.rowsPerPage)
+        : await this.fetchApi.fetchData(page, this.rowsPerPage, query);
       this.data = {
         results: data.results || [],
         totalResults: data.totalResults || 0,
       };
 
-      // Extract headers from data.results and set this.tableInstance.headers
-      if (this.data.results.length > 0) {
+      // Use the headers of the data source, falling back to the keys of the first result
+      if (data.headers && data.headers.length) {
+        this.headers = data.headers;
+      } else if (this.data.results.length > 0) {
         this.headers = Object.keys(this.data.results[0]);
       } else {
         this.headers = [];
       }
+      this.columns.setFields(this.headers);
 
-      // Get unique column values
-      this.uniqueColumnValues = this.getUniqueColumnValues(
-        this.data.results,
-        this.headers
-      );
+      // Count the rows of each group across every page; a server only returns the current page
+      this.groupCounts =
+        this.groupBy && this.fetchType !== "json"
+          ? new Grouper(this.groupBy).count(this.fetchApi.getMatchingRows({ ...query, sort: [] }))
+          : null;
+
+      // Get unique column values and infer the column types from the whole dataset,
+      // so the column filters offer every value rather than only those on the current page.
+      // A streaming dataset is scanned again once it has finished loading.
+      const rows = data.rows || this.data.results;
+      const complete = data.complete !== false;
+      const loaded = rows !== this.sourceRows || (complete && !this.sourceComplete);
+      if (loaded || this.valuesChanged) {
+        // Pending edits belong to the rows of the replaced dataset (pages of a server are not replaced)
+        if (this.sourceRows && rows !== this.sourceRows && this.fetchType !== "json") {
+          this.changeTracker.clear();
+          // Assigned row ids do not carry over to the rows of a new dataset
+          if (!this.rowId && this.selection.size) {
+            this.selection.clear();
+            this.emit("selectionChange", { selectedIds: [] });
+          }
+        }
+        this.sourceRows = rows;
+        this.valuesChanged = false;
+        this.sourceComplete = complete;
+        this.columnTypes.infer(rows, this.headers);
+        this.uniqueColumnValues = this.getUniqueColumnValues(rows, this.headers);
+        if (this.header) {
+          this.header.updateFilterOptions(this.uniqueColumnValues);
+          this.header.updateColumnAlignment();
+        }
+      }
+      if (loaded) {
+        this.emit("dataLoaded", { headers: this.headers, complete });
+      }
     } catch (error) {
       console.error("Error fetching data:", error);
+      this.emit("loadError", { error });
     }
   }
 
+  /**
+   * Renders the table into its container, loads the data and renders the rows. Called by the constructor,
+   * and again to render a table that has been destroyed.
+   * @returns {Promise<void>} A promise that resolves once the first page has been rendered.
+   */
   async init() {
+    this.destroyed = false;
     // Create a new instance of FetchData
-    this.fetchApi = new FetchData(this.url, this.hasPagination);
+    this.fetchApi = this.createFetchApi();
+    if (this.fetchType === "data") {
+      this.fetchApi.setData(this.initialData || [], this.initialHeaders);
+    }
 
     // Render table elements
     this.renderElements();
+    this.updateLayoutClasses();
+    this.setTheme(this.themePath).catch((error) => console.error("Error loading theme:", error));
     // Fetch data
     await this.getData();
+    // The table may have been destroyed while the data was loading
+    if (this.destroyed) {
+      return;
+    }
+    // Restore the saved state, now that the columns are known, or show the default view the first time
+    const savedState = this.stateStore && this.stateStore.load();
+    const defaultView = !savedState && !this.defaultViewShown ? this.views.getDefault() : null;
+    this.defaultViewShown = true;
+    if (defaultView) {
+      this.activeView = defaultView.id;
+    }
+    if (savedState || defaultView) {
+      await this.loadViewState(savedState || { page: 1, ...defaultView.state });
+      if (this.destroyed) {
+        return;
+      }
+    }
     // Render table
     this.renderTable();
+    this.updatePaginationControls();
+  }
+
+  /**
+   * Whether the table scrolls through every matching row instead of paging them. A server pages the data itself,
+   * so the "json" fetch type is always paged.
+   * @returns {boolean} True if virtual scrolling is enabled and the data is held in the browser.
+   */
+  isVirtual() {
+    return this.virtualScroll && this.fetchType !== "json";
+  }
+
+  /**
+   * Returns the height of the rows with virtual scrolling: the `rowHeight` virtual scroll option,
+   * or the row height of the density set by the stylesheet.
+   * @returns {number} The row height, in pixels.
+   */
+  getRowHeight() {
+    return (
+      this.virtualScrollOptions.rowHeight ||
+      parseFloat(getComputedStyle(this.container).getPropertyValue("--row-height")) ||
+      ROW_HEIGHTS[this.density]
+    );
+  }
 
-    // Initialize and render pagination if enabled
-    if (this.hasPagination) {
+  /**
+   * Renders the pagination buttons and the go to page options for the current page, if pagination is enabled.
+   */
+  updatePaginationControls() {
+    if (!this.hasPagination || this.isVirtual()) {
+      return;
+    }
+    if (!this.pagination) {
       this.pagination = new Pagination(this, this.options);
-      this.pagination.renderPagination();
-      this.populateGotoPageSelect(); // Populate the gotoPage select element
     }
+    this.pagination.currentPage = this.currentPage;
+    this.pagination.updatePagination();
+    this.populateGotoPageSelect(); // Populate the gotoPage select element
   }
 
   updateBody() {
+    if (this.destroyed) {
+      return;
+    }
     // Fetch data for the new page
     this.getData()
       .then(() => {
-        // Clear the existing body content
-        const tableBody = document.querySelector(`#${this.tableId} tbody`);
-        tableBody.innerHTML = "";
+        // The table may have been destroyed or rebuilt while the data was loading
+        if (this.destroyed || !this.body) {
+          return;
+        }
 
         // Render the new body content
         this.body.renderBody();
+        this.updateSelectionControls();
+        this.updateDropZone();
 
         // Update the rows per page paragraph
         this.updateRowsPerPageParagraph(
@@ -144,10 +982,9 @@ export class SimplifyTable extends TableRenderer {
         );
 
         // Update pagination controls
-        if (this.hasPagination) {
-          this.pagination.updatePagination();
-          this.populateGotoPageSelect(); // Populate the gotoPage select element
-        }
+        this.updatePaginationControls();
+        this.emit("render");
+        this.saveState();
       })
       .catch((error) => {
         console.error("Error updating body:", error);
@@ -155,45 +992,1504 @@ export class SimplifyTable extends TableRenderer {
   }
 
   /**
-   * Creates a map of unique values for each column from the provided data.
-   * @param {Array} results - The data results array.
-   * @param {Array} headers - The headers array.
-   * @returns {Object} An object containing unique values for each column.
+   * Shows the progress of a streaming CSV file and refreshes the totals and
+   * pagination as rows arrive.
+   * @param {Object} progress - The loading progress (see `FetchApi.getProgress`).
    */
-  getUniqueColumnValues(results, headers) {
-    const uniqueColumnValues = {};
-    results.forEach((row) => {
-      headers.forEach((header) => {
-        if (!uniqueColumnValues[header]) {
-          uniqueColumnValues[header] = new Set();
-        }
-        uniqueColumnValues[header].add(row[header]);
-      });
-    });
+  handleLoadProgress(progress) {
+    if (!this.loader) {
+      return;
+    }
+    this.updateLoader(progress);
 
-    // Convert sets to arrays if needed
-    Object.keys(uniqueColumnValues).forEach((header) => {
-      uniqueColumnValues[header] = Array.from(uniqueColumnValues[header]);
-    });
+    // Wait for the first render before refreshing
+    if (!this.body) {
+      return;
+    }
+    if (progress.complete) {
+      this.updateBody();
+    } else {
+      this.refreshWhileLoading();
+    }
+  }
 
-    return uniqueColumnValues;
+  /**
+   * Cancels loading a streaming CSV file, keeping the rows loaded so far.
+   */
+  cancelLoading() {
+    const rows = this.fetchApi.getRows();
+    this.fetchApi.cancel();
+    this.keepSourceRows(rows);
   }
 
   /**
-   * Update the rowsPerPageParagraph with the current range of rows and total results.
-   * @param {number} currentPage - The current page number.
-   * @param {number} rowsPerPage - The number of rows per page.
-   * @param {number} totalResults - The total number of results.
+   * Keeps the loaded rows when the data source moves them to a copy of its own (see `FetchApi.detach`),
+   * so the copy is not taken for a new dataset, which would drop the pending edits and selection.
+   * @param {Array<Object>} rows - The rows of the data source before it was detached.
    */
-  updateRowsPerPageParagraph(currentPage, rowsPerPage, totalResults) {
-    const startRow = (currentPage - 1) * rowsPerPage + 1;
-    const endRow = Math.min(currentPage * rowsPerPage, totalResults);
-    const totalRows = totalResults;
+  keepSourceRows(rows) {
+    if (rows && this.sourceRows === rows) {
+      this.sourceRows = this.fetchApi.getRows();
+    }
+  }
 
-    this.rowsPerPageParagraph.textContent = `Showing Rows ${startRow} - ${endRow} of ${totalRows}`;
+  /**
+   * Removes the table from the page: notifies the `destroy` handlers, releases the data source (which stops
+   * loading and drops a cached file that no other table uses), stops following the theme preferences,
+   * removes the listeners on the document and the container, empties the container, removes the theme
+   * and layout classes from it and removes every table event handler.
+   * Calling `init` renders the table again, keeping its options and state.
+   */
+  destroy() {
+    if (this.destroyed) {
+      return;
+    }
+    this.emit("destroy");
+    this.destroyed = true;
+    this.fetchApi.release();
+    this.watchThemePreferences(false);
+    this.themeRequest = null;
+    this.removeElements();
+
+    (this.themeProperties || []).forEach((name) => this.container.style.removeProperty(name));
+    this.themeProperties = [];
+    this.container.style.colorScheme = "";
+    this.container.removeAttribute("data-theme");
+    DENSITIES.forEach((density) => this.container.classList.remove(`density-${density}`));
+    TEXT_OVERFLOWS.forEach((textOverflow) => this.container.classList.remove(`text-${textOverflow}`));
+    this.container.classList.remove("virtual-scroll", "sticky-header", "pin-shadow-left", "pin-shadow-right");
+    this.container.style.removeProperty("--virtual-scroll-height");
+    this.container.style.removeProperty("--row-height");
+    this.events.off();
   }
 
-  getTotalPages() {
+  /**
+   * Removes the rendered elements of the table and their listeners on the document and the container.
+   */
+  removeElements() {
+    this.removeListeners();
+    this.container.replaceChildren();
+    this.header = null;
+    this.body = null;
+    this.pagination = null;
+  }
+
+  /**
+   * Changes options of the table at runtime and renders it again, keeping the state that still applies.
+   * Changing the data source (`url`, `data`, `headers`, `fetchType`, `csvOptions`, `jsonOptions` or `cacheOptions`)
+   * loads the new data; changing the controls (`hasPagination`, `hasSearch`, `hasTableOptions`, `hasHeaderOptions`,
+   * `hasFileInput`, `editableCells` or `bulkActions`) renders them again. `columns`, `columnTypes`, `groupBy`,
+   * `rowsPerPage`, `density`, `textOverflow`, `themePath`, `searchOptions`, `exportOptions`, `confirmAction`
+   * and `onCommit` can be changed too.
+   * @param {Object} options - The options to change (see the constructor).
+   * @returns {Promise<void>} A promise that resolves once the table has been rendered again.
+   * @throws {Error} Throws an error for an option that cannot be changed at runtime or an invalid value,
+   * before changing any option.
+   */
+  async setOptions(options = {}) {
+    const names = Object.keys(options);
+    const unsupported = names.filter((name) => !RUNTIME_OPTIONS.includes(name));
+    if (unsupported.length) {
+      throw new Error(`Options cannot be changed at runtime: ${unsupported.join(", ")}`);
+    }
+    if ("density" in options && !DENSITIES.includes(options.density)) {
+      throw new Error(`Invalid density: ${options.density}`);
+    }
+    if ("textOverflow" in options && !TEXT_OVERFLOWS.includes(options.textOverflow)) {
+      throw new Error(`Invalid text overflow: ${options.textOverflow}`);
+    }
+    if ("rowsPerPage" in options && (!Number.isInteger(options.rowsPerPage) || options.rowsPerPage < 1)) {
+      throw new Error(`Invalid rows per page: ${options.rowsPerPage}`);
+    }
+    const columns = "columns" in options ? new ColumnModel(options.columns) : null;
+    const stateStore = "persistState" in options ? this.createStateStore(options.persistState) : undefined;
+    const bulkActions =
+      "bulkActions" in options ? new BulkActions(options.bulkActions, this.getBuiltInBulkActions()) : null;
+
+    await this.ready;
+    Object.assign(this.options, options);
+
+    // Controls
+    CONTROL_OPTIONS.filter((name) => name in options && name !== "bulkActions").forEach((name) => {
+      this[name] = Boolean(options[name]);
+    });
+    if (bulkActions) {
+      this.bulkActions = bulkActions;
+    }
+    if (stateStore !== undefined) {
+      this.stateStore = stateStore;
+    }
+    ["confirmAction", "onCommit"].filter((name) => name in options).forEach((name) => {
+      this[name] = options[name];
+    });
+    if ("exportOptions" in options) {
+      this.exportOptions = { ...this.exportOptions, ...options.exportOptions };
+    }
+    if ("virtualScrollOptions" in options) {
+      this.virtualScrollOptions = { ...this.virtualScrollOptions, ...options.virtualScrollOptions };
+    }
+
+    // Columns
+    if (columns) {
+      this.columns = columns;
+      this.columns.setFields(this.headers || []);
+    }
+    if (columns || "columnTypes" in options) {
+      this.columnTypes = new ColumnTypes({
+        locale: this.locale,
+        currency: this.options.currency,
+        overrides: { ...this.columns.getTypes(), ...this.options.columnTypes },
+      });
+      // Infer the types of the other columns again on the next fetch
+      this.valuesChanged = true;
+    }
+    if ("groupBy" in options) {
+      this.groupBy = options.groupBy || null;
+      this.collapsedGroups.clear();
+    }
+    if ("searchOptions" in options) {
+      this.searchOptions = { ...this.searchOptions, ...options.searchOptions };
+      this.searcher = new Search({
+        ...this.searchOptions,
+        term: this.searcher.term,
+        columns: this.searchOptions.columns || this.columns.getVisibleFields(),
+      });
+    }
+
+    // Layout
+    if ("density" in options) {
+      this.density = options.density;
+    }
+    if ("textOverflow" in options) {
+      this.textOverflow = options.textOverflow;
+    }
+    if ("stickyHeader" in options) {
+      this.stickyHeader = options.stickyHeader !== false;
+    }
+    const previousRowsPerPage = this.rowsPerPage;
+    if ("rowsPerPage" in options) {
+      this.rowsPerPage = options.rowsPerPage;
+    }
+    this.defaultLayout = {
+      rowsPerPage: this.rowsPerPage,
+      density: this.density,
+      textOverflow: this.textOverflow,
+    };
+
+    // Data source
+    if (SOURCE_OPTIONS.some((name) => name in options)) {
+      this.fetchApi.release();
+      if ("url" in options) {
+        // A URL replaces inline data, unless data is given along with it
+        this.url = options.url || null;
+        this.initialData = null;
+        this.initialHeaders = null;
+      }
+      if ("data" in options) {
+        this.initialData = options.data || null;
+      }
+      if ("headers" in options) {
+        this.initialHeaders = options.headers || null;
+      }
+      ["csvOptions", "jsonOptions", "cacheOptions"].filter((name) => name in options).forEach((name) => {
+        this[name] = options[name] || {};
+      });
+      this.fetchType =
+        this.initialData || !this.url
+          ? "data"
+          : options.fetchType || (this.fetchType === "data" ? "csv" : this.fetchType);
+      this.fetchApi = this.createFetchApi();
+      if (this.fetchType === "data") {
+        this.fetchApi.setData(this.initialData || [], this.initialHeaders);
+      }
+    }
+
+    // A destroyed table renders with the new options once `init` is called
+    if (this.destroyed) {
+      return;
+    }
+    // Render the table again, with new controls if they changed
+    if (CONTROL_OPTIONS.some((name) => name in options)) {
+      this.removeElements();
+      this.renderElements();
+      this.searchbar.value = this.searcher.term;
+      this.updateClearFiltersButton();
+    }
+    this.updateLayoutClasses();
+    if (this.groupBy && !this.columns.getColumn(this.groupBy)) {
+      this.groupBy = null;
+    }
+    await this.reloadData();
+    if (this.rowsPerPage !== previousRowsPerPage) {
+      this.emit("rowsPerPageChange", { rowsPerPage: this.rowsPerPage, previousRowsPerPage });
+    }
+    if ("themePath" in options) {
+      await this.setTheme(options.themePath || AUTO_THEME);
+    }
+  }
+
+  /**
+   * Displays inline data in place of the current data source.
+   * @param {Array<Object>|Array<Array>} data - An array of objects, or an array of arrays.
+   * @param {Array<string>} headers - The headers of an array of arrays. Without them, the first row holds the headers.
+   * @returns {Promise<void>} A promise that resolves once the table has been rendered with the data.
+   */
+  async setData(data, headers = null) {
+    this.fetchApi.setData(data, headers);
+    this.fetchType = "data";
+    await this.reloadData();
+  }
+
+  /**
+   * Displays a local CSV, TSV or JSON file, such as one picked or dropped by the user.
+   * CSV and TSV files are streamed through the same parser as remote CSV files.
+   * @param {File} file - The file to display.
+   * @returns {Promise<void>} A promise that resolves once the table has been rendered with the file.
+   */
+  async loadFile(file) {
+    try {
+      if (LocalData.isJsonFile(file)) {
+        const { rows, headers } = await LocalData.readJsonFile(file);
+        await this.setData(rows, headers);
+        return;
+      }
+      this.url = file;
+      this.fetchType = "csv";
+      this.fetchApi.release();
+      this.fetchApi = this.createFetchApi();
+      await this.reloadData();
+    } catch (error) {
+      console.error("Error loading file:", error);
+      this.emit("loadError", { error });
+    }
+  }
+
+  /**
+   * Fetches the first page of a new data source and renders the table again, as the columns may have changed.
+   * Sort keys and column filters for columns that no longer exist are dropped.
+   * @returns {Promise<void>} A promise that resolves once the table has been rendered.
+   */
+  async reloadData() {
+    this.currentPage = 1;
+    await this.getData();
+
+    const sortState = this.sortState.filter((key) => this.headers.includes(key.column));
+    const filters = Object.keys(this.filters)
+      .filter((column) => this.headers.includes(column))
+      .reduce((acc, column) => ({ ...acc, [column]: this.filters[column] }), {});
+    if (
+      sortState.length !== this.sortState.length ||
+      Object.keys(filters).length !== Object.keys(this.filters).length
+    ) {
+      this.sortState = sortState;
+      this.filters = filters;
+      this.updateClearFiltersButton();
+      await this.getData();
+    }
+
+    this.renderTable();
+    this.updatePaginationControls();
+  }
+
+  /**
+   * Shows the drop zone while a file is dragged over the table, and while a table
+   * that accepts files has no data.
+   */
+  updateDropZone() {
+    const isEmpty = !this.sourceRows || this.sourceRows.length === 0;
+    this.dropZone.hidden = !(this.isDraggingFile || (this.hasFileInput && isEmpty));
+  }
+
+  /**
+   * Checks whether the data source has changed and reloads the table. A cached CSV file is
+   * revalidated with a conditional request and only downloaded and parsed again if it has changed.
+   * @returns {Promise<void>} A promise that resolves once the table has been refreshed.
+   */
+  async refresh() {
+    try {
+      await this.fetchApi.refresh();
+    } catch (error) {
+      console.error("Error refreshing data:", error);
+    }
+    this.updateBody();
+  }
+
+  /**
+   * Discards the cached data source and reloads the table from scratch.
+   */
+  invalidate() {
+    this.fetchApi.invalidate();
+    this.updateBody();
+  }
+
+  /**
+   * Cycles the sort direction of a column through ascending, descending and unsorted.
+   * A plain toggle makes the column the only sort key, while an additive toggle
+   * (shift-click) keeps the other sort keys and adds the column as a secondary key.
+   * Columns that are not sortable are ignored.
+   * @param {string} column - The column to toggle.
+   * @param {boolean} additive - Whether to keep the existing sort keys.
+   */
+  toggleSort(column, additive = false) {
+    const definition = this.columns.getColumn(column);
+    if (definition && !definition.sortable) {
+      return;
+    }
+    const current = this.sortState.find((key) => key.column === column);
+    const direction = !current
+      ? "asc"
+      : current.direction === "asc"
+      ? "desc"
+      : null;
+
+    if (!additive) {
+      this.setSort(direction ? [{ column, direction }] : []);
+    } else if (!current) {
+      this.setSort([...this.sortState, { column, direction }]);
+    } else {
+      // Keep the priority of a column that is already sorted
+      this.setSort(
+        this.sortState
+          .map((key) => (key.column === column ? { column, direction } : key))
+          .filter((key) => key.direction)
+      );
+    }
+  }
+
+  /**
+   * Sets the sort keys, returns to the first page and refreshes the table.
+   * @param {Array<Object>} sortState - The sort keys ({ column, direction }), in order of priority.
+   */
+  setSort(sortState = []) {
+    this.sortState = sortState.map(({ column, direction }) => ({
+      column,
+      direction: direction === "desc" ? "desc" : "asc",
+    }));
+    this.currentPage = 1;
+    if (this.header) {
+      this.header.updateSortIndicators(this.sortState);
+    }
+    this.updateBody();
+    this.emit("sort", { sort: this.getSort() });
+  }
+
+  /**
+   * Returns a copy of the current sort keys.
+   * @returns {Array<Object>} The sort keys ({ column, direction }), in order of priority.
+   */
+  getSort() {
+    return this.sortState.map((key) => ({ ...key }));
+  }
+
+  /**
+   * Returns a copy of the active column filters.
+   * @returns {Object} The column filters ({ search, value }) keyed by column name.
+   */
+  getFilters() {
+    return JSON.parse(JSON.stringify(this.filters));
+  }
+
+  /**
+   * Replaces the active column filters, returns to the first page and refreshes the table.
+   * @param {Object} filters - The column filters ({ search, value }) keyed by column name.
+   */
+  setFilters(filters = {}) {
+    this.filters = Filter.normalize(filters);
+    this.currentPage = 1;
+    if (this.header) {
+      this.header.updateFilterControls(this.filters);
+    }
+    this.updateClearFiltersButton();
+    this.updateBody();
+    this.emit("filter", { filters: this.getFilters() });
+  }
+
+  /**
+   * Updates the filter of a single column, keeping the filters of the other columns.
+   * @param {string} column - The column to filter.
+   * @param {Object} filter - The changes to the column filter ({ search, value }).
+   */
+  setColumnFilter(column, filter = {}) {
+    this.setFilters({
+      ...this.filters,
+      [column]: { ...this.filters[column], ...filter },
+    });
+  }
+
+  /**
+   * Removes every column filter.
+   */
+  clearFilters() {
+    this.setFilters({});
+  }
+
+  /**
+   * Returns the current global search term.
+   * @returns {string} The search term.
+   */
+  getSearch() {
+    return this.searcher.term;
+  }
+
+  /**
+   * Searches every visible column (or the configured search columns) for a term,
+   * returns to the first page and refreshes the table.
+   * @param {string} term - The term to search for. An empty term clears the search.
+   */
+  setSearch(term = "") {
+    this.searcher = new Search({
+      ...this.searchOptions,
+      term,
+      columns: this.searchOptions.columns || this.columns.getVisibleFields(),
+    });
+    if (this.searchbar.value.trim() !== this.searcher.term) {
+      this.searchbar.value = this.searcher.term;
+    }
+    this.currentPage = 1;
+    this.updateBody();
+    this.emit("search", { term: this.searcher.term });
+  }
+
+  /**
+   * Shows or hides a column and refreshes the table.
+   * @param {string} field - The field of the column.
+   * @param {boolean} visible - Whether to show the column.
+   * @throws {Error} Throws an error if there is no column for the field.
+   */
+  setColumnVisible(field, visible) {
+    this.columns.setVisible(field, visible);
+    this.refreshColumns();
+  }
+
+  /**
+   * Sorts the table by a single column, or removes the column from the sort keys.
+   * @param {string} column - The column name.
+   * @param {string|null} direction - "asc", "desc", or null to stop sorting by the column.
+   */
+  setColumnSort(column, direction) {
+    if (!direction) {
+      this.setSort(this.sortState.filter((key) => key.column !== column));
+    } else {
+      this.setSort([{ column, direction }]);
+    }
+  }
+
+  /**
+   * Pins a column to the left or right edge of the table, or unpins it, and refreshes the table.
+   * @param {string} field - The field of the column.
+   * @param {string|null} side - "left", "right", or null to unpin the column.
+   * @throws {Error} Throws an error if there is no column for the field or the side is invalid.
+   */
+  setColumnPinned(field, side) {
+    this.columns.setPinned(field, side);
+    this.refreshColumns();
+  }
+
+  /**
+   * Gets the order of the columns, for example to save it and restore it with `setColumnOrder`.
+   * @returns {Array<string>} The fields of every column, visible or not, in display order.
+   */
+  getColumnOrder() {
+    return this.columns.getOrder();
+  }
+
+  /**
+   * Reorders the columns and refreshes the table. Columns pinned to an edge stay at that edge.
+   * @param {Array<string>} fields - The fields in their new order. Unknown fields are ignored, and columns left out
+   * follow the given ones, in their current order.
+   * @throws {Error} Throws an error if the order is not an array.
+   */
+  setColumnOrder(fields) {
+    const previousOrder = this.columns.getOrder();
+    this.columns.setOrder(fields);
+    const order = this.columns.getOrder();
+    if (order.every((field, index) => field === previousOrder[index])) {
+      return;
+    }
+    this.refreshColumns();
+    this.emit("columnReorder", { order, previousOrder });
+  }
+
+  /**
+   * Moves a column past the next visible column on its left or right, among the columns pinned to the same edge,
+   * and refreshes the table.
+   * @param {string} field - The field of the column.
+   * @param {number} direction - -1 to move the column left, 1 to move it right.
+   * @returns {boolean} Whether the column moved.
+   * @throws {Error} Throws an error if there is no column for the field.
+   */
+  moveColumn(field, direction) {
+    const previousOrder = this.columns.getOrder();
+    if (!this.columns.move(field, direction)) {
+      return false;
+    }
+    this.refreshColumns();
+    this.emit("columnReorder", { order: this.columns.getOrder(), previousOrder });
+    return true;
+  }
+
+  /**
+   * Sizes a column to fit the header and the cells of the current page, within the width limits of the column.
+   * @param {string} field - The field of the column.
+   * @returns {number|null} The width set, in pixels, or null when the table is not rendered.
+   * @throws {Error} Throws an error if there is no column for the field.
+   */
+  autosizeColumn(field) {
+    this.columns.requireColumn(field);
+    // Without a rendered table there is nothing to measure, and the column fits its content
+    const width = this.header ? this.header.measureColumnWidth(field) : 0;
+    return this.setColumnWidth(field, width || null);
+  }
+
+  /**
+   * Resizes a column, within its width limits, without reloading the rows.
+   * @param {string} field - The field of the column.
+   * @param {number|string|null} width - The width, in pixels or as a CSS length, or null to fit the content.
+   * @returns {number|string|null} The width set.
+   * @throws {Error} Throws an error if there is no column for the field.
+   */
+  setColumnWidth(field, width) {
+    const newWidth = this.columns.setWidth(field, width);
+    if (this.header) {
+      this.header.applyColumnWidth(field);
+    }
+    this.emit("columnResize", { field, width: newWidth, widths: { [field]: newWidth } });
+    this.saveState();
+    return newWidth;
+  }
+
+  /**
+   * Resizes several columns, for example to restore the widths returned by `getColumnWidths`.
+   * Fields without a column are ignored.
+   * @param {Object} widths - The widths (in pixels, as CSS lengths, or null to fit the content) keyed by field.
+   */
+  setColumnWidths(widths = {}) {
+    const resized = Object.keys(widths).reduce((acc, field) => {
+      if (this.columns.getColumn(field)) {
+        acc[field] = this.columns.setWidth(field, widths[field]);
+      }
+      return acc;
+    }, {});
+    if (!Object.keys(resized).length) {
+      return;
+    }
+    if (this.header) {
+      Object.keys(resized).forEach((field) => this.header.applyColumnWidth(field));
+    }
+    this.emit("columnResize", { field: null, width: null, widths: resized });
+    this.saveState();
+  }
+
+  /**
+   * Gets the width of every column, visible or not.
+   * @returns {Object} The widths (in pixels, as CSS lengths, or null when the column fits its content) keyed by field.
+   */
+  getColumnWidths() {
+    return this.columns.getColumns().reduce((acc, column) => {
+      acc[column.field] = column.width;
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Gets the CSS sizing of the header and cells of a column. A width in pixels fixes the column at that width,
+   * so long values wrap or are truncated instead of stretching the table.
+   * @param {Object} column - The column definition (see `ColumnModel`).
+   * @returns {Object} The width, minWidth and maxWidth styles; empty strings clear them.
+   */
+  getColumnWidthStyles(column) {
+    const toLength = (value) =>
+      value === null || value === undefined ? "" : typeof value === "number" ? `${value}px` : value;
+    if (typeof column.width === "number") {
+      const width = toLength(column.width);
+      return { width, minWidth: width, maxWidth: width };
+    }
+    return {
+      width: toLength(column.width),
+      minWidth: toLength(column.minWidth),
+      maxWidth: toLength(column.maxWidth),
+    };
+  }
+
+  /**
+   * Groups the rows by a column, or stops grouping, returns to the first page and refreshes the table.
+   * @param {string|null} column - The column to group by, or null to stop grouping.
+   * @throws {Error} Throws an error if there is no column for the field.
+   */
+  setGroupBy(column) {
+    if (column) {
+      this.columns.requireColumn(column);
+    }
+    this.groupBy = column || null;
+    this.collapsedGroups.clear();
+    this.currentPage = 1;
+    this.updateBody();
+  }
+
+  /**
+   * Collapses or expands a group of rows.
+   * @param {string} key - The group key (see `Grouper.getKey`).
+   */
+  toggleGroup(key) {
+    if (this.collapsedGroups.has(key)) {
+      this.collapsedGroups.delete(key);
+    } else {
+      this.collapsedGroups.add(key);
+    }
+    // With virtual scrolling the rows of collapsed groups are left out of the rows to scroll through
+    if (this.isVirtual()) {
+      this.body.renderBody();
+    } else {
+      this.body.updateGroupVisibility();
+    }
+  }
+
+  /**
+   * Returns the statistics of a column over the rows matching the filters and search
+   * (only the current page for the "json" fetch type).
+   * @param {string} column - The column name.
+   * @returns {Object} The statistics (see `ColumnStats.compute`), with the `scope` of the rows:
+   * "filtered" or "page".
+   */
+  getColumnStats(column) {
+    const rows = this.fetchApi.getMatchingRows({ ...this.getQuery(), sort: [] });
+    return {
+      ...ColumnStats.compute(rows || this.data.results, column, this.columnTypes),
+      scope: rows ? "filtered" : "page",
+    };
+  }
+
+  /**
+   * Renders the headers and the body again, after the columns have changed.
+   */
+  refreshColumns() {
+    if (!this.header) {
+      return;
+    }
+    this.header.renderHeaders(this.uniqueColumnValues);
+    this.updateSelectionControls();
+    this.updateBody();
+  }
+
+  /**
+   * Sets the offsets of the pinned header cells and cells from the edges of the table, so each pinned column
+   * sticks next to the pinned columns before it, and marks the columns on the pin boundaries for their shadows.
+   * The row checkboxes are pinned to the left edge, before the columns pinned to it.
+   */
+  updatePinnedColumns() {
+    if (!this.header) {
+      return;
+    }
+    const headers = Array.from(this.header.headerRow.children);
+    // The offset of each pinned column keyed by field, the row checkboxes having no field
+    const offsets = new Map();
+    let left = 0;
+    const leftHeaders = headers.filter((header) => header.classList.contains("pinned-left"));
+    leftHeaders.forEach((header) => {
+      offsets.set(header.dataset.column || "", left);
+      left += header.getBoundingClientRect().width;
+    });
+    let right = 0;
+    const rightHeaders = headers.filter((header) => header.classList.contains("pinned-right"));
+    rightHeaders.reverse().forEach((header) => {
+      offsets.set(header.dataset.column || "", right);
+      right += header.getBoundingClientRect().width;
+    });
+    const leftEdge = leftHeaders.length ? leftHeaders[leftHeaders.length - 1].dataset.column || "" : null;
+    const rightEdge = rightHeaders.length ? rightHeaders[rightHeaders.length - 1].dataset.column || "" : null;
+
+    const applyOffset = (element) => {
+      const side = element.classList.contains("pinned-left")
+        ? "left"
+        : element.classList.contains("pinned-right")
+          ? "right"
+          : null;
+      if (!side) {
+        return;
+      }
+      const key = element.dataset.column || "";
+      element.style[side] = `${offsets.get(key) || 0}px`;
+      element.classList.toggle("pin-edge", key === (side === "left" ? leftEdge : rightEdge));
+    };
+    headers.forEach(applyOffset);
+    Array.from(this.tbody.rows).forEach((row) => Array.from(row.cells).forEach(applyOffset));
+    this.updatePinShadows();
+  }
+
+  /**
+   * Shows the shadows of the pinned columns while the body is scrolled under them.
+   */
+  updatePinShadows() {
+    const { scrollLeft, scrollWidth, clientWidth } = this.middleContainer;
+    this.container.classList.toggle("pin-shadow-left", scrollLeft > 0);
+    this.container.classList.toggle("pin-shadow-right", Math.ceil(scrollLeft + clientWidth) < scrollWidth);
+  }
+
+  /**
+   * Sets the row density of the table.
+   * @param {string} density - The row density: "compact", "normal" or "comfortable".
+   * @throws {Error} Throws an error for an unknown density.
+   */
+  setDensity(density) {
+    if (!DENSITIES.includes(density)) {
+      throw new Error(`Invalid density: ${density}`);
+    }
+    this.density = density;
+    this.updateLayoutClasses();
+    // The rows in view depend on the row height
+    if (this.body && this.isVirtual()) {
+      this.body.renderBody();
+    }
+  }
+
+  /**
+   * Sets whether long cell text wraps or is truncated with an ellipsis.
+   * @param {string} textOverflow - "wrap" or "truncate".
+   * @throws {Error} Throws an error for an unknown mode.
+   */
+  setTextOverflow(textOverflow) {
+    if (!TEXT_OVERFLOWS.includes(textOverflow)) {
+      throw new Error(`Invalid text overflow: ${textOverflow}`);
+    }
+    this.textOverflow = textOverflow;
+    this.updateLayoutClasses();
+    this.updateBody();
+  }
+
+  /**
+   * Sets the number of rows per page, returns to the first page and refreshes the table.
+   * @param {number} rowsPerPage - The number of rows per page.
+   * @throws {Error} Throws an error if the number is not a positive integer.
+   */
+  setRowsPerPage(rowsPerPage) {
+    if (!Number.isInteger(rowsPerPage) || rowsPerPage < 1) {
+      throw new Error(`Invalid rows per page: ${rowsPerPage}`);
+    }
+    const previousRowsPerPage = this.rowsPerPage;
+    this.rowsPerPage = rowsPerPage;
+    this.currentPage = 1;
+    this.rowsPerPageSelect.value = rowsPerPage;
+    this.updateBody();
+    if (rowsPerPage !== previousRowsPerPage) {
+      this.emit("rowsPerPageChange", { rowsPerPage, previousRowsPerPage });
+    }
+  }
+
+  /**
+   * Moves to another page and refreshes the table, unless a `beforePageChange` handler cancels the change.
+   * @param {number} page - The page number.
+   * @returns {boolean} Whether the page changed: false for the current page, a page out of range or a cancelled change.
+   */
+  setPage(page) {
+    page = parseInt(page, 10);
+    const previousPage = this.currentPage;
+    if (!page || page < 1 || page > Math.max(1, this.getTotalPages()) || page === previousPage) {
+      return false;
+    }
+    if (!this.emit("beforePageChange", { page, previousPage }, true)) {
+      // Keep the controls on the current page
+      this.gotoPageSelect.value = previousPage;
+      return false;
+    }
+    this.currentPage = page;
+    this.updateBody();
+    this.emit("pageChange", { page, previousPage });
+    return true;
+  }
+
+  /**
+   * Restores the columns, row density, text overflow and rows per page to the options of the table.
+   */
+  resetLayout() {
+    const { rowsPerPage, density, textOverflow } = this.defaultLayout;
+    this.columns.reset();
+    this.density = density;
+    this.textOverflow = textOverflow;
+    this.updateLayoutClasses();
+    const previousRowsPerPage = this.rowsPerPage;
+    if (rowsPerPage !== previousRowsPerPage) {
+      this.rowsPerPage = rowsPerPage;
+      this.currentPage = 1;
+      this.rowsPerPageSelect.value = rowsPerPage;
+    }
+    this.refreshColumns();
+    this.updateTableOptions();
+    if (rowsPerPage !== previousRowsPerPage) {
+      this.emit("rowsPerPageChange", { rowsPerPage, previousRowsPerPage });
+    }
+  }
+
+  /**
+   * Shows the clear filters control only while a column filter is active.
+   */
+  updateClearFiltersButton() {
+    this.clearFiltersButton.hidden = !Object.keys(this.filters).length;
+  }
+
+  /**
+   * Returns the unique id of a row, from the `rowId` option or assigned to the row object.
+   * @param {Object} row - The row.
+   * @returns {*} The row id.
+   */
+  getRowId(row) {
+    if (typeof this.rowId === "function") {
+      return this.rowId(row);
+    }
+    if (this.rowId) {
+      return row[this.rowId];
+    }
+    if (!this.rowIds.has(row)) {
+      this.rowIds.set(row, this.nextRowId++);
+    }
+    return this.rowIds.get(row);
+  }
+
+  /**
+   * Whether the cells of a column can be edited.
+   * @param {Object} column - The column definition.
+   * @returns {boolean} True if editing is enabled and the column is editable.
+   */
+  isCellEditable(column) {
+    return this.editableCells && column.editable;
+  }
+
+  /**
+   * Validates the new value of a cell: a required column needs a value, a typed column needs a value
+   * of its type, and the `validate` function of the column definition has the final say.
+   * @param {*} value - The new value.
+   * @param {Object} row - The row.
+   * @param {Object} column - The column definition.
+   * @returns {string|null} An error message, or null if the value is valid.
+   */
+  validateCell(value, row, column) {
+    const isEmpty = value === null || value === undefined || String(value).trim() === "";
+    if (isEmpty && column.required) {
+      return `${column.label} is required`;
+    }
+
+    const type = this.columnTypes.getType(column.field);
+    if (!isEmpty && type !== "text" && this.columnTypes.parse(value, type) === null) {
+      return `${column.label} must be a valid ${type}`;
+    }
+
+    if (column.validate) {
+      const result = column.validate(value, row, column);
+      if (result === false) {
+        return `${column.label} is not valid`;
+      }
+      if (typeof result === "string") {
+        return result;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Sets the value of a cell, keeping track of the original value until the change is committed or reverted,
+   * unless a `beforeCellEdit` handler cancels the edit. Rows shared with other tables loading the same file
+   * are copied first (see `ownRow`).
+   * @param {Object} row - The row.
+   * @param {string} field - The field to set.
+   * @param {*} value - The new value.
+   * @returns {boolean} Whether the value was set.
+   */
+  setCellValue(row, field, value) {
+    row = this.ownRow(row);
+    const details = { row, rowId: this.getRowId(row), field, value, oldValue: row[field] };
+    if (!this.emit("beforeCellEdit", details, true)) {
+      return false;
+    }
+    this.changeTracker.set(details.rowId, row, field, value);
+    // Rescan the filter values and column types on the next fetch
+    this.valuesChanged = true;
+    this.emit("cellEdit", details);
+    return true;
+  }
+
+  /**
+   * Gives the table its own copies of rows shared with other tables loading the same file before a cell
+   * is edited, so the edit does not reach the other tables (see `FetchApi.ownRows`). The copies keep the ids
+   * and selection of the rows, and the rows are rendered again with the copies.
+   * @param {Object} row - The row about to be edited.
+   * @returns {Object} The table's own copy of the row.
+   */
+  ownRow(row) {
+    const rows = this.fetchApi.getRows();
+    const copies = this.fetchApi.ownRows();
+    if (copies) {
+      this.keepSourceRows(rows);
+      copies.forEach((copy, original) => {
+        if (this.rowIds.has(original)) {
+          this.rowIds.set(copy, this.rowIds.get(original));
+        }
+      });
+      this.selection.replaceRows(copies);
+      this.data.results = this.data.results.map((result) => copies.get(result) || result);
+      this.updateBody();
+    }
+    return this.fetchApi.getOwnRow(row);
+  }
+
+  /**
+   * Returns the pending changes of edited cells.
+   * @returns {Array<Object>} The changed rows ({ id, row, changes }), where `changes` holds the old and
+   * new values ({ oldValue, newValue }) keyed by field.
+   */
+  getChanges() {
+    return this.changeTracker.getChanges();
+  }
+
+  /**
+   * Commits the pending changes, passing them to the `onCommit` option first. The edited cells are no longer
+   * marked once the changes are committed.
+   * @returns {Promise<Array<Object>>} A promise that resolves to the committed changes.
+   * @throws {Error} Rethrows the error of `onCommit`, leaving the changes pending.
+   */
+  async commit() {
+    const changes = this.getChanges();
+    if (this.onCommit && changes.length) {
+      await this.onCommit(changes);
+    }
+    this.changeTracker.clear();
+    this.updateBody();
+    return changes;
+  }
+
+  /**
+   * Restores the original values of the edited cells and refreshes the table.
+   * @returns {Array<Object>} The reverted changes.
+   */
+  revert() {
+    const changes = this.changeTracker.revert();
+    this.valuesChanged = true;
+    this.updateBody();
+    return changes;
+  }
+
+  /**
+   * Selects or deselects a row. A shift-click selects (or deselects) the rows of the page
+   * between the last toggled row and this row.
+   * @param {Object} row - The row.
+   * @param {boolean} selected - Whether to select the row.
+   * @param {boolean} range - Whether to apply the change to a range of rows.
+   */
+  toggleRowSelection(row, selected, range = false) {
+    const id = this.getRowId(row);
+    if (range) {
+      this.selection.selectRange(this.data.results, id, (result) => this.getRowId(result), selected);
+    } else {
+      this.selection.toggle(id, row, selected);
+    }
+    this.selectionChanged();
+  }
+
+  /**
+   * Notifies the `rowClick` handlers of a click on a row.
+   * @param {Object} row - The row.
+   * @param {MouseEvent} event - The click event.
+   */
+  handleRowClick(row, event) {
+    const cell = event.target.closest("td[data-column]");
+    this.emit("rowClick", {
+      row,
+      rowId: this.getRowId(row),
+      field: cell ? cell.getAttribute("data-column") : null,
+      event,
+    });
+  }
+
+  /**
+   * Selects the rows of the current page, or deselects them when they are all selected.
+   */
+  togglePageSelection() {
+    const rows = this.data.results;
+    const selectAll = this.selection.getState(rows.map((row) => this.getRowId(row))) !== "all";
+    rows.forEach((row) => {
+      if (selectAll) {
+        this.selection.select(this.getRowId(row), row);
+      } else {
+        this.selection.deselect(this.getRowId(row));
+      }
+    });
+    this.selectionChanged();
+  }
+
+  /**
+   * Selects every row matching the current filters and search, on all pages.
+   * A server that pages the data itself only returns the current page, so then only the page is selected.
+   */
+  selectAllMatching() {
+    const rows = this.fetchApi.getMatchingRows(this.getQuery()) || this.data.results;
+    rows.forEach((row) => this.selection.select(this.getRowId(row), row));
+    this.selectionChanged();
+  }
+
+  /**
+   * Returns the selected rows. Rows selected by id that have not been loaded yet are left out.
+   * @returns {Array<Object>} The selected rows, in the order they were selected.
+   */
+  getSelectedRows() {
+    return this.selection.getRows();
+  }
+
+  /**
+   * Returns the ids of the selected rows.
+   * @returns {Array<*>} The selected row ids, in the order they were selected.
+   */
+  getSelectedRowIds() {
+    return this.selection.getIds();
+  }
+
+  /**
+   * Selects rows, in addition to the rows already selected.
+   * @param {Array<*>|Function} rows - Row ids or row objects, or a function that selects the loaded rows it returns true for.
+   */
+  selectRows(rows) {
+    const loadedRows = this.sourceRows || this.data.results;
+    if (typeof rows === "function") {
+      loadedRows.filter(rows).forEach((row) => this.selection.select(this.getRowId(row), row));
+    } else {
+      rows.forEach((item) => {
+        if (item !== null && typeof item === "object") {
+          this.selection.select(this.getRowId(item), item);
+          return;
+        }
+        this.selection.select(item, loadedRows.find((row) => this.getRowId(row) === item));
+      });
+    }
+    this.selectionChanged();
+  }
+
+  /**
+   * Deselects every row.
+   */
+  clearSelection() {
+    this.selection.clear();
+    this.selectionChanged();
+  }
+
+  /**
+   * Updates the selection controls after the selection has changed and notifies the `selectionChange` handlers.
+   */
+  selectionChanged() {
+    this.updateSelectionControls();
+    this.emit("selectionChange", { selectedIds: this.getSelectedRowIds() });
+  }
+
+  /**
+   * Updates the row checkboxes, the select-all checkbox and the selection bar to match the selection.
+   */
+  updateSelectionControls() {
+    const rows = this.data.results;
+    // Keep the selected rows up to date with the loaded rows, including rows selected by id.
+    // Without a selection there is nothing to look up, which matters with virtual scrolling through many rows.
+    let pageSelected = 0;
+    if (this.selection.size) {
+      rows.forEach((row) => {
+        const id = this.getRowId(row);
+        if (this.selection.isSelected(id)) {
+          this.selection.select(id, row);
+          pageSelected++;
+        }
+      });
+    }
+    const pageState = !pageSelected ? "none" : pageSelected === rows.length ? "all" : "some";
+    if (this.body) {
+      this.body.updateRowSelection();
+    }
+    if (this.header) {
+      this.header.updateSelectAll(pageState, this.selection.size > 0);
+    }
+    this.updateSelectionBar({
+      selected: this.selection.size,
+      pageSelected: pageState === "all",
+      totalResults: this.data.totalResults,
+      canSelectAll: this.fetchType !== "json",
+    });
+  }
+
+  /**
+   * Returns the built-in bulk actions: delete, export and copy the selected rows.
+   * @returns {Object} The built-in actions keyed by id.
+   */
+  getBuiltInBulkActions() {
+    const countRows = (rows) => `${rows.length.toLocaleString()} ${rows.length === 1 ? "row" : "rows"}`;
+    return {
+      delete: {
+        id: "delete",
+        label: "Delete",
+        icon: "fa-trash",
+        confirm: (rows) => `Delete ${countRows(rows)}? This cannot be undone.`,
+        handler: (rows) => {
+          this.deleteRows(rows);
+          return `Deleted ${countRows(rows)}`;
+        },
+      },
+      export: {
+        id: "export",
+        label: "Export",
+        icon: "fa-file-export",
+        handler: (rows) => {
+          this.exportRows("csv", rows, { filename: `${this.exportOptions.filename}-selected` });
+          return `Exported ${countRows(rows)}`;
+        },
+      },
+      copy: {
+        id: "copy",
+        label: "Copy",
+        icon: "fa-copy",
+        handler: async (rows) => {
+          await Exporter.copyToClipboard(
+            Exporter.toDelimited(rows, this.columns.getVisibleColumns(), {
+              delimiter: "\t",
+              lineEnding: "\n",
+            })
+          );
+          return `Copied ${countRows(rows)} to the clipboard`;
+        },
+      },
+    };
+  }
+
+  /**
+   * Runs a bulk action on the selected rows, asking for confirmation first if the action needs it,
+   * and reports the result in a toast message.
+   * @param {string} id - The action id.
+   * @returns {Promise<void>} A promise that resolves once the action has finished.
+   */
+  async runBulkAction(id) {
+    const action = this.bulkActions.get(id);
+    const rows = this.getSelectedRows();
+    if (!action || !rows.length) {
+      return;
+    }
+
+    const message = BulkActions.getConfirmMessage(action, rows);
+    if (message && !(await this.confirmAction(message))) {
+      return;
+    }
+
+    this.setBulkActionsBusy(true);
+    try {
+      const result = await action.handler(rows, this);
+      this.toast.showToast(
+        typeof result === "string" ? result : `${action.label} completed`,
+        "success"
+      );
+    } catch (error) {
+      console.error(`Error running bulk action "${id}":`, error);
+      this.toast.showToast(`${action.label} failed: ${error.message}`, "error");
+    } finally {
+      this.setBulkActionsBusy(false);
+    }
+  }
+
+  /**
+   * Removes rows from the data, along with their selection, and refreshes the table.
+   * @param {Array<Object>} rows - The rows to remove.
+   * @returns {number} The number of rows removed.
+   * @throws {Error} Throws an error for the "json" fetch type, as the server holds the data.
+   */
+  deleteRows(rows) {
+    const sourceRows = this.fetchApi.getRows();
+    const count = this.fetchApi.removeRows(rows);
+    this.keepSourceRows(sourceRows);
+    const selected = this.selection.size;
+    rows.forEach((row) => {
+      this.selection.deselect(this.getRowId(row));
+      this.changeTracker.delete(this.getRowId(row));
+    });
+    this.valuesChanged = true;
+    if (this.selection.size !== selected) {
+      this.emit("selectionChange", { selectedIds: this.getSelectedRowIds() });
+    }
+
+    // Stay within the pages that are left
+    const lastPage = Math.max(1, Math.ceil((this.data.totalResults - count) / this.rowsPerPage));
+    this.currentPage = Math.min(this.currentPage, lastPage);
+    this.updateBody();
+    return count;
+  }
+
+  /**
+   * Exports the current view to a file: the visible columns in their order, with the rows matching the filters
+   * and search in sort order, the whole dataset, the selected rows or the current page.
+   * @param {string} format - The file format: "csv", "tsv", "json" or "xlsx" (default: "csv").
+   * @param {Object} options - Export options.
+   * @param {string} options.scope - The rows to export: "filtered", "all", "selected" or "page" (default: "filtered").
+   * @param {string} options.values - Whether to export the "raw" values or the "formatted" values shown in the
+   * table (default: "raw").
+   * @param {string} options.filename - The file name, without the extension (default: `exportOptions.filename`).
+   * @returns {Promise<Object>} A promise that resolves to the export ({ filename, rows }) once the file is downloaded.
+   * @throws {Error} Throws an error for an unknown format or scope.
+   */
+  async export(format = "csv", options = {}) {
+    if (!EXPORT_FORMATS[format]) {
+      throw new Error(`Invalid export format: ${format}`);
+    }
+    const rows = await this.getExportRows(options.scope);
+    const filename = this.exportRows(format, rows, options);
+    return { filename, rows: rows.length };
+  }
+
+  /**
+   * Exports the current view from the export menu, reporting the result in a toast message.
+   * @param {string} format - The file format.
+   * @param {Object} options - Export options (see `export`).
+   * @returns {Promise<void>} A promise that resolves once the export has finished.
+   */
+  async runExport(format, options = {}) {
+    try {
+      const { filename, rows } = await this.export(format, options);
+      this.toast.showToast(
+        `Exported ${rows.toLocaleString()} ${rows === 1 ? "row" : "rows"} to ${filename}`,
+        "success"
+      );
+    } catch (error) {
+      console.error("Error exporting data:", error);
+      this.toast.showToast(`Export failed: ${error.message}`, "error");
+    }
+  }
+
+  /**
+   * Returns the rows to export, in sort order.
+   * @param {string} scope - The rows to export: "filtered", "all", "selected" or "page" (default: "filtered").
+   * @returns {Promise<Array<Object>>} A promise that resolves to the rows.
+   * @throws {Error} Throws an error for an unknown scope.
+   */
+  async getExportRows(scope = "filtered") {
+    const query = this.getQuery();
+    switch (scope) {
+      case "page":
+        return this.data.results;
+      case "selected":
+        // Selected rows are held by the table, so a server cannot sort them
+        return this.fetchType === "json"
+          ? this.getSelectedRows()
+          : this.fetchApi.queryRows(this.getSelectedRows(), { sort: query.sort, columnTypes: query.columnTypes });
+      case "filtered":
+        return this.fetchApi.fetchAllRows(query);
+      case "all":
+        return this.fetchApi.fetchAllRows({ sort: query.sort, columnTypes: query.columnTypes });
+      default:
+        throw new Error(`Invalid export scope: ${scope}`);
+    }
+  }
+
+  /**
+   * Exports rows with the visible columns to a file.
+   * @param {string} format - The file format: "csv", "tsv", "json" or "xlsx".
+   * @param {Array<Object>} rows - The rows to export.
+   * @param {Object} options - Export options.
+   * @param {string} options.values - Whether to export the "raw" or the "formatted" values (default: "raw").
+   * @param {string} options.filename - The file name, without the extension (default: `exportOptions.filename`).
+   * @returns {string} The name of the downloaded file.
+   */
+  exportRows(format, rows, { values = "raw", filename = this.exportOptions.filename } = {}) {
+    const formatted = values === "formatted";
+    const getValue = formatted
+      ? (row, column) => this.getFormattedCellValue(row, column)
+      : (row, column) => row[column.field];
+    return Exporter.export(format, rows, this.columns.getVisibleColumns(), {
+      filename,
+      getValue,
+      // Raw values are written to workbooks as typed cells, so spreadsheets can calculate with them
+      getCell: formatted ? getValue : (row, column) => this.getTypedCell(row, column),
+      sheetName: this.tableId,
+    });
+  }
+
+  /**
+   * Returns the value of a cell as shown in the table, formatted by the formatter of its column or for the column type.
+   * @param {Object} row - The row.
+   * @param {Object} column - The column definition.
+   * @returns {string} The formatted value.
+   */
+  getFormattedCellValue(row, column) {
+    const value = row[column.field];
+    if (column.formatter) {
+      const formatted = column.formatter(value, row, column);
+      // Formatters may return DOM nodes, which are exported as their text
+      return formatted instanceof Node ? formatted.textContent : formatted;
+    }
+    return this.formatValue(value, column.field);
+  }
+
+  /**
+   * Returns a cell of an exported workbook, typed by the column type (see `XlsxWriter`).
+   * @param {Object} row - The row.
+   * @param {Object} column - The column definition.
+   * @returns {*} The typed cell ({ type, value }), or the raw value if it does not parse as the column type.
+   */
+  getTypedCell(row, column) {
+    const value = row[column.field];
+    const type = this.columnTypes.getType(column.field);
+    const parsed = type === "text" ? null : this.columnTypes.parse(value, type);
+    if (parsed === null) {
+      return value;
+    }
+    if (type === "date" || type === "datetime" || type === "boolean") {
+      return { type, value: parsed };
+    }
+    return { type: "number", value: parsed };
+  }
+
+  /**
+   * Applies a theme to the table, leaving other tables on the page unchanged. The "auto" theme follows
+   * the color scheme and contrast preferences of the user, and changes along with them.
+   * @param {string|Object} theme - "auto", the name of a built-in theme, the path of a theme JSON file,
+   * or a theme object (see `ThemeLoader`) (default: "auto").
+   * @returns {Promise<Object>} A promise that resolves to the loaded theme.
+   * @throws {Error} Throws an error if the theme cannot be loaded, leaving the current theme in place.
+   */
+  async setTheme(theme = AUTO_THEME) {
+    this.themePath = theme;
+    this.watchThemePreferences(theme === AUTO_THEME);
+    const request = {};
+    this.themeRequest = request;
+
+    const loaded = await ThemeLoader.load(
+      theme === AUTO_THEME ? ThemeLoader.getPreferredTheme() : theme
+    );
+    // Skip a theme replaced by a later call while it was loading
+    if (this.themeRequest === request) {
+      this.theme = loaded;
+      this.applyTheme(loaded);
+    }
+    return loaded;
+  }
+
+  /**
+   * Returns the theme applied to the table.
+   * @returns {Object|null} The theme ({ name, colorScheme, variables }), or null before it has loaded.
+   */
+  getTheme() {
+    return this.theme;
+  }
+
+  /**
+   * Starts or stops following changes to the color scheme and contrast preferences of the user.
+   * @param {boolean} watch - Whether to follow the preferences.
+   */
+  watchThemePreferences(watch) {
+    if (!window.matchMedia) {
+      return;
+    }
+    if (!this.themePreferenceQueries) {
+      this.themePreferenceQueries = [COLOR_SCHEME_QUERY, CONTRAST_QUERY].map((query) =>
+        window.matchMedia(query)
+      );
+      this.handleThemePreferenceChange = () =>
+        this.setTheme(AUTO_THEME).catch((error) => console.error("Error loading theme:", error));
+    }
+    this.themePreferenceQueries.forEach((query) => {
+      if (watch) {
+        query.addEventListener("change", this.handleThemePreferenceChange);
+      } else {
+        query.removeEventListener("change", this.handleThemePreferenceChange);
+      }
+    });
+  }
+
+  /**
+   * Returns the type of each column, inferred from the data or overridden.
+   * @returns {Object} The column types keyed by column name.
+   */
+  getColumnTypes() {
+    return this.columnTypes.getTypes(this.headers || []);
+  }
+
+  /**
+   * Overrides the type of a column and refreshes the table.
+   * @param {string} column - The column name.
+   * @param {string|Object} type - A column type, or an object ({ type, currency, format }) (see `ColumnTypes`).
+   */
+  setColumnType(column, type) {
+    this.columnTypes.setType(column, type);
+    this.currentPage = 1;
+    if (this.header) {
+      this.header.updateColumnAlignment();
+      this.header.updateFilterOptions(this.uniqueColumnValues);
+    }
+    this.updateBody();
+  }
+
+  /**
+   * Returns the alignment of a column: the alignment of its definition, or right for numeric columns.
+   * @param {string} column - The column name.
+   * @returns {string} The alignment: "left", "center" or "right".
+   */
+  getColumnAlign(column) {
+    const definition = this.columns.getColumn(column);
+    if (definition && definition.align) {
+      return definition.align;
+    }
+    return this.columnTypes.isNumeric(column) ? "right" : "left";
+  }
+
+  /**
+   * Formats a value for display in a column, according to the column type.
+   * @param {*} value - The raw value.
+   * @param {string} column - The column name.
+   * @returns {string} The formatted value.
+   */
+  formatValue(value, column) {
+    if (!this.formatValues) {
+      return value === null || value === undefined ? "" : String(value);
+    }
+    return this.columnTypes.format(value, column);
+  }
+
+  /**
+   * Creates a map of unique values for each column from the provided data.
+   * @param {Array} results - The data results array.
+   * @param {Array} headers - The headers array.
+   * @returns {Object} An object containing unique values for each column.
+   */
+  getUniqueColumnValues(results, headers) {
+    const uniqueColumnValues = {};
+    results.forEach((row) => {
+      headers.forEach((header) => {
+        if (!uniqueColumnValues[header]) {
+          uniqueColumnValues[header] = new Set();
+        }
+        if (row[header] !== undefined && row[header] !== null) {
+          uniqueColumnValues[header].add(row[header]);
+        }
+      });
+    });
+
+    // Convert sets to arrays if needed
+    Object.keys(uniqueColumnValues).forEach((header) => {
+      uniqueColumnValues[header] = Array.from(uniqueColumnValues[header]);
+    });
+
+    return uniqueColumnValues;
+  }
+
+  /**
+   * Update the rowsPerPageParagraph with the current range of rows and total results.
+   * @param {number} currentPage - The current page number.
+   * @param {number} rowsPerPage - The number of rows per page.
+   * @param {number} totalResults - The total number of results.
+   */
+  updateRowsPerPageParagraph(currentPage, rowsPerPage, totalResults) {
+    let startRow = totalResults ? (currentPage - 1) * rowsPerPage + 1 : 0;
+    let endRow = Math.min(currentPage * rowsPerPage, totalResults);
+    const totalRows = totalResults;
+    // With virtual scrolling, show the rows in view
+    if (this.isVirtual() && this.body) {
+      ({ start: startRow, end: endRow } = this.body.getVisibleRange());
+    }
+
+    this.rowsPerPageParagraph.textContent = `Showing Rows ${startRow} - ${endRow} of ${totalRows}`;
+  }
+
+  getTotalPages() {
+    // Virtual scrolling shows every row on a single page
+    if (this.isVirtual()) {
+      return Math.min(this.data.totalResults, 1);
+    }
     return Math.ceil(this.data.totalResults / this.rowsPerPage);
   }
 
@@ -207,5 +2503,6 @@ export class SimplifyTable extends TableRenderer {
       option.textContent = `Page ${i}`;
       this.gotoPageSelect.appendChild(option);
     }
+    this.gotoPageSelect.value = this.currentPage;
   }
 }
@@ -0,0 +1,368 @@
+import { TextDecoder } from "util";
+import { SimplifyTable } from "./simplifyTable.js";
+
+global.TextDecoder = TextDecoder;
+
+// Mock a CSV file of `count` rows, served whole with the given ETag, or as not modified
+const mockCsv = (count, etag) => {
+  const lines = ["id,name"];
+  for (let i = 1; i <= count; i++) {
+    lines.push(`${i},Name ${i}`);
+  }
+  const body = Buffer.from(`${lines.join("\n")}\n`);
+  global.fetch = jest.fn(async (url, { headers = {} } = {}) => {
+    if (headers["If-None-Match"] === etag) {
+      return { status: 304, ok: false };
+    }
+    let sent = false;
+    return {
+      status: 200,
+      ok: true,
+      headers: new Map([["ETag", etag]]),
+      body: {
+        getReader: () => ({
+          read: async () => (sent ? { done: true } : ((sent = true), { done: false, value: body })),
+          cancel: () => {},
+        }),
+      },
+    };
+  });
+};
+
+let tableCount = 0;
+// Render a table in a new container, waiting for its first page
+const createTable = async (options) => {
+  const containerId = `table-${++tableCount}`;
+  document.body.append(Object.assign(document.createElement("div"), { id: containerId }));
+  const table = new SimplifyTable({ containerId, ...options });
+  await table.ready;
+  return table;
+};
+
+afterEach(() => {
+  delete global.fetch;
+  document.body.replaceChildren();
+  localStorage.clear();
+});
+
+describe("SimplifyTable cell edits", () => {
+  const data = [
+    { id: "1", name: "Alice", age: "30" },
+    { id: "2", name: "Bob", age: "25" },
+  ];
+  const createEditableTable = (options = {}) =>
+    createTable({
+      data: data.map((row) => ({ ...row })),
+      rowId: "id",
+      editableCells: true,
+      columns: [
+        "id",
+        { field: "name", required: true },
+        { field: "age", validate: (value) => Number(value) < 150 || "Age is too high" },
+      ],
+      ...options,
+    });
+
+  test("tracks edits until they are reverted to the original values", async () => {
+    const table = await createEditableTable();
+    const [alice] = table.data.results;
+    const edits = jest.fn();
+    table.on("cellEdit", edits);
+
+    expect(table.setCellValue(alice, "age", "31")).toBe(true);
+    expect(alice.age).toBe("31");
+    expect(edits).toHaveBeenCalledWith(expect.objectContaining({ rowId: "1", field: "age", value: "31", oldValue: "30" }));
+    expect(table.getChanges()).toEqual([
+      { id: "1", row: alice, changes: { age: { oldValue: "30", newValue: "31" } } },
+    ]);
+
+    expect(table.revert()).toHaveLength(1);
+    expect(alice.age).toBe("30");
+    expect(table.getChanges()).toEqual([]);
+  });
+
+  test("validates required, typed and custom validated cells", async () => {
+    const table = await createEditableTable();
+    const [alice] = table.data.results;
+    const column = (field) => table.columns.getColumn(field);
+
+    expect(table.validateCell("", alice, column("name"))).toBe("name is required");
+    expect(table.validateCell("old", alice, column("age"))).toBe("age must be a valid integer");
+    expect(table.validateCell("200", alice, column("age"))).toBe("Age is too high");
+    expect(table.validateCell("40", alice, column("age"))).toBeNull();
+  });
+
+  test("leaves the cell alone when a beforeCellEdit handler cancels the edit", async () => {
+    const table = await createEditableTable();
+    const [alice] = table.data.results;
+    table.on("beforeCellEdit", (event) => event.preventDefault());
+
+    expect(table.setCellValue(alice, "name", "Alicia")).toBe(false);
+    expect(alice.name).toBe("Alice");
+    expect(table.getChanges()).toEqual([]);
+  });
+
+  test("commits the changes through onCommit, keeping them pending if it fails", async () => {
+    const onCommit = jest.fn().mockRejectedValueOnce(new Error("Offline")).mockResolvedValueOnce();
+    const table = await createEditableTable({ onCommit });
+    const [alice] = table.data.results;
+    table.setCellValue(alice, "name", "Alicia");
+
+    await expect(table.commit()).rejects.toThrow("Offline");
+    expect(table.getChanges()).toHaveLength(1);
+
+    const committed = await table.commit();
+    expect(onCommit).toHaveBeenLastCalledWith(committed);
+    expect(committed[0].changes).toEqual({ name: { oldValue: "Alice", newValue: "Alicia" } });
+    expect(table.getChanges()).toEqual([]);
+    expect(table.revert()).toEqual([]);
+    expect(alice.name).toBe("Alicia");
+  });
+
+  test("edits its own copy of the rows of a file shared with another table", async () => {
+    mockCsv(3, '"v1"');
+    const url = "https://example.com/edits.csv";
+    const a = await createTable({ url, editableCells: true });
+    const b = await createTable({ url });
+    const [row] = a.data.results;
+    const id = a.getRowId(row);
+
+    expect(a.setCellValue(row, "name", "Edited")).toBe(true);
+    const [copy] = a.data.results;
+    expect(copy).not.toBe(row);
+    expect(copy.name).toBe("Edited");
+    expect(a.getRowId(copy)).toBe(id);
+    expect(b.data.results[0].name).toBe("Name 1");
+
+    a.revert();
+    expect(copy.name).toBe("Name 1");
+  });
+});
+
+describe("SimplifyTable selection", () => {
+  const data = [1, 2, 3, 4, 5].map((id) => ({ id: String(id), name: id % 2 ? "Odd" : "Even" }));
+  const createSelectableTable = () => createTable({ data, rowId: "id", rowsPerPage: 2 });
+
+  test("selects the rows of the page, and deselects them when they are all selected", async () => {
+    const table = await createSelectableTable();
+    const changes = jest.fn();
+    table.on("selectionChange", changes);
+
+    table.togglePageSelection();
+    expect(table.getSelectedRowIds()).toEqual(["1", "2"]);
+    expect(changes).toHaveBeenLastCalledWith(expect.objectContaining({ selectedIds: ["1", "2"] }));
+    table.togglePageSelection();
+    expect(table.getSelectedRowIds()).toEqual([]);
+  });
+
+  test("selects a range of rows from the last toggled row", async () => {
+    const table = await createSelectableTable();
+    const [first, second] = table.data.results;
+    table.toggleRowSelection(second, true);
+    table.toggleRowSelection(first, true, true);
+    expect(table.getSelectedRowIds()).toEqual(["2", "1"]);
+  });
+
+  test("selects every row matching the search on all pages", async () => {
+    const table = await createSelectableTable();
+    table.setSearch("Odd");
+    table.selectAllMatching();
+    expect(table.getSelectedRowIds()).toEqual(["1", "3", "5"]);
+    expect(table.getSelectedRows().map((row) => row.id)).toEqual(["1", "3", "5"]);
+  });
+
+  test("selects rows by id, by object or with a function", async () => {
+    const table = await createSelectableTable();
+    table.selectRows(["4"]);
+    table.selectRows([table.data.results[0]]);
+    table.selectRows((row) => row.id === "5");
+    expect(table.getSelectedRowIds()).toEqual(["4", "1", "5"]);
+    expect(table.getSelectedRows().map((row) => row.id)).toEqual(["4", "1", "5"]);
+    table.clearSelection();
+    expect(table.getSelectedRows()).toEqual([]);
+  });
+});
+
+describe("SimplifyTable bulk actions", () => {
+  const data = [1, 2, 3].map((id) => ({ id: String(id), name: `Name ${id}` }));
+
+  test("deletes the selected rows once confirmed", async () => {
+    const confirmAction = jest.fn().mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+    const table = await createTable({ data: data.map((row) => ({ ...row })), rowId: "id", confirmAction });
+    table.selectRows(["1", "3"]);
+
+    await table.runBulkAction("delete");
+    expect(confirmAction).toHaveBeenCalledWith("Delete 2 rows? This cannot be undone.");
+    expect(table.fetchApi.getRows()).toHaveLength(3);
+
+    await table.runBulkAction("delete");
+    expect(table.fetchApi.getRows().map((row) => row.id)).toEqual(["2"]);
+    expect(table.getSelectedRowIds()).toEqual([]);
+  });
+
+  test("reports the result of an async custom action, or its failure", async () => {
+    const handler = jest.fn().mockResolvedValueOnce("Archived 1 row").mockRejectedValueOnce(new Error("Offline"));
+    const table = await createTable({
+      data,
+      rowId: "id",
+      bulkActions: [{ id: "archive", label: "Archive", confirm: null, handler }],
+    });
+    const toast = jest.spyOn(table.toast, "showToast").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    table.selectRows(["2"]);
+
+    await table.runBulkAction("archive");
+    expect(handler).toHaveBeenCalledWith([table.fetchApi.getRows()[1]], table);
+    expect(toast).toHaveBeenLastCalledWith("Archived 1 row", "success");
+
+    await table.runBulkAction("archive");
+    expect(toast).toHaveBeenLastCalledWith("Archive failed: Offline", "error");
+    console.error.mockRestore();
+  });
+
+  test("deletes rows of a file shared with another table from its own copy", async () => {
+    mockCsv(4, '"v1"');
+    const url = "https://example.com/delete.csv";
+    const a = await createTable({ url, editableCells: true, confirmAction: () => true });
+    const b = await createTable({ url });
+    a.setCellValue(a.data.results[2], "name", "Edited");
+    // The edit moved the table onto its own copies of the rows
+    const [first, second] = a.data.results;
+    a.selectRows([first, second]);
+
+    expect(a.deleteRows([first])).toBe(1);
+    expect(a.fetchApi.getRows().map((row) => row.id)).toEqual(["2", "3", "4"]);
+    expect(a.getSelectedRows()).toEqual([second]);
+    expect(a.getChanges()).toHaveLength(1);
+    expect(b.fetchApi.getRows()).toHaveLength(4);
+    expect(b.fetchApi.getRows()[2].name).toBe("Name 3");
+
+    await a.runBulkAction("delete");
+    expect(a.fetchApi.getRows().map((row) => row.id)).toEqual(["3", "4"]);
+    expect(b.fetchApi.getRows()).toHaveLength(4);
+  });
+});
+
+describe("SimplifyTable themes", () => {
+  const data = [{ id: "1", name: "Alice" }];
+
+  test("scopes each theme to the container of its table", async () => {
+    const a = await createTable({ data, themePath: "defaultDark" });
+    const b = await createTable({ data, themePath: "defaultLight" });
+    expect(a.container.style.getPropertyValue("--table-bg-color")).toBe("#1e1f22");
+    expect(a.container.getAttribute("data-theme")).toBe("Default Dark");
+    expect(b.container.style.getPropertyValue("--table-bg-color")).not.toBe("#1e1f22");
+
+    const theme = await a.setTheme({ name: "Mine", variables: { "table-bg-color": "#123456" } });
+    expect(a.getTheme()).toBe(theme);
+    expect(a.container.style.getPropertyValue("--table-bg-color")).toBe("#123456");
+    expect(a.container.style.getPropertyValue("--table-fg-color")).toBe("");
+    expect(a.container.getAttribute("data-theme")).toBe("Mine");
+    expect(b.container.getAttribute("data-theme")).toBe("Default Light");
+  });
+
+  test("keeps the current theme when a theme fails to load", async () => {
+    const table = await createTable({ data, themePath: "defaultDark" });
+    await expect(table.setTheme({ name: "Broken" })).rejects.toThrow("A theme needs an object of variables");
+    expect(table.getTheme().name).toBe("Default Dark");
+    expect(table.container.style.getPropertyValue("--table-bg-color")).toBe("#1e1f22");
+  });
+});
+
+describe("SimplifyTable events", () => {
+  const data = [1, 2, 3, 4, 5].map((id) => ({ id: String(id), name: `Name ${id}` }));
+
+  test("throws for an unknown event", async () => {
+    const table = await createTable({ data });
+    expect(() => table.on("pageChanged", () => {})).toThrow("Unknown table event: pageChanged");
+  });
+
+  test("stays on the page when a beforePageChange handler cancels the change", async () => {
+    const table = await createTable({ data, rowsPerPage: 2 });
+    const cancel = (event) => event.preventDefault();
+    const changes = jest.fn();
+    table.on("beforePageChange", cancel).on("pageChange", changes);
+
+    expect(table.setPage(2)).toBe(false);
+    expect(table.currentPage).toBe(1);
+    expect(changes).not.toHaveBeenCalled();
+
+    table.off("beforePageChange", cancel);
+    expect(table.setPage(2)).toBe(true);
+    expect(changes).toHaveBeenCalledWith(expect.objectContaining({ type: "pageChange", page: 2, previousPage: 1 }));
+  });
+
+  test("reports a cancelled change only for cancelable events", async () => {
+    const table = await createTable({ data });
+    const events = [];
+    table.on("sort", (event) => {
+      event.preventDefault();
+      events.push(event);
+    });
+
+    expect(table.emit("sort", { column: "name" })).toBe(true);
+    expect(events[0]).toMatchObject({ column: "name", cancelable: false, defaultPrevented: false });
+    expect(table.emit("sort", { column: "name" }, true)).toBe(false);
+    expect(events[1]).toMatchObject({ cancelable: true, defaultPrevented: true });
+
+    table.off();
+    expect(table.emit("sort", {}, true)).toBe(true);
+    expect(events).toHaveLength(2);
+  });
+});
+
+describe("SimplifyTable destroy", () => {
+  test("stops following a file shared with a table that is refreshed later", async () => {
+    mockCsv(3, '"v1"');
+    const url = "https://example.com/destroy.csv";
+    const a = await createTable({ url });
+    const b = await createTable({ url });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    const progress = jest.spyOn(a, "handleLoadProgress");
+    a.destroy();
+    mockCsv(4, '"v2"');
+    await b.refresh();
+
+    expect(progress).not.toHaveBeenCalled();
+    expect(a.container.childElementCount).toBe(0);
+    expect(b.fetchApi.getRows()).toHaveLength(4);
+  });
+
+  test("drops the cached file once every table loading it is destroyed", async () => {
+    mockCsv(3, '"v1"');
+    const url = "https://example.com/destroy-all.csv";
+    const a = await createTable({ url });
+    const b = await createTable({ url });
+    a.destroy();
+    b.destroy();
+
+    await createTable({ url });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test("removes the theme and the event handlers of the table", async () => {
+    const table = await createTable({ data: [{ id: "1" }], themePath: "defaultDark" });
+    const destroyed = jest.fn();
+    const rendered = jest.fn();
+    table.on("destroy", destroyed).on("render", rendered);
+
+    table.destroy();
+    expect(destroyed).toHaveBeenCalledTimes(1);
+    expect(table.container.style.getPropertyValue("--table-bg-color")).toBe("");
+    expect(table.container.hasAttribute("data-theme")).toBe(false);
+    table.emit("render");
+    expect(rendered).not.toHaveBeenCalled();
+  });
+
+  test("releases the previous file when the url changes", async () => {
+    mockCsv(3, '"v1"');
+    const a = await createTable({ url: "https://example.com/first.csv" });
+    const handler = a.fetchApi.handleEntryProgress;
+    const entry = a.fetchApi.entry;
+
+    await a.setOptions({ url: "https://example.com/second.csv" });
+    expect(entry.listeners.has(handler)).toBe(false);
+    expect(a.fetchApi.getRows()).toHaveLength(3);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * @module EventEmitterModule
+ *
+ * @description
+ * This module provides an `EventEmitter` class for registering handlers for named events
+ * and calling them when an event is emitted.
+ *
+ * @features
+ * - **Handlers**: Register and remove any number of handlers per event.
+ * - **One-off Handlers**: Register a handler that is removed after its first call.
+ * - **Isolation**: A handler that throws is reported without stopping the other handlers.
+ *
+ * @example
+ * // Import the necessary module
+ * import { EventEmitter } from "./eventEmitter.js";
+ *
+ * const events = new EventEmitter();
+ * const handler = (payload) => console.log(payload.page);
+ * events.on("pageChange", handler);
+ * events.emit("pageChange", { page: 2 }); // logs 2
+ * events.off("pageChange", handler);
+ */
+
+export class EventEmitter {
+  /**
+   * Creates an instance of EventEmitter.
+   */
+  constructor() {
+    /**
+     * @property {Map<string, Set<Function>>} listeners - The handlers keyed by event name.
+     */
+    this.listeners = new Map();
+  }
+
+  /**
+   * Registers a handler for an event.
+   * @param {string} event - The event name.
+   * @param {Function} handler - The handler, called with the payload of the event.
+   * @throws {Error} Throws an error if the handler is not a function.
+   */
+  on(event, handler) {
+    if (typeof handler !== "function") {
+      throw new Error(`The handler of "${event}" must be a function`);
+    }
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(handler);
+  }
+
+  /**
+   * Registers a handler that is removed after the next time the event is emitted.
+   * @param {string} event - The event name.
+   * @param {Function} handler - The handler, called with the payload of the event.
+   */
+  once(event, handler) {
+    const wrapper = (payload) => {
+      this.off(event, wrapper);
+      handler(payload);
+    };
+    this.on(event, wrapper);
+  }
+
+  /**
+   * Removes a handler, every handler of an event, or every handler.
+   * @param {string} [event] - The event name (default: every event).
+   * @param {Function} [handler] - The handler to remove (default: every handler of the event).
+   */
+  off(event, handler) {
+    if (event === undefined) {
+      this.listeners.clear();
+    } else if (handler === undefined) {
+      this.listeners.delete(event);
+    } else if (this.listeners.has(event)) {
+      this.listeners.get(event).delete(handler);
+    }
+  }
+
+  /**
+   * Calls the handlers of an event, in the order they were registered.
+   * @param {string} event - The event name.
+   * @param {*} payload - The payload passed to each handler.
+   */
+  emit(event, payload) {
+    // Copy the handlers, so handlers added or removed while emitting do not affect this event
+    Array.from(this.listeners.get(event) || []).forEach((handler) => {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(`Error in "${event}" handler:`, error);
+      }
+    });
+  }
+}
@@ -0,0 +1,81 @@
+import { EventEmitter } from "./eventEmitter.js";
+
+describe("EventEmitter", () => {
+  test("calls the handlers of an event in the order they were registered", () => {
+    const events = new EventEmitter();
+    const calls = [];
+    events.on("pageChange", (payload) => calls.push(["first", payload.page]));
+    events.on("pageChange", (payload) => calls.push(["second", payload.page]));
+    events.on("sort", () => calls.push(["sort"]));
+
+    events.emit("pageChange", { page: 2 });
+    events.emit("filter", {});
+    expect(calls).toEqual([
+      ["first", 2],
+      ["second", 2],
+    ]);
+  });
+
+  test("throws for a handler that is not a function", () => {
+    expect(() => new EventEmitter().on("sort", "handler")).toThrow('The handler of "sort" must be a function');
+  });
+
+  test("removes a handler, the handlers of an event, or every handler", () => {
+    const events = new EventEmitter();
+    const first = jest.fn();
+    const second = jest.fn();
+    const other = jest.fn();
+    events.on("sort", first);
+    events.on("sort", second);
+    events.on("filter", other);
+
+    events.off("sort", first);
+    events.emit("sort");
+    expect(first).not.toHaveBeenCalled();
+    expect(second).toHaveBeenCalledTimes(1);
+
+    events.off("sort");
+    events.emit("sort");
+    expect(second).toHaveBeenCalledTimes(1);
+
+    events.off();
+    events.emit("filter");
+    expect(other).not.toHaveBeenCalled();
+    expect(() => events.off("search", first)).not.toThrow();
+  });
+
+  test("calls a one-off handler only once", () => {
+    const events = new EventEmitter();
+    const handler = jest.fn();
+    events.once("render", handler);
+    events.emit("render", 1);
+    events.emit("render", 2);
+    expect(handler.mock.calls).toEqual([[1]]);
+  });
+
+  test("keeps calling the other handlers when one throws", () => {
+    const events = new EventEmitter();
+    const error = new Error("Broken");
+    const handler = jest.fn();
+    const log = jest.spyOn(console, "error").mockImplementation(() => {});
+    events.on("sort", () => {
+      throw error;
+    });
+    events.on("sort", handler);
+
+    events.emit("sort");
+    expect(handler).toHaveBeenCalled();
+    expect(log).toHaveBeenCalledWith('Error in "sort" handler:', error);
+    log.mockRestore();
+  });
+
+  test("leaves handlers added while emitting for the next event", () => {
+    const events = new EventEmitter();
+    const added = jest.fn();
+    events.on("sort", () => events.on("sort", added));
+    events.emit("sort");
+    expect(added).not.toHaveBeenCalled();
+    events.emit("sort");
+    expect(added).toHaveBeenCalledTimes(1);
+  });
+});
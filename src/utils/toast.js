@@ -74,15 +74,22 @@ export class Toast {
    * @returns {HTMLElement} - The toast element.
    */
   createToast(message, type) {
-    const toastElement = createBaseElement("div", {
-      className: `toast toast-${type}`,
+    const toastElement = createBaseElement({
+      tag: "div",
+      attributes: {
+        class: `toast toast-${type}`,
+        role: type === "error" ? "alert" : "status",
+      },
     });
 
     const iconElement = this.toastIcons(type);
-    const messageElement = createBaseElement("div", {
-      className: "toast-message",
+    const messageElement = createBaseElement({
+      tag: "div",
+      attributes: {
+        class: "toast-message",
+      },
+      textContent: message,
     });
-    messageElement.textContent = message;
 
     toastElement.appendChild(iconElement);
     toastElement.appendChild(messageElement);
@@ -96,8 +103,11 @@ export class Toast {
    * @returns {HTMLElement} - The icon element.
    */
   toastIcons(type) {
-    const iconElement = createBaseElement("i", {
-      className: "fas",
+    const iconElement = createBaseElement({
+      tag: "i",
+      attributes: {
+        class: "fas",
+      },
     });
 
     iconElement.addEventListener("click", () => {
@@ -0,0 +1,37 @@
+/**
+ * @jest-environment node
+ */
+import { crc32, createZip } from "./zipUtils.js";
+
+describe("crc32", () => {
+  test("calculates the CRC-32 checksum used by ZIP files", () => {
+    expect(crc32(new TextEncoder().encode("123456789"))).toBe(0xcbf43926);
+    expect(crc32(new Uint8Array(0))).toBe(0);
+  });
+});
+
+describe("createZip", () => {
+  test("stores each file with its name, size and checksum, followed by the central directory", () => {
+    const content = new TextEncoder().encode("héllo");
+    const zip = createZip([{ name: "a/b.txt", content: "héllo" }], new Date(2024, 2, 1, 10, 30, 20));
+    const view = new DataView(zip.buffer);
+
+    expect(view.getUint32(0, true)).toBe(0x04034b50);
+    expect(view.getUint16(8, true)).toBe(0);
+    expect(view.getUint32(14, true)).toBe(crc32(content));
+    expect(view.getUint32(18, true)).toBe(content.length);
+    expect(new TextDecoder().decode(zip.subarray(30, 37))).toBe("a/b.txt");
+    expect(zip.subarray(37, 37 + content.length)).toEqual(content);
+    // The MS-DOS modification time and date
+    expect(view.getUint16(10, true)).toBe((10 << 11) | (30 << 5) | 10);
+    expect(view.getUint16(12, true)).toBe((44 << 9) | (3 << 5) | 1);
+
+    const centralOffset = 37 + content.length;
+    expect(view.getUint32(centralOffset, true)).toBe(0x02014b50);
+    const end = zip.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054b50);
+    expect(view.getUint16(end + 10, true)).toBe(1);
+    expect(view.getUint32(end + 16, true)).toBe(centralOffset);
+    expect(view.getUint32(end + 12, true)).toBe(end - centralOffset);
+  });
+});